@@ -35,6 +35,14 @@ async function initSchema() {
       console.log('Kudos table created successfully');
     }
     
+    // Create kudos reactions table
+    const { error: kudosReactionsError } = await supabase.rpc('create_kudos_reactions_table');
+    if (kudosReactionsError) {
+      console.error('Error creating kudos reactions table:', kudosReactionsError.message);
+    } else {
+      console.log('Kudos reactions table created successfully');
+    }
+    
     // Create contributions table
     const { error: contributionsError } = await supabase.rpc('create_contributions_table');
     if (contributionsError) {
@@ -43,6 +51,46 @@ async function initSchema() {
       console.log('Contributions table created successfully');
     }
     
+    // Create departments table
+    const { error: departmentsError } = await supabase.rpc('create_departments_table');
+    if (departmentsError) {
+      console.error('Error creating departments table:', departmentsError.message);
+    } else {
+      console.log('Departments table created successfully');
+    }
+    
+    // Create teams table
+    const { error: teamsError } = await supabase.rpc('create_teams_table');
+    if (teamsError) {
+      console.error('Error creating teams table:', teamsError.message);
+    } else {
+      console.log('Teams table created successfully');
+    }
+    
+    // Create score recalculation run log
+    const { error: scoreRunsError } = await supabase.rpc('create_score_recalculation_runs_table');
+    if (scoreRunsError) {
+      console.error('Error creating score recalculation runs table:', scoreRunsError.message);
+    } else {
+      console.log('Score recalculation runs table created successfully');
+    }
+    
+    // Create scoring configuration versions table
+    const { error: scoringConfigsError } = await supabase.rpc('create_scoring_configs_table');
+    if (scoringConfigsError) {
+      console.error('Error creating scoring configs table:', scoringConfigsError.message);
+    } else {
+      console.log('Scoring configs table created successfully');
+    }
+    
+    // Create tenant settings table
+    const { error: tenantSettingsError } = await supabase.rpc('create_tenant_settings_table');
+    if (tenantSettingsError) {
+      console.error('Error creating tenant settings table:', tenantSettingsError.message);
+    } else {
+      console.log('Tenant settings table created successfully');
+    }
+    
     // Create tenants table
     const { error: tenantsError } = await supabase.rpc('create_tenants_table');
     if (tenantsError) {
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Script to set the role of a Supabase Auth user
+ * Used to bootstrap the first super admin, who can then assign roles through the API.
+ * An employee ID links the user to their employee record, which users registered
+ * before employee IDs were kept in app_metadata need once.
+ * Requires SUPABASE_KEY to be the project's service role key.
+ *
+ * Usage: node scripts/setUserRole.js <email> <role> [employee_id]
+ */
+
+const supabase = require('../src/utils/supabaseClient');
+const { ALL_ROLES, isValidRole } = require('../src/utils/roles');
+
+// Find an auth user by email, paging through the admin user list
+async function findUserByEmail(email) {
+  const perPage = 100;
+  
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage });
+    if (error) throw new Error(error.message);
+    
+    const user = data.users.find(candidate => candidate.email === email.toLowerCase());
+    if (user) return user;
+    if (data.users.length < perPage) return null;
+  }
+}
+
+// Main function
+async function setUserRole() {
+  const [email, role, employeeId] = process.argv.slice(2);
+  
+  if (!email || !isValidRole(role)) {
+    console.error('Usage: node scripts/setUserRole.js <email> <role> [employee_id]');
+    console.error(`Roles: ${ALL_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  try {
+    const user = await findUserByEmail(email);
+    if (!user) {
+      console.error(`No user found with email: ${email}`);
+      process.exit(1);
+    }
+    
+    const appMetadata = { ...user.app_metadata, role };
+    if (employeeId) appMetadata.employee_id = employeeId;
+    
+    const { error } = await supabase.auth.admin.updateUserById(user.id, {
+      app_metadata: appMetadata
+    });
+    if (error) throw new Error(error.message);
+    
+    console.log(`Role of ${email} set to ${role}`);
+    if (employeeId) console.log(`${email} linked to employee ${employeeId}`);
+  } catch (error) {
+    console.error('Failed to set user role:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  setUserRole();
+}
+
+module.exports = { setUserRole };
\ No newline at end of file
@@ -11,10 +11,47 @@ CREATE TABLE IF NOT EXISTS employees (
   team TEXT,
   role TEXT,
   hire_date DATE,
+  manager_id TEXT,
+  deleted_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Add soft-delete column to existing employees tables
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Add reporting line (employee_id of the manager in the same tenant) to existing employees tables
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS manager_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_employees_tenant_manager ON employees (tenant_id, manager_id);
+
+-- Create departments table (employees.department holds a department_id)
+CREATE TABLE IF NOT EXISTS departments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  department_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  parent_department_id TEXT,
+  lead_employee_id TEXT,
+  archived BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (tenant_id, department_id)
+);
+
+-- Create teams table (employees.team holds a team_id)
+CREATE TABLE IF NOT EXISTS teams (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  department_id TEXT,
+  lead_employee_id TEXT,
+  archived BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (tenant_id, team_id)
+);
+
 -- Create interactions table
 CREATE TABLE IF NOT EXISTS interactions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -23,10 +60,29 @@ CREATE TABLE IF NOT EXISTS interactions (
   to_employee_id TEXT NOT NULL,
   interaction_type TEXT NOT NULL,
   content TEXT,
+  sentiment_score NUMERIC(5,4),
+  sentiment_label TEXT,
+  is_group BOOLEAN DEFAULT false,
+  recipient_ids JSONB,
+  thread_id TEXT,
+  parent_id TEXT,
+  channel TEXT,
   timestamp TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Store the sentiment of the content (-1 to 1, and positive/neutral/negative) on existing interactions tables
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS sentiment_score NUMERIC(5,4);
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS sentiment_label TEXT;
+
+-- Store the recipients of interactions with several recipients, their thread and channel on existing interactions tables
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS is_group BOOLEAN DEFAULT false;
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS recipient_ids JSONB;
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS thread_id TEXT;
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS parent_id TEXT;
+ALTER TABLE interactions ADD COLUMN IF NOT EXISTS channel TEXT;
+CREATE INDEX IF NOT EXISTS idx_interactions_tenant_thread ON interactions (tenant_id, thread_id);
+
 -- Create kudos table
 CREATE TABLE IF NOT EXISTS kudos (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -34,10 +90,39 @@ CREATE TABLE IF NOT EXISTS kudos (
   from_employee_id TEXT NOT NULL,
   to_employee_id TEXT NOT NULL,
   message TEXT NOT NULL,
+  sentiment_score NUMERIC(5,4),
+  sentiment_label TEXT,
+  value_keys JSONB DEFAULT '[]'::jsonb,
+  is_group BOOLEAN DEFAULT false,
+  recipient_ids JSONB,
+  to_team_id TEXT,
   timestamp TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Store the sentiment of the message on existing kudos tables
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS sentiment_score NUMERIC(5,4);
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS sentiment_label TEXT;
+
+-- Store the company values a kudos is tagged with on existing kudos tables
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS value_keys JSONB DEFAULT '[]'::jsonb;
+
+-- Store the recipients of group kudos (given to several employees at once) on existing kudos tables
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS is_group BOOLEAN DEFAULT false;
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS recipient_ids JSONB;
+ALTER TABLE kudos ADD COLUMN IF NOT EXISTS to_team_id TEXT;
+
+-- Create kudos reactions table (one row per employee, kudos and reaction)
+CREATE TABLE IF NOT EXISTS kudos_reactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  kudos_id TEXT NOT NULL,
+  employee_id TEXT NOT NULL,
+  reaction TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (tenant_id, kudos_id, employee_id, reaction)
+);
+
 -- Create contributions table
 CREATE TABLE IF NOT EXISTS contributions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -47,10 +132,71 @@ CREATE TABLE IF NOT EXISTS contributions (
   collaboration_score NUMERIC(5,2),
   initiative_score NUMERIC(5,2),
   overall_score NUMERIC(5,2),
+  dimension_scores JSONB,
+  scoring_config_version INTEGER,
+  explanation JSONB,
+  period_type TEXT,
+  period_start TIMESTAMP,
+  period_end TIMESTAMP,
+  decay_half_life_days NUMERIC,
   calculated_at TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Store the score of every scored dimension on existing contributions tables
+-- (problem_solving_score, collaboration_score and initiative_score are kept as copies of the original dimensions)
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS dimension_scores JSONB;
+
+-- Record the scoring configuration version on existing contributions tables (0 = built-in configuration)
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS scoring_config_version INTEGER;
+
+-- Store the evidence behind calculated scores on existing contributions tables
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS explanation JSONB;
+
+-- Store the scoring period (period_end is exclusive, period_start is null for all-time scores) on existing contributions tables
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_type TEXT;
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_start TIMESTAMP;
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_end TIMESTAMP;
+ALTER TABLE contributions ADD COLUMN IF NOT EXISTS decay_half_life_days NUMERIC;
+
+-- Create score recalculation run log (one row per tenant per run)
+CREATE TABLE IF NOT EXISTS score_recalculation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  run_id TEXT NOT NULL,
+  trigger TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  employees_processed INTEGER NOT NULL DEFAULT 0,
+  employees_failed INTEGER NOT NULL DEFAULT 0,
+  failures JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+CREATE INDEX IF NOT EXISTS idx_score_recalculation_runs_tenant_started ON score_recalculation_runs (tenant_id, started_at DESC);
+
+-- Create scoring configuration versions (every change is a new version; the newest is in effect)
+CREATE TABLE IF NOT EXISTS scoring_configs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  config JSONB NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (tenant_id, version)
+);
+
+-- Create tenant settings (one JSON value per tenant and setting, e.g. kudos_budget)
+CREATE TABLE IF NOT EXISTS tenant_settings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value JSONB NOT NULL,
+  updated_by TEXT,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (tenant_id, key)
+);
+
 -- Create tenants table
 CREATE TABLE IF NOT EXISTS tenants (
   id TEXT PRIMARY KEY,
@@ -63,7 +209,13 @@ CREATE TABLE IF NOT EXISTS tenants (
 ALTER TABLE employees ENABLE ROW LEVEL SECURITY;
 ALTER TABLE interactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE kudos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kudos_reactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE contributions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE score_recalculation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scoring_configs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_settings ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for employees table
 CREATE POLICY "Employees are viewable by tenant" 
@@ -91,6 +243,14 @@ CREATE POLICY "Interactions are insertable by tenant"
 ON interactions FOR INSERT 
 WITH CHECK (tenant_id = current_setting('app.tenant_id'));
 
+CREATE POLICY "Interactions are updateable by tenant" 
+ON interactions FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Interactions are deletable by tenant" 
+ON interactions FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
 -- Create policies for kudos table
 CREATE POLICY "Kudos are viewable by tenant" 
 ON kudos FOR SELECT 
@@ -100,6 +260,31 @@ CREATE POLICY "Kudos are insertable by tenant"
 ON kudos FOR INSERT 
 WITH CHECK (tenant_id = current_setting('app.tenant_id'));
 
+CREATE POLICY "Kudos are updateable by tenant" 
+ON kudos FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Kudos are deletable by tenant" 
+ON kudos FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for kudos reactions table
+CREATE POLICY "Kudos reactions are viewable by tenant" 
+ON kudos_reactions FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Kudos reactions are insertable by tenant" 
+ON kudos_reactions FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Kudos reactions are updateable by tenant" 
+ON kudos_reactions FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Kudos reactions are deletable by tenant" 
+ON kudos_reactions FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
 -- Create policies for contributions table
 CREATE POLICY "Contributions are viewable by tenant" 
 ON contributions FOR SELECT 
@@ -109,6 +294,99 @@ CREATE POLICY "Contributions are insertable by tenant"
 ON contributions FOR INSERT 
 WITH CHECK (tenant_id = current_setting('app.tenant_id'));
 
+CREATE POLICY "Contributions are updateable by tenant" 
+ON contributions FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Contributions are deletable by tenant" 
+ON contributions FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for departments table
+CREATE POLICY "Departments are viewable by tenant" 
+ON departments FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Departments are insertable by tenant" 
+ON departments FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Departments are updateable by tenant" 
+ON departments FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Departments are deletable by tenant" 
+ON departments FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for teams table
+CREATE POLICY "Teams are viewable by tenant" 
+ON teams FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Teams are insertable by tenant" 
+ON teams FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Teams are updateable by tenant" 
+ON teams FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Teams are deletable by tenant" 
+ON teams FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for score recalculation runs table
+CREATE POLICY "Score recalculation runs are viewable by tenant" 
+ON score_recalculation_runs FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Score recalculation runs are insertable by tenant" 
+ON score_recalculation_runs FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Score recalculation runs are updateable by tenant" 
+ON score_recalculation_runs FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Score recalculation runs are deletable by tenant" 
+ON score_recalculation_runs FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for scoring configs table
+CREATE POLICY "Scoring configs are viewable by tenant" 
+ON scoring_configs FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Scoring configs are insertable by tenant" 
+ON scoring_configs FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Scoring configs are updateable by tenant" 
+ON scoring_configs FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Scoring configs are deletable by tenant" 
+ON scoring_configs FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+-- Create policies for tenant settings table
+CREATE POLICY "Tenant settings are viewable by tenant" 
+ON tenant_settings FOR SELECT 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Tenant settings are insertable by tenant" 
+ON tenant_settings FOR INSERT 
+WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Tenant settings are updateable by tenant" 
+ON tenant_settings FOR UPDATE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
+CREATE POLICY "Tenant settings are deletable by tenant" 
+ON tenant_settings FOR DELETE 
+USING (tenant_id = current_setting('app.tenant_id'));
+
 -- Create function to set tenant context
 CREATE OR REPLACE FUNCTION set_tenant_context(tenant_id TEXT)
 RETURNS VOID AS $$
@@ -131,9 +409,50 @@ BEGIN
     team TEXT,
     role TEXT,
     hire_date DATE,
+    manager_id TEXT,
+    deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
   );
+  ALTER TABLE employees ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+  ALTER TABLE employees ADD COLUMN IF NOT EXISTS manager_id TEXT;
+  CREATE INDEX IF NOT EXISTS idx_employees_tenant_manager ON employees (tenant_id, manager_id);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_departments_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS departments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    department_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    parent_department_id TEXT,
+    lead_employee_id TEXT,
+    archived BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, department_id)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_teams_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    team_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    department_id TEXT,
+    lead_employee_id TEXT,
+    archived BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, team_id)
+  );
 END;
 $$ LANGUAGE plpgsql;
 
@@ -147,9 +466,24 @@ BEGIN
     to_employee_id TEXT NOT NULL,
     interaction_type TEXT NOT NULL,
     content TEXT,
+    sentiment_score NUMERIC(5,4),
+    sentiment_label TEXT,
+    is_group BOOLEAN DEFAULT false,
+    recipient_ids JSONB,
+    thread_id TEXT,
+    parent_id TEXT,
+    channel TEXT,
     timestamp TIMESTAMP DEFAULT NOW(),
     created_at TIMESTAMP DEFAULT NOW()
   );
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS sentiment_score NUMERIC(5,4);
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS sentiment_label TEXT;
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS is_group BOOLEAN DEFAULT false;
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS recipient_ids JSONB;
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS thread_id TEXT;
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS parent_id TEXT;
+  ALTER TABLE interactions ADD COLUMN IF NOT EXISTS channel TEXT;
+  CREATE INDEX IF NOT EXISTS idx_interactions_tenant_thread ON interactions (tenant_id, thread_id);
 END;
 $$ LANGUAGE plpgsql;
 
@@ -162,9 +496,36 @@ BEGIN
     from_employee_id TEXT NOT NULL,
     to_employee_id TEXT NOT NULL,
     message TEXT NOT NULL,
+    sentiment_score NUMERIC(5,4),
+    sentiment_label TEXT,
+    value_keys JSONB DEFAULT '[]'::jsonb,
+    is_group BOOLEAN DEFAULT false,
+    recipient_ids JSONB,
+    to_team_id TEXT,
     timestamp TIMESTAMP DEFAULT NOW(),
     created_at TIMESTAMP DEFAULT NOW()
   );
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS sentiment_score NUMERIC(5,4);
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS sentiment_label TEXT;
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS value_keys JSONB DEFAULT '[]'::jsonb;
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS is_group BOOLEAN DEFAULT false;
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS recipient_ids JSONB;
+  ALTER TABLE kudos ADD COLUMN IF NOT EXISTS to_team_id TEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_kudos_reactions_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS kudos_reactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    kudos_id TEXT NOT NULL,
+    employee_id TEXT NOT NULL,
+    reaction TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, kudos_id, employee_id, reaction)
+  );
 END;
 $$ LANGUAGE plpgsql;
 
@@ -179,9 +540,73 @@ BEGIN
     collaboration_score NUMERIC(5,2),
     initiative_score NUMERIC(5,2),
     overall_score NUMERIC(5,2),
+    dimension_scores JSONB,
+    scoring_config_version INTEGER,
+    explanation JSONB,
+    period_type TEXT,
+    period_start TIMESTAMP,
+    period_end TIMESTAMP,
+    decay_half_life_days NUMERIC,
     calculated_at TIMESTAMP DEFAULT NOW(),
     created_at TIMESTAMP DEFAULT NOW()
   );
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS dimension_scores JSONB;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS scoring_config_version INTEGER;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS explanation JSONB;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_type TEXT;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_start TIMESTAMP;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS period_end TIMESTAMP;
+  ALTER TABLE contributions ADD COLUMN IF NOT EXISTS decay_half_life_days NUMERIC;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_score_recalculation_runs_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS score_recalculation_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    run_id TEXT NOT NULL,
+    trigger TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    employees_processed INTEGER NOT NULL DEFAULT 0,
+    employees_failed INTEGER NOT NULL DEFAULT 0,
+    failures JSONB NOT NULL DEFAULT '[]'::jsonb
+  );
+  CREATE INDEX IF NOT EXISTS idx_score_recalculation_runs_tenant_started ON score_recalculation_runs (tenant_id, started_at DESC);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_scoring_configs_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS scoring_configs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    config JSONB NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, version)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION create_tenant_settings_table()
+RETURNS VOID AS $$
+BEGIN
+  CREATE TABLE IF NOT EXISTS tenant_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value JSONB NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tenant_id, key)
+  );
 END;
 $$ LANGUAGE plpgsql;
 
@@ -204,7 +629,13 @@ BEGIN
   ALTER TABLE employees ENABLE ROW LEVEL SECURITY;
   ALTER TABLE interactions ENABLE ROW LEVEL SECURITY;
   ALTER TABLE kudos ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE kudos_reactions ENABLE ROW LEVEL SECURITY;
   ALTER TABLE contributions ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE score_recalculation_runs ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE scoring_configs ENABLE ROW LEVEL SECURITY;
+  ALTER TABLE tenant_settings ENABLE ROW LEVEL SECURITY;
 
   -- Create policies for employees table
   DROP POLICY IF EXISTS "Employees are viewable by tenant" ON employees;
@@ -231,6 +662,8 @@ BEGIN
   -- Create policies for interactions table
   DROP POLICY IF EXISTS "Interactions are viewable by tenant" ON interactions;
   DROP POLICY IF EXISTS "Interactions are insertable by tenant" ON interactions;
+  DROP POLICY IF EXISTS "Interactions are updateable by tenant" ON interactions;
+  DROP POLICY IF EXISTS "Interactions are deletable by tenant" ON interactions;
 
   CREATE POLICY "Interactions are viewable by tenant" 
   ON interactions FOR SELECT 
@@ -240,9 +673,19 @@ BEGIN
   ON interactions FOR INSERT 
   WITH CHECK (tenant_id = current_setting('app.tenant_id'));
 
+  CREATE POLICY "Interactions are updateable by tenant" 
+  ON interactions FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Interactions are deletable by tenant" 
+  ON interactions FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
   -- Create policies for kudos table
   DROP POLICY IF EXISTS "Kudos are viewable by tenant" ON kudos;
   DROP POLICY IF EXISTS "Kudos are insertable by tenant" ON kudos;
+  DROP POLICY IF EXISTS "Kudos are updateable by tenant" ON kudos;
+  DROP POLICY IF EXISTS "Kudos are deletable by tenant" ON kudos;
 
   CREATE POLICY "Kudos are viewable by tenant" 
   ON kudos FOR SELECT 
@@ -252,9 +695,41 @@ BEGIN
   ON kudos FOR INSERT 
   WITH CHECK (tenant_id = current_setting('app.tenant_id'));
 
+  CREATE POLICY "Kudos are updateable by tenant" 
+  ON kudos FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Kudos are deletable by tenant" 
+  ON kudos FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for kudos reactions table
+  DROP POLICY IF EXISTS "Kudos reactions are viewable by tenant" ON kudos_reactions;
+  DROP POLICY IF EXISTS "Kudos reactions are insertable by tenant" ON kudos_reactions;
+  DROP POLICY IF EXISTS "Kudos reactions are updateable by tenant" ON kudos_reactions;
+  DROP POLICY IF EXISTS "Kudos reactions are deletable by tenant" ON kudos_reactions;
+
+  CREATE POLICY "Kudos reactions are viewable by tenant" 
+  ON kudos_reactions FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Kudos reactions are insertable by tenant" 
+  ON kudos_reactions FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Kudos reactions are updateable by tenant" 
+  ON kudos_reactions FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Kudos reactions are deletable by tenant" 
+  ON kudos_reactions FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
   -- Create policies for contributions table
   DROP POLICY IF EXISTS "Contributions are viewable by tenant" ON contributions;
   DROP POLICY IF EXISTS "Contributions are insertable by tenant" ON contributions;
+  DROP POLICY IF EXISTS "Contributions are updateable by tenant" ON contributions;
+  DROP POLICY IF EXISTS "Contributions are deletable by tenant" ON contributions;
 
   CREATE POLICY "Contributions are viewable by tenant" 
   ON contributions FOR SELECT 
@@ -263,6 +738,124 @@ BEGIN
   CREATE POLICY "Contributions are insertable by tenant" 
   ON contributions FOR INSERT 
   WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Contributions are updateable by tenant" 
+  ON contributions FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Contributions are deletable by tenant" 
+  ON contributions FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for departments table
+  DROP POLICY IF EXISTS "Departments are viewable by tenant" ON departments;
+  DROP POLICY IF EXISTS "Departments are insertable by tenant" ON departments;
+  DROP POLICY IF EXISTS "Departments are updateable by tenant" ON departments;
+  DROP POLICY IF EXISTS "Departments are deletable by tenant" ON departments;
+
+  CREATE POLICY "Departments are viewable by tenant" 
+  ON departments FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Departments are insertable by tenant" 
+  ON departments FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Departments are updateable by tenant" 
+  ON departments FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Departments are deletable by tenant" 
+  ON departments FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for teams table
+  DROP POLICY IF EXISTS "Teams are viewable by tenant" ON teams;
+  DROP POLICY IF EXISTS "Teams are insertable by tenant" ON teams;
+  DROP POLICY IF EXISTS "Teams are updateable by tenant" ON teams;
+  DROP POLICY IF EXISTS "Teams are deletable by tenant" ON teams;
+
+  CREATE POLICY "Teams are viewable by tenant" 
+  ON teams FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Teams are insertable by tenant" 
+  ON teams FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Teams are updateable by tenant" 
+  ON teams FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Teams are deletable by tenant" 
+  ON teams FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for score recalculation runs table
+  DROP POLICY IF EXISTS "Score recalculation runs are viewable by tenant" ON score_recalculation_runs;
+  DROP POLICY IF EXISTS "Score recalculation runs are insertable by tenant" ON score_recalculation_runs;
+  DROP POLICY IF EXISTS "Score recalculation runs are updateable by tenant" ON score_recalculation_runs;
+  DROP POLICY IF EXISTS "Score recalculation runs are deletable by tenant" ON score_recalculation_runs;
+
+  CREATE POLICY "Score recalculation runs are viewable by tenant" 
+  ON score_recalculation_runs FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Score recalculation runs are insertable by tenant" 
+  ON score_recalculation_runs FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Score recalculation runs are updateable by tenant" 
+  ON score_recalculation_runs FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Score recalculation runs are deletable by tenant" 
+  ON score_recalculation_runs FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for scoring configs table
+  DROP POLICY IF EXISTS "Scoring configs are viewable by tenant" ON scoring_configs;
+  DROP POLICY IF EXISTS "Scoring configs are insertable by tenant" ON scoring_configs;
+  DROP POLICY IF EXISTS "Scoring configs are updateable by tenant" ON scoring_configs;
+  DROP POLICY IF EXISTS "Scoring configs are deletable by tenant" ON scoring_configs;
+
+  CREATE POLICY "Scoring configs are viewable by tenant" 
+  ON scoring_configs FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Scoring configs are insertable by tenant" 
+  ON scoring_configs FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Scoring configs are updateable by tenant" 
+  ON scoring_configs FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Scoring configs are deletable by tenant" 
+  ON scoring_configs FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  -- Create policies for tenant settings table
+  DROP POLICY IF EXISTS "Tenant settings are viewable by tenant" ON tenant_settings;
+  DROP POLICY IF EXISTS "Tenant settings are insertable by tenant" ON tenant_settings;
+  DROP POLICY IF EXISTS "Tenant settings are updateable by tenant" ON tenant_settings;
+  DROP POLICY IF EXISTS "Tenant settings are deletable by tenant" ON tenant_settings;
+
+  CREATE POLICY "Tenant settings are viewable by tenant" 
+  ON tenant_settings FOR SELECT 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Tenant settings are insertable by tenant" 
+  ON tenant_settings FOR INSERT 
+  WITH CHECK (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Tenant settings are updateable by tenant" 
+  ON tenant_settings FOR UPDATE 
+  USING (tenant_id = current_setting('app.tenant_id'));
+
+  CREATE POLICY "Tenant settings are deletable by tenant" 
+  ON tenant_settings FOR DELETE 
+  USING (tenant_id = current_setting('app.tenant_id'));
 END;
 $$ LANGUAGE plpgsql;
 
@@ -10,6 +10,7 @@ const { errorHandler } = require('./src/middleware/errorHandler');
 
 // Import backup service
 const { scheduleBackups, stopScheduledBackups } = require('./src/services/backupService');
+const { scheduleScoreRecalculation, stopScheduledScoreRecalculation, failInterruptedRuns } = require('./src/services/scoreRecalculationService');
 
 // Import new SaaS middleware
 const { resolveTenant } = require('./src/middleware/tenantMiddleware');
@@ -25,10 +26,13 @@ app.use(ensureDataIsolation);  // Then ensure data isolation
 
 // Import routes
 const employeeRoutes = require('./src/routes/employeeRoutes');
+const teamRoutes = require('./src/routes/teamRoutes');
+const departmentRoutes = require('./src/routes/departmentRoutes');
 const authRoutes = require('./src/routes/authRoutes');
 const interactionRoutes = require('./src/routes/interactionRoutes');
 const kudosRoutes = require('./src/routes/kudosRoutes');
 const contributionRoutes = require('./src/routes/contributionRoutes');
+const scoringConfigRoutes = require('./src/routes/scoringConfigRoutes');
 const analyticsRoutes = require('./src/routes/analyticsRoutes');
 const backupRoutes = require('./src/routes/backupRoutes');
 const tenantRoutes = require('./src/routes/tenantRoutes');
@@ -36,10 +40,13 @@ const dashboardRoutes = require('./src/routes/dashboardRoutes');
 
 // Use routes
 app.use('/api/employees', employeeRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/departments', departmentRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/interactions', interactionRoutes);
 app.use('/api/kudos', kudosRoutes);
 app.use('/api/contributions', contributionRoutes);
+app.use('/api/scoring-config', scoringConfigRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/backups', backupRoutes);
 app.use('/api/tenants', tenantRoutes);
@@ -75,6 +82,18 @@ if (require.main === module) {
   // Schedule automatic backups (every 60 minutes by default)
   scheduleBackups(60);
   
+  // Score recalculation runs left running by a stopped server can never finish
+  const staleScoreRunMinutes = parseInt(process.env.SCORE_RECALCULATION_STALE_RUN_MINUTES || '360');
+  failInterruptedRuns(staleScoreRunMinutes).catch(error => {
+    logger.error('Failed to mark interrupted score recalculation runs', { error: error.message });
+  });
+  
+  // Schedule automatic score recalculation (daily by default, 0 disables it)
+  const scoreRecalculationInterval = parseInt(process.env.SCORE_RECALCULATION_INTERVAL_MINUTES || '1440');
+  if (scoreRecalculationInterval > 0) {
+    scheduleScoreRecalculation(scoreRecalculationInterval);
+  }
+  
   const server = app.listen(PORT, () => {
     logger.info(`SyncUpEZ server is running on port ${PORT}`);
   });
@@ -83,6 +102,7 @@ if (require.main === module) {
   process.on('SIGINT', () => {
     logger.info('Shutting down server gracefully');
     stopScheduledBackups();
+    stopScheduledScoreRecalculation();
     server.close(() => {
       logger.info('Server closed');
       process.exit(0);
@@ -92,6 +112,7 @@ if (require.main === module) {
   process.on('SIGTERM', () => {
     logger.info('Shutting down server gracefully');
     stopScheduledBackups();
+    stopScheduledScoreRecalculation();
     server.close(() => {
       logger.info('Server closed');
       process.exit(0);
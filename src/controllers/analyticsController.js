@@ -4,11 +4,30 @@ const {
   getTeamMetrics,
   getDepartmentMetrics,
   getOverallStats,
-  getTopContributors
+  getTopContributors,
+  getOrgMetrics,
+  getEmployeeSentimentTrend,
+  getTeamSentimentTrend,
+  getKudosValueBreakdown,
+  getTeamValueBreakdown
 } = require('../services/analyticsService');
+const { PERIOD_TYPES } = require('../services/scoringPeriodService');
+const { buildContributionGraph } = require('../services/contributionGraphService');
+const { getNetworkAnalytics: fetchNetworkAnalytics } = require('../services/networkAnalyticsService');
+const { getCollaborationMatrix: fetchCollaborationMatrix } = require('../services/collaborationMatrixService');
+const leaderboardService = require('../services/leaderboardService');
+const { toGraphML, toGEXF } = require('../utils/graphExport');
 const logger = require('../utils/logger');
+const { getUserEmployeeId } = require('../utils/roles');
 const { NotFoundError } = require('../utils/customErrors');
 
+// Formats the contribution graph can be downloaded in, with their content types
+const GRAPH_FORMATS = {
+  json: 'application/json',
+  graphml: 'application/graphml+xml',
+  gexf: 'application/gexf+xml'
+};
+
 /**
  * Get metrics for specific employee (tenant-aware)
  */
@@ -46,9 +65,17 @@ async function getEmployeeHistory(req, res) {
   try {
     const { id } = req.params;
     const tenantId = req.tenantId || 'default';
-    logger.debug('Fetching employee history', { employeeId: id, tenantId });
+    const periodType = req.query.period;
+    logger.debug('Fetching employee history', { employeeId: id, periodType, tenantId });
+    
+    if (periodType !== undefined && !PERIOD_TYPES.includes(periodType)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Period must be one of: ${PERIOD_TYPES.join(', ')}`
+      });
+    }
     
-    const history = await fetchEmployeeHistory(id, tenantId);
+    const history = await fetchEmployeeHistory(id, tenantId, { periodType });
     
     logger.info('Successfully fetched employee history', { 
       employeeId: id, 
@@ -159,7 +186,9 @@ async function getTopContributorsCtrl(req, res) {
     const tenantId = req.tenantId || 'default';
     logger.debug('Fetching top contributors', { tenantId });
     
-    const topContributors = await getTopContributors(tenantId);
+    const topContributors = await getTopContributors(tenantId, {
+      current_employee_id: getUserEmployeeId(req.user)
+    });
     
     logger.info('Successfully fetched top contributors', { count: topContributors.length, tenantId });
     res.json(topContributors);
@@ -174,11 +203,442 @@ async function getTopContributorsCtrl(req, res) {
   }
 }
 
+/**
+ * Respond with the org metrics of an employee
+ * @param {string} employeeId - Employee ID of the org's manager
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function sendOrgMetrics(employeeId, req, res, next) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching org analytics', { employeeId, tenantId });
+    
+    const metrics = await getOrgMetrics(employeeId, tenantId);
+    
+    logger.info('Successfully fetched org analytics', { employeeId, tenantId });
+    res.json(metrics);
+  } catch (error) {
+    if (error.message.includes('Employee not found')) {
+      logger.warn('Employee not found for org analytics', { employeeId, tenantId: req.tenantId });
+      return next(new NotFoundError('Employee not found', 'employee'));
+    }
+    
+    logger.error('Failed to fetch org analytics', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getOrgAnalytics',
+      employeeId,
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get metrics aggregated over an employee's org (tenant-aware)
+ */
+async function getOrgAnalytics(req, res, next) {
+  return sendOrgMetrics(req.params.id, req, res, next);
+}
+
+/**
+ * Get metrics aggregated over the current user's org (tenant-aware)
+ * The user is linked to their employee record through app_metadata.employee_id
+ */
+async function getMyOrgAnalytics(req, res, next) {
+  const employeeId = getUserEmployeeId(req.user);
+  
+  if (!employeeId) {
+    logger.warn('User has no employee record for org analytics', { userId: req.user.id, tenantId: req.tenantId });
+    return next(new NotFoundError('No employee record is linked to the current user', 'employee'));
+  }
+  
+  return sendOrgMetrics(employeeId, req, res, next);
+}
+
+/**
+ * Respond with a sentiment validation failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the analytics service
+ */
+function sendSentimentValidationError(res, error) {
+  res.status(400).json({
+    error: 'Validation Error',
+    message: error.message.split('Validation failed: ')[1]
+  });
+}
+
+/**
+ * Get the sentiment trend of an employee's interactions and kudos (tenant-aware)
+ * Query: interval ('weekly' or 'monthly'), from and to (YYYY-MM-DD)
+ */
+async function getEmployeeSentiment(req, res, next) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const { interval, from, to } = req.query;
+    logger.debug('Fetching employee sentiment trend', { employeeId: id, interval, tenantId });
+    
+    const trend = await getEmployeeSentimentTrend(id, tenantId, { interval, from, to });
+    
+    logger.info('Successfully fetched employee sentiment trend', { employeeId: id, tenantId });
+    res.json(trend);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return sendSentimentValidationError(res, error);
+    }
+    
+    if (error.message.includes('Employee not found')) {
+      logger.warn('Employee not found for sentiment trend', { employeeId: req.params.id, tenantId: req.tenantId });
+      return next(new NotFoundError('Employee not found', 'employee'));
+    }
+    
+    logger.error('Failed to fetch employee sentiment trend', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getEmployeeSentiment',
+      employeeId: req.params.id,
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the sentiment trend of a team's interactions and kudos (tenant-aware)
+ * Query: interval ('weekly' or 'monthly'), from and to (YYYY-MM-DD)
+ */
+async function getTeamSentiment(req, res, next) {
+  try {
+    const { teamId } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const { interval, from, to } = req.query;
+    logger.debug('Fetching team sentiment trend', { teamId, interval, tenantId });
+    
+    const trend = await getTeamSentimentTrend(teamId, tenantId, { interval, from, to });
+    
+    logger.info('Successfully fetched team sentiment trend', { teamId, tenantId });
+    res.json(trend);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return sendSentimentValidationError(res, error);
+    }
+    
+    if (error.message.includes('Team not found')) {
+      logger.warn('Team not found for sentiment trend', { teamId: req.params.teamId, tenantId: req.tenantId });
+      return next(new NotFoundError('Team not found', 'team'));
+    }
+    
+    logger.error('Failed to fetch team sentiment trend', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getTeamSentiment',
+      teamId: req.params.teamId,
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get which company values each team is recognized for in kudos (tenant-aware)
+ * Query: period, from, to and reference_date as for contributions (all time by default)
+ */
+async function getKudosValues(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { period, from, to, reference_date } = req.query;
+    logger.debug('Fetching kudos value breakdown', { period, tenantId });
+    
+    const breakdown = await getKudosValueBreakdown(tenantId, { period, from, to, reference_date });
+    
+    logger.info('Successfully fetched kudos value breakdown', { teamCount: breakdown.teams.length, tenantId });
+    res.json(breakdown);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to fetch kudos value breakdown', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getKudosValues',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get which company values a team is recognized for in kudos (tenant-aware)
+ * Query: period, from, to and reference_date as for contributions (all time by default)
+ */
+async function getTeamValues(req, res, next) {
+  try {
+    const { teamId } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const { period, from, to, reference_date } = req.query;
+    logger.debug('Fetching team value breakdown', { teamId, period, tenantId });
+    
+    const breakdown = await getTeamValueBreakdown(teamId, tenantId, { period, from, to, reference_date });
+    
+    logger.info('Successfully fetched team value breakdown', { teamId, tenantId });
+    res.json(breakdown);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    if (error.message.includes('Team not found')) {
+      logger.warn('Team not found for value breakdown', { teamId: req.params.teamId, tenantId: req.tenantId });
+      return next(new NotFoundError('Team not found', 'team'));
+    }
+    
+    logger.error('Failed to fetch team value breakdown', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getTeamValues',
+      teamId: req.params.teamId,
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the contribution graph: who collaborates with whom (tenant-aware)
+ * Query: period, from, to and reference_date as for contributions (all time by default),
+ * team, department, min_weight and format (json, graphml or gexf)
+ */
+async function getContributionGraph(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { period, from, to, reference_date, team, department } = req.query;
+    const format = req.query.format || 'json';
+    const minWeight = req.query.min_weight !== undefined ? Number(req.query.min_weight) : undefined;
+    logger.debug('Fetching contribution graph', { period, team, department, format, tenantId });
+    
+    if (!(format in GRAPH_FORMATS)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Format must be one of: ${Object.keys(GRAPH_FORMATS).join(', ')}`
+      });
+    }
+    
+    const graph = await buildContributionGraph(tenantId, {
+      period, from, to, reference_date, team, department, min_weight: minWeight
+    });
+    
+    logger.info('Successfully fetched contribution graph', { nodeCount: graph.node_count, edgeCount: graph.edge_count, tenantId });
+    if (format === 'json') {
+      return res.json(graph);
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="contribution-graph.${format}"`);
+    res.type(GRAPH_FORMATS[format]).send(format === 'graphml' ? toGraphML(graph) : toGEXF(graph));
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to fetch contribution graph', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getContributionGraph',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get network analytics on the contribution graph (tenant-aware): centrality, communities,
+ * team silos, bridges and employees at risk of isolation
+ * Query: period, from, to and reference_date as for contributions (all time by default) and min_weight
+ */
+async function getNetworkAnalytics(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { period, from, to, reference_date } = req.query;
+    const minWeight = req.query.min_weight !== undefined ? Number(req.query.min_weight) : undefined;
+    logger.debug('Fetching network analytics', { period, minWeight, tenantId });
+    
+    const network = await fetchNetworkAnalytics(tenantId, { period, from, to, reference_date, min_weight: minWeight });
+    
+    logger.info('Successfully fetched network analytics', { nodeCount: network.node_count, tenantId });
+    res.json(network);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to fetch network analytics', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getNetworkAnalytics',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the team×team or department×department collaboration matrix (tenant-aware)
+ * Query: period, from, to and reference_date as for contributions (the current month by default)
+ * and group_by (team or department)
+ */
+async function getCollaborationMatrix(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { period, from, to, reference_date, group_by } = req.query;
+    logger.debug('Fetching collaboration matrix', { period, groupBy: group_by, tenantId });
+    
+    const matrix = await fetchCollaborationMatrix(tenantId, { period, from, to, reference_date, group_by });
+    
+    logger.info('Successfully fetched collaboration matrix', { groupCount: matrix.groups.length, tenantId });
+    res.json(matrix);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to fetch collaboration matrix', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getCollaborationMatrix',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get a leaderboard of employees by score (tenant-aware)
+ * Query: dimension (overall, problem_solving, collaboration or initiative), period, from, to and
+ * reference_date as for contributions (all time by default), team, department, sort (desc or asc),
+ * page and limit
+ */
+async function getLeaderboard(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { dimension, period, from, to, reference_date, team, department, sort } = req.query;
+    const page = req.query.page !== undefined ? Number(req.query.page) : undefined;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    logger.debug('Fetching leaderboard', { dimension, period, team, department, tenantId });
+    
+    const leaderboard = await leaderboardService.getLeaderboard(tenantId, {
+      dimension, period, from, to, reference_date, team, department, sort, page, limit,
+      current_employee_id: getUserEmployeeId(req.user)
+    });
+    
+    logger.info('Successfully fetched leaderboard', { count: leaderboard.data.length, tenantId });
+    res.json(leaderboard);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to fetch leaderboard', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getLeaderboard',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the leaderboard settings of the tenant
+ */
+async function getLeaderboardSettings(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching leaderboard settings', { tenantId });
+    
+    const settings = await leaderboardService.getLeaderboardSettings(tenantId);
+    
+    logger.info('Successfully fetched leaderboard settings', { tenantId });
+    res.json(settings);
+  } catch (error) {
+    logger.error('Failed to fetch leaderboard settings', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getLeaderboardSettings',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: 'Failed to retrieve leaderboard settings' });
+  }
+}
+
+/**
+ * Change the leaderboard settings of the tenant (tenant admins)
+ * Body: show_names (false hides who is on the leaderboard)
+ */
+async function updateLeaderboardSettings(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating leaderboard settings', { settings: Object.keys(req.body || {}), tenantId });
+    
+    const settings = await leaderboardService.updateLeaderboardSettings(tenantId, req.body, req.user && req.user.id);
+    
+    logger.info('Leaderboard settings updated successfully', { tenantId });
+    res.json({ message: 'Leaderboard settings updated successfully', settings });
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to update leaderboard settings', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'updateLeaderboardSettings',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: 'Failed to update leaderboard settings' });
+  }
+}
+
 module.exports = {
   getEmployeeAnalytics,
   getEmployeeHistory,
   getTeamAnalytics,
   getDepartmentAnalytics,
   getStats,
-  getTopContributors: getTopContributorsCtrl
+  getTopContributors: getTopContributorsCtrl,
+  getOrgAnalytics,
+  getMyOrgAnalytics,
+  getEmployeeSentiment,
+  getTeamSentiment,
+  getKudosValues,
+  getTeamValues,
+  getContributionGraph,
+  getNetworkAnalytics,
+  getCollaborationMatrix,
+  getLeaderboard,
+  getLeaderboardSettings,
+  updateLeaderboardSettings
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 const supabase = require('../utils/supabaseClient');
+const { createRequestAuthClient } = require('../utils/supabaseAuthClient');
 const employeeService = require('../services/employeeService');
 const logger = require('../utils/logger');
+const { ROLES, TENANT_ROLES, getUserRole, getUserEmployeeId, isValidRole } = require('../utils/roles');
 
 async function login(req, res) {
   try {
@@ -99,7 +101,24 @@ async function register(req, res) {
       return res.status(400).json({ error: error.message });
     }
     
+    // Link the user to their employee record in app_metadata, which users cannot change themselves
+    const { data: linked, error: linkError } = await supabase.auth.admin.updateUserById(data.user.id, {
+      app_metadata: { ...data.user.app_metadata, employee_id }
+    });
+    
+    if (linkError) {
+      logger.warn('Failed to link auth user to employee, rolling back auth user', { 
+        email, 
+        employee_id, 
+        tenantId, 
+        error: linkError.message 
+      });
+      await rollbackAuthUser(data.user.id, { email, employee_id, tenantId });
+      return res.status(500).json({ error: 'Registration failed' });
+    }
+    
     // Also create employee record in employees table
+    let employee;
     try {
       const employeeData = {
         employee_id,
@@ -109,23 +128,34 @@ async function register(req, res) {
       };
       
       // Create employee record (password will be handled by Supabase Auth)
-      await employeeService.createEmployee(tenantId, employeeData);
+      employee = await employeeService.createEmployee(tenantId, employeeData);
     } catch (employeeError) {
-      logger.warn('Failed to create employee record', { 
+      logger.warn('Failed to create employee record, rolling back auth user', { 
         email, 
         employee_id, 
         tenantId, 
         error: employeeError.message 
       });
-      // Note: In a production environment, you might want to handle this more gracefully
-      // For now, we'll log the error but still return success for the auth registration
+      
+      // An auth user without an employee record cannot use the API, so undo the sign up
+      await rollbackAuthUser(data.user.id, { email, employee_id, tenantId });
+      
+      if (employeeError.message.includes('already exists')) {
+        return res.status(409).json({ error: employeeError.message });
+      }
+      if (employeeError.message.includes('Validation failed')) {
+        return res.status(400).json({ error: employeeError.message });
+      }
+      return res.status(500).json({ error: 'Registration failed' });
     }
     
     logger.info('Registration successful', { userId: data.user.id, email, employee_id, tenantId });
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: data.user
+      user: linked.user,
+      role: ROLES.EMPLOYEE,
+      employee
     });
   } catch (error) {
     logger.error('Registration failed', { 
@@ -139,4 +169,296 @@ async function register(req, res) {
   }
 }
 
-module.exports = { login, register };
\ No newline at end of file
+/**
+ * Delete an auth user created during a registration that could not be completed
+ * Failures are logged with the user ID so the account can be removed manually
+ * @param {string} userId - Supabase Auth user ID
+ * @param {Object} context - Registration details for logging
+ */
+async function rollbackAuthUser(userId, context) {
+  try {
+    const { error } = await supabase.auth.admin.deleteUser(userId);
+    if (error) throw new Error(error.message);
+    
+    logger.info('Rolled back auth user after failed registration', { userId, ...context });
+  } catch (error) {
+    logger.error('Failed to roll back auth user after failed registration', { 
+      userId, 
+      ...context,
+      error: error.message,
+      operation: 'rollbackAuthUser'
+    });
+  }
+}
+
+async function logout(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    
+    logger.debug('Logout attempt', { userId: req.user.id, tenantId });
+    
+    // Revoke the refresh tokens of the user's sessions
+    const { error } = await supabase.auth.admin.signOut(req.accessToken);
+    
+    if (error) {
+      logger.warn('Logout failed', { userId: req.user.id, tenantId, error: error.message });
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    
+    logger.info('Logout successful', { userId: req.user.id, tenantId });
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'logout'
+    });
+    res.status(500).json({ error: 'Logout failed' });
+  }
+}
+
+async function refresh(req, res) {
+  try {
+    const { refresh_token } = req.body;
+    const tenantId = req.tenantId || 'default';
+    
+    logger.debug('Token refresh attempt', { tenantId });
+    
+    if (!refresh_token) {
+      logger.warn('Missing refresh token', { tenantId });
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+    
+    // A client of its own, so the refreshed session is not kept on the shared client
+    const { data, error } = await createRequestAuthClient().auth.refreshSession({ refresh_token });
+    
+    if (error || !data.session) {
+      logger.warn('Invalid refresh token', { tenantId, error: error && error.message });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    
+    // Same tenant check as authenticateToken
+    const userTenantId = data.user.user_metadata?.tenant_id || 'default';
+    if (userTenantId !== tenantId) {
+      logger.warn('Tenant mismatch on token refresh', { userId: data.user.id, tenantId, userTenantId });
+      return res.status(403).json({ error: 'Access denied: Tenant mismatch' });
+    }
+    
+    logger.info('Token refresh successful', { userId: data.user.id, tenantId });
+    res.json({
+      success: true,
+      user: { ...data.user, tenant_id: tenantId },
+      session: data.session
+    });
+  } catch (error) {
+    logger.error('Token refresh failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'refresh'
+    });
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+}
+
+async function requestPasswordReset(req, res) {
+  try {
+    const { email, redirect_to } = req.body;
+    const tenantId = req.tenantId || 'default';
+    
+    logger.debug('Password reset requested', { email, tenantId });
+    
+    if (!email) {
+      logger.warn('Missing email for password reset', { tenantId });
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const { error } = await supabase.auth.resetPasswordForEmail(email, {
+      redirectTo: redirect_to || process.env.PASSWORD_RESET_REDIRECT_URL
+    });
+    
+    if (error) {
+      // Logged only: the response must not reveal whether the email is registered
+      logger.warn('Password reset email could not be sent', { email, tenantId, error: error.message });
+    }
+    
+    res.json({
+      success: true,
+      message: 'If the email is registered, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Password reset request failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'requestPasswordReset',
+      email: req.body.email
+    });
+    res.status(500).json({ error: 'Password reset request failed' });
+  }
+}
+
+async function confirmPasswordReset(req, res) {
+  try {
+    const { token_hash, password } = req.body;
+    const tenantId = req.tenantId || 'default';
+    
+    logger.debug('Password reset confirmation', { tenantId });
+    
+    if (!token_hash || !password) {
+      logger.warn('Missing fields for password reset confirmation', { 
+        hasToken: !!token_hash, 
+        hasPassword: !!password 
+      });
+      return res.status(400).json({ error: 'A token_hash and a password are required' });
+    }
+    
+    if (password.length < 6) {
+      logger.warn('Password too short for password reset', { tenantId });
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+    
+    // Only the recovery token hash from the reset link is accepted; an ordinary access token
+    // must not be enough to change a password. Verifying signs the user in, so it runs on a
+    // client of its own rather than the shared one
+    const { data, error } = await createRequestAuthClient().auth.verifyOtp({ token_hash, type: 'recovery' });
+    
+    if (error || !data.user) {
+      logger.warn('Invalid or expired password reset token', { tenantId, error: error && error.message });
+      return res.status(401).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    // Same tenant check as authenticateToken
+    const userTenantId = data.user.user_metadata?.tenant_id || 'default';
+    if (userTenantId !== tenantId) {
+      logger.warn('Tenant mismatch on password reset', { userId: data.user.id, tenantId, userTenantId });
+      return res.status(403).json({ error: 'Access denied: Tenant mismatch' });
+    }
+    
+    const { error: updateError } = await supabase.auth.admin.updateUserById(data.user.id, { password });
+    
+    if (updateError) {
+      logger.warn('Password update failed', { userId: data.user.id, tenantId, error: updateError.message });
+      return res.status(400).json({ error: updateError.message });
+    }
+    
+    logger.info('Password reset successful', { userId: data.user.id, tenantId });
+    res.json({ success: true, message: 'Password updated successfully' });
+  } catch (error) {
+    logger.error('Password reset confirmation failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'confirmPasswordReset'
+    });
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+}
+
+async function me(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const employeeId = getUserEmployeeId(req.user);
+    
+    logger.debug('Fetching current user', { userId: req.user.id, employeeId, tenantId });
+    
+    // Users without an employee record (e.g. created outside register) get employee: null
+    let employee = null;
+    if (employeeId) {
+      try {
+        employee = await employeeService.getEmployeeById(tenantId, employeeId);
+      } catch (error) {
+        if (error.code !== 'PGRST116' && !error.message.includes('not found')) {
+          throw error;
+        }
+      }
+    }
+    
+    res.json({
+      user: { ...req.user, tenant_id: tenantId },
+      role: getUserRole(req.user),
+      employee
+    });
+  } catch (error) {
+    logger.error('Failed to fetch current user', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'me'
+    });
+    res.status(500).json({ error: 'Failed to fetch current user' });
+  }
+}
+
+async function updateUserRole(req, res) {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const tenantId = req.tenantId || 'default';
+    const callerRole = getUserRole(req.user);
+    
+    logger.debug('Updating user role', { userId, role, callerId: req.user.id, tenantId });
+    
+    if (!isValidRole(role)) {
+      logger.warn('Invalid role requested', { userId, role, tenantId });
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: `Role must be one of: ${TENANT_ROLES.join(', ')}`
+      });
+    }
+    
+    // Only platform operators can create other platform operators
+    if (role === ROLES.SUPER_ADMIN && callerRole !== ROLES.SUPER_ADMIN) {
+      logger.warn('Attempt to grant super admin role', { userId, callerId: req.user.id, tenantId });
+      return res.status(403).json({ 
+        error: 'Authorization Error',
+        message: 'Access denied: only super admins can grant the super_admin role'
+      });
+    }
+    
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    const target = !error && data.user;
+    
+    // Users of other tenants are reported as missing rather than forbidden
+    if (!target || (callerRole !== ROLES.SUPER_ADMIN && 
+        (target.user_metadata?.tenant_id || 'default') !== tenantId)) {
+      logger.warn('User not found for role update', { userId, tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'User not found',
+        resource: 'user'
+      });
+    }
+    
+    if (getUserRole(target) === ROLES.SUPER_ADMIN && callerRole !== ROLES.SUPER_ADMIN) {
+      logger.warn('Attempt to change a super admin role', { userId, callerId: req.user.id, tenantId });
+      return res.status(403).json({ 
+        error: 'Authorization Error',
+        message: 'Access denied: only super admins can change a super admin role'
+      });
+    }
+    
+    const { data: updated, error: updateError } = await supabase.auth.admin.updateUserById(userId, {
+      app_metadata: { ...target.app_metadata, role }
+    });
+    
+    if (updateError) throw new Error(updateError.message);
+    
+    logger.info('User role updated', { userId, role, callerId: req.user.id, tenantId });
+    res.json({ message: 'User role updated successfully', user: updated.user });
+  } catch (error) {
+    logger.error('Failed to update user role', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'updateUserRole'
+    });
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+}
+
+module.exports = { 
+  login, 
+  register, 
+  logout, 
+  refresh, 
+  requestPasswordReset, 
+  confirmPasswordReset, 
+  me, 
+  updateUserRole 
+};
\ No newline at end of file
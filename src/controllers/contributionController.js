@@ -1,15 +1,24 @@
 const employeeRepository = require('../repositories/employeeRepository');
-const interactionRepository = require('../repositories/interactionRepository');
-const kudosRepository = require('../repositories/kudosRepository');
 const contributionRepository = require('../repositories/contributionRepository');
-const { 
-  calculateProblemSolvingScore, 
-  calculateCollaborationScore, 
-  calculateInitiativeScore,
-  calculateOverallScore
-} = require('../services/scoringService');
+const {
+  toContributionScores,
+  calculateContributionScores,
+  recalculateContributionsBatch
+} = require('../services/contributionService');
+const { getActiveScoringConfig } = require('../services/scoringConfigService');
+const { getScorer } = require('../services/scorerRegistry');
+const { validateScoringPeriod, resolveScoringPeriod } = require('../services/scoringPeriodService');
+const {
+  recalculateTenantScores,
+  startRecalculationForAllTenants,
+  getScoreRecalculationStatus
+} = require('../services/scoreRecalculationService');
+const { getLeaderboardSettings } = require('../services/leaderboardService');
 const logger = require('../utils/logger');
-const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { ROLES, getUserEmployeeId } = require('../utils/roles');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/customErrors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Validate contribution data
@@ -41,6 +50,26 @@ function validateContributionData(contributionData) {
     }
   });
   
+  // Scores for any registered dimension
+  const dimensionScores = contributionData.dimension_scores;
+  if (dimensionScores !== undefined) {
+    if (!dimensionScores || typeof dimensionScores !== 'object' || Array.isArray(dimensionScores)) {
+      errors.push('dimension_scores must be an object of scores by dimension');
+    } else {
+      Object.entries(dimensionScores).forEach(([name, value]) => {
+        const score = Number(value);
+        if (!getScorer(name)) {
+          errors.push(`Unknown dimension ${name}`);
+        } else if (value === null || value === '' || isNaN(score) || score < 0 || score > 100) {
+          errors.push(`dimension_scores.${name} must be a number between 0 and 100`);
+        }
+      });
+    }
+  }
+  
+  // Scoring period validation
+  errors.push(...validateScoringPeriod(contributionData).errors);
+  
   // Date validation
   if (contributionData.date) {
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
@@ -60,6 +89,43 @@ function validateContributionData(contributionData) {
   };
 }
 
+/**
+ * Collect the manually provided scores of a request by dimension name
+ * The original score fields map to their dimensions; dimension_scores can name any dimension
+ * @param {Object} contributionData - Validated contribution data
+ * @returns {Object} - Score per dimension, and `overall` when the overall score is provided
+ */
+function getProvidedScores(contributionData) {
+  const provided = {};
+  
+  Object.entries(contributionData.dimension_scores || {}).forEach(([name, score]) => {
+    provided[name] = Number(score);
+  });
+  
+  [['problem_solving', 'problem_solving_score'], ['collaboration', 'collaboration_score'],
+    ['initiative', 'initiative_score'], ['overall', 'overall_score']].forEach(([name, field]) => {
+    if (contributionData[field] !== undefined) {
+      provided[name] = Number(contributionData[field]);
+    }
+  });
+  
+  return provided;
+}
+
+/**
+ * Check whether other employees' scores are hidden from the caller
+ * Employees only see their own scores while the tenant hides leaderboard names
+ * @param {Object} req - Express request (after authorize)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<boolean>} - Whether the caller may only see their own scores
+ */
+async function hidesScoresFrom(req, tenantId) {
+  if (req.userRole !== ROLES.EMPLOYEE) return false;
+  
+  const { show_names: showNames } = await getLeaderboardSettings(tenantId);
+  return !showNames;
+}
+
 /**
  * Get all contribution scores (tenant-aware)
  */
@@ -80,7 +146,9 @@ async function getContributions(req, res) {
       });
     }
     
-    const result = await contributionRepository.getContributions(tenantId, page, limit);
+    const result = await hidesScoresFrom(req, tenantId)
+      ? await contributionRepository.getContributionsByEmployeeIds(tenantId, [getUserEmployeeId(req.user)].filter(Boolean), page, limit)
+      : await contributionRepository.getContributions(tenantId, page, limit);
     
     logger.info('Successfully fetched contribution scores with pagination', { 
       page, 
@@ -104,12 +172,17 @@ async function getContributions(req, res) {
 /**
  * Get contribution scores for a specific employee (tenant-aware)
  */
-async function getContributionsByEmployeeId(req, res) {
+async function getContributionsByEmployeeId(req, res, next) {
   try {
     const { id } = req.params;
     const tenantId = req.tenantId || 'default';
     logger.debug('Fetching contribution scores for employee', { employeeId: id, tenantId });
     
+    if (id !== getUserEmployeeId(req.user) && await hidesScoresFrom(req, tenantId)) {
+      logger.warn('Employee attempted to read another employee\'s scores while names are hidden', { employeeId: id, userId: req.user.id, tenantId });
+      return next(new AuthorizationError('Access denied: employees can only view their own scores while leaderboard names are hidden'));
+    }
+    
     const contributions = await contributionRepository.getContributionsByEmployeeId(tenantId, id);
     
     logger.info('Successfully fetched contribution scores for employee', { 
@@ -128,6 +201,55 @@ async function getContributionsByEmployeeId(req, res) {
   }
 }
 
+/**
+ * Get the evidence behind a calculated contribution's scores (tenant-aware)
+ */
+async function getContributionExplanation(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching contribution explanation', { contributionId: id, tenantId });
+    
+    // Contribution IDs are UUIDs; anything else cannot match a row
+    const contribution = UUID_PATTERN.test(id)
+      ? await contributionRepository.getContributionById(tenantId, id)
+      : null;
+    
+    if (!contribution) {
+      logger.warn('Contribution not found', { contributionId: id, tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Contribution not found'
+      });
+    }
+    
+    if (!contribution.explanation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No explanation was recorded for this contribution'
+      });
+    }
+    
+    res.json({
+      contribution_id: contribution.id,
+      employee_id: contribution.employee_id,
+      calculated_at: contribution.calculated_at,
+      period_type: contribution.period_type,
+      period_start: contribution.period_start,
+      period_end: contribution.period_end,
+      scoring_config_version: contribution.scoring_config_version,
+      explanation: contribution.explanation
+    });
+  } catch (error) {
+    logger.error('Failed to retrieve contribution explanation', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getContributionExplanation'
+    });
+    res.status(500).json({ error: 'Failed to retrieve contribution explanation' });
+  }
+}
+
 /**
  * Add contribution scores for an employee (tenant-aware)
  * This can be used to manually add scores or to trigger automatic calculation
@@ -157,116 +279,54 @@ async function addContributionScores(req, res) {
       throw new NotFoundError('Employee not found', 'employee');
     }
     
-    // Check if scores are provided manually, otherwise calculate automatically
-    let { 
-      problem_solving_score, 
-      collaboration_score, 
-      initiative_score, 
-      overall_score 
-    } = contributionData;
-    
-    // If scores are not provided manually, calculate them automatically
-    if (problem_solving_score === undefined || 
-        collaboration_score === undefined || 
-        initiative_score === undefined || 
-        overall_score === undefined) {
-      
+    // Scores provided manually, by dimension name and `overall`
+    const provided = getProvidedScores(contributionData);
+    
+    // Period the scores cover (all-time unless a period is requested)
+    const period = resolveScoringPeriod(contributionData);
+    
+    // Scoring configuration version and evidence for calculated scores (none when all scores are provided)
+    const scoringConfig = await getActiveScoringConfig(tenantId);
+    let scoringConfigVersion = null;
+    let explanation = null;
+    let scores;
+    
+    const enabledDimensions = Object.keys(scoringConfig.config.weights);
+    if (provided.overall !== undefined && enabledDimensions.every(name => provided[name] !== undefined)) {
+      const { overall, ...dimensionScores } = provided;
+      scores = toContributionScores(dimensionScores, overall);
+    } else {
+      // If scores are not provided manually, calculate them automatically
       logger.debug('Calculating contribution scores automatically', { employeeId: contributionData.employee_id, tenantId });
       
-      // Get employee data
-      const { data: allEmployees } = await employeeRepository.getEmployees(tenantId, 1, 1000);
-      const employee = allEmployees.find(emp => emp.employee_id === contributionData.employee_id);
-      
-      if (!employee) {
-        logger.warn('Employee not found for contribution scores', { employeeId: contributionData.employee_id, tenantId });
-        throw new NotFoundError('Employee not found', 'employee');
-      }
-      
-      // Get employee interactions
-      const { data: employeeInteractions } = await interactionRepository.getInteractionsByEmployeeId(tenantId, contributionData.employee_id);
-      
-      // Get employee kudos
-      const employeeKudos = await kudosRepository.getKudosByEmployeeId(tenantId, contributionData.employee_id);
-      
-      // Calculate scores if not provided
-      if (problem_solving_score === undefined) {
-        // Calculate average problem-solving score from interactions
-        if (employeeInteractions.length > 0) {
-          const totalScore = employeeInteractions.reduce((sum, interaction) => {
-            return sum + calculateProblemSolvingScore(interaction.content);
-          }, 0);
-          problem_solving_score = Math.round(totalScore / employeeInteractions.length);
-          logger.debug('Calculated problem-solving score', { 
-            employeeId: contributionData.employee_id,
-            score: problem_solving_score,
-            tenantId
-          });
-        } else {
-          problem_solving_score = 0;
-          logger.debug('No interactions found, setting problem-solving score to 0', { 
-            employeeId: contributionData.employee_id,
-            tenantId
-          });
-        }
-      }
-      
-      if (collaboration_score === undefined) {
-        collaboration_score = calculateCollaborationScore(employeeKudos, allEmployees);
-        logger.debug('Calculated collaboration score', { 
-          employeeId: contributionData.employee_id,
-          score: collaboration_score,
-          tenantId
+      try {
+        const calculated = await calculateContributionScores(tenantId, contributionData.employee_id, provided, {
+          period,
+          scoringConfig
         });
-      }
-      
-      if (initiative_score === undefined) {
-        // Calculate average initiative score from interactions
-        if (employeeInteractions.length > 0) {
-          const totalScore = employeeInteractions.reduce((sum, interaction) => {
-            return sum + calculateInitiativeScore(interaction.content);
-          }, 0);
-          initiative_score = Math.round(totalScore / employeeInteractions.length);
-          logger.debug('Calculated initiative score', { 
-            employeeId: contributionData.employee_id,
-            score: initiative_score,
-            tenantId
-          });
-        } else {
-          initiative_score = 0;
-          logger.debug('No interactions found, setting initiative score to 0', { 
-            employeeId: contributionData.employee_id,
-            tenantId
-          });
+        ({ scoring_config_version: scoringConfigVersion, explanation } = calculated);
+        scores = {
+          dimension_scores: calculated.dimension_scores,
+          problem_solving_score: calculated.problem_solving_score,
+          collaboration_score: calculated.collaboration_score,
+          initiative_score: calculated.initiative_score,
+          overall_score: calculated.overall_score
+        };
+      } catch (error) {
+        if (error.message === 'Employee not found') {
+          throw new NotFoundError('Employee not found', 'employee');
         }
-      }
-      
-      if (overall_score === undefined) {
-        overall_score = calculateOverallScore(
-          problem_solving_score,
-          collaboration_score,
-          initiative_score
-        );
-        logger.debug('Calculated overall score', { 
-          employeeId: contributionData.employee_id,
-          score: overall_score,
-          tenantId
-        });
+        throw error;
       }
     }
     
     // Validate score ranges (double check after calculation)
-    if (problem_solving_score < 0 || problem_solving_score > 100 ||
-        collaboration_score < 0 || collaboration_score > 100 ||
-        initiative_score < 0 || initiative_score > 100 ||
-        overall_score < 0 || overall_score > 100) {
+    const outOfRange = [...Object.values(scores.dimension_scores), scores.overall_score]
+      .some(score => score < 0 || score > 100);
+    if (outOfRange) {
       logger.warn('Invalid score range for contribution scores', { 
         employeeId: contributionData.employee_id,
-        scores: {
-          problem_solving_score,
-          collaboration_score,
-          initiative_score,
-          overall_score
-        },
+        scores,
         tenantId
       });
       throw new ValidationError('Scores must be between 0 and 100', 'scores');
@@ -276,17 +336,17 @@ async function addContributionScores(req, res) {
     const newContribution = {
       employee_id: contributionData.employee_id,
       calculated_at: new Date().toISOString(),
-      problem_solving_score: problem_solving_score,
-      collaboration_score: collaboration_score,
-      initiative_score: initiative_score,
-      overall_score: overall_score
+      ...scores,
+      scoring_config_version: scoringConfigVersion,
+      ...period,
+      explanation
     };
     
     const createdContribution = await contributionRepository.createContribution(tenantId, newContribution);
     
     logger.info('Contribution scores added successfully', { 
       employeeId: contributionData.employee_id,
-      scores: newContribution,
+      scores,
       tenantId
     });
     res.status(201).json({ 
@@ -319,8 +379,134 @@ async function addContributionScores(req, res) {
   }
 }
 
+/**
+ * Get the score recalculation schedule and recent runs (tenant-aware)
+ */
+async function getRecalculationStatus(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching score recalculation status', { tenantId });
+    
+    const status = await getScoreRecalculationStatus(tenantId);
+    
+    logger.info('Successfully fetched score recalculation status', { 
+      scheduled: status.scheduled,
+      runCount: status.recent_runs.length,
+      tenantId
+    });
+    res.json(status);
+  } catch (error) {
+    logger.error('Failed to fetch score recalculation status', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getRecalculationStatus',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: 'Failed to fetch score recalculation status' });
+  }
+}
+
+/**
+ * Recalculate contribution scores for every employee of the current tenant now
+ */
+async function triggerRecalculation(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.info('Manual score recalculation requested for tenant', { tenantId });
+    
+    const run = await recalculateTenantScores(tenantId, { trigger: 'manual' });
+    
+    res.status(200).json({ 
+      message: 'Score recalculation completed', 
+      run
+    });
+  } catch (error) {
+    if (error.message.includes('already running')) {
+      logger.warn('Score recalculation already running', { tenantId: req.tenantId });
+      return res.status(409).json({ 
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+    
+    logger.error('Manual score recalculation failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'triggerRecalculation',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: 'Score recalculation failed' });
+  }
+}
+
+/**
+ * Recalculate contribution scores for employees, a team, a department or the whole tenant (tenant-aware)
+ */
+async function recalculateContributions(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const scope = req.body || {};
+    logger.info('Batch score recalculation requested', { scope: scope.scope, tenantId });
+    
+    const report = await recalculateContributionsBatch(tenantId, scope);
+    
+    res.status(200).json({ 
+      message: 'Contribution scores recalculated successfully', 
+      report
+    });
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      logger.warn('Batch score recalculation validation failed', { 
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Batch score recalculation failed', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'recalculateContributions',
+      tenantId: req.tenantId
+    });
+    res.status(500).json({ error: 'Failed to recalculate contribution scores' });
+  }
+}
+
+/**
+ * Start recalculating contribution scores for every tenant (super admin only)
+ * Responds 202 with the run ID right away; the run continues in the background
+ */
+async function triggerRecalculationForAllTenants(req, res) {
+  try {
+    logger.info('Manual score recalculation requested for all tenants');
+    
+    const result = startRecalculationForAllTenants('manual');
+    
+    res.status(202).json({ 
+      message: 'Score recalculation started for all tenants', 
+      ...result
+    });
+  } catch (error) {
+    logger.error('Manual score recalculation failed for all tenants', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'triggerRecalculationForAllTenants'
+    });
+    res.status(500).json({ error: 'Score recalculation failed' });
+  }
+}
+
 module.exports = {
   getContributions,
   getContributionsByEmployeeId,
-  addContributionScores
+  getContributionExplanation,
+  addContributionScores,
+  getRecalculationStatus,
+  triggerRecalculation,
+  recalculateContributions,
+  triggerRecalculationForAllTenants
 };
\ No newline at end of file
@@ -0,0 +1,195 @@
+const departmentService = require('../services/departmentService');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the service layer
+ * @returns {boolean} - Whether the error should be answered with 400
+ */
+function isValidationError(error) {
+  return error.message.includes('Validation failed') ||
+    error.message.includes('already exists') ||
+    error.message.includes('required');
+}
+
+/**
+ * Get all departments (tenant-aware)
+ */
+async function getDepartments(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const includeArchived = req.query.include_archived === 'true';
+    logger.debug('Fetching all departments', { includeArchived, tenantId });
+    
+    const departments = await departmentService.listDepartments(tenantId, { includeArchived });
+    
+    logger.info('Successfully fetched departments', { count: departments.length, tenantId });
+    res.json(departments);
+  } catch (error) {
+    logger.error('Failed to retrieve departments', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getDepartments'
+    });
+    res.status(500).json({ error: 'Failed to retrieve departments' });
+  }
+}
+
+/**
+ * Get department by ID (tenant-aware)
+ */
+async function getDepartmentById(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching department by ID', { departmentId: id, tenantId });
+    
+    const department = await departmentService.getDepartment(tenantId, id);
+    
+    logger.info('Successfully fetched department', { departmentId: id, tenantId });
+    res.json(department);
+  } catch (error) {
+    if (error.message.includes('Department not found')) {
+      logger.warn('Department not found', { departmentId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Department not found'
+      });
+    }
+    
+    logger.error('Failed to retrieve department', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getDepartmentById'
+    });
+    res.status(500).json({ error: 'Failed to retrieve department' });
+  }
+}
+
+/**
+ * Create new department (tenant-aware)
+ */
+async function createDepartment(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Creating new department', { departmentId: req.body.department_id, tenantId });
+    
+    const department = await departmentService.createDepartment(tenantId, req.body || {});
+    
+    logger.info('Department created successfully', { departmentId: department.department_id, tenantId });
+    res.status(201).json({ message: 'Department created successfully', department });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Department data validation failed', {
+        departmentId: req.body.department_id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Failed to create department', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'createDepartment'
+    });
+    res.status(500).json({ error: 'Failed to create department' });
+  }
+}
+
+/**
+ * Update department, including archiving it with { "archived": true } (tenant-aware)
+ */
+async function updateDepartment(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating department', { departmentId: id, tenantId });
+    
+    const department = await departmentService.updateDepartment(tenantId, id, req.body || {});
+    
+    logger.info('Department updated successfully', { departmentId: id, tenantId });
+    res.json({ message: 'Department updated successfully', department });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Department update validation failed', {
+        departmentId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Department not found')) {
+      logger.warn('Department not found', { departmentId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Department not found'
+      });
+    }
+    
+    logger.error('Failed to update department', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'updateDepartment'
+    });
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+}
+
+/**
+ * Delete department that has no employees, teams or sub-departments (tenant-aware)
+ */
+async function deleteDepartment(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Deleting department', { departmentId: id, tenantId });
+    
+    const department = await departmentService.deleteDepartment(tenantId, id);
+    
+    logger.info('Department deleted successfully', { departmentId: id, tenantId });
+    res.json({ message: 'Department deleted successfully', department });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Department deletion validation failed', {
+        departmentId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Department not found')) {
+      logger.warn('Department not found', { departmentId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Department not found'
+      });
+    }
+    
+    logger.error('Failed to delete department', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'deleteDepartment'
+    });
+    res.status(500).json({ error: 'Failed to delete department' });
+  }
+}
+
+module.exports = {
+  getDepartments,
+  getDepartmentById,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+};
\ No newline at end of file
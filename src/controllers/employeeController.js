@@ -1,7 +1,18 @@
 const employeeService = require('../services/employeeService');
+const orgChartService = require('../services/orgChartService');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError } = require('../utils/customErrors');
 
+/**
+ * Check whether an error means the requested employee does not exist
+ * PGRST116 is PostgREST's "no rows returned" for single-row lookups
+ * @param {Error} error - Error thrown by the service layer
+ * @returns {boolean} - Whether the error is a not-found error
+ */
+function isNotFoundError(error) {
+  return error.code === 'PGRST116' || error.message.includes('not found');
+}
+
 /**
  * Get all employees (tenant-aware)
  */
@@ -13,8 +24,9 @@ async function getEmployees(req, res) {
     // Get pagination parameters from query
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
+    const includeDeleted = req.query.include_deleted === 'true';
     
-    const result = await employeeService.getEmployees(tenantId, page, limit);
+    const result = await employeeService.getEmployees(tenantId, page, limit, { includeDeleted });
     
     logger.info('Successfully fetched employees with pagination', { 
       page, 
@@ -56,7 +68,7 @@ async function getEmployeeById(req, res) {
     logger.info('Successfully fetched employee', { employeeId: id, tenantId });
     res.json(employee);
   } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('required')) {
+    if (isNotFoundError(error) || error.message.includes('required')) {
       logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
       return res.status(404).json({ 
         error: 'Not Found',
@@ -123,8 +135,258 @@ async function createEmployee(req, res) {
   }
 }
 
+/**
+ * Search employees by name, email, team and department (tenant-aware)
+ */
+async function searchEmployees(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const { name, email, team, department } = req.query;
+    logger.debug('Searching employees', { name, email, team, department, tenantId });
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const includeDeleted = req.query.include_deleted === 'true';
+    
+    const result = await employeeService.searchEmployees(
+      tenantId,
+      { name, email, team, department },
+      page,
+      limit,
+      { includeDeleted }
+    );
+    
+    logger.info('Successfully searched employees', {
+      totalCount: result.pagination.totalCount,
+      returnedCount: result.data.length,
+      tenantId
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('Invalid pagination parameters')) {
+      logger.warn('Invalid pagination parameters', { error: error.message });
+      return res.status(400).json({ 
+        error: 'Invalid pagination parameters. Page must be >= 1 and limit must be between 1 and 100.' 
+      });
+    }
+    
+    if (error.message.includes('Validation failed')) {
+      logger.warn('Employee search validation failed', { error: error.message, tenantId: req.tenantId });
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Failed to search employees', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'searchEmployees'
+    });
+    res.status(500).json({ error: 'Failed to search employees' });
+  }
+}
+
+/**
+ * Update employee (tenant-aware)
+ */
+async function updateEmployee(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating employee', { employeeId: id, tenantId });
+    
+    const employee = await employeeService.updateEmployee(tenantId, id, req.body || {});
+    
+    logger.info('Employee updated successfully', { employeeId: id, tenantId });
+    res.json({ message: 'Employee updated successfully', employee });
+  } catch (error) {
+    if (error.message.includes('Validation failed') || 
+        error.message.includes('already exists') || 
+        error.message.includes('required')) {
+      logger.warn('Employee update validation failed', { 
+        employeeId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (isNotFoundError(error)) {
+      logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Employee not found'
+      });
+    }
+    
+    logger.error('Failed to update employee', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'updateEmployee'
+    });
+    res.status(500).json({ error: 'Failed to update employee' });
+  }
+}
+
+/**
+ * Delete employee (tenant-aware)
+ * The deletion strategy is required: ?strategy=cascade|reassign|soft-delete,
+ * plus ?reassign_to=<employee_id> for reassign
+ */
+async function deleteEmployee(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const { strategy, reassign_to: reassignTo } = req.query;
+    logger.debug('Deleting employee', { employeeId: id, strategy, reassignTo, tenantId });
+    
+    const result = await employeeService.deleteEmployeeWithStrategy(tenantId, id, { strategy, reassignTo });
+    
+    logger.info('Employee deleted successfully', { 
+      employeeId: id, 
+      strategy, 
+      affected: result.affected, 
+      tenantId 
+    });
+    res.json({ message: 'Employee deleted successfully', ...result });
+  } catch (error) {
+    if (error.message.includes('Validation failed') || error.message.includes('required')) {
+      logger.warn('Employee deletion validation failed', { 
+        employeeId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({ 
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (isNotFoundError(error)) {
+      logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Employee not found'
+      });
+    }
+    
+    logger.error('Failed to delete employee', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'deleteEmployee'
+    });
+    res.status(500).json({ error: 'Failed to delete employee' });
+  }
+}
+
+/**
+ * Get the direct reports of an employee (tenant-aware)
+ */
+async function getDirectReports(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching direct reports', { employeeId: id, tenantId });
+    
+    const reports = await orgChartService.getDirectReports(tenantId, id);
+    const result = { employee_id: id, reports, count: reports.length };
+    
+    logger.info('Successfully fetched direct reports', { employeeId: id, count: reports.length, tenantId });
+    res.json(result);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Employee not found'
+      });
+    }
+    
+    logger.error('Failed to retrieve direct reports', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getDirectReports'
+    });
+    res.status(500).json({ error: 'Failed to retrieve direct reports' });
+  }
+}
+
+/**
+ * Get everyone reporting to an employee, directly or indirectly (tenant-aware)
+ */
+async function getSubtree(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching org subtree', { employeeId: id, tenantId });
+    
+    const result = await orgChartService.getSubtree(tenantId, id);
+    
+    logger.info('Successfully fetched org subtree', { employeeId: id, totalCount: result.total_count, tenantId });
+    res.json(result);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Employee not found'
+      });
+    }
+    
+    logger.error('Failed to retrieve org subtree', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getSubtree'
+    });
+    res.status(500).json({ error: 'Failed to retrieve org subtree' });
+  }
+}
+
+/**
+ * Get the management chain of an employee, nearest manager first (tenant-aware)
+ */
+async function getManagementChain(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching management chain', { employeeId: id, tenantId });
+    
+    const chain = await orgChartService.getManagementChain(tenantId, id);
+    const result = { employee_id: id, chain };
+    
+    logger.info('Successfully fetched management chain', { employeeId: id, levels: chain.length, tenantId });
+    res.json(result);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      logger.warn('Employee not found', { employeeId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({ 
+        error: 'Not Found',
+        message: 'Employee not found'
+      });
+    }
+    
+    logger.error('Failed to retrieve management chain', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getManagementChain'
+    });
+    res.status(500).json({ error: 'Failed to retrieve management chain' });
+  }
+}
+
 module.exports = {
   getEmployees,
+  searchEmployees,
   getEmployeeById,
-  createEmployee
+  createEmployee,
+  updateEmployee,
+  deleteEmployee,
+  getDirectReports,
+  getSubtree,
+  getManagementChain
 };
\ No newline at end of file
@@ -1,7 +1,30 @@
 const interactionRepository = require('../repositories/interactionRepository');
 const employeeRepository = require('../repositories/employeeRepository');
+const { getSentimentFields } = require('../services/sentimentService');
 const logger = require('../utils/logger');
-const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { ROLES, getUserEmployeeId } = require('../utils/roles');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/customErrors');
+
+// Most recipients one interaction can have
+const MAX_INTERACTION_RECIPIENTS = 50;
+
+/**
+ * Get the sender and recipients of an interaction
+ * An interaction with only an employee_id (the original format) is the employee's own record
+ * @param {Object} interaction - Interaction data
+ * @returns {Object} - { senderId, recipientIds }
+ */
+function getParticipants(interaction) {
+  const senderId = interaction.from_employee_id || interaction.employee_id;
+  let recipientIds = [senderId];
+  if (interaction.to_employee_ids !== undefined) {
+    recipientIds = interaction.to_employee_ids;
+  } else if (interaction.to_employee_id !== undefined) {
+    recipientIds = [interaction.to_employee_id];
+  }
+  
+  return { senderId, recipientIds };
+}
 
 /**
  * Validate interaction data
@@ -10,12 +33,31 @@ const { ValidationError, NotFoundError } = require('../utils/customErrors');
  */
 function validateInteractionData(interaction) {
   const errors = [];
+  const { senderId, recipientIds } = getParticipants(interaction);
+  const hasRecipients = interaction.to_employee_id !== undefined || interaction.to_employee_ids !== undefined;
   
   // Required fields
-  if (!interaction.employee_id) {
+  if (!senderId) {
     errors.push('Employee ID is required');
   }
   
+  if (interaction.from_employee_id && !hasRecipients) {
+    errors.push('To employee ID is required');
+  }
+  
+  if (hasRecipients) {
+    if (!Array.isArray(recipientIds) || recipientIds.length === 0 ||
+        recipientIds.some(id => !id || typeof id !== 'string')) {
+      errors.push('To employee IDs must be a non-empty list of employee IDs');
+    } else if (recipientIds.length > MAX_INTERACTION_RECIPIENTS) {
+      errors.push(`An interaction can have at most ${MAX_INTERACTION_RECIPIENTS} recipients`);
+    } else if (new Set(recipientIds).size !== recipientIds.length) {
+      errors.push('To employee IDs must not repeat');
+    } else if (senderId && recipientIds.includes(senderId)) {
+      errors.push('The sender cannot also be a recipient');
+    }
+  }
+  
   if (!interaction.type) {
     errors.push('Interaction type is required');
   } else if (interaction.type.length > 50) {
@@ -45,6 +87,18 @@ function validateInteractionData(interaction) {
     errors.push('Context tags must be less than 200 characters');
   }
   
+  if (interaction.channel !== undefined && (typeof interaction.channel !== 'string' || !interaction.channel.trim() ||
+      interaction.channel.length > 50)) {
+    errors.push('Channel must be text of at most 50 characters');
+  }
+  
+  for (const field of ['thread_id', 'parent_id']) {
+    if (interaction[field] !== undefined && (typeof interaction[field] !== 'string' || !interaction[field] ||
+        interaction[field].length > 100)) {
+      errors.push(`${field} must be text of at most 100 characters`);
+    }
+  }
+  
   return {
     isValid: errors.length === 0,
     errors
@@ -82,13 +136,22 @@ async function getInteractions(req, res) {
 
 /**
  * Get interactions by employee ID (tenant-aware)
+ * Query: direction - sent, received (default) or both
  */
 async function getInteractionsByEmployeeId(req, res) {
   try {
     const { id } = req.params;
     const tenantId = req.tenantId || 'default';
+    const direction = req.query.direction || 'received';
+    
+    if (!interactionRepository.INTERACTION_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Direction must be one of: ${interactionRepository.INTERACTION_DIRECTIONS.join(', ')}`
+      });
+    }
     
-    const interactions = await interactionRepository.getInteractionsByEmployeeId(tenantId, id);
+    const interactions = await interactionRepository.getInteractionsByEmployeeId(tenantId, id, direction);
     
     res.json(interactions);
   } catch (error) {
@@ -101,20 +164,60 @@ async function getInteractionsByEmployeeId(req, res) {
   }
 }
 
+/**
+ * Get the interactions of a thread, oldest first (tenant-aware)
+ */
+async function getInteractionThread(req, res, next) {
+  try {
+    const { threadId } = req.params;
+    const tenantId = req.tenantId || 'default';
+    
+    const interactions = await interactionRepository.getInteractionsByThreadId(tenantId, threadId);
+    if (interactions.length === 0) {
+      return next(new NotFoundError('Thread not found', 'thread'));
+    }
+    
+    res.json({ thread_id: threadId, interactions });
+  } catch (error) {
+    logger.error('Failed to retrieve interaction thread', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getInteractionThread'
+    });
+    res.status(500).json({ error: 'Failed to retrieve interactions' });
+  }
+}
+
 /**
  * Create new interaction (tenant-aware)
+ * The sender is from_employee_id (or employee_id) and the recipients to_employee_id or
+ * to_employee_ids; an interaction with several recipients is stored once, listing all of them.
+ * A reply names its parent_id and joins the parent's thread
  */
-async function createInteraction(req, res) {
+async function createInteraction(req, res, next) {
   try {
     const interaction = req.body;
     const tenantId = req.tenantId || 'default';
-    logger.debug('Creating new interaction', { employeeId: interaction.employee_id, tenantId });
+    logger.debug('Creating new interaction', { employeeId: interaction.from_employee_id || interaction.employee_id, tenantId });
+    
+    const { senderId, recipientIds } = getParticipants(interaction);
+    
+    // Interactions feed scoring, so employees only record them as themselves; admins and
+    // managers may record interactions for others
+    if (req.userRole === ROLES.EMPLOYEE && senderId !== getUserEmployeeId(req.user)) {
+      logger.warn('Interaction sender does not match the current user', { 
+        userId: req.user.id, 
+        fromEmployeeId: senderId, 
+        tenantId 
+      });
+      return next(new AuthorizationError('Access denied: employees can only record interactions as themselves'));
+    }
     
     // Validate interaction data
     const validation = validateInteractionData(interaction);
     if (!validation.isValid) {
       logger.warn('Interaction data validation failed', { 
-        employeeId: interaction.employee_id,
+        employeeId: interaction.from_employee_id || interaction.employee_id,
         errors: validation.errors,
         tenantId
       });
@@ -123,23 +226,60 @@ async function createInteraction(req, res) {
     
     // Check if employee exists
     try {
-      await employeeRepository.getEmployeeById(tenantId, interaction.employee_id);
+      await employeeRepository.getEmployeeById(tenantId, senderId);
     } catch (error) {
-      logger.warn('Employee not found for interaction', { employeeId: interaction.employee_id, tenantId });
+      logger.warn('Employee not found for interaction', { employeeId: senderId, tenantId });
       throw new NotFoundError('Employee not found', 'employee');
     }
     
+    // Every recipient must exist, so the interaction is recorded for all of them or not at all
+    const missing = [];
+    for (const recipientId of recipientIds.filter(id => id !== senderId)) {
+      try {
+        await employeeRepository.getEmployeeById(tenantId, recipientId);
+      } catch (error) {
+        missing.push(recipientId);
+      }
+    }
+    if (missing.length > 0) {
+      logger.warn('Recipients not found for interaction', { toEmployeeIds: missing, tenantId });
+      throw new NotFoundError(`To employees not found: ${missing.join(', ')}`, 'employee');
+    }
+    
+    // A reply joins the thread of its parent
+    let threadId = interaction.thread_id || null;
+    if (interaction.parent_id) {
+      const parent = await interactionRepository.getInteractionById(tenantId, interaction.parent_id);
+      if (!parent) {
+        throw new NotFoundError('Parent interaction not found', 'interaction');
+      }
+      
+      const parentThreadId = parent.thread_id || parent.id;
+      if (threadId && threadId !== parentThreadId) {
+        throw new ValidationError('Validation failed', [`thread_id must match the thread of the parent interaction (${parentThreadId})`]);
+      }
+      threadId = parentThreadId;
+    }
+    
     // Add timestamp if not provided
     interaction.timestamp = interaction.timestamp || new Date().toISOString();
     
     // Create interaction object (mapping to the new schema)
     const newInteraction = {
-      from_employee_id: interaction.employee_id,
-      to_employee_id: interaction.employee_id,
+      from_employee_id: senderId,
+      to_employee_id: recipientIds[0],
+      ...(interaction.to_employee_ids !== undefined && {
+        is_group: true,
+        recipient_ids: recipientIds
+      }),
       interaction_type: interaction.type,
       content: interaction.content,
       timestamp: interaction.timestamp,
-      context_tags: interaction.context_tags || ''
+      context_tags: interaction.context_tags || '',
+      thread_id: threadId,
+      parent_id: interaction.parent_id || null,
+      channel: interaction.channel ? interaction.channel.trim() : null,
+      ...getSentimentFields(interaction.content)
     };
     
     const createdInteraction = await interactionRepository.createInteraction(tenantId, newInteraction);
@@ -178,5 +318,6 @@ async function createInteraction(req, res) {
 module.exports = {
   getInteractions,
   getInteractionsByEmployeeId,
+  getInteractionThread,
   createInteraction
 };
\ No newline at end of file
@@ -1,22 +1,48 @@
 const kudosRepository = require('../repositories/kudosRepository');
 const employeeRepository = require('../repositories/employeeRepository');
+const { getSentimentFields } = require('../services/sentimentService');
+const { getSuspiciousKudos: findSuspiciousKudos } = require('../services/kudosGamingService');
+const kudosBudgetService = require('../services/kudosBudgetService');
+const kudosValueService = require('../services/kudosValueService');
+const kudosReactionService = require('../services/kudosReactionService');
+const { loadAllPages } = require('../utils/pagination');
 const logger = require('../utils/logger');
-const { ValidationError, NotFoundError } = require('../utils/customErrors');
+const { ROLES, getUserEmployeeId } = require('../utils/roles');
+const { ValidationError, NotFoundError, RateLimitError, AuthorizationError } = require('../utils/customErrors');
+
+// Most employees a group kudos can name in to_employee_ids (a whole team has no limit)
+const MAX_GROUP_RECIPIENTS = 50;
 
 /**
  * Validate kudos data
+ * Kudos go to one employee (to_employee_id), a list of employees (to_employee_ids) or
+ * every other active member of a team (to_team_id)
  * @param {Object} kudosData - Kudos data to validate
  * @returns {Object} - Validation result
  */
 function validateKudosData(kudosData) {
   const errors = [];
+  const recipientIds = kudosData.to_employee_ids;
   
   // Required fields
   if (!kudosData.from_employee_id) {
     errors.push('From employee ID is required');
   }
   
-  if (!kudosData.to_employee_id) {
+  if (recipientIds !== undefined) {
+    if (!Array.isArray(recipientIds) || recipientIds.length === 0 ||
+        recipientIds.some(id => !id || typeof id !== 'string')) {
+      errors.push('To employee IDs must be a non-empty list of employee IDs');
+    } else if (recipientIds.length > MAX_GROUP_RECIPIENTS) {
+      errors.push(`Kudos can be given to at most ${MAX_GROUP_RECIPIENTS} employees at once`);
+    } else if (new Set(recipientIds).size !== recipientIds.length) {
+      errors.push('To employee IDs must not repeat');
+    }
+  } else if (kudosData.to_team_id !== undefined) {
+    if (!kudosData.to_team_id || typeof kudosData.to_team_id !== 'string') {
+      errors.push('To team ID is required');
+    }
+  } else if (!kudosData.to_employee_id) {
     errors.push('To employee ID is required');
   }
   
@@ -33,6 +59,10 @@ function validateKudosData(kudosData) {
     }
   }
   
+  if (kudosData.from_employee_id && Array.isArray(recipientIds) && recipientIds.includes(kudosData.from_employee_id)) {
+    errors.push('Cannot give kudos to yourself');
+  }
+  
   // Optional fields validation
   if (kudosData.timestamp) {
     const dateRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
@@ -120,10 +150,52 @@ async function getKudosByEmployeeId(req, res) {
   }
 }
 
+/**
+ * Resolve who new kudos go to
+ * Every listed employee must exist, so a group kudos is created for all of them or not at all
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} kudosData - Validated kudos data
+ * @returns {Promise<Array<string>>} - Recipient employee IDs
+ */
+async function resolveRecipients(tenantId, kudosData) {
+  if (kudosData.to_team_id !== undefined) {
+    const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true }));
+    const members = employees
+      .filter(employee => employee.team === kudosData.to_team_id && employee.employee_id !== kudosData.from_employee_id)
+      .map(employee => employee.employee_id);
+    
+    if (members.length === 0) {
+      logger.warn('Team has no other active members for kudos', { toTeamId: kudosData.to_team_id, tenantId });
+      throw new NotFoundError(`No other active employees in team ${kudosData.to_team_id}`, 'team');
+    }
+    return members;
+  }
+  
+  const recipientIds = kudosData.to_employee_ids || [kudosData.to_employee_id];
+  const missing = [];
+  for (const employeeId of recipientIds) {
+    try {
+      await employeeRepository.getEmployeeById(tenantId, employeeId);
+    } catch (error) {
+      missing.push(employeeId);
+    }
+  }
+  
+  if (missing.length > 0) {
+    logger.warn('To employee not found for kudos', { toEmployeeIds: missing, tenantId });
+    throw new NotFoundError(
+      kudosData.to_employee_ids ? `To employees not found: ${missing.join(', ')}` : 'To employee not found',
+      'employee'
+    );
+  }
+  return recipientIds;
+}
+
 /**
  * Create new kudos (tenant-aware)
+ * Kudos to several employees or a team are stored as one group kudos listing every recipient
  */
-async function createKudos(req, res) {
+async function createKudos(req, res, next) {
   try {
     const kudosData = req.body;
     const tenantId = req.tenantId || 'default';
@@ -133,6 +205,16 @@ async function createKudos(req, res) {
       tenantId
     });
     
+    // Employees give kudos as themselves; admins and managers may record kudos for others
+    if (req.userRole === ROLES.EMPLOYEE && kudosData.from_employee_id !== getUserEmployeeId(req.user)) {
+      logger.warn('Kudos sender does not match the current user', { 
+        userId: req.user.id, 
+        fromEmployeeId: kudosData.from_employee_id, 
+        tenantId 
+      });
+      return next(new AuthorizationError('Access denied: employees can only give kudos as themselves'));
+    }
+    
     // Validate kudos data
     const validation = validateKudosData(kudosData);
     if (!validation.isValid) {
@@ -145,6 +227,17 @@ async function createKudos(req, res) {
       throw new ValidationError('Validation failed', validation.errors);
     }
     
+    // Check the company values the kudos is tagged with
+    const valueValidation = await kudosValueService.validateValueKeys(tenantId, kudosData.value_keys);
+    if (!valueValidation.isValid) {
+      logger.warn('Kudos value validation failed', { 
+        valueKeys: kudosData.value_keys,
+        errors: valueValidation.errors,
+        tenantId
+      });
+      throw new ValidationError('Validation failed', valueValidation.errors);
+    }
+    
     // Check if from employee exists
     try {
       await employeeRepository.getEmployeeById(tenantId, kudosData.from_employee_id);
@@ -153,25 +246,31 @@ async function createKudos(req, res) {
       throw new NotFoundError('From employee not found', 'employee');
     }
     
-    // Check if to employee exists
-    try {
-      await employeeRepository.getEmployeeById(tenantId, kudosData.to_employee_id);
-    } catch (error) {
-      logger.warn('To employee not found for kudos', { toEmployeeId: kudosData.to_employee_id, tenantId });
-      throw new NotFoundError('To employee not found', 'employee');
-    }
+    // Check that every recipient exists
+    const recipientIds = await resolveRecipients(tenantId, kudosData);
+    const isGroup = kudosData.to_employee_id === undefined;
     
     // Create kudos object
     const newKudos = {
       from_employee_id: kudosData.from_employee_id,
-      to_employee_id: kudosData.to_employee_id,
+      to_employee_id: recipientIds[0],
+      ...(isGroup && {
+        is_group: true,
+        recipient_ids: recipientIds,
+        to_team_id: kudosData.to_team_id || null
+      }),
       message: kudosData.message,
-      timestamp: kudosData.timestamp || new Date().toISOString()
+      value_keys: kudosData.value_keys || [],
+      timestamp: kudosData.timestamp || new Date().toISOString(),
+      ...getSentimentFields(kudosData.message)
     };
     
+    // Check the sender's kudos budget
+    await kudosBudgetService.checkKudosBudget(tenantId, newKudos);
+    
     const createdKudos = await kudosRepository.createKudos(tenantId, newKudos);
     
-    logger.info('Kudos created successfully', { kudosId: createdKudos.id, tenantId });
+    logger.info('Kudos created successfully', { kudosId: createdKudos.id, recipientCount: recipientIds.length, tenantId });
     res.status(201).json({ 
       message: 'Kudos created successfully', 
       kudos: createdKudos 
@@ -193,6 +292,16 @@ async function createKudos(req, res) {
       });
     }
     
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: error.message,
+        limit: error.limit,
+        retry_after: error.retryAfter
+      });
+    }
+    
     logger.error('Failed to create kudos', { 
       error: error.message, 
       stack: error.stack,
@@ -202,8 +311,317 @@ async function createKudos(req, res) {
   }
 }
 
+/**
+ * List suspicious kudos patterns for review (tenant admins)
+ * Query: days to look back (default: the configured anti-gaming window)
+ */
+async function getSuspiciousKudos(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const days = req.query.days !== undefined ? Number(req.query.days) : undefined;
+    logger.debug('Reviewing kudos for gaming', { days, tenantId });
+    
+    const review = await findSuspiciousKudos(tenantId, { days });
+    
+    logger.info('Successfully reviewed kudos for gaming', {
+      flaggedCount: review.flagged_kudos_count,
+      patternCount: review.patterns.length,
+      tenantId
+    });
+    res.json(review);
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to review kudos for gaming', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getSuspiciousKudos'
+    });
+    res.status(500).json({ error: 'Failed to review kudos' });
+  }
+}
+
+/**
+ * Get the kudos budget limits of the tenant
+ */
+async function getKudosBudget(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching kudos budget', { tenantId });
+    
+    const budget = await kudosBudgetService.getKudosBudget(tenantId);
+    
+    logger.info('Successfully fetched kudos budget', { tenantId });
+    res.json(budget);
+  } catch (error) {
+    logger.error('Failed to retrieve kudos budget', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getKudosBudget'
+    });
+    res.status(500).json({ error: 'Failed to retrieve kudos budget' });
+  }
+}
+
+/**
+ * Change the kudos budget limits of the tenant (tenant admins)
+ * Body: daily_limit, weekly_limit and/or per_recipient_weekly_limit (null for unlimited)
+ */
+async function updateKudosBudget(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating kudos budget', { limits: Object.keys(req.body || {}), tenantId });
+    
+    const budget = await kudosBudgetService.updateKudosBudget(tenantId, req.body, req.user && req.user.id);
+    
+    logger.info('Kudos budget updated successfully', { tenantId });
+    res.json({ message: 'Kudos budget updated successfully', budget });
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to update kudos budget', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'updateKudosBudget'
+    });
+    res.status(500).json({ error: 'Failed to update kudos budget' });
+  }
+}
+
+/**
+ * Get how much kudos budget an employee has left
+ */
+async function getEmployeeKudosBudget(req, res, next) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching remaining kudos budget for employee', { employeeId: id, tenantId });
+    
+    try {
+      await employeeRepository.getEmployeeById(tenantId, id);
+    } catch (error) {
+      return next(new NotFoundError('Employee not found', 'employee'));
+    }
+    
+    const remaining = await kudosBudgetService.getRemainingBudget(tenantId, id);
+    
+    logger.info('Successfully fetched remaining kudos budget for employee', { employeeId: id, tenantId });
+    res.json(remaining);
+  } catch (error) {
+    logger.error('Failed to retrieve remaining kudos budget', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getEmployeeKudosBudget'
+    });
+    res.status(500).json({ error: 'Failed to retrieve kudos budget' });
+  }
+}
+
+/**
+ * Get how much kudos budget every active employee has left (admins and managers)
+ */
+async function getEmployeeKudosBudgets(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching remaining kudos budgets', { tenantId });
+    
+    const remaining = await kudosBudgetService.getRemainingBudgets(tenantId);
+    
+    logger.info('Successfully fetched remaining kudos budgets', { count: remaining.employees.length, tenantId });
+    res.json(remaining);
+  } catch (error) {
+    logger.error('Failed to retrieve remaining kudos budgets', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getEmployeeKudosBudgets'
+    });
+    res.status(500).json({ error: 'Failed to retrieve kudos budgets' });
+  }
+}
+
+/**
+ * Get the company values kudos can be tagged with
+ */
+async function getCompanyValues(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching company values', { tenantId });
+    
+    const companyValues = await kudosValueService.getCompanyValues(tenantId);
+    
+    logger.info('Successfully fetched company values', { count: companyValues.values.length, tenantId });
+    res.json(companyValues);
+  } catch (error) {
+    logger.error('Failed to retrieve company values', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getCompanyValues'
+    });
+    res.status(500).json({ error: 'Failed to retrieve company values' });
+  }
+}
+
+/**
+ * Replace the company values kudos can be tagged with (tenant admins)
+ * Body: values, a list of { name, key (optional), description (optional) }
+ */
+async function updateCompanyValues(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const values = req.body ? req.body.values : undefined;
+    logger.debug('Updating company values', { tenantId });
+    
+    const companyValues = await kudosValueService.updateCompanyValues(tenantId, values, req.user && req.user.id);
+    
+    logger.info('Company values updated successfully', { count: companyValues.values.length, tenantId });
+    res.json({ message: 'Company values updated successfully', ...companyValues });
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    logger.error('Failed to update company values', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'updateCompanyValues'
+    });
+    res.status(500).json({ error: 'Failed to update company values' });
+  }
+}
+
+/**
+ * Get the reactions to a kudos
+ */
+async function getKudosReactions(req, res, next) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching kudos reactions', { kudosId: id, tenantId });
+    
+    const reactions = await kudosReactionService.getKudosReactions(tenantId, id);
+    
+    logger.info('Successfully fetched kudos reactions', { kudosId: id, total: reactions.total, tenantId });
+    res.json(reactions);
+  } catch (error) {
+    if (error.message === 'Kudos not found') {
+      return next(new NotFoundError(error.message, 'kudos'));
+    }
+    
+    logger.error('Failed to retrieve kudos reactions', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getKudosReactions'
+    });
+    res.status(500).json({ error: 'Failed to retrieve kudos reactions' });
+  }
+}
+
+/**
+ * React to a kudos as the current user's employee record
+ * Body: reaction (default: '+1')
+ */
+async function addKudosReaction(req, res, next) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const employeeId = getUserEmployeeId(req.user);
+    const reaction = req.body && req.body.reaction !== undefined ? req.body.reaction : '+1';
+    logger.debug('Adding kudos reaction', { kudosId: id, employeeId, reaction, tenantId });
+    
+    if (!employeeId) {
+      return next(new NotFoundError('No employee record is linked to the current user', 'employee'));
+    }
+    
+    const reactions = await kudosReactionService.addReaction(tenantId, id, employeeId, reaction);
+    
+    logger.info('Kudos reaction added successfully', { kudosId: id, employeeId, reaction, tenantId });
+    res.status(201).json({ message: 'Reaction added successfully', ...reactions });
+  } catch (error) {
+    if (error.message.includes('Validation failed: ')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message.split('Validation failed: ')[1]
+      });
+    }
+    
+    if (error.message === 'Kudos not found') {
+      return next(new NotFoundError(error.message, 'kudos'));
+    }
+    
+    if (error.message.includes('already reacted')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    logger.error('Failed to add kudos reaction', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'addKudosReaction'
+    });
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+}
+
+/**
+ * Take back a reaction of the current user's employee record
+ */
+async function removeKudosReaction(req, res, next) {
+  try {
+    const { id, reaction } = req.params;
+    const tenantId = req.tenantId || 'default';
+    const employeeId = getUserEmployeeId(req.user);
+    logger.debug('Removing kudos reaction', { kudosId: id, employeeId, reaction, tenantId });
+    
+    if (!employeeId) {
+      return next(new NotFoundError('No employee record is linked to the current user', 'employee'));
+    }
+    
+    const reactions = await kudosReactionService.removeReaction(tenantId, id, employeeId, reaction);
+    
+    logger.info('Kudos reaction removed successfully', { kudosId: id, employeeId, reaction, tenantId });
+    res.json({ message: 'Reaction removed successfully', ...reactions });
+  } catch (error) {
+    if (error.message === 'Kudos not found') {
+      return next(new NotFoundError(error.message, 'kudos'));
+    }
+    
+    if (error.message === 'Reaction not found') {
+      return next(new NotFoundError(error.message, 'reaction'));
+    }
+    
+    logger.error('Failed to remove kudos reaction', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'removeKudosReaction'
+    });
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+}
+
 module.exports = {
   getKudos,
   getKudosByEmployeeId,
+  getSuspiciousKudos,
+  getKudosBudget,
+  updateKudosBudget,
+  getEmployeeKudosBudget,
+  getEmployeeKudosBudgets,
+  getCompanyValues,
+  updateCompanyValues,
+  getKudosReactions,
+  addKudosReaction,
+  removeKudosReaction,
   createKudos
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+const scoringConfigService = require('../services/scoringConfigService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the scoring configuration in effect (tenant-aware)
+ */
+async function getScoringConfig(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching scoring configuration', { tenantId });
+    
+    const scoringConfig = await scoringConfigService.getActiveScoringConfig(tenantId);
+    
+    res.json(scoringConfig);
+  } catch (error) {
+    logger.error('Failed to retrieve scoring configuration', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getScoringConfig'
+    });
+    res.status(500).json({ error: 'Failed to retrieve scoring configuration' });
+  }
+}
+
+/**
+ * Get every scoring configuration version (tenant-aware)
+ */
+async function getScoringConfigVersions(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching scoring configuration versions', { tenantId });
+    
+    const versions = await scoringConfigService.listScoringConfigVersions(tenantId);
+    
+    res.json(versions);
+  } catch (error) {
+    logger.error('Failed to retrieve scoring configuration versions', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getScoringConfigVersions'
+    });
+    res.status(500).json({ error: 'Failed to retrieve scoring configuration versions' });
+  }
+}
+
+/**
+ * Get every registered scoring dimension and whether the tenant scores it (tenant-aware)
+ */
+async function getScoringDimensions(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching scoring dimensions', { tenantId });
+    
+    const dimensions = await scoringConfigService.listScoringDimensions(tenantId);
+    
+    res.json(dimensions);
+  } catch (error) {
+    logger.error('Failed to retrieve scoring dimensions', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getScoringDimensions'
+    });
+    res.status(500).json({ error: 'Failed to retrieve scoring dimensions' });
+  }
+}
+
+/**
+ * Get one scoring configuration version (tenant-aware)
+ */
+async function getScoringConfigVersion(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const version = Number(req.params.version);
+    logger.debug('Fetching scoring configuration version', { version: req.params.version, tenantId });
+    
+    const scoringConfig = await scoringConfigService.getScoringConfigVersion(tenantId, version);
+    
+    res.json(scoringConfig);
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not found')) {
+      logger.warn('Scoring configuration version not found', { version: req.params.version, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    
+    logger.error('Failed to retrieve scoring configuration version', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getScoringConfigVersion'
+    });
+    res.status(500).json({ error: 'Failed to retrieve scoring configuration version' });
+  }
+}
+
+/**
+ * Change the scoring configuration, creating a new version (tenant-aware)
+ */
+async function updateScoringConfig(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating scoring configuration', { sections: Object.keys(req.body || {}), tenantId });
+    
+    const scoringConfig = await scoringConfigService.updateScoringConfig(tenantId, req.body, req.user && req.user.id);
+    
+    logger.info('Scoring configuration updated successfully', { version: scoringConfig.version, tenantId });
+    res.json({ message: 'Scoring configuration updated successfully', scoring_config: scoringConfig });
+  } catch (error) {
+    if (error.message.includes('Validation failed')) {
+      logger.warn('Scoring configuration validation failed', {
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Failed to update scoring configuration', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'updateScoringConfig'
+    });
+    res.status(500).json({ error: 'Failed to update scoring configuration' });
+  }
+}
+
+/**
+ * Go back to the built-in scoring configuration, creating a new version (tenant-aware)
+ */
+async function resetScoringConfig(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Resetting scoring configuration', { tenantId });
+    
+    const scoringConfig = await scoringConfigService.resetScoringConfig(tenantId, req.user && req.user.id);
+    
+    logger.info('Scoring configuration reset successfully', { version: scoringConfig.version, tenantId });
+    res.json({ message: 'Scoring configuration reset successfully', scoring_config: scoringConfig });
+  } catch (error) {
+    logger.error('Failed to reset scoring configuration', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'resetScoringConfig'
+    });
+    res.status(500).json({ error: 'Failed to reset scoring configuration' });
+  }
+}
+
+module.exports = {
+  getScoringConfig,
+  getScoringConfigVersions,
+  getScoringDimensions,
+  getScoringConfigVersion,
+  updateScoringConfig,
+  resetScoringConfig
+};
\ No newline at end of file
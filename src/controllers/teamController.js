@@ -0,0 +1,196 @@
+const teamService = require('../services/teamService');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a service error is a validation error
+ * @param {Error} error - Error thrown by the service layer
+ * @returns {boolean} - Whether the error should be answered with 400
+ */
+function isValidationError(error) {
+  return error.message.includes('Validation failed') ||
+    error.message.includes('already exists') ||
+    error.message.includes('required');
+}
+
+/**
+ * Get all teams (tenant-aware)
+ */
+async function getTeams(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    const includeArchived = req.query.include_archived === 'true';
+    const departmentId = req.query.department_id;
+    logger.debug('Fetching all teams', { includeArchived, departmentId, tenantId });
+    
+    const teams = await teamService.listTeams(tenantId, { includeArchived, departmentId });
+    
+    logger.info('Successfully fetched teams', { count: teams.length, tenantId });
+    res.json(teams);
+  } catch (error) {
+    logger.error('Failed to retrieve teams', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getTeams'
+    });
+    res.status(500).json({ error: 'Failed to retrieve teams' });
+  }
+}
+
+/**
+ * Get team by ID (tenant-aware)
+ */
+async function getTeamById(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Fetching team by ID', { teamId: id, tenantId });
+    
+    const team = await teamService.getTeam(tenantId, id);
+    
+    logger.info('Successfully fetched team', { teamId: id, tenantId });
+    res.json(team);
+  } catch (error) {
+    if (error.message.includes('Team not found')) {
+      logger.warn('Team not found', { teamId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Team not found'
+      });
+    }
+    
+    logger.error('Failed to retrieve team', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getTeamById'
+    });
+    res.status(500).json({ error: 'Failed to retrieve team' });
+  }
+}
+
+/**
+ * Create new team (tenant-aware)
+ */
+async function createTeam(req, res) {
+  try {
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Creating new team', { teamId: req.body.team_id, tenantId });
+    
+    const team = await teamService.createTeam(tenantId, req.body || {});
+    
+    logger.info('Team created successfully', { teamId: team.team_id, tenantId });
+    res.status(201).json({ message: 'Team created successfully', team });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Team data validation failed', {
+        teamId: req.body.team_id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    logger.error('Failed to create team', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'createTeam'
+    });
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+}
+
+/**
+ * Update team, including archiving it with { "archived": true } (tenant-aware)
+ */
+async function updateTeam(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Updating team', { teamId: id, tenantId });
+    
+    const team = await teamService.updateTeam(tenantId, id, req.body || {});
+    
+    logger.info('Team updated successfully', { teamId: id, tenantId });
+    res.json({ message: 'Team updated successfully', team });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Team update validation failed', {
+        teamId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Team not found')) {
+      logger.warn('Team not found', { teamId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Team not found'
+      });
+    }
+    
+    logger.error('Failed to update team', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'updateTeam'
+    });
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+}
+
+/**
+ * Delete team that has no employees (tenant-aware)
+ */
+async function deleteTeam(req, res) {
+  try {
+    const { id } = req.params;
+    const tenantId = req.tenantId || 'default';
+    logger.debug('Deleting team', { teamId: id, tenantId });
+    
+    const team = await teamService.deleteTeam(tenantId, id);
+    
+    logger.info('Team deleted successfully', { teamId: id, tenantId });
+    res.json({ message: 'Team deleted successfully', team });
+  } catch (error) {
+    if (isValidationError(error)) {
+      logger.warn('Team deletion validation failed', {
+        teamId: req.params.id,
+        error: error.message,
+        tenantId: req.tenantId
+      });
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Team not found')) {
+      logger.warn('Team not found', { teamId: req.params.id, tenantId: req.tenantId });
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Team not found'
+      });
+    }
+    
+    logger.error('Failed to delete team', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'deleteTeam'
+    });
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+}
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
\ No newline at end of file
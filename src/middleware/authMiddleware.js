@@ -1,4 +1,7 @@
 const supabase = require('../utils/supabaseClient');
+const logger = require('../utils/logger');
+const { AuthenticationError, AuthorizationError } = require('../utils/customErrors');
+const { ROLES, getUserRole } = require('../utils/roles');
 
 /**
  * Authentication Middleware
@@ -26,16 +29,17 @@ async function authenticateToken(req, res, next) {
       return res.status(401).json({ error: 'Invalid token' });
     }
     
-    // Verify tenant ID matches request context
+    // Verify tenant ID matches request context (super admins may act on any tenant)
     const requestTenantId = req.tenantId || 'default';
     const userTenantId = data.user.user_metadata?.tenant_id || 'default';
     
-    if (requestTenantId !== userTenantId) {
+    if (requestTenantId !== userTenantId && getUserRole(data.user) !== ROLES.SUPER_ADMIN) {
       return res.status(403).json({ error: 'Access denied: Tenant mismatch' });
     }
     
-    // Attach user information to request object
+    // Attach user information and the verified token (used by logout) to request object
     req.user = data.user;
+    req.accessToken = token;
     
     next();
   } catch (error) {
@@ -43,4 +47,37 @@ async function authenticateToken(req, res, next) {
   }
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+/**
+ * Authorization Middleware
+ * Restrict a route to the given roles; use after authenticateToken.
+ * Super admins are always allowed. With no roles, any authenticated user is allowed.
+ * Denials are passed to the error handler as AuthorizationError (403).
+ * @param {...string} roles - Roles allowed to call the route
+ * @returns {Function} - Express middleware
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError('Authentication required'));
+    }
+    
+    const role = getUserRole(req.user);
+    
+    if (role === ROLES.SUPER_ADMIN || roles.length === 0 || roles.includes(role)) {
+      req.userRole = role;
+      return next();
+    }
+    
+    logger.warn('Access denied for role', { 
+      userId: req.user.id, 
+      role, 
+      allowedRoles: roles, 
+      method: req.method, 
+      url: req.originalUrl, 
+      tenantId: req.tenantId 
+    });
+    next(new AuthorizationError(`Access denied: requires one of the roles ${roles.join(', ')}`));
+  };
+}
+
+module.exports = { authenticateToken, authorize };
\ No newline at end of file
@@ -5,7 +5,8 @@ const {
   AuthorizationError,
   NotFoundError,
   DatabaseError,
-  FileLockError
+  FileLockError,
+  RateLimitError
 } = require('../utils/customErrors');
 
 /**
@@ -54,6 +55,16 @@ function errorHandler(err, req, res, next) {
     });
   }
 
+  if (err instanceof RateLimitError) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({
+      error: 'Too Many Requests',
+      message: err.message,
+      limit: err.limit,
+      retry_after: err.retryAfter
+    });
+  }
+
   if (err instanceof DatabaseError || err instanceof FileLockError) {
     return res.status(500).json({
       error: 'Database Error',
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
 
 /**
  * Tenant Resolution Middleware
@@ -91,9 +91,10 @@ function extractSubdomain(host) {
  */
 async function setTenantContext(tenantId) {
   try {
-    // Call the Supabase RPC function to set tenant context
+    // Call the RPC function to set tenant context
     // This will be used by RLS policies to enforce tenant isolation
-    await supabase.rpc('set_tenant_context', { tenant_id: tenantId });
+    // (the CSV storage backend isolates tenants by directory and ignores it)
+    await storage.rpc('set_tenant_context', { tenant_id: tenantId });
   } catch (error) {
     logger.error('Error setting tenant context', { 
       tenantId,
@@ -55,18 +55,38 @@ function validateEmployeeId(req, res, next) {
 
 /**
  * Validate interaction data
+ * The sender is from_employee_id, with recipients in to_employee_id or a to_employee_ids list;
+ * an interaction with only an employee_id is recorded as the employee's own
  */
 function validateInteraction(req, res, next) {
-  const { employee_id, type, content } = req.body;
+  const { employee_id, from_employee_id, to_employee_id, to_employee_ids, type, content } = req.body;
+  const senderId = from_employee_id || employee_id;
   
-  if (!employee_id) {
+  if (!senderId) {
     return res.status(400).json({ error: 'Employee ID is required' });
   }
   
-  if (!isValidUUID(employee_id)) {
+  if (!isValidUUID(senderId)) {
     return res.status(400).json({ error: 'Invalid employee ID format' });
   }
   
+  if (to_employee_id !== undefined && to_employee_ids !== undefined) {
+    return res.status(400).json({ error: 'Give only one of to_employee_id or to_employee_ids' });
+  }
+  
+  if (to_employee_ids !== undefined &&
+      (!Array.isArray(to_employee_ids) || to_employee_ids.length === 0 || !to_employee_ids.every(isValidUUID))) {
+    return res.status(400).json({ error: 'To employee IDs must be a non-empty list of employee IDs' });
+  }
+  
+  if (to_employee_id !== undefined && !isValidUUID(to_employee_id)) {
+    return res.status(400).json({ error: 'Invalid to employee ID format' });
+  }
+  
+  if (from_employee_id && to_employee_id === undefined && to_employee_ids === undefined) {
+    return res.status(400).json({ error: 'To employee ID is required' });
+  }
+  
   if (!type) {
     return res.status(400).json({ error: 'Interaction type is required' });
   }
@@ -80,9 +100,10 @@ function validateInteraction(req, res, next) {
 
 /**
  * Validate kudos data
+ * Recipients are one of: to_employee_id, a to_employee_ids list or a whole to_team_id
  */
 function validateKudos(req, res, next) {
-  const { from_employee_id, to_employee_id, message } = req.body;
+  const { from_employee_id, to_employee_id, to_employee_ids, to_team_id, message } = req.body;
   
   if (!from_employee_id) {
     return res.status(400).json({ error: 'From employee ID is required' });
@@ -92,16 +113,39 @@ function validateKudos(req, res, next) {
     return res.status(400).json({ error: 'Invalid from employee ID format' });
   }
   
-  if (!to_employee_id) {
-    return res.status(400).json({ error: 'To employee ID is required' });
-  }
-  
-  if (!isValidUUID(to_employee_id)) {
-    return res.status(400).json({ error: 'Invalid to employee ID format' });
-  }
-  
-  if (from_employee_id === to_employee_id) {
-    return res.status(400).json({ error: 'Cannot give kudos to yourself' });
+  const recipientFields = [to_employee_id, to_employee_ids, to_team_id].filter(field => field !== undefined);
+  if (recipientFields.length > 1) {
+    return res.status(400).json({ error: 'Give kudos to only one of to_employee_id, to_employee_ids or to_team_id' });
+  }
+  
+  if (to_employee_ids !== undefined) {
+    if (!Array.isArray(to_employee_ids) || to_employee_ids.length === 0) {
+      return res.status(400).json({ error: 'To employee IDs must be a non-empty list' });
+    }
+    
+    if (!to_employee_ids.every(isValidUUID)) {
+      return res.status(400).json({ error: 'Invalid to employee ID format' });
+    }
+    
+    if (to_employee_ids.includes(from_employee_id)) {
+      return res.status(400).json({ error: 'Cannot give kudos to yourself' });
+    }
+  } else if (to_team_id !== undefined) {
+    if (!to_team_id || typeof to_team_id !== 'string') {
+      return res.status(400).json({ error: 'To team ID is required' });
+    }
+  } else {
+    if (!to_employee_id) {
+      return res.status(400).json({ error: 'To employee ID is required' });
+    }
+    
+    if (!isValidUUID(to_employee_id)) {
+      return res.status(400).json({ error: 'Invalid to employee ID format' });
+    }
+    
+    if (from_employee_id === to_employee_id) {
+      return res.status(400).json({ error: 'Cannot give kudos to yourself' });
+    }
   }
   
   if (!message) {
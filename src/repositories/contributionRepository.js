@@ -1,26 +1,72 @@
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
 
 async function getContributionsByEmployeeId(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('contributions')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('employee_id', employeeId)
-    .order('calculated_at', { ascending: false });
+  const { data, error } = await storage.select('contributions', {
+    filters: { tenant_id: tenantId, employee_id: employeeId },
+    order: { column: 'calculated_at', ascending: false }
+  });
   
   if (error) throw new Error(error.message);
   return data;
 }
 
+/**
+ * Get a page of the contributions of a group of employees
+ * @param {string} tenantId - The tenant ID
+ * @param {Array<string>} employeeIds - The employees' IDs
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Contributions per page (default: 100)
+ * @returns {Promise<Object>} - Contributions, newest first, and pagination
+ */
+async function getContributionsByEmployeeIds(tenantId, employeeIds, page = 1, limit = 100) {
+  const offset = (page - 1) * limit;
+  
+  const { data, error, count } = await storage.select('contributions', {
+    filters: { tenant_id: tenantId },
+    in: { employee_id: employeeIds },
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'calculated_at', ascending: false }, { column: 'id', ascending: true }]
+  });
+  
+  if (error) throw new Error(error.message);
+  
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Get one contribution by its row ID
+ * @param {string} tenantId - The tenant ID
+ * @param {string} contributionId - The contribution's row ID
+ * @returns {Promise<Object|null>} - Contribution, null when it does not exist
+ */
+async function getContributionById(tenantId, contributionId) {
+  const { data, error } = await storage.select('contributions', {
+    filters: { tenant_id: tenantId, id: contributionId },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
 async function getContributions(tenantId, page = 1, limit = 100) {
   const offset = (page - 1) * limit;
   
-  const { data, error, count } = await supabase
-    .from('contributions')
-    .select('*', { count: 'exact' })
-    .eq('tenant_id', tenantId)
-    .range(offset, offset + limit - 1)
-    .order('calculated_at', { ascending: false });
+  const { data, error, count } = await storage.select('contributions', {
+    filters: { tenant_id: tenantId },
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'calculated_at', ascending: false }, { column: 'id', ascending: true }]
+  });
   
   if (error) throw new Error(error.message);
   
@@ -36,34 +82,59 @@ async function getContributions(tenantId, page = 1, limit = 100) {
 }
 
 async function createContribution(tenantId, contributionData) {
-  const { data, error } = await supabase
-    .from('contributions')
-    .insert([{ 
-      ...contributionData, 
-      tenant_id: tenantId
-    }])
-    .select();
+  const { data, error } = await storage.insert('contributions', [{ 
+    ...contributionData, 
+    tenant_id: tenantId
+  }]);
   
   if (error) throw new Error(error.message);
   return data[0];
 }
 
+/**
+ * Store several contributions in one insert
+ * @param {string} tenantId - The tenant ID
+ * @param {Array} contributions - Contribution data
+ * @returns {Promise<Array>} - Created contributions
+ */
+async function createContributions(tenantId, contributions) {
+  const { data, error } = await storage.insert('contributions', contributions.map(contribution => ({
+    ...contribution,
+    tenant_id: tenantId
+  })));
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
 async function getLatestContribution(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('contributions')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('employee_id', employeeId)
-    .order('calculated_at', { ascending: false })
-    .limit(1);
+  const { data, error } = await storage.select('contributions', {
+    filters: { tenant_id: tenantId, employee_id: employeeId },
+    order: { column: 'calculated_at', ascending: false },
+    limit: 1
+  });
   
   if (error) throw new Error(error.message);
   return data[0] || null;
 }
 
+async function deleteContributionsByEmployeeId(tenantId, employeeId) {
+  const { data, error } = await storage.remove('contributions', {
+    tenant_id: tenantId,
+    employee_id: employeeId
+  });
+  
+  if (error) throw new Error(error.message);
+  return data.length;
+}
+
 module.exports = {
   getContributionsByEmployeeId,
+  getContributionsByEmployeeIds,
+  getContributionById,
   getContributions,
   createContribution,
-  getLatestContribution
+  createContributions,
+  getLatestContribution,
+  deleteContributionsByEmployeeId
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const storage = require('../storage');
+
+/**
+ * Department Repository
+ * Handles database operations for a tenant's departments
+ */
+
+/**
+ * Get all departments for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeArchived - Include archived departments (default: false)
+ * @param {string} options.parentId - Only sub-departments of this department
+ * @returns {Promise<Array>} - Departments ordered by name
+ */
+async function getDepartments(tenantId, options = {}) {
+  const filters = { tenant_id: tenantId };
+  
+  if (!options.includeArchived) {
+    filters.archived = false;
+  }
+  
+  if (options.parentId) {
+    filters.parent_department_id = options.parentId;
+  }
+  
+  const { data, error } = await storage.select('departments', {
+    filters,
+    order: { column: 'name', ascending: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get department by ID for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @returns {Promise<Object>} - Department data
+ */
+async function getDepartmentById(tenantId, departmentId) {
+  const { data, error } = await storage.select('departments', {
+    filters: { tenant_id: tenantId, department_id: departmentId },
+    single: true
+  });
+  
+  // Keep the PostgREST error code so callers can tell "no rows" apart from failures
+  if (error) throw Object.assign(new Error(error.message), { code: error.code });
+  return data;
+}
+
+/**
+ * Create a new department
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} departmentData - Department data
+ * @returns {Promise<Object>} - Created department data
+ */
+async function createDepartment(tenantId, departmentData) {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await storage.insert('departments', [{
+    archived: false,
+    ...departmentData,
+    tenant_id: tenantId,
+    created_at: now,
+    updated_at: now
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Update a department
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @param {Object} departmentData - Department data to update
+ * @returns {Promise<Object>} - Updated department data
+ */
+async function updateDepartment(tenantId, departmentId, departmentData) {
+  const { data, error } = await storage.update(
+    'departments',
+    { tenant_id: tenantId, department_id: departmentId },
+    { ...departmentData, updated_at: new Date().toISOString() }
+  );
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Delete a department
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @returns {Promise<Object>} - Deleted department data
+ */
+async function deleteDepartment(tenantId, departmentId) {
+  const { data, error } = await storage.remove('departments', {
+    tenant_id: tenantId,
+    department_id: departmentId
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+module.exports = {
+  getDepartments,
+  getDepartmentById,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+};
\ No newline at end of file
@@ -1,4 +1,5 @@
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
+const { containsPattern } = require('../utils/sqlPattern');
 // Removed bcrypt import as it's no longer needed
 
 /**
@@ -6,16 +7,69 @@ const supabase = require('../utils/supabaseClient');
  * @param {string} tenantId - The tenant ID
  * @param {number} page - Page number (default: 1)
  * @param {number} limit - Number of records per page (default: 10)
+ * @param {Object} options - Query options
+ * @param {boolean} options.activeOnly - Exclude soft-deleted employees (default: false)
  * @returns {Promise<Object>} - Object containing employee data and pagination info
  */
-async function getEmployees(tenantId, page = 1, limit = 10) {
+async function getEmployees(tenantId, page = 1, limit = 10, options = {}) {
   const offset = (page - 1) * limit;
+  const filters = { tenant_id: tenantId };
   
-  const { data, error, count } = await supabase
-    .from('employees')
-    .select('*', { count: 'exact' })
-    .eq('tenant_id', tenantId)
-    .range(offset, offset + limit - 1);
+  if (options.activeOnly) {
+    filters.deleted_at = null;
+  }
+  
+  const { data, error, count } = await storage.select('employees', {
+    filters,
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+  });
+  
+  if (error) throw new Error(error.message);
+  
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      totalCount: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Search employees for a tenant with pagination
+ * Each criterion is a case-insensitive "contains" match; criteria are combined with AND
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} criteria - Search criteria (name, email, team, department)
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Number of records per page (default: 10)
+ * @param {Object} options - Query options
+ * @param {boolean} options.activeOnly - Exclude soft-deleted employees (default: false)
+ * @returns {Promise<Object>} - Object containing employee data and pagination info
+ */
+async function searchEmployees(tenantId, criteria = {}, page = 1, limit = 10, options = {}) {
+  const offset = (page - 1) * limit;
+  const filters = { tenant_id: tenantId };
+  const ilike = {};
+  
+  if (options.activeOnly) {
+    filters.deleted_at = null;
+  }
+  
+  Object.entries(criteria).forEach(([column, value]) => {
+    ilike[column] = containsPattern(value);
+  });
+  
+  const { data, error, count } = await storage.select('employees', {
+    filters,
+    ilike,
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'name', ascending: true }, { column: 'id', ascending: true }]
+  });
   
   if (error) throw new Error(error.message);
   
@@ -37,14 +91,13 @@ async function getEmployees(tenantId, page = 1, limit = 10) {
  * @returns {Promise<Object>} - Employee data
  */
 async function getEmployeeById(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('employees')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('employee_id', employeeId)
-    .single();
+  const { data, error } = await storage.select('employees', {
+    filters: { tenant_id: tenantId, employee_id: employeeId },
+    single: true
+  });
   
-  if (error) throw new Error(error.message);
+  // Keep the PostgREST error code so callers can tell "no rows" apart from failures
+  if (error) throw Object.assign(new Error(error.message), { code: error.code });
   return data;
 }
 
@@ -55,14 +108,13 @@ async function getEmployeeById(tenantId, employeeId) {
  * @returns {Promise<Object>} - Employee data
  */
 async function getEmployeeByEmail(tenantId, email) {
-  const { data, error } = await supabase
-    .from('employees')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('email', email)
-    .single();
+  const { data, error } = await storage.select('employees', {
+    filters: { tenant_id: tenantId, email },
+    single: true
+  });
   
-  if (error) throw new Error(error.message);
+  // Keep the PostgREST error code so callers can tell "no rows" apart from failures
+  if (error) throw Object.assign(new Error(error.message), { code: error.code });
   return data;
 }
 
@@ -76,13 +128,10 @@ async function createEmployee(tenantId, employeeData) {
   // Remove password from employee data as it's handled by Supabase Auth
   const { password, ...employeeWithoutPassword } = employeeData;
   
-  const { data, error } = await supabase
-    .from('employees')
-    .insert([{ 
-      ...employeeWithoutPassword, 
-      tenant_id: tenantId
-    }])
-    .select();
+  const { data, error } = await storage.insert('employees', [{ 
+    ...employeeWithoutPassword, 
+    tenant_id: tenantId
+  }]);
   
   if (error) throw new Error(error.message);
   
@@ -101,12 +150,11 @@ async function updateEmployee(tenantId, employeeId, employeeData) {
   // Remove password from update data if provided
   const { password, ...updateData } = employeeData;
   
-  const { data, error } = await supabase
-    .from('employees')
-    .update(updateData)
-    .eq('tenant_id', tenantId)
-    .eq('employee_id', employeeId)
-    .select();
+  const { data, error } = await storage.update(
+    'employees',
+    { tenant_id: tenantId, employee_id: employeeId },
+    updateData
+  );
   
   if (error) throw new Error(error.message);
   
@@ -120,17 +168,70 @@ async function updateEmployee(tenantId, employeeId, employeeData) {
  * @returns {Promise<Object>} - Deleted employee data
  */
 async function deleteEmployee(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('employees')
-    .delete()
-    .eq('tenant_id', tenantId)
-    .eq('employee_id', employeeId)
-    .select();
+  const { data, error } = await storage.remove('employees', {
+    tenant_id: tenantId,
+    employee_id: employeeId
+  });
   
   if (error) throw new Error(error.message);
   return data[0];
 }
 
+/**
+ * Soft-delete an employee by stamping deleted_at
+ * The record and its history are kept but hidden from active listings
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @returns {Promise<Object>} - Soft-deleted employee data
+ */
+async function softDeleteEmployee(tenantId, employeeId) {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await storage.update(
+    'employees',
+    { tenant_id: tenantId, employee_id: employeeId },
+    { deleted_at: now, updated_at: now }
+  );
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Move the direct reports of one manager to another manager
+ * @param {string} tenantId - The tenant ID
+ * @param {string} managerId - The current manager's employee ID
+ * @param {string|null} newManagerId - The new manager's employee ID (null for none)
+ * @returns {Promise<number>} - Number of employees moved
+ */
+async function reassignDirectReports(tenantId, managerId, newManagerId) {
+  const { data, error } = await storage.update(
+    'employees',
+    { tenant_id: tenantId, manager_id: managerId },
+    { manager_id: newManagerId, updated_at: new Date().toISOString() }
+  );
+  
+  if (error) throw new Error(error.message);
+  return data.length;
+}
+
+/**
+ * Count the active (not soft-deleted) employees of a tenant matching the given columns
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} filters - Map of column name to expected value (e.g. { team: 'platform' })
+ * @returns {Promise<number>} - Number of matching employees
+ */
+async function countEmployees(tenantId, filters = {}) {
+  const { error, count } = await storage.select('employees', {
+    filters: { ...filters, tenant_id: tenantId, deleted_at: null },
+    count: 'exact',
+    range: { from: 0, to: 0 }
+  });
+  
+  if (error) throw new Error(error.message);
+  return count;
+}
+
 /**
  * Check if employee ID already exists for a tenant
  * @param {string} tenantId - The tenant ID
@@ -142,8 +243,8 @@ async function employeeIdExists(tenantId, employeeId) {
     const employee = await getEmployeeById(tenantId, employeeId);
     return !!employee;
   } catch (error) {
-    // If error is "not found", return false
-    if (error.message.includes('not found')) {
+    // If error is "not found" (PGRST116 is "no rows found"), return false
+    if (error.code === 'PGRST116' || error.message.includes('not found')) {
       return false;
     }
     // Re-throw other errors
@@ -162,8 +263,8 @@ async function emailExists(tenantId, email) {
     const employee = await getEmployeeByEmail(tenantId, email);
     return !!employee;
   } catch (error) {
-    // If error is "not found", return false
-    if (error.message.includes('not found')) {
+    // If error is "not found" (PGRST116 is "no rows found"), return false
+    if (error.code === 'PGRST116' || error.message.includes('not found')) {
       return false;
     }
     // Re-throw other errors
@@ -173,11 +274,15 @@ async function emailExists(tenantId, email) {
 
 module.exports = {
   getEmployees,
+  searchEmployees,
   getEmployeeById,
   getEmployeeByEmail,
   createEmployee,
   updateEmployee,
   deleteEmployee,
+  softDeleteEmployee,
+  reassignDirectReports,
+  countEmployees,
   employeeIdExists,
   emailExists
 };
\ No newline at end of file
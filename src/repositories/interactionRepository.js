@@ -1,13 +1,18 @@
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
+const { getRecipients, isRecipient } = require('../utils/recipients');
+
+// Which side of an interaction an employee is on when listing their interactions
+const INTERACTION_DIRECTIONS = ['sent', 'received', 'both'];
 
 async function getInteractions(tenantId, page = 1, limit = 10) {
   const offset = (page - 1) * limit;
   
-  const { data, error, count } = await supabase
-    .from('interactions')
-    .select('*', { count: 'exact' })
-    .eq('tenant_id', tenantId)
-    .range(offset, offset + limit - 1);
+  const { data, error, count } = await storage.select('interactions', {
+    filters: { tenant_id: tenantId },
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+  });
   
   if (error) throw new Error(error.message);
   
@@ -22,32 +27,212 @@ async function getInteractions(tenantId, page = 1, limit = 10) {
   };
 }
 
-async function getInteractionsByEmployeeId(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('interactions')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('to_employee_id', employeeId);
+/**
+ * Get the interactions of an employee
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @param {string} direction - sent, received (default; including interactions with several
+ *   recipients the employee is one of) or both
+ * @returns {Promise<Array>} - Interactions of the employee, each listed once
+ */
+async function getInteractionsByEmployeeId(tenantId, employeeId, direction = 'received') {
+  const interactions = [];
+  
+  if (direction === 'sent' || direction === 'both') {
+    const { data, error } = await storage.select('interactions', {
+      filters: { tenant_id: tenantId, from_employee_id: employeeId }
+    });
+    if (error) throw new Error(error.message);
+    interactions.push(...data);
+  }
+  
+  if (direction === 'received' || direction === 'both') {
+    const { data, error } = await storage.select('interactions', {
+      filters: { tenant_id: tenantId, to_employee_id: employeeId }
+    });
+    if (error) throw new Error(error.message);
+    
+    // Group interactions name only their first recipient in to_employee_id
+    const groupInteractions = (await getGroupInteractions(tenantId))
+      .filter(interaction => interaction.to_employee_id !== employeeId && isRecipient(interaction, employeeId));
+    interactions.push(...data, ...groupInteractions);
+  }
+  
+  // Interactions an employee recorded with themselves are both sent and received
+  const seen = new Set();
+  return interactions.filter(interaction => {
+    if (interaction.id === undefined) return true;
+    if (seen.has(interaction.id)) return false;
+    seen.add(interaction.id);
+    return true;
+  });
+}
+
+/**
+ * Get all interactions with several recipients of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Group interactions
+ */
+async function getGroupInteractions(tenantId) {
+  const { data, error } = await storage.select('interactions', {
+    filters: { tenant_id: tenantId, is_group: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get an interaction by its ID
+ * @param {string} tenantId - The tenant ID
+ * @param {string} id - The interaction ID
+ * @returns {Promise<Object|null>} - The interaction, null when it does not exist
+ */
+async function getInteractionById(tenantId, id) {
+  const { data, error } = await storage.select('interactions', {
+    filters: { tenant_id: tenantId, id },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
+/**
+ * Get the interactions of a thread, oldest first
+ * @param {string} tenantId - The tenant ID
+ * @param {string} threadId - The thread ID
+ * @returns {Promise<Array>} - Interactions of the thread
+ */
+async function getInteractionsByThreadId(tenantId, threadId) {
+  const { data, error } = await storage.select('interactions', {
+    filters: { tenant_id: tenantId, thread_id: threadId },
+    order: { column: 'timestamp', ascending: true }
+  });
   
   if (error) throw new Error(error.message);
   return data;
 }
 
 async function createInteraction(tenantId, interactionData) {
-  const { data, error } = await supabase
-    .from('interactions')
-    .insert([{ 
-      ...interactionData, 
-      tenant_id: tenantId
-    }])
-    .select();
+  const { data, error } = await storage.insert('interactions', [{ 
+    ...interactionData, 
+    tenant_id: tenantId
+  }]);
   
   if (error) throw new Error(error.message);
   return data[0];
 }
 
+/**
+ * Change the recipients of group interactions, deleting the ones left without recipients
+ * @param {string} tenantId - The tenant ID
+ * @param {Function} changeRecipients - Called with each group interaction; returns its new
+ *   recipients, or null to leave it unchanged
+ * @returns {Promise<Object>} - Counts of updated and deleted interactions
+ */
+async function updateGroupRecipients(tenantId, changeRecipients) {
+  let updated = 0;
+  let deleted = 0;
+  
+  for (const interaction of await getGroupInteractions(tenantId)) {
+    const recipients = changeRecipients(interaction);
+    if (!recipients) continue;
+    
+    if (recipients.length === 0) {
+      const { data, error } = await storage.remove('interactions', { tenant_id: tenantId, id: interaction.id });
+      if (error) throw new Error(error.message);
+      deleted += data.length;
+    } else {
+      const { data, error } = await storage.update(
+        'interactions',
+        { tenant_id: tenantId, id: interaction.id },
+        { recipient_ids: recipients, to_employee_id: recipients[0] }
+      );
+      if (error) throw new Error(error.message);
+      updated += data.length;
+    }
+  }
+  
+  return { updated, deleted };
+}
+
+/**
+ * Delete all interactions sent or received by an employee
+ * Group interactions the employee received stay with their other recipients
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @returns {Promise<number>} - Number of deleted records
+ */
+async function deleteInteractionsByEmployeeId(tenantId, employeeId) {
+  const groups = await updateGroupRecipients(tenantId, interaction =>
+    interaction.from_employee_id !== employeeId && isRecipient(interaction, employeeId)
+      ? getRecipients(interaction).filter(recipient => recipient !== employeeId)
+      : null);
+  let deleted = groups.deleted;
+  
+  for (const column of ['from_employee_id', 'to_employee_id']) {
+    const { data, error } = await storage.remove('interactions', { tenant_id: tenantId, [column]: employeeId });
+    if (error) throw new Error(error.message);
+    deleted += data.length;
+  }
+  
+  return deleted;
+}
+
+/**
+ * Move all interactions of one employee to another employee
+ * Interactions exchanged between the two employees are deleted first so that
+ * reassignment never produces records an employee sent to themselves
+ * @param {string} tenantId - The tenant ID
+ * @param {string} fromEmployeeId - The employee whose records are moved
+ * @param {string} toEmployeeId - The employee receiving the records
+ * @returns {Promise<Object>} - Counts of reassigned and deleted records
+ */
+async function reassignInteractions(tenantId, fromEmployeeId, toEmployeeId) {
+  // Swap the recipients of group interactions, leaving out whoever ends up as the sender
+  const groups = await updateGroupRecipients(tenantId, interaction => {
+    const recipients = getRecipients(interaction);
+    const sender = interaction.from_employee_id === fromEmployeeId ? toEmployeeId : interaction.from_employee_id;
+    if (!recipients.includes(fromEmployeeId) && !recipients.includes(sender)) return null;
+    
+    return [...new Set(recipients.map(recipient => recipient === fromEmployeeId ? toEmployeeId : recipient))]
+      .filter(recipient => recipient !== sender);
+  });
+  let deleted = groups.deleted;
+  let reassigned = groups.updated;
+  
+  const pairs = [[fromEmployeeId, toEmployeeId], [toEmployeeId, fromEmployeeId]];
+  for (const [sender, recipient] of pairs) {
+    const { data, error } = await storage.remove('interactions', {
+      tenant_id: tenantId,
+      from_employee_id: sender,
+      to_employee_id: recipient
+    });
+    if (error) throw new Error(error.message);
+    deleted += data.length;
+  }
+  
+  for (const column of ['from_employee_id', 'to_employee_id']) {
+    const { data, error } = await storage.update(
+      'interactions',
+      { tenant_id: tenantId, [column]: fromEmployeeId },
+      { [column]: toEmployeeId }
+    );
+    if (error) throw new Error(error.message);
+    reassigned += data.length;
+  }
+  
+  return { reassigned, deleted };
+}
+
 module.exports = {
+  INTERACTION_DIRECTIONS,
   getInteractions,
   getInteractionsByEmployeeId,
-  createInteraction
+  getInteractionById,
+  getInteractionsByThreadId,
+  createInteraction,
+  deleteInteractionsByEmployeeId,
+  reassignInteractions
 };
\ No newline at end of file
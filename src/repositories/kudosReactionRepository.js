@@ -0,0 +1,80 @@
+const storage = require('../storage');
+
+/**
+ * Kudos Reaction Repository
+ * Handles reactions employees add to kudos (one row per employee, kudos and reaction)
+ */
+
+/**
+ * Get all reactions of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Reactions
+ */
+async function getReactions(tenantId) {
+  const { data, error } = await storage.select('kudos_reactions', {
+    filters: { tenant_id: tenantId }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get the reactions to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @returns {Promise<Array>} - Reactions, oldest first
+ */
+async function getReactionsByKudosId(tenantId, kudosId) {
+  const { data, error } = await storage.select('kudos_reactions', {
+    filters: { tenant_id: tenantId, kudos_id: kudosId },
+    order: { column: 'created_at', ascending: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Store a reaction to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} reactionData - Reaction data (kudos_id, employee_id, reaction)
+ * @returns {Promise<Object>} - Created reaction
+ */
+async function createReaction(tenantId, reactionData) {
+  const { data, error } = await storage.insert('kudos_reactions', [{
+    ...reactionData,
+    tenant_id: tenantId,
+    created_at: new Date().toISOString()
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Remove an employee's reaction to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @param {string} employeeId - The reacting employee ID
+ * @param {string} reaction - The reaction
+ * @returns {Promise<number>} - Number of removed reactions
+ */
+async function deleteReaction(tenantId, kudosId, employeeId, reaction) {
+  const { data, error } = await storage.remove('kudos_reactions', {
+    tenant_id: tenantId,
+    kudos_id: kudosId,
+    employee_id: employeeId,
+    reaction
+  });
+  
+  if (error) throw new Error(error.message);
+  return data.length;
+}
+
+module.exports = {
+  getReactions,
+  getReactionsByKudosId,
+  createReaction,
+  deleteReaction
+};
\ No newline at end of file
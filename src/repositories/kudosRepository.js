@@ -1,13 +1,15 @@
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
+const { getRecipients, isRecipient } = require('../utils/recipients');
 
 async function getKudos(tenantId, page = 1, limit = 10) {
   const offset = (page - 1) * limit;
   
-  const { data, error, count } = await supabase
-    .from('kudos')
-    .select('*', { count: 'exact' })
-    .eq('tenant_id', tenantId)
-    .range(offset, offset + limit - 1);
+  const { data, error, count } = await storage.select('kudos', {
+    filters: { tenant_id: tenantId },
+    count: 'exact',
+    range: { from: offset, to: offset + limit - 1 },
+    order: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+  });
   
   if (error) throw new Error(error.message);
   
@@ -22,32 +24,190 @@ async function getKudos(tenantId, page = 1, limit = 10) {
   };
 }
 
+/**
+ * Get all kudos received by an employee, including group kudos they are one of the recipients of
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The receiving employee ID
+ * @returns {Promise<Array>} - Kudos received by the employee
+ */
 async function getKudosByEmployeeId(tenantId, employeeId) {
-  const { data, error } = await supabase
-    .from('kudos')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .eq('to_employee_id', employeeId);
+  const { data, error } = await storage.select('kudos', {
+    filters: { tenant_id: tenantId, to_employee_id: employeeId }
+  });
+  
+  if (error) throw new Error(error.message);
+  
+  // Group kudos name only their first recipient in to_employee_id
+  const groupKudos = (await getGroupKudos(tenantId))
+    .filter(kudos => kudos.to_employee_id !== employeeId && isRecipient(kudos, employeeId));
+  
+  return [...data, ...groupKudos];
+}
+
+/**
+ * Get all group kudos of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Kudos given to several employees at once
+ */
+async function getGroupKudos(tenantId) {
+  const { data, error } = await storage.select('kudos', {
+    filters: { tenant_id: tenantId, is_group: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get one kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @returns {Promise<Object|null>} - Kudos, null when it does not exist
+ */
+async function getKudosById(tenantId, kudosId) {
+  const { data, error } = await storage.select('kudos', {
+    filters: { tenant_id: tenantId, id: kudosId },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
+/**
+ * Get all kudos sent by an employee
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The sending employee ID
+ * @returns {Promise<Array>} - Kudos sent by the employee
+ */
+async function getKudosBySenderId(tenantId, employeeId) {
+  const { data, error } = await storage.select('kudos', {
+    filters: { tenant_id: tenantId, from_employee_id: employeeId }
+  });
   
   if (error) throw new Error(error.message);
   return data;
 }
 
 async function createKudos(tenantId, kudosData) {
-  const { data, error } = await supabase
-    .from('kudos')
-    .insert([{ 
-      ...kudosData, 
-      tenant_id: tenantId
-    }])
-    .select();
+  const { data, error } = await storage.insert('kudos', [{ 
+    ...kudosData, 
+    tenant_id: tenantId
+  }]);
   
   if (error) throw new Error(error.message);
   return data[0];
 }
 
+/**
+ * Change the recipients of group kudos, deleting the ones left without recipients
+ * @param {string} tenantId - The tenant ID
+ * @param {Function} changeRecipients - Called with each group kudos; returns its new recipients,
+ *   or null to leave it unchanged
+ * @returns {Promise<Object>} - Counts of updated and deleted kudos
+ */
+async function updateGroupRecipients(tenantId, changeRecipients) {
+  let updated = 0;
+  let deleted = 0;
+  
+  for (const kudos of await getGroupKudos(tenantId)) {
+    const recipients = changeRecipients(kudos);
+    if (!recipients) continue;
+    
+    if (recipients.length === 0) {
+      const { data, error } = await storage.remove('kudos', { tenant_id: tenantId, id: kudos.id });
+      if (error) throw new Error(error.message);
+      deleted += data.length;
+    } else {
+      const { data, error } = await storage.update(
+        'kudos',
+        { tenant_id: tenantId, id: kudos.id },
+        { recipient_ids: recipients, to_employee_id: recipients[0] }
+      );
+      if (error) throw new Error(error.message);
+      updated += data.length;
+    }
+  }
+  
+  return { updated, deleted };
+}
+
+/**
+ * Delete all kudos sent or received by an employee
+ * Group kudos the employee received stay with their other recipients
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @returns {Promise<number>} - Number of deleted records
+ */
+async function deleteKudosByEmployeeId(tenantId, employeeId) {
+  // The employee leaves the group kudos they received; group kudos they were the only recipient of go
+  const groups = await updateGroupRecipients(tenantId, kudos =>
+    kudos.from_employee_id !== employeeId && isRecipient(kudos, employeeId)
+      ? getRecipients(kudos).filter(recipient => recipient !== employeeId)
+      : null);
+  let deleted = groups.deleted;
+  
+  for (const column of ['from_employee_id', 'to_employee_id']) {
+    const { data, error } = await storage.remove('kudos', { tenant_id: tenantId, [column]: employeeId });
+    if (error) throw new Error(error.message);
+    deleted += data.length;
+  }
+  
+  return deleted;
+}
+
+/**
+ * Move all kudos of one employee to another employee
+ * Kudos exchanged between the two employees are deleted first so that
+ * reassignment never produces records an employee sent to themselves
+ * @param {string} tenantId - The tenant ID
+ * @param {string} fromEmployeeId - The employee whose records are moved
+ * @param {string} toEmployeeId - The employee receiving the records
+ * @returns {Promise<Object>} - Counts of reassigned and deleted records
+ */
+async function reassignKudos(tenantId, fromEmployeeId, toEmployeeId) {
+  // Swap the recipients of group kudos, leaving out whoever ends up as the sender
+  const groups = await updateGroupRecipients(tenantId, kudos => {
+    const recipients = getRecipients(kudos);
+    const sender = kudos.from_employee_id === fromEmployeeId ? toEmployeeId : kudos.from_employee_id;
+    if (!recipients.includes(fromEmployeeId) && !recipients.includes(sender)) return null;
+    
+    return [...new Set(recipients.map(recipient => recipient === fromEmployeeId ? toEmployeeId : recipient))]
+      .filter(recipient => recipient !== sender);
+  });
+  let deleted = groups.deleted;
+  let reassigned = groups.updated;
+  
+  const pairs = [[fromEmployeeId, toEmployeeId], [toEmployeeId, fromEmployeeId]];
+  for (const [sender, recipient] of pairs) {
+    const { data, error } = await storage.remove('kudos', {
+      tenant_id: tenantId,
+      from_employee_id: sender,
+      to_employee_id: recipient
+    });
+    if (error) throw new Error(error.message);
+    deleted += data.length;
+  }
+  
+  for (const column of ['from_employee_id', 'to_employee_id']) {
+    const { data, error } = await storage.update(
+      'kudos',
+      { tenant_id: tenantId, [column]: fromEmployeeId },
+      { [column]: toEmployeeId }
+    );
+    if (error) throw new Error(error.message);
+    reassigned += data.length;
+  }
+  
+  return { reassigned, deleted };
+}
+
 module.exports = {
   getKudos,
   getKudosByEmployeeId,
-  createKudos
+  getKudosById,
+  getKudosBySenderId,
+  createKudos,
+  deleteKudosByEmployeeId,
+  reassignKudos
 };
\ No newline at end of file
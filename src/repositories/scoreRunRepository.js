@@ -0,0 +1,80 @@
+const storage = require('../storage');
+
+/**
+ * Score Run Repository
+ * Handles the run log of score recalculations (one row per tenant per run)
+ */
+
+/**
+ * Record the start of a recalculation run for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} runData - Run data (run_id, trigger, status, started_at)
+ * @returns {Promise<Object>} - Created run log entry
+ */
+async function createRun(tenantId, runData) {
+  const { data, error } = await storage.insert('score_recalculation_runs', [{
+    ...runData,
+    tenant_id: tenantId
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Update a tenant's run log entry
+ * @param {string} tenantId - The tenant ID
+ * @param {string} runId - The run ID
+ * @param {Object} runData - Run data to update
+ * @returns {Promise<Object>} - Updated run log entry
+ */
+async function updateRun(tenantId, runId, runData) {
+  const { data, error } = await storage.update(
+    'score_recalculation_runs',
+    { tenant_id: tenantId, run_id: runId },
+    runData
+  );
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Get every run log entry of a tenant that has a status
+ * @param {string} tenantId - The tenant ID
+ * @param {string} status - Status of the runs
+ * @returns {Promise<Array>} - Run log entries, oldest first
+ */
+async function getRunsByStatus(tenantId, status) {
+  const { data, error } = await storage.select('score_recalculation_runs', {
+    filters: { tenant_id: tenantId, status },
+    order: { column: 'started_at', ascending: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get the most recent runs for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {number} limit - Maximum number of runs (default: 10)
+ * @returns {Promise<Array>} - Run log entries, newest first
+ */
+async function getRecentRuns(tenantId, limit = 10) {
+  const { data, error } = await storage.select('score_recalculation_runs', {
+    filters: { tenant_id: tenantId },
+    order: { column: 'started_at', ascending: false },
+    limit
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+module.exports = {
+  createRun,
+  updateRun,
+  getRunsByStatus,
+  getRecentRuns
+};
\ No newline at end of file
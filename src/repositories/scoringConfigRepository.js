@@ -0,0 +1,77 @@
+const storage = require('../storage');
+
+/**
+ * Scoring Config Repository
+ * Handles the versions of each tenant's scoring configuration (every change is a new row)
+ */
+
+/**
+ * Get all configuration versions of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Configuration versions, newest first
+ */
+async function getConfigVersions(tenantId) {
+  const { data, error } = await storage.select('scoring_configs', {
+    filters: { tenant_id: tenantId },
+    order: { column: 'version', ascending: false }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get the newest configuration version of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object|null>} - Configuration version, null when the tenant has none
+ */
+async function getLatestConfig(tenantId) {
+  const { data, error } = await storage.select('scoring_configs', {
+    filters: { tenant_id: tenantId },
+    order: { column: 'version', ascending: false },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
+/**
+ * Get one configuration version of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {number} version - The version number
+ * @returns {Promise<Object|null>} - Configuration version, null when it does not exist
+ */
+async function getConfigByVersion(tenantId, version) {
+  const { data, error } = await storage.select('scoring_configs', {
+    filters: { tenant_id: tenantId, version },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
+/**
+ * Store a new configuration version
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} configData - Version data (version, config, created_by)
+ * @returns {Promise<Object>} - Created configuration version
+ */
+async function createConfigVersion(tenantId, configData) {
+  const { data, error } = await storage.insert('scoring_configs', [{
+    ...configData,
+    tenant_id: tenantId,
+    created_at: new Date().toISOString()
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+module.exports = {
+  getConfigVersions,
+  getLatestConfig,
+  getConfigByVersion,
+  createConfigVersion
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+const storage = require('../storage');
+
+/**
+ * Team Repository
+ * Handles database operations for a tenant's teams
+ */
+
+/**
+ * Get all teams for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeArchived - Include archived teams (default: false)
+ * @param {string} options.departmentId - Only teams of this department
+ * @returns {Promise<Array>} - Teams ordered by name
+ */
+async function getTeams(tenantId, options = {}) {
+  const filters = { tenant_id: tenantId };
+  
+  if (!options.includeArchived) {
+    filters.archived = false;
+  }
+  
+  if (options.departmentId) {
+    filters.department_id = options.departmentId;
+  }
+  
+  const { data, error } = await storage.select('teams', {
+    filters,
+    order: { column: 'name', ascending: true }
+  });
+  
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Get team by ID for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @returns {Promise<Object>} - Team data
+ */
+async function getTeamById(tenantId, teamId) {
+  const { data, error } = await storage.select('teams', {
+    filters: { tenant_id: tenantId, team_id: teamId },
+    single: true
+  });
+  
+  // Keep the PostgREST error code so callers can tell "no rows" apart from failures
+  if (error) throw Object.assign(new Error(error.message), { code: error.code });
+  return data;
+}
+
+/**
+ * Create a new team
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} teamData - Team data
+ * @returns {Promise<Object>} - Created team data
+ */
+async function createTeam(tenantId, teamData) {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await storage.insert('teams', [{
+    archived: false,
+    ...teamData,
+    tenant_id: tenantId,
+    created_at: now,
+    updated_at: now
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Update a team
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @param {Object} teamData - Team data to update
+ * @returns {Promise<Object>} - Updated team data
+ */
+async function updateTeam(tenantId, teamId, teamData) {
+  const { data, error } = await storage.update(
+    'teams',
+    { tenant_id: tenantId, team_id: teamId },
+    { ...teamData, updated_at: new Date().toISOString() }
+  );
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+/**
+ * Delete a team
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @returns {Promise<Object>} - Deleted team data
+ */
+async function deleteTeam(tenantId, teamId) {
+  const { data, error } = await storage.remove('teams', {
+    tenant_id: tenantId,
+    team_id: teamId
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
\ No newline at end of file
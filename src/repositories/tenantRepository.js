@@ -1,4 +1,4 @@
-const supabase = require('../utils/supabaseClient');
+const storage = require('../storage');
 
 /**
  * Tenant Repository
@@ -12,16 +12,13 @@ const supabase = require('../utils/supabaseClient');
  * @returns {Promise<Object>} - Created tenant record
  */
 async function createTenant(tenantId, tenantData = {}) {
-  const { data, error } = await supabase
-    .from('tenants')
-    .insert([{ 
-      tenant_id: tenantId,
-      name: tenantData.name || '',
-      description: tenantData.description || '',
-      contact_email: tenantData.contact_email || '',
-      created_at: new Date().toISOString()
-    }])
-    .select();
+  const { data, error } = await storage.insert('tenants', [{ 
+    tenant_id: tenantId,
+    name: tenantData.name || '',
+    description: tenantData.description || '',
+    contact_email: tenantData.contact_email || '',
+    created_at: new Date().toISOString()
+  }]);
   
   if (error) throw new Error(error.message);
   return data[0];
@@ -33,11 +30,10 @@ async function createTenant(tenantId, tenantData = {}) {
  * @returns {Promise<Object>} - Tenant information
  */
 async function getTenantById(tenantId) {
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', tenantId)
-    .single();
+  const { data, error } = await storage.select('tenants', {
+    filters: { tenant_id: tenantId },
+    single: true
+  });
   
   if (error) throw new Error(error.message);
   return data;
@@ -48,9 +44,7 @@ async function getTenantById(tenantId) {
  * @returns {Promise<Array>} - List of all tenants
  */
 async function listTenants() {
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('*');
+  const { data, error } = await storage.select('tenants');
   
   if (error) throw new Error(error.message);
   return data;
@@ -62,11 +56,7 @@ async function listTenants() {
  * @returns {Promise<Object>} - Deleted tenant record
  */
 async function deleteTenant(tenantId) {
-  const { data, error } = await supabase
-    .from('tenants')
-    .delete()
-    .eq('tenant_id', tenantId)
-    .select();
+  const { data, error } = await storage.remove('tenants', { tenant_id: tenantId });
   
   if (error) throw new Error(error.message);
   return data[0];
@@ -78,11 +68,11 @@ async function deleteTenant(tenantId) {
  * @returns {Promise<boolean>} - Whether the tenant exists
  */
 async function tenantExists(tenantId) {
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('tenant_id')
-    .eq('tenant_id', tenantId)
-    .single();
+  const { data, error } = await storage.select('tenants', {
+    columns: 'tenant_id',
+    filters: { tenant_id: tenantId },
+    single: true
+  });
   
   if (error && error.code !== 'PGRST116') { // PGRST116 is "no rows found"
     throw new Error(error.message);
@@ -0,0 +1,59 @@
+const storage = require('../storage');
+
+/**
+ * Tenant Settings Repository
+ * Handles per-tenant settings stored as one JSON value per key (e.g. kudos_budget)
+ */
+
+/**
+ * Get one setting of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {string} key - The setting key
+ * @returns {Promise<Object|null>} - Setting row, null when the tenant has not set it
+ */
+async function getSetting(tenantId, key) {
+  const { data, error } = await storage.select('tenant_settings', {
+    filters: { tenant_id: tenantId, key },
+    limit: 1
+  });
+  
+  if (error) throw new Error(error.message);
+  return data[0] || null;
+}
+
+/**
+ * Store one setting of a tenant, replacing its previous value
+ * @param {string} tenantId - The tenant ID
+ * @param {string} key - The setting key
+ * @param {Object} value - The setting value
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Promise<Object>} - Stored setting row
+ */
+async function saveSetting(tenantId, key, value, updatedBy) {
+  const changes = {
+    value,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  };
+  
+  const existing = await getSetting(tenantId, key);
+  if (existing) {
+    const { data, error } = await storage.update('tenant_settings', { tenant_id: tenantId, key }, changes);
+    if (error) throw new Error(error.message);
+    return data[0];
+  }
+  
+  const { data, error } = await storage.insert('tenant_settings', [{
+    ...changes,
+    tenant_id: tenantId,
+    key
+  }]);
+  
+  if (error) throw new Error(error.message);
+  return data[0];
+}
+
+module.exports = {
+  getSetting,
+  saveSetting
+};
\ No newline at end of file
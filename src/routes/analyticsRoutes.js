@@ -1,28 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 
 /**
  * Analytics Routes
  */
 
 // Get metrics for specific employee
-router.get('/employees/:id', authenticateToken, analyticsController.getEmployeeAnalytics);
+router.get('/employees/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getEmployeeAnalytics);
 
 // Get historical score trends for employee
-router.get('/employees/:id/history', authenticateToken, analyticsController.getEmployeeHistory);
+router.get('/employees/:id/history', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getEmployeeHistory);
 
-// Get metrics for specific team
-router.get('/teams/:teamId', authenticateToken, analyticsController.getTeamAnalytics);
+// Get the sentiment trend of an employee's interactions and kudos
+router.get('/employees/:id/sentiment', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getEmployeeSentiment);
 
-// Get metrics for specific department
-router.get('/departments/:deptId', authenticateToken, analyticsController.getDepartmentAnalytics);
+// Get metrics for specific team (managers and admins)
+router.get('/teams/:teamId', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getTeamAnalytics);
 
-// Get overall statistics
-router.get('/stats', authenticateToken, analyticsController.getStats);
+// Get the sentiment trend of a team's interactions and kudos (managers and admins)
+router.get('/teams/:teamId/sentiment', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getTeamSentiment);
+
+// Get which company values a team is recognized for in kudos (managers and admins)
+router.get('/teams/:teamId/values', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getTeamValues);
+
+// Get metrics for specific department (managers and admins)
+router.get('/departments/:deptId', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getDepartmentAnalytics);
+
+// Get which company values each team is recognized for in kudos (managers and admins)
+router.get('/kudos/values', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getKudosValues);
+
+// Get the contribution graph of who collaborates with whom, as JSON, GraphML or GEXF (managers and admins)
+router.get('/graph', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getContributionGraph);
+
+// Get centrality, communities, team silos, bridges and isolation risks on the contribution graph (managers and admins)
+router.get('/network', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getNetworkAnalytics);
+
+// Get how much each team or department works with each other one, with the trend versus the previous period (managers and admins)
+router.get('/collaboration-matrix', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getCollaborationMatrix);
+
+// Get a leaderboard of employees by score, with rank changes since the previous period
+router.get('/leaderboard', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getLeaderboard);
+
+// Get the leaderboard settings of the tenant
+router.get('/leaderboard/settings', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getLeaderboardSettings);
+
+// Change whether the leaderboard shows names (tenant admins)
+router.put('/leaderboard/settings', authenticateToken, authorize(ROLES.TENANT_ADMIN), analyticsController.updateLeaderboardSettings);
+
+// Get overall statistics (managers and admins)
+router.get('/stats', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getStats);
 
 // Get top contributors
-router.get('/top-contributors', authenticateToken, analyticsController.getTopContributors);
+router.get('/top-contributors', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getTopContributors);
+
+// Get metrics aggregated over the current user's reporting subtree
+router.get('/my-org', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), analyticsController.getMyOrgAnalytics);
+
+// Get metrics aggregated over an employee's reporting subtree (managers and admins)
+router.get('/org/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), analyticsController.getOrgAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 
 /**
  * Authentication Routes
@@ -9,4 +11,25 @@ const authController = require('../controllers/authController');
 // Login endpoint
 router.post('/login', authController.login);
 
+// Register a Supabase Auth user together with its employee record
+router.post('/register', authController.register);
+
+// Revoke the current user's sessions
+router.post('/logout', authenticateToken, authController.logout);
+
+// Exchange a refresh token for a new session
+router.post('/refresh', authController.refresh);
+
+// Send a password reset email
+router.post('/password-reset', authController.requestPasswordReset);
+
+// Set a new password using the token from the reset email
+router.post('/password-reset/confirm', authController.confirmPasswordReset);
+
+// Current user, role and employee record
+router.get('/me', authenticateToken, authController.me);
+
+// Change a user's role (tenant admins, within their tenant)
+router.put('/users/:userId/role', authenticateToken, authorize(ROLES.TENANT_ADMIN), authController.updateUserRole);
+
 module.exports = router;
\ No newline at end of file
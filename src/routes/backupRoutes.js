@@ -8,23 +8,29 @@ const {
   verifyBackup,
   getBackupStatus
 } = require('../controllers/backupController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
+
+/**
+ * Backup Routes (tenant admins; all-tenant backups are platform-wide)
+ */
 
 // Create manual backup for current tenant
-router.post('/create', createBackup);
+router.post('/create', authenticateToken, authorize(ROLES.TENANT_ADMIN), createBackup);
 
-// Create manual backup for all tenants (admin only)
-router.post('/create-all', createAllTenantsBackup);
+// Create manual backup for all tenants (super admin only)
+router.post('/create-all', authenticateToken, authorize(ROLES.SUPER_ADMIN), createAllTenantsBackup);
 
 // List all backups
-router.get('/list', listBackupFiles);
+router.get('/list', authenticateToken, authorize(ROLES.TENANT_ADMIN), listBackupFiles);
 
 // Restore from backup
-router.post('/restore', restoreBackup);
+router.post('/restore', authenticateToken, authorize(ROLES.TENANT_ADMIN), restoreBackup);
 
 // Verify backup integrity
-router.post('/verify', verifyBackup);
+router.post('/verify', authenticateToken, authorize(ROLES.TENANT_ADMIN), verifyBackup);
 
 // Get backup schedule status
-router.get('/status', getBackupStatus);
+router.get('/status', authenticateToken, authorize(ROLES.TENANT_ADMIN), getBackupStatus);
 
 module.exports = router;
\ No newline at end of file
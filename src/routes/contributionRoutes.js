@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const contributionController = require('../controllers/contributionController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 const { validateContributionScores } = require('../middleware/validationMiddleware');
 
 /**
@@ -9,12 +10,27 @@ const { validateContributionScores } = require('../middleware/validationMiddlewa
  */
 
 // Get all contribution scores
-router.get('/', authenticateToken, contributionController.getContributions);
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), contributionController.getContributions);
 
 // Get contribution scores for employee
-router.get('/employee/:id', authenticateToken, contributionController.getContributionsByEmployeeId);
+router.get('/employee/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), contributionController.getContributionsByEmployeeId);
 
-// Add contribution scores
-router.post('/', authenticateToken, validateContributionScores, contributionController.addContributionScores);
+// Get the evidence behind a calculated contribution's scores
+router.get('/:id/explanation', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), contributionController.getContributionExplanation);
+
+// Add contribution scores (managers and admins)
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), validateContributionScores, contributionController.addContributionScores);
+
+// Recalculate scores for a list of employees, a team, a department or everyone (managers and admins)
+router.post('/batch', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), contributionController.recalculateContributions);
+
+// Score recalculation schedule and recent runs
+router.get('/recalculation/status', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), contributionController.getRecalculationStatus);
+
+// Recalculate scores for every employee of the tenant now
+router.post('/recalculation', authenticateToken, authorize(ROLES.TENANT_ADMIN), contributionController.triggerRecalculation);
+
+// Recalculate scores for every tenant now (super admin only)
+router.post('/recalculation/all', authenticateToken, authorize(ROLES.SUPER_ADMIN), contributionController.triggerRecalculationForAllTenants);
 
 module.exports = router;
\ No newline at end of file
@@ -4,11 +4,13 @@ const {
   getAdminDashboard,
   getTenantDashboard
 } = require('../controllers/dashboardController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 
-// Get admin dashboard (all tenants)
-router.get('/admin', getAdminDashboard);
+// Get admin dashboard (all tenants, super admin only)
+router.get('/admin', authenticateToken, authorize(ROLES.SUPER_ADMIN), getAdminDashboard);
 
 // Get tenant dashboard (current tenant)
-router.get('/tenant', getTenantDashboard);
+router.get('/tenant', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), getTenantDashboard);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const departmentController = require('../controllers/departmentController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
+
+/**
+ * Department Routes
+ */
+
+// Get all departments (?include_archived=true includes archived departments)
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), departmentController.getDepartments);
+
+// Get department by ID
+router.get('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), departmentController.getDepartmentById);
+
+// Create new department
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN), departmentController.createDepartment);
+
+// Update or archive department
+router.put('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN), departmentController.updateDepartment);
+
+// Delete department (only when no employee, team or sub-department refers to it)
+router.delete('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN), departmentController.deleteDepartment);
+
+module.exports = router;
\ No newline at end of file
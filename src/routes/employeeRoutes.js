@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const employeeController = require('../controllers/employeeController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 const { validateEmployeeId } = require('../middleware/validationMiddleware');
 
 /**
@@ -9,12 +10,26 @@ const { validateEmployeeId } = require('../middleware/validationMiddleware');
  */
 
 // Get all employees
-router.get('/', authenticateToken, employeeController.getEmployees);
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), employeeController.getEmployees);
+
+// Search employees by name, email, team and department (must precede /:id)
+router.get('/search', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), employeeController.searchEmployees);
 
 // Get employee by ID
-router.get('/:id', authenticateToken, validateEmployeeId, employeeController.getEmployeeById);
+router.get('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateEmployeeId, employeeController.getEmployeeById);
+
+// Org chart: direct reports, full subtree and management chain
+router.get('/:id/reports', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateEmployeeId, employeeController.getDirectReports);
+router.get('/:id/subtree', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateEmployeeId, employeeController.getSubtree);
+router.get('/:id/chain', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateEmployeeId, employeeController.getManagementChain);
+
+// Create new employee (self-service sign up goes through POST /api/auth/register)
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN), employeeController.createEmployee);
+
+// Update employee
+router.put('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), validateEmployeeId, employeeController.updateEmployee);
 
-// Create new employee (no authentication needed for creation)
-router.post('/', employeeController.createEmployee);
+// Delete employee (?strategy=cascade|reassign|soft-delete, ?reassign_to=<employee_id> for reassign)
+router.delete('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN), validateEmployeeId, employeeController.deleteEmployee);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const interactionController = require('../controllers/interactionController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 const { validateInteraction } = require('../middleware/validationMiddleware');
 
 /**
@@ -9,12 +10,15 @@ const { validateInteraction } = require('../middleware/validationMiddleware');
  */
 
 // Get all interactions
-router.get('/', authenticateToken, interactionController.getInteractions);
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), interactionController.getInteractions);
 
-// Get interactions by employee ID
-router.get('/employee/:id', authenticateToken, interactionController.getInteractionsByEmployeeId);
+// Get interactions sent and/or received by an employee (?direction=sent|received|both)
+router.get('/employee/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), interactionController.getInteractionsByEmployeeId);
+
+// Get the interactions of a thread
+router.get('/thread/:threadId', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), interactionController.getInteractionThread);
 
 // Create new interaction
-router.post('/', authenticateToken, validateInteraction, interactionController.createInteraction);
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateInteraction, interactionController.createInteraction);
 
 module.exports = router;
\ No newline at end of file
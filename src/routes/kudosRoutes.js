@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const kudosController = require('../controllers/kudosController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 const { validateKudos } = require('../middleware/validationMiddleware');
 
 /**
@@ -9,12 +10,42 @@ const { validateKudos } = require('../middleware/validationMiddleware');
  */
 
 // Get all kudos
-router.get('/', authenticateToken, kudosController.getKudos);
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getKudos);
 
 // Get kudos for employee
-router.get('/employee/:id', authenticateToken, kudosController.getKudosByEmployeeId);
+router.get('/employee/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getKudosByEmployeeId);
+
+// List suspicious kudos patterns (reciprocal pairs, rings, bursts, duplicates) for review (tenant admins)
+router.get('/suspicious', authenticateToken, authorize(ROLES.TENANT_ADMIN), kudosController.getSuspiciousKudos);
+
+// Get the kudos budget limits of the tenant
+router.get('/budget', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getKudosBudget);
+
+// Change the kudos budget limits (tenant admins)
+router.put('/budget', authenticateToken, authorize(ROLES.TENANT_ADMIN), kudosController.updateKudosBudget);
+
+// Get the remaining kudos budget of every active employee
+router.get('/budget/employees', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), kudosController.getEmployeeKudosBudgets);
+
+// Get the remaining kudos budget of an employee
+router.get('/budget/employees/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getEmployeeKudosBudget);
+
+// Get the company values kudos can be tagged with
+router.get('/values', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getCompanyValues);
+
+// Replace the company values (tenant admins)
+router.put('/values', authenticateToken, authorize(ROLES.TENANT_ADMIN), kudosController.updateCompanyValues);
+
+// Get the reactions to a kudos
+router.get('/:id/reactions', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.getKudosReactions);
+
+// React to a kudos (as the current user's employee record)
+router.post('/:id/reactions', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.addKudosReaction);
+
+// Take back a reaction
+router.delete('/:id/reactions/:reaction', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), kudosController.removeKudosReaction);
 
 // Create new kudos
-router.post('/', authenticateToken, validateKudos, kudosController.createKudos);
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), validateKudos, kudosController.createKudos);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const scoringConfigController = require('../controllers/scoringConfigController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
+
+/**
+ * Scoring Configuration Routes
+ */
+
+// Get the scoring configuration in effect
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), scoringConfigController.getScoringConfig);
+
+// Get every configuration version, newest first
+router.get('/versions', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), scoringConfigController.getScoringConfigVersions);
+
+// Get one configuration version (0 is the built-in configuration)
+router.get('/versions/:version', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), scoringConfigController.getScoringConfigVersion);
+
+// Get every registered scoring dimension, with its weight and settings for the tenant
+router.get('/dimensions', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER), scoringConfigController.getScoringDimensions);
+
+// Change weights, caps or keyword lists (creates a new version)
+router.put('/', authenticateToken, authorize(ROLES.TENANT_ADMIN), scoringConfigController.updateScoringConfig);
+
+// Go back to the built-in configuration (creates a new version)
+router.delete('/', authenticateToken, authorize(ROLES.TENANT_ADMIN), scoringConfigController.resetScoringConfig);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
+
+/**
+ * Team Routes
+ */
+
+// Get all teams (?include_archived=true includes archived teams, ?department_id= filters by department)
+router.get('/', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), teamController.getTeams);
+
+// Get team by ID
+router.get('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE), teamController.getTeamById);
+
+// Create new team
+router.post('/', authenticateToken, authorize(ROLES.TENANT_ADMIN), teamController.createTeam);
+
+// Update or archive team
+router.put('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN), teamController.updateTeam);
+
+// Delete team (only when no employee belongs to it)
+router.delete('/:id', authenticateToken, authorize(ROLES.TENANT_ADMIN), teamController.deleteTeam);
+
+module.exports = router;
\ No newline at end of file
@@ -1,21 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const tenantController = require('../controllers/tenantController');
+const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../utils/roles');
 
 /**
- * Tenant Management Routes
+ * Tenant Management Routes (platform super admins only)
  */
 
 // Create a new tenant
-router.post('/', tenantController.createTenant);
+router.post('/', authenticateToken, authorize(ROLES.SUPER_ADMIN), tenantController.createTenant);
 
 // Get tenant information
-router.get('/:id', tenantController.getTenant);
+router.get('/:id', authenticateToken, authorize(ROLES.SUPER_ADMIN), tenantController.getTenant);
 
 // List all tenants
-router.get('/', tenantController.getAllTenants);
+router.get('/', authenticateToken, authorize(ROLES.SUPER_ADMIN), tenantController.getAllTenants);
 
 // Delete a tenant
-router.delete('/:id', tenantController.removeTenant);
+router.delete('/:id', authenticateToken, authorize(ROLES.SUPER_ADMIN), tenantController.removeTenant);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,23 @@ const employeeRepository = require('../repositories/employeeRepository');
 const contributionRepository = require('../repositories/contributionRepository');
 const interactionRepository = require('../repositories/interactionRepository');
 const kudosRepository = require('../repositories/kudosRepository');
+const kudosReactionRepository = require('../repositories/kudosReactionRepository');
+const teamRepository = require('../repositories/teamRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const orgChartService = require('./orgChartService');
+const { getTeamSilo } = require('./networkAnalyticsService');
+const {
+  SCORE_COLUMNS,
+  getLatestContributions,
+  describeDistribution,
+  getEmployeePercentiles
+} = require('./scoreDistributionService');
+const { validateScoringPeriod, resolveScoringPeriod, activityTime, filterToPeriod } = require('./scoringPeriodService');
+const { getCompanyValues } = require('./kudosValueService');
+const { getLeaderboardSettings } = require('./leaderboardService');
+const { getRecordSentiment, labelSentiment } = require('./sentimentService');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients } = require('../utils/recipients');
 const logger = require('../utils/logger');
 
 /**
@@ -10,6 +27,59 @@ const logger = require('../utils/logger');
  * This service is designed to be called by controllers with tenant context
  */
 
+// Intervals a sentiment trend can be bucketed by, and how many buckets are shown by default
+const SENTIMENT_INTERVALS = ['weekly', 'monthly'];
+const DEFAULT_SENTIMENT_BUCKETS = 12;
+const MAX_SENTIMENT_BUCKETS = 104;
+
+// A drop of the average sentiment by at least this much from one bucket to the next is flagged
+const MORALE_DROP_THRESHOLD = 0.2;
+
+// Employees whose contributions are looked up per query, keeping each query's ID list short
+const CONTRIBUTION_LOOKUP_CHUNK_SIZE = 100;
+
+/**
+ * Look up a team or department record, treating failed lookups as "not defined"
+ * Tenants that never defined teams or departments use free-text IDs instead
+ * @param {Function} lookup - Repository lookup taking (tenantId, id)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} id - Team or department ID
+ * @returns {Promise<Object|null>} - The record, or null
+ */
+async function findDefinedRecord(lookup, tenantId, id) {
+  try {
+    return (await lookup(tenantId, id)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the latest contribution of each of a group of employees, whatever period it scored
+ * Contributions are loaded page by page for a chunk of employees at a time
+ * @param {string} tenantId - Tenant ID
+ * @param {Array<string>} employeeIds - Employee IDs
+ * @returns {Promise<Map<string, Object>>} - Latest contribution by employee ID; employees
+ *   without contributions are left out
+ */
+async function loadLatestContributions(tenantId, employeeIds) {
+  const latest = new Map();
+  
+  for (let start = 0; start < employeeIds.length; start += CONTRIBUTION_LOOKUP_CHUNK_SIZE) {
+    const chunk = employeeIds.slice(start, start + CONTRIBUTION_LOOKUP_CHUNK_SIZE);
+    const contributions = await loadAllPages(page => contributionRepository.getContributionsByEmployeeIds(tenantId, chunk, page, 1000));
+    
+    // Contributions come newest first, so the first one of each employee is their latest
+    contributions.forEach(contribution => {
+      if (!latest.has(contribution.employee_id)) {
+        latest.set(contribution.employee_id, contribution);
+      }
+    });
+  }
+  
+  return latest;
+}
+
 /**
  * Get metrics for a specific employee (tenant-aware)
  * @param {string} employeeId - Employee ID
@@ -39,15 +109,19 @@ async function getEmployeeMetrics(employeeId, tenantId) {
         problem_solving_score: parseFloat(latestContribution.problem_solving_score),
         collaboration_score: parseFloat(latestContribution.collaboration_score),
         initiative_score: parseFloat(latestContribution.initiative_score),
-        overall_score: parseFloat(latestContribution.overall_score)
+        overall_score: parseFloat(latestContribution.overall_score),
+        dimension_scores: getDimensionScores(latestContribution)
       } : {
         problem_solving_score: 0,
         collaboration_score: 0,
         initiative_score: 0,
-        overall_score: 0
+        overall_score: 0,
+        dimension_scores: {}
       },
       team: employee.team,
-      department: employee.department
+      department: employee.department,
+      // Where the latest scores stand among the employee's team, department and tenant
+      percentiles: latestContribution ? await getEmployeePercentiles(tenantId, employee, latestContribution) : null
     };
     
     logger.info('Successfully fetched employee metrics', { employeeId, tenantId });
@@ -68,20 +142,27 @@ async function getEmployeeMetrics(employeeId, tenantId) {
  * Get historical score trends for an employee (tenant-aware)
  * @param {string} employeeId - Employee ID
  * @param {string} tenantId - Tenant ID
- * @returns {Array} - Historical scores
+ * @param {Object} options - History options
+ * @param {string} options.periodType - Only contributions scored over this period type (e.g. 'monthly')
+ * @returns {Array} - Historical scores with the period each one covers
  */
-async function getEmployeeHistory(employeeId, tenantId) {
+async function getEmployeeHistory(employeeId, tenantId, options = {}) {
   try {
-    logger.debug('Fetching employee history', { employeeId, tenantId });
+    logger.debug('Fetching employee history', { employeeId, tenantId, periodType: options.periodType });
     
     const contributions = await contributionRepository.getContributionsByEmployeeId(tenantId, employeeId);
     const employeeContributions = contributions
+      .filter(c => !options.periodType || c.period_type === options.periodType)
       .map(c => ({
         date: c.calculated_at,
+        period_type: c.period_type || null,
+        period_start: c.period_start || null,
+        period_end: c.period_end || null,
         problem_solving_score: parseFloat(c.problem_solving_score),
         collaboration_score: parseFloat(c.collaboration_score),
         initiative_score: parseFloat(c.initiative_score),
-        overall_score: parseFloat(c.overall_score)
+        overall_score: parseFloat(c.overall_score),
+        dimension_scores: getDimensionScores(c)
       }))
       .sort((a, b) => new Date(a.date) - new Date(b.date)); // Sort by date
     
@@ -113,59 +194,50 @@ async function getTeamMetrics(teamId, tenantId) {
   try {
     logger.debug('Fetching team metrics', { teamId, tenantId });
     
-    // Get employees in the team
-    const { data: employees } = await employeeRepository.getEmployees(tenantId, 1, 1000); // Get all employees
-    const teamEmployees = employees.filter(emp => emp.team === teamId);
+    // Get the active employees in the team
+    const teamEmployees = (await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true })))
+      .filter(emp => emp.team === teamId);
     
     if (teamEmployees.length === 0) {
       logger.warn('Team not found or has no employees', { teamId, tenantId });
       throw new Error('Team not found or has no employees');
     }
     
-    // For each employee, get their latest contribution
-    const latestContributions = [];
-    for (const employee of teamEmployees) {
-      const latestContribution = await contributionRepository.getLatestContribution(tenantId, employee.employee_id);
-      if (latestContribution) {
-        latestContributions.push(latestContribution);
-      }
-    }
+    const team = await findDefinedRecord(teamRepository.getTeamById, tenantId, teamId);
+    const teamName = team ? team.name : teamId;
+    
+    // How much of the team's collaboration stays inside it
+    const collaboration = await getTeamSilo(tenantId, teamId);
+    
+    // Latest contribution of each employee
+    const latestContributions = [...(await loadLatestContributions(tenantId, teamEmployees.map(emp => emp.employee_id))).values()];
     
     if (latestContributions.length === 0) {
       const result = {
         team_id: teamId,
-        team_name: teamId,
+        team_name: teamName,
         average_scores: {
           problem_solving_score: 0,
           collaboration_score: 0,
           initiative_score: 0,
           overall_score: 0
         },
-        member_count: teamEmployees.length
+        average_dimension_scores: {},
+        member_count: teamEmployees.length,
+        collaboration
       };
       
       logger.info('Team has no contributions yet', { teamId, tenantId });
       return result;
     }
     
-    // Calculate averages
-    const totalProblemSolving = latestContributions.reduce((sum, c) => sum + parseFloat(c.problem_solving_score), 0);
-    const totalCollaboration = latestContributions.reduce((sum, c) => sum + parseFloat(c.collaboration_score), 0);
-    const totalInitiative = latestContributions.reduce((sum, c) => sum + parseFloat(c.initiative_score), 0);
-    const totalOverall = latestContributions.reduce((sum, c) => sum + parseFloat(c.overall_score), 0);
-    
-    const count = latestContributions.length;
-    
     const result = {
       team_id: teamId,
-      team_name: teamId,
-      average_scores: {
-        problem_solving_score: parseFloat((totalProblemSolving / count).toFixed(2)),
-        collaboration_score: parseFloat((totalCollaboration / count).toFixed(2)),
-        initiative_score: parseFloat((totalInitiative / count).toFixed(2)),
-        overall_score: parseFloat((totalOverall / count).toFixed(2))
-      },
-      member_count: teamEmployees.length
+      team_name: teamName,
+      average_scores: averageScores(latestContributions),
+      average_dimension_scores: averageDimensionScores(latestContributions),
+      member_count: teamEmployees.length,
+      collaboration
     };
     
     logger.info('Successfully fetched team metrics', { teamId, tenantId });
@@ -192,37 +264,35 @@ async function getDepartmentMetrics(deptId, tenantId) {
   try {
     logger.debug('Fetching department metrics', { deptId, tenantId });
     
-    // Get employees in the department
-    const { data: employees } = await employeeRepository.getEmployees(tenantId, 1, 1000); // Get all employees
-    const deptEmployees = employees.filter(emp => emp.department === deptId);
+    // Get the active employees in the department
+    const deptEmployees = (await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true })))
+      .filter(emp => emp.department === deptId);
     
     if (deptEmployees.length === 0) {
       logger.warn('Department not found or has no employees', { deptId, tenantId });
       throw new Error('Department not found or has no employees');
     }
     
+    const department = await findDefinedRecord(departmentRepository.getDepartmentById, tenantId, deptId);
+    const departmentName = department ? department.name : deptId;
+    
     // Get unique teams in the department
     const teams = [...new Set(deptEmployees.map(emp => emp.team))];
     
-    // For each employee, get their latest contribution
-    const latestContributions = [];
-    for (const employee of deptEmployees) {
-      const latestContribution = await contributionRepository.getLatestContribution(tenantId, employee.employee_id);
-      if (latestContribution) {
-        latestContributions.push(latestContribution);
-      }
-    }
+    // Latest contribution of each employee
+    const latestContributions = [...(await loadLatestContributions(tenantId, deptEmployees.map(emp => emp.employee_id))).values()];
     
     if (latestContributions.length === 0) {
       const result = {
         department_id: deptId,
-        department_name: deptId,
+        department_name: departmentName,
         average_scores: {
           problem_solving_score: 0,
           collaboration_score: 0,
           initiative_score: 0,
           overall_score: 0
         },
+        average_dimension_scores: {},
         team_count: teams.length,
         employee_count: deptEmployees.length
       };
@@ -231,23 +301,11 @@ async function getDepartmentMetrics(deptId, tenantId) {
       return result;
     }
     
-    // Calculate averages
-    const totalProblemSolving = latestContributions.reduce((sum, c) => sum + parseFloat(c.problem_solving_score), 0);
-    const totalCollaboration = latestContributions.reduce((sum, c) => sum + parseFloat(c.collaboration_score), 0);
-    const totalInitiative = latestContributions.reduce((sum, c) => sum + parseFloat(c.initiative_score), 0);
-    const totalOverall = latestContributions.reduce((sum, c) => sum + parseFloat(c.overall_score), 0);
-    
-    const count = latestContributions.length;
-    
     const result = {
       department_id: deptId,
-      department_name: deptId,
-      average_scores: {
-        problem_solving_score: parseFloat((totalProblemSolving / count).toFixed(2)),
-        collaboration_score: parseFloat((totalCollaboration / count).toFixed(2)),
-        initiative_score: parseFloat((totalInitiative / count).toFixed(2)),
-        overall_score: parseFloat((totalOverall / count).toFixed(2))
-      },
+      department_name: departmentName,
+      average_scores: averageScores(latestContributions),
+      average_dimension_scores: averageDimensionScores(latestContributions),
       team_count: teams.length,
       employee_count: deptEmployees.length
     };
@@ -275,8 +333,8 @@ async function getOverallStats(tenantId) {
   try {
     logger.debug('Fetching overall statistics', { tenantId });
     
-    // Get all employees
-    const { data: employees } = await employeeRepository.getEmployees(tenantId, 1, 1000);
+    // Get all active employees
+    const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true }));
     
     // Get all interactions
     const { data: interactions } = await interactionRepository.getInteractions(tenantId, 1, 10000);
@@ -308,31 +366,22 @@ async function getOverallStats(tenantId) {
           collaboration_score: 0,
           initiative_score: 0,
           overall_score: 0
-        }
+        },
+        average_dimension_scores: {},
+        ...describeDistributions([])
       };
       
       logger.info('No contributions found, returning zero scores', { tenantId });
       return result;
     }
     
-    // Calculate averages
-    const totalProblemSolving = allContributions.reduce((sum, c) => sum + parseFloat(c.problem_solving_score), 0);
-    const totalCollaboration = allContributions.reduce((sum, c) => sum + parseFloat(c.collaboration_score), 0);
-    const totalInitiative = allContributions.reduce((sum, c) => sum + parseFloat(c.initiative_score), 0);
-    const totalOverall = allContributions.reduce((sum, c) => sum + parseFloat(c.overall_score), 0);
-    
-    const count = allContributions.length;
-    
     const result = {
       total_employees: employees.length,
       total_interactions: interactions.length,
       total_kudos: kudos.length,
-      average_scores: {
-        problem_solving_score: parseFloat((totalProblemSolving / count).toFixed(2)),
-        collaboration_score: parseFloat((totalCollaboration / count).toFixed(2)),
-        initiative_score: parseFloat((totalInitiative / count).toFixed(2)),
-        overall_score: parseFloat((totalOverall / count).toFixed(2))
-      }
+      average_scores: averageScores(allContributions),
+      average_dimension_scores: averageDimensionScores(allContributions),
+      ...describeDistributions([...getLatestContributions(allContributions).values()])
     };
     
     logger.info('Successfully fetched overall statistics', { 
@@ -355,37 +404,50 @@ async function getOverallStats(tenantId) {
 
 /**
  * Get top contributors (tenant-aware)
+ * While the tenant hides leaderboard names, entries have no employee ID, name, team or
+ * department, as on the leaderboard, and only tell callers which of them is their own
  * @param {string} tenantId - Tenant ID
+ * @param {Object} options - current_employee_id (the caller's employee ID)
  * @returns {Array} - Top contributors
  */
-async function getTopContributors(tenantId) {
+async function getTopContributors(tenantId, options = {}) {
   try {
     logger.debug('Fetching top contributors', { tenantId });
     
-    // Get all employees
-    const { data: employees } = await employeeRepository.getEmployees(tenantId, 1, 1000);
+    // Get all active employees
+    const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true }));
     
     // For each employee, get their latest overall score
-    const employeeScores = [];
-    for (const employee of employees) {
-      const latestContribution = await contributionRepository.getLatestContribution(tenantId, employee.employee_id);
+    const latestByEmployee = await loadLatestContributions(tenantId, employees.map(employee => employee.employee_id));
+    const employeeScores = employees.map(employee => {
+      const latestContribution = latestByEmployee.get(employee.employee_id);
       
-      employeeScores.push({
+      return {
         employee_id: employee.employee_id,
         name: employee.name,
         overall_score: latestContribution ? parseFloat(latestContribution.overall_score) : 0,
         department: employee.department,
         team: employee.team
-      });
-    }
+      };
+    });
     
     // Sort by overall score (descending) and take top 10
     const sortedScores = employeeScores
       .sort((a, b) => b.overall_score - a.overall_score)
       .slice(0, 10);
     
-    logger.info('Successfully fetched top contributors', { count: sortedScores.length, tenantId });
-    return sortedScores;
+    const { show_names: showNames } = await getLeaderboardSettings(tenantId);
+    const topContributors = showNames ? sortedScores : sortedScores.map(entry => ({
+      employee_id: null,
+      name: null,
+      overall_score: entry.overall_score,
+      department: null,
+      team: null,
+      is_current_user: Boolean(options.current_employee_id) && entry.employee_id === options.current_employee_id
+    }));
+    
+    logger.info('Successfully fetched top contributors', { count: topContributors.length, tenantId });
+    return topContributors;
   } catch (error) {
     logger.error('Failed to get top contributors', { 
       error: error.message, 
@@ -397,11 +459,564 @@ async function getTopContributors(tenantId) {
   }
 }
 
+/**
+ * Average the score columns of a set of contributions
+ * Contributions without a score in a column (a dimension the tenant did not score) are left out of its average
+ * @param {Array} contributions - Contribution records
+ * @returns {Object} - Average scores rounded to two decimals (zeros when empty)
+ */
+function averageScores(contributions) {
+  const columns = ['problem_solving_score', 'collaboration_score', 'initiative_score', 'overall_score'];
+  const averages = {};
+  
+  columns.forEach(column => {
+    const values = contributions.map(c => parseFloat(c[column])).filter(value => !isNaN(value));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    averages[column] = values.length > 0 ? parseFloat((total / values.length).toFixed(2)) : 0;
+  });
+  
+  return averages;
+}
+
+/**
+ * Describe the distribution of every score column over a set of contributions
+ * @param {Array} contributions - Contribution records
+ * @returns {Object} - Distribution per score column (see describeDistribution)
+ */
+function describeScoreDistributions(contributions) {
+  const distributions = {};
+  SCORE_COLUMNS.forEach(column => {
+    distributions[column] = describeDistribution(contributions.map(c => parseFloat(c[column])));
+  });
+  return distributions;
+}
+
+/**
+ * Describe the distribution of the score columns and of every scored dimension
+ * @param {Array} contributions - Contribution records, one per employee
+ * @returns {Object} - score_distributions per column and dimension_distributions per dimension
+ */
+function describeDistributions(contributions) {
+  const dimensionValues = {};
+  contributions.forEach(contribution => {
+    Object.entries(getDimensionScores(contribution)).forEach(([name, score]) => {
+      if (!dimensionValues[name]) dimensionValues[name] = [];
+      dimensionValues[name].push(parseFloat(score));
+    });
+  });
+  
+  const dimensionDistributions = {};
+  Object.keys(dimensionValues).sort().forEach(name => {
+    dimensionDistributions[name] = describeDistribution(dimensionValues[name]);
+  });
+  
+  return {
+    score_distributions: describeScoreDistributions(contributions),
+    dimension_distributions: dimensionDistributions
+  };
+}
+
+/**
+ * Get the score of every dimension a contribution was scored on
+ * Contributions stored before dimension maps existed fall back to their score columns
+ * @param {Object} contribution - Contribution record
+ * @returns {Object} - Score per dimension
+ */
+function getDimensionScores(contribution) {
+  let dimensionScores = contribution.dimension_scores;
+  if (typeof dimensionScores === 'string') {
+    try {
+      dimensionScores = JSON.parse(dimensionScores);
+    } catch (error) {
+      dimensionScores = null;
+    }
+  }
+  
+  const scores = {};
+  if (dimensionScores && typeof dimensionScores === 'object') {
+    Object.entries(dimensionScores).forEach(([name, score]) => {
+      scores[name] = parseFloat(score);
+    });
+    return scores;
+  }
+  
+  [['problem_solving', 'problem_solving_score'], ['collaboration', 'collaboration_score'],
+    ['initiative', 'initiative_score']].forEach(([name, column]) => {
+    const score = parseFloat(contribution[column]);
+    if (!isNaN(score)) {
+      scores[name] = score;
+    }
+  });
+  
+  return scores;
+}
+
+/**
+ * Average every dimension over a set of contributions
+ * Each dimension is averaged over the contributions that were scored on it
+ * @param {Array} contributions - Contribution records
+ * @returns {Object} - Average score per dimension rounded to two decimals
+ */
+function averageDimensionScores(contributions) {
+  const totals = new Map();
+  
+  contributions.forEach(contribution => {
+    Object.entries(getDimensionScores(contribution)).forEach(([name, score]) => {
+      const total = totals.get(name) || { sum: 0, count: 0 };
+      totals.set(name, { sum: total.sum + score, count: total.count + 1 });
+    });
+  });
+  
+  const averages = {};
+  totals.forEach(({ sum, count }, name) => {
+    averages[name] = parseFloat((sum / count).toFixed(2));
+  });
+  
+  return averages;
+}
+
+/**
+ * Get "my org" metrics: contribution scores aggregated over everyone who reports
+ * to an employee, directly or indirectly (tenant-aware)
+ * @param {string} employeeId - Employee ID of the org's manager
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} - Org metrics with a breakdown per direct report's branch
+ */
+async function getOrgMetrics(employeeId, tenantId) {
+  try {
+    logger.debug('Fetching org metrics', { employeeId, tenantId });
+    
+    const { root, members } = await orgChartService.getSubtreeMembers(tenantId, employeeId);
+    
+    // Latest contribution of each member of the org
+    const latestByEmployee = await loadLatestContributions(tenantId, members.map(member => member.employee_id));
+    
+    const directReports = members.filter(member => member.depth === 1).map(report => {
+      const branch = members.filter(member => member.branch_id === report.employee_id);
+      const branchContributions = branch
+        .map(member => latestByEmployee.get(member.employee_id))
+        .filter(Boolean);
+      
+      return {
+        employee_id: report.employee_id,
+        name: report.name,
+        org_size: branch.length,
+        scored_count: branchContributions.length,
+        average_scores: averageScores(branchContributions),
+        average_dimension_scores: averageDimensionScores(branchContributions)
+      };
+    });
+    
+    const result = {
+      manager_id: root.employee_id,
+      manager_name: root.name,
+      member_count: members.length,
+      scored_count: latestByEmployee.size,
+      max_depth: members.reduce((max, member) => Math.max(max, member.depth), 0),
+      average_scores: averageScores([...latestByEmployee.values()]),
+      average_dimension_scores: averageDimensionScores([...latestByEmployee.values()]),
+      direct_reports: directReports
+    };
+    
+    logger.info('Successfully fetched org metrics', { employeeId, memberCount: members.length, tenantId });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get org metrics', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getOrgMetrics',
+      employeeId,
+      tenantId
+    });
+    throw new Error(`Failed to get org metrics: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve sentiment trend options to the interval and date range to bucket
+ * Without dates the range ends today and covers the last 12 intervals
+ * @param {Object} options - { interval, from, to } with dates in YYYY-MM-DD format
+ * @param {Date} now - Current time
+ * @returns {Object} - { interval, from, to, buckets } where buckets are the resolved periods in order
+ */
+function resolveSentimentRange(options = {}, now = new Date()) {
+  const interval = options.interval === undefined ? 'weekly' : options.interval;
+  if (!SENTIMENT_INTERVALS.includes(interval)) {
+    throw new Error(`Validation failed: Interval must be one of: ${SENTIMENT_INTERVALS.join(', ')}`);
+  }
+  
+  const to = options.to !== undefined ? options.to : now.toISOString().slice(0, 10);
+  let from = options.from;
+  if (from === undefined) {
+    const last = resolveScoringPeriod({ period: interval, reference_date: to }, now);
+    const start = new Date(last.period_start);
+    if (interval === 'weekly') {
+      start.setUTCDate(start.getUTCDate() - 7 * (DEFAULT_SENTIMENT_BUCKETS - 1));
+    } else {
+      start.setUTCMonth(start.getUTCMonth() - (DEFAULT_SENTIMENT_BUCKETS - 1));
+    }
+    from = start.toISOString().slice(0, 10);
+  }
+  
+  const validation = validateScoringPeriod({ period: 'custom', from, to });
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const buckets = [];
+  let bucket = resolveScoringPeriod({ period: interval, reference_date: from }, now);
+  const end = resolveScoringPeriod({ period: 'custom', from, to }, now).period_end;
+  while (bucket.period_start < end) {
+    if (buckets.length === MAX_SENTIMENT_BUCKETS) {
+      throw new Error(`Validation failed: The range must not cover more than ${MAX_SENTIMENT_BUCKETS} intervals`);
+    }
+    buckets.push(bucket);
+    bucket = resolveScoringPeriod({ period: interval, reference_date: bucket.period_end.slice(0, 10) }, now);
+  }
+  
+  return { interval, from, to, buckets };
+}
+
+/**
+ * Summarize the sentiment of a set of messages
+ * @param {Array} messages - { source, score } per message
+ * @returns {Object} - Message count, average score (null without messages) and count per label and source
+ */
+function summarizeSentiment(messages) {
+  const summary = {
+    message_count: messages.length,
+    average_score: null,
+    positive_count: 0,
+    neutral_count: 0,
+    negative_count: 0,
+    by_source: { interactions: 0, kudos: 0 }
+  };
+  
+  messages.forEach(message => {
+    summary[`${labelSentiment(message.score)}_count`]++;
+    summary.by_source[message.source]++;
+  });
+  
+  if (messages.length > 0) {
+    const total = messages.reduce((sum, message) => sum + message.score, 0);
+    summary.average_score = parseFloat((total / messages.length).toFixed(4));
+  }
+  
+  return summary;
+}
+
+/**
+ * Build the sentiment trend of the messages sent or received by a set of employees
+ * Each interaction and kudos counts once, even when both sides are in the set
+ * @param {Set} employeeIds - Employee IDs
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} range - Resolved range (see resolveSentimentRange)
+ * @returns {Promise<Object>} - { interval, from, to, summary, trend, morale_drop }
+ */
+async function buildSentimentTrend(employeeIds, tenantId, range) {
+  const involves = record => employeeIds.has(record.from_employee_id) ||
+    getRecipients(record).some(recipient => employeeIds.has(recipient));
+  const interactions = await loadAllPages(page => interactionRepository.getInteractions(tenantId, page, 1000));
+  const kudos = await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000));
+  
+  const messages = [
+    ...interactions.filter(involves).map(record => ({ source: 'interactions', record })),
+    ...kudos.filter(involves).map(record => ({ source: 'kudos', record }))
+  ].map(({ source, record }) => ({ source, time: activityTime(record), score: getRecordSentiment(record) }))
+    .filter(message => message.time !== null);
+  
+  let previousAverage = null;
+  const trend = range.buckets.map(bucket => {
+    const start = new Date(bucket.period_start).getTime();
+    const end = new Date(bucket.period_end).getTime();
+    const summary = summarizeSentiment(messages.filter(message => message.time >= start && message.time < end));
+    
+    const change = summary.average_score !== null && previousAverage !== null
+      ? parseFloat((summary.average_score - previousAverage).toFixed(4))
+      : null;
+    if (summary.average_score !== null) {
+      previousAverage = summary.average_score;
+    }
+    
+    return { period_start: bucket.period_start, period_end: bucket.period_end, ...summary, change };
+  });
+  
+  const rangeStart = new Date(range.buckets[0].period_start).getTime();
+  const rangeEnd = new Date(range.buckets[range.buckets.length - 1].period_end).getTime();
+  const latest = [...trend].reverse().find(bucket => bucket.change !== null);
+  
+  return {
+    interval: range.interval,
+    from: range.from,
+    to: range.to,
+    summary: summarizeSentiment(messages.filter(message => message.time >= rangeStart && message.time < rangeEnd)),
+    trend,
+    morale_drop: latest ? latest.change <= -MORALE_DROP_THRESHOLD : false
+  };
+}
+
+/**
+ * Get the sentiment trend of the interactions and kudos an employee sent or received (tenant-aware)
+ * @param {string} employeeId - Employee ID
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - { interval: 'weekly' (default) or 'monthly', from, to } (see resolveSentimentRange)
+ * @returns {Object} - Sentiment trend of the employee
+ */
+async function getEmployeeSentimentTrend(employeeId, tenantId, options = {}) {
+  try {
+    logger.debug('Fetching employee sentiment trend', { employeeId, tenantId, interval: options.interval });
+    
+    const range = resolveSentimentRange(options);
+    
+    let employee;
+    try {
+      employee = await employeeRepository.getEmployeeById(tenantId, employeeId);
+    } catch (error) {
+      employee = null;
+    }
+    if (!employee) {
+      logger.warn('Employee not found for sentiment trend', { employeeId, tenantId });
+      throw new Error('Employee not found');
+    }
+    
+    const result = {
+      employee_id: employee.employee_id,
+      name: employee.name,
+      ...(await buildSentimentTrend(new Set([employee.employee_id]), tenantId, range))
+    };
+    
+    logger.info('Successfully fetched employee sentiment trend', { employeeId, tenantId });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get employee sentiment trend', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getEmployeeSentimentTrend',
+      employeeId,
+      tenantId
+    });
+    throw new Error(`Failed to get employee sentiment trend: ${error.message}`);
+  }
+}
+
+/**
+ * Get the sentiment trend of the interactions and kudos a team's members sent or received (tenant-aware)
+ * @param {string} teamId - Team identifier
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - { interval: 'weekly' (default) or 'monthly', from, to } (see resolveSentimentRange)
+ * @returns {Object} - Sentiment trend of the team
+ */
+async function getTeamSentimentTrend(teamId, tenantId, options = {}) {
+  try {
+    logger.debug('Fetching team sentiment trend', { teamId, tenantId, interval: options.interval });
+    
+    const range = resolveSentimentRange(options);
+    
+    const teamEmployees = (await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true })))
+      .filter(emp => emp.team === teamId);
+    
+    if (teamEmployees.length === 0) {
+      logger.warn('Team not found or has no employees', { teamId, tenantId });
+      throw new Error('Team not found or has no employees');
+    }
+    
+    const team = await findDefinedRecord(teamRepository.getTeamById, tenantId, teamId);
+    
+    const result = {
+      team_id: teamId,
+      team_name: team ? team.name : teamId,
+      member_count: teamEmployees.length,
+      ...(await buildSentimentTrend(new Set(teamEmployees.map(emp => emp.employee_id)), tenantId, range))
+    };
+    
+    logger.info('Successfully fetched team sentiment trend', { teamId, tenantId });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get team sentiment trend', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getTeamSentimentTrend',
+      teamId,
+      tenantId
+    });
+    throw new Error(`Failed to get team sentiment trend: ${error.message}`);
+  }
+}
+
+/**
+ * Count how often each company value was recognized in a set of kudos
+ * @param {Array} kudos - Kudos with their value_keys
+ * @param {Map} reactionCounts - Kudos ID -> number of reactions
+ * @param {Map} valueNames - Value key -> name (keys of removed values fall back to the key)
+ * @returns {Object} - Kudos, tagged kudos and reaction counts, and the values by kudos count
+ */
+function summarizeValues(kudos, reactionCounts, valueNames) {
+  const values = new Map();
+  let taggedCount = 0;
+  let reactionCount = 0;
+  
+  kudos.forEach(record => {
+    const reactions = reactionCounts.get(String(record.id)) || 0;
+    const keys = Array.isArray(record.value_keys) ? record.value_keys : [];
+    reactionCount += reactions;
+    if (keys.length > 0) taggedCount++;
+    
+    keys.forEach(key => {
+      if (!values.has(key)) values.set(key, { kudos_count: 0, reaction_count: 0 });
+      values.get(key).kudos_count++;
+      values.get(key).reaction_count += reactions;
+    });
+  });
+  
+  return {
+    kudos_count: kudos.length,
+    tagged_kudos_count: taggedCount,
+    reaction_count: reactionCount,
+    values: [...values.entries()]
+      .map(([key, counts]) => ({
+        key,
+        name: valueNames.get(key) || key,
+        kudos_count: counts.kudos_count,
+        share: parseFloat((counts.kudos_count / taggedCount).toFixed(4)),
+        reaction_count: counts.reaction_count
+      }))
+      .sort((a, b) => b.kudos_count - a.kudos_count || b.reaction_count - a.reaction_count || a.key.localeCompare(b.key))
+  };
+}
+
+/**
+ * Break down the company values each team was recognized for
+ * A kudos counts towards the team of its recipient
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} period - Resolved period (see resolveScoringPeriod)
+ * @returns {Promise<Object>} - { values, teams } with the defined values and a summary per team ID
+ */
+async function buildValueBreakdown(tenantId, period) {
+  const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000));
+  const kudos = filterToPeriod(await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000)), period);
+  const reactions = await kudosReactionRepository.getReactions(tenantId);
+  const { values } = await getCompanyValues(tenantId);
+  
+  const teamOf = new Map(employees.map(employee => [employee.employee_id, employee.team]));
+  const reactionCounts = new Map();
+  reactions.forEach(reaction => {
+    reactionCounts.set(String(reaction.kudos_id), (reactionCounts.get(String(reaction.kudos_id)) || 0) + 1);
+  });
+  const valueNames = new Map(values.map(value => [value.key, value.name]));
+  
+  const kudosByTeam = new Map();
+  employees.forEach(employee => {
+    if (employee.team && !kudosByTeam.has(employee.team)) kudosByTeam.set(employee.team, []);
+  });
+  // A group kudos counts once for every team among its recipients
+  kudos.forEach(record => {
+    new Set(getRecipients(record).map(recipient => teamOf.get(recipient))).forEach(team => {
+      if (team) kudosByTeam.get(team).push(record);
+    });
+  });
+  
+  const teams = new Map();
+  kudosByTeam.forEach((teamKudos, teamId) => {
+    teams.set(teamId, summarizeValues(teamKudos, reactionCounts, valueNames));
+  });
+  
+  return { values, teams };
+}
+
+/**
+ * Get which company values each team is recognized for in kudos (tenant-aware)
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; all time by default)
+ * @returns {Object} - Period, defined values and the value breakdown of every team
+ */
+async function getKudosValueBreakdown(tenantId, options = {}) {
+  try {
+    logger.debug('Fetching kudos value breakdown', { tenantId, period: options.period });
+    
+    const period = resolveScoringPeriod(options);
+    const { values, teams } = await buildValueBreakdown(tenantId, period);
+    
+    const teamBreakdowns = [];
+    for (const [teamId, summary] of [...teams.entries()].sort(([a], [b]) => String(a).localeCompare(String(b)))) {
+      const team = await findDefinedRecord(teamRepository.getTeamById, tenantId, teamId);
+      teamBreakdowns.push({ team_id: teamId, team_name: team ? team.name : teamId, ...summary });
+    }
+    
+    const result = {
+      period_type: period.period_type,
+      period_start: period.period_start,
+      period_end: period.period_end,
+      values,
+      teams: teamBreakdowns
+    };
+    
+    logger.info('Successfully fetched kudos value breakdown', { tenantId, teamCount: teamBreakdowns.length });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get kudos value breakdown', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getKudosValueBreakdown',
+      tenantId
+    });
+    throw new Error(`Failed to get kudos value breakdown: ${error.message}`);
+  }
+}
+
+/**
+ * Get which company values a team is recognized for in kudos (tenant-aware)
+ * @param {string} teamId - Team identifier
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; all time by default)
+ * @returns {Object} - Period and value breakdown of the team
+ */
+async function getTeamValueBreakdown(teamId, tenantId, options = {}) {
+  try {
+    logger.debug('Fetching team value breakdown', { teamId, tenantId, period: options.period });
+    
+    const period = resolveScoringPeriod(options);
+    const { teams } = await buildValueBreakdown(tenantId, period);
+    
+    if (!teams.has(teamId)) {
+      logger.warn('Team not found or has no employees', { teamId, tenantId });
+      throw new Error('Team not found or has no employees');
+    }
+    
+    const team = await findDefinedRecord(teamRepository.getTeamById, tenantId, teamId);
+    
+    const result = {
+      team_id: teamId,
+      team_name: team ? team.name : teamId,
+      period_type: period.period_type,
+      period_start: period.period_start,
+      period_end: period.period_end,
+      ...teams.get(teamId)
+    };
+    
+    logger.info('Successfully fetched team value breakdown', { teamId, tenantId });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get team value breakdown', { 
+      error: error.message, 
+      stack: error.stack,
+      operation: 'getTeamValueBreakdown',
+      teamId,
+      tenantId
+    });
+    throw new Error(`Failed to get team value breakdown: ${error.message}`);
+  }
+}
+
 module.exports = {
   getEmployeeMetrics,
   getEmployeeHistory,
   getTeamMetrics,
   getDepartmentMetrics,
   getOverallStats,
-  getTopContributors
+  getTopContributors,
+  getOrgMetrics,
+  getEmployeeSentimentTrend,
+  getTeamSentimentTrend,
+  getKudosValueBreakdown,
+  getTeamValueBreakdown
 };
\ No newline at end of file
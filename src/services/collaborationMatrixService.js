@@ -0,0 +1,198 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const interactionRepository = require('../repositories/interactionRepository');
+const kudosRepository = require('../repositories/kudosRepository');
+const teamRepository = require('../repositories/teamRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const { resolveScoringPeriod, getPreviousPeriod, filterToPeriod } = require('./scoringPeriodService');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients } = require('../utils/recipients');
+const logger = require('../utils/logger');
+
+/**
+ * Collaboration Matrix Service
+ * Counts the interactions and kudos each team (or department) sent each other team over a
+ * period, next to the counts of the previous period. A record counts once from the sender's
+ * group to every group among its recipients; employees are grouped by their current team or
+ * department, and records employees gave themselves are left out
+ */
+
+// What employees can be grouped by
+const MATRIX_GROUPINGS = ['team', 'department'];
+
+/**
+ * Validate matrix options
+ * @param {Object} options - Matrix options
+ * @returns {Object} - Validation result
+ */
+function validateMatrixOptions(options) {
+  const errors = [];
+  
+  if (options.group_by !== undefined && !MATRIX_GROUPINGS.includes(options.group_by)) {
+    errors.push(`Group by must be one of: ${MATRIX_GROUPINGS.join(', ')}`);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Count the records each group sent each group
+ * @param {Array} records - Interactions or kudos
+ * @param {Map<string, string>} groupOf - Group by employee ID
+ * @param {Map<string, number>} counts - Counts by sender and recipient group, added to
+ */
+function countBetweenGroups(records, groupOf, counts) {
+  records.forEach(record => {
+    const fromGroup = groupOf.get(record.from_employee_id);
+    if (!fromGroup) return;
+    
+    const toGroups = new Set(getRecipients(record)
+      .filter(recipient => recipient !== record.from_employee_id)
+      .map(recipient => groupOf.get(recipient))
+      .filter(Boolean));
+    toGroups.forEach(toGroup => {
+      const key = `${fromGroup}\u0000${toGroup}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+}
+
+/**
+ * Get the share of the volume that went between different groups
+ * @param {Array<Object>} cells - Matrix cells
+ * @param {string} field - Volume field to add up
+ * @returns {Object} - Total, cross-group total and cross-group share (null without volume)
+ */
+function summarizeVolume(cells, field) {
+  const total = cells.reduce((sum, cell) => sum + cell[field], 0);
+  const crossGroupTotal = cells
+    .filter(cell => cell.from !== cell.to)
+    .reduce((sum, cell) => sum + cell[field], 0);
+  
+  return {
+    total,
+    cross_group_total: crossGroupTotal,
+    cross_group_share: total > 0 ? parseFloat((crossGroupTotal / total).toFixed(4)) : null
+  };
+}
+
+/**
+ * Get the team×team or department×department collaboration matrix of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; the current month by
+ *   default) and group_by ('team', the default, or 'department')
+ * @returns {Promise<Object>} - Period and previous period, a summary of the volume, the groups,
+ *   the matrix of totals, and one cell per pair of groups with volume in either period:
+ *   interaction, kudos and total counts, the previous total and the change
+ */
+async function getCollaborationMatrix(tenantId, options = {}) {
+  try {
+    logger.debug('Fetching collaboration matrix', { tenantId, period: options.period, groupBy: options.group_by });
+    
+    const validation = validateMatrixOptions(options);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+    
+    const groupBy = options.group_by || 'team';
+    const period = resolveScoringPeriod({ ...options, period: options.period || 'monthly' });
+    const previousPeriod = getPreviousPeriod(period);
+    
+    const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000));
+    const groupOf = new Map(employees.map(employee => [employee.employee_id, employee[groupBy]]));
+    const interactions = await loadAllPages(page => interactionRepository.getInteractions(tenantId, page, 1000));
+    const kudos = await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000));
+    
+    const interactionCounts = new Map();
+    const kudosCounts = new Map();
+    const previousCounts = new Map();
+    countBetweenGroups(filterToPeriod(interactions, period), groupOf, interactionCounts);
+    countBetweenGroups(filterToPeriod(kudos, period), groupOf, kudosCounts);
+    if (previousPeriod) {
+      countBetweenGroups(filterToPeriod(interactions, previousPeriod), groupOf, previousCounts);
+      countBetweenGroups(filterToPeriod(kudos, previousPeriod), groupOf, previousCounts);
+    }
+    
+    const cells = [...new Set([...interactionCounts.keys(), ...kudosCounts.keys(), ...previousCounts.keys()])]
+      .map(key => {
+        const [from, to] = key.split('\u0000');
+        const total = (interactionCounts.get(key) || 0) + (kudosCounts.get(key) || 0);
+        const previousTotal = previousPeriod ? previousCounts.get(key) || 0 : null;
+        
+        return {
+          from,
+          to,
+          interaction_count: interactionCounts.get(key) || 0,
+          kudos_count: kudosCounts.get(key) || 0,
+          total,
+          previous_total: previousTotal,
+          change: previousPeriod ? total - previousTotal : null,
+          change_percent: previousTotal ? parseFloat(((total - previousTotal) / previousTotal * 100).toFixed(1)) : null
+        };
+      })
+      .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+    
+    const lookup = groupBy === 'team' ? teamRepository.getTeamById : departmentRepository.getDepartmentById;
+    const groups = [];
+    for (const groupId of [...new Set(groupOf.values())].filter(Boolean).sort()) {
+      let group = null;
+      try {
+        group = await lookup(tenantId, groupId);
+      } catch (error) {
+        // Groups only named on employees have no record of their own
+      }
+      groups.push({
+        id: groupId,
+        name: group ? group.name : groupId,
+        member_count: employees.filter(employee => employee[groupBy] === groupId).length
+      });
+    }
+    
+    // Dense view of the totals, with a row and column for every group
+    const matrix = {};
+    groups.forEach(fromGroup => {
+      matrix[fromGroup.id] = {};
+      groups.forEach(toGroup => {
+        matrix[fromGroup.id][toGroup.id] = 0;
+      });
+    });
+    cells.forEach(cell => {
+      matrix[cell.from][cell.to] = cell.total;
+    });
+    
+    const current = summarizeVolume(cells, 'total');
+    const result = {
+      group_by: groupBy,
+      period_type: period.period_type,
+      period_start: period.period_start,
+      period_end: period.period_end,
+      previous_period_start: previousPeriod ? previousPeriod.period_start : null,
+      previous_period_end: previousPeriod ? previousPeriod.period_end : null,
+      summary: {
+        ...current,
+        previous: previousPeriod ? summarizeVolume(cells, 'previous_total') : null
+      },
+      groups,
+      matrix,
+      cells
+    };
+    
+    logger.info('Successfully fetched collaboration matrix', { tenantId, groupBy, cellCount: cells.length });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get collaboration matrix', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getCollaborationMatrix',
+      tenantId
+    });
+    throw new Error(`Failed to get collaboration matrix: ${error.message}`);
+  }
+}
+
+module.exports = {
+  MATRIX_GROUPINGS,
+  getCollaborationMatrix
+};
\ No newline at end of file
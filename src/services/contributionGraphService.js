@@ -0,0 +1,132 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const interactionRepository = require('../repositories/interactionRepository');
+const kudosRepository = require('../repositories/kudosRepository');
+const { resolveScoringPeriod, filterToPeriod } = require('./scoringPeriodService');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients } = require('../utils/recipients');
+const logger = require('../utils/logger');
+
+/**
+ * Contribution Graph Service
+ * Builds the weighted, directed graph of who collaborates with whom: active employees are the
+ * nodes, and the edge from A to B counts the interactions and kudos A gave B (its weight is
+ * their sum). A record with several recipients adds to the edge to each of them; records
+ * employees gave themselves are left out
+ */
+
+/**
+ * Validate graph options
+ * @param {Object} options - Graph options
+ * @returns {Object} - Validation result
+ */
+function validateGraphOptions(options) {
+  const errors = [];
+  
+  if (options.min_weight !== undefined &&
+      (typeof options.min_weight !== 'number' || !Number.isFinite(options.min_weight) || options.min_weight < 0)) {
+    errors.push('Minimum edge weight must be a number of at least 0');
+  }
+  
+  for (const filter of ['team', 'department']) {
+    if (options[filter] !== undefined && (typeof options[filter] !== 'string' || options[filter] === '')) {
+      errors.push(`${filter} must be a team or department ID`);
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Build the contribution graph of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; all time by default), and
+ *   team, department (only employees of that team or department) and min_weight (only edges
+ *   with at least this weight)
+ * @returns {Promise<Object>} - Period, filters, nodes and edges; nodes carry the weight of their
+ *   outgoing and incoming edges
+ */
+async function buildContributionGraph(tenantId, options = {}) {
+  const validation = validateGraphOptions(options);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const period = resolveScoringPeriod(options);
+  const minWeight = options.min_weight || 0;
+  
+  const employees = (await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true })))
+    .filter(employee => (options.team === undefined || employee.team === options.team) &&
+      (options.department === undefined || employee.department === options.department));
+  const inGraph = new Set(employees.map(employee => employee.employee_id));
+  
+  const interactions = filterToPeriod(await loadAllPages(page => interactionRepository.getInteractions(tenantId, page, 1000)), period);
+  const kudos = filterToPeriod(await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000)), period);
+  
+  const edges = new Map();
+  const addRecords = (records, countField) => {
+    records.forEach(record => {
+      const source = record.from_employee_id;
+      if (!inGraph.has(source)) return;
+      
+      getRecipients(record).forEach(target => {
+        if (target === source || !inGraph.has(target)) return;
+        
+        const key = `${source}\u0000${target}`;
+        if (!edges.has(key)) {
+          edges.set(key, { source, target, weight: 0, interaction_count: 0, kudos_count: 0 });
+        }
+        const edge = edges.get(key);
+        edge[countField]++;
+        edge.weight++;
+      });
+    });
+  };
+  addRecords(interactions, 'interaction_count');
+  addRecords(kudos, 'kudos_count');
+  
+  const keptEdges = [...edges.values()]
+    .filter(edge => edge.weight >= minWeight)
+    .sort((a, b) => String(a.source).localeCompare(String(b.source)) || String(a.target).localeCompare(String(b.target)));
+  
+  const outWeight = new Map();
+  const inWeight = new Map();
+  keptEdges.forEach(edge => {
+    outWeight.set(edge.source, (outWeight.get(edge.source) || 0) + edge.weight);
+    inWeight.set(edge.target, (inWeight.get(edge.target) || 0) + edge.weight);
+  });
+  
+  const nodes = employees
+    .map(employee => ({
+      id: employee.employee_id,
+      name: employee.name || null,
+      team: employee.team || null,
+      department: employee.department || null,
+      out_weight: outWeight.get(employee.employee_id) || 0,
+      in_weight: inWeight.get(employee.employee_id) || 0
+    }))
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  
+  logger.debug('Built contribution graph', { tenantId, nodeCount: nodes.length, edgeCount: keptEdges.length });
+  
+  return {
+    period_type: period.period_type,
+    period_start: period.period_start,
+    period_end: period.period_end,
+    filters: {
+      team: options.team || null,
+      department: options.department || null,
+      min_weight: minWeight
+    },
+    node_count: nodes.length,
+    edge_count: keptEdges.length,
+    nodes,
+    edges: keptEdges
+  };
+}
+
+module.exports = {
+  buildContributionGraph
+};
\ No newline at end of file
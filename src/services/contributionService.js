@@ -0,0 +1,387 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const interactionRepository = require('../repositories/interactionRepository');
+const kudosRepository = require('../repositories/kudosRepository');
+const contributionRepository = require('../repositories/contributionRepository');
+const { getScorer, getEnabledScorers, runScorer, calculateWeightedScore } = require('./scorerRegistry');
+const { getActiveScoringConfig } = require('./scoringConfigService');
+const { validateScoringPeriod, resolveScoringPeriod, filterToPeriod, decayWeight } = require('./scoringPeriodService');
+const { getAntiGamingSettings, gamingWeight, detectKudosGaming } = require('./kudosGamingService');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients, isRecipient } = require('../utils/recipients');
+const logger = require('../utils/logger');
+
+// Scopes a batch recalculation can cover
+const BATCH_SCOPES = ['employees', 'team', 'department', 'all'];
+
+// Dimensions that also keep a score column of their own on contributions
+const SCORE_COLUMNS = {
+  problem_solving: 'problem_solving_score',
+  collaboration: 'collaboration_score',
+  initiative: 'initiative_score'
+};
+
+/**
+ * Contribution Service
+ * Runs the scoring pipeline (interactions and kudos -> contribution scores) for an employee
+ */
+
+/**
+ * Load every employee of a tenant, including soft-deleted ones
+ * (the collaboration score looks up the team of every kudos sender)
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - All employees
+ */
+async function loadAllEmployees(tenantId) {
+  return await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000));
+}
+
+/**
+ * Load a tenant's kudos inside a scoring period, flagged for gaming
+ * Gaming patterns span employees, so every kudos of the period is examined
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} period - Resolved scoring period
+ * @param {Object} config - Scoring configuration
+ * @returns {Promise<Array>} - Kudos of the period with their gaming_flags (see kudosGamingService)
+ */
+async function loadFlaggedKudos(tenantId, period, config) {
+  const kudos = filterToPeriod(await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000)), period);
+  return detectKudosGaming(kudos, getAntiGamingSettings(config)).kudos;
+}
+
+/**
+ * Group interactions by the employee who sent them
+ * Interactions recorded before senders and recipients were split have the employee as both
+ * @param {Array} interactions - Interactions
+ * @returns {Map} - sender employee ID -> interactions
+ */
+function groupBySender(interactions) {
+  const grouped = new Map();
+  
+  interactions.forEach(interaction => {
+    if (!grouped.has(interaction.from_employee_id)) {
+      grouped.set(interaction.from_employee_id, []);
+    }
+    grouped.get(interaction.from_employee_id).push(interaction);
+  });
+  
+  return grouped;
+}
+
+/**
+ * Group records by the employee they were given to; a group kudos goes to each of its recipients
+ * @param {Array} records - Interactions or kudos
+ * @returns {Map} - recipient employee ID -> records
+ */
+function groupByRecipient(records) {
+  const grouped = new Map();
+  
+  records.forEach(record => {
+    getRecipients(record).forEach(recipient => {
+      if (!grouped.has(recipient)) {
+        grouped.set(recipient, []);
+      }
+      grouped.get(recipient).push(record);
+    });
+  });
+  
+  return grouped;
+}
+
+/**
+ * Turn dimension scores into the stored score fields
+ * The dimension map holds every score; the original three dimensions are also kept in their
+ * own columns (null when the dimension was not scored) so older clients keep working
+ * @param {Object} dimensionScores - Score per dimension
+ * @param {number} overallScore - Overall score
+ * @returns {Object} - dimension_scores, the three dimension columns and overall_score
+ */
+function toContributionScores(dimensionScores, overallScore) {
+  const scores = { dimension_scores: dimensionScores };
+  
+  Object.entries(SCORE_COLUMNS).forEach(([dimension, column]) => {
+    scores[column] = dimensionScores[dimension] !== undefined ? dimensionScores[dimension] : null;
+  });
+  scores.overall_score = overallScore;
+  
+  return scores;
+}
+
+/**
+ * Score an employee from the interactions they sent and the kudos they received
+ * Every dimension the configuration enables is scored by its registered scorer; only activity
+ * inside the period counts, weighted by the period's decay and, for kudos flagged as gaming,
+ * the configured flagged_weight. Scores given in `options.provided` are kept as they are and
+ * the rest are calculated
+ * @param {Object} employee - The employee
+ * @param {Array} employeeInteractions - Interactions sent by the employee
+ * @param {Array} employeeKudos - Kudos received by the employee, with their gaming_flags (see loadFlaggedKudos)
+ * @param {Array} allEmployees - All employees of the tenant
+ * @param {Object} scoringConfig - Scoring configuration version ({ version, config })
+ * @param {Object} options - Scoring options
+ * @param {Object} options.provided - Manually provided scores by dimension name, and `overall`
+ * @param {Object} options.period - Resolved scoring period (default: all-time without decay)
+ * @returns {Object} - { scores, explanation } with the stored score fields and the evidence behind each dimension
+ */
+function scoreEmployee(employee, employeeInteractions, employeeKudos, allEmployees, scoringConfig, options = {}) {
+  const { config } = scoringConfig;
+  const provided = options.provided || {};
+  const period = options.period || resolveScoringPeriod();
+  const antiGaming = getAntiGamingSettings(config);
+  const weightOf = record => decayWeight(record, period) * gamingWeight(record, antiGaming);
+  const data = {
+    employee,
+    interactions: filterToPeriod(employeeInteractions, period),
+    kudos: filterToPeriod(employeeKudos, period),
+    employees: allEmployees
+  };
+  
+  // Enabled dimensions, plus any other dimension with a provided score
+  const names = [...new Set([
+    ...getEnabledScorers(config).map(scorer => scorer.name),
+    ...Object.keys(provided).filter(name => name !== 'overall')
+  ])];
+  
+  const dimensions = {};
+  const dimensionScores = {};
+  names.forEach(name => {
+    dimensions[name] = provided[name] !== undefined
+      ? { score: provided[name], provided: true }
+      : { provided: false, ...runScorer(getScorer(name), data, config, weightOf) };
+    dimensionScores[name] = dimensions[name].score;
+  });
+  
+  const overall = provided.overall !== undefined
+    ? { score: provided.overall, provided: true }
+    : {
+      score: calculateWeightedScore(dimensionScores, config.weights),
+      provided: false,
+      weights: config.weights
+    };
+  
+  return {
+    scores: toContributionScores(dimensionScores, overall.score),
+    explanation: {
+      scoring_config_version: scoringConfig.version,
+      period,
+      dimensions,
+      overall
+    }
+  };
+}
+
+/**
+ * Calculate contribution scores for an employee from their interactions and kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @param {Object} provided - Manually provided scores by dimension name, and `overall`
+ * @param {Object} context - Data shared across a batch of employees
+ * @param {Array} context.allEmployees - All employees of the tenant (loaded when omitted)
+ * @param {Object} context.scoringConfig - Active scoring configuration version (loaded when omitted)
+ * @param {Object} context.period - Resolved scoring period (default: all-time without decay)
+ * @returns {Promise<Object>} - The score fields, the scoring_config_version that produced them,
+ *   the period bounds and the explanation
+ */
+async function calculateContributionScores(tenantId, employeeId, provided = {}, context = {}) {
+  const allEmployees = context.allEmployees || await loadAllEmployees(tenantId);
+  const scoringConfig = context.scoringConfig || await getActiveScoringConfig(tenantId);
+  const employee = allEmployees.find(emp => emp.employee_id === employeeId);
+  
+  if (!employee) {
+    logger.warn('Employee not found for contribution scores', { employeeId, tenantId });
+    throw new Error('Employee not found');
+  }
+  
+  // Problem solving and initiative credit the employee who wrote the message, not whoever it helped
+  const employeeInteractions = await interactionRepository.getInteractionsByEmployeeId(tenantId, employeeId, 'sent');
+  const period = context.period || resolveScoringPeriod();
+  const employeeKudos = (await loadFlaggedKudos(tenantId, period, scoringConfig.config))
+    .filter(kudos => isRecipient(kudos, employeeId));
+  
+  const { scores, explanation } = scoreEmployee(employee, employeeInteractions, employeeKudos, allEmployees, scoringConfig, {
+    provided,
+    period
+  });
+  logger.debug('Calculated contribution scores', {
+    employeeId,
+    interactionCount: employeeInteractions.length,
+    kudosCount: employeeKudos.length,
+    scores,
+    scoringConfigVersion: scoringConfig.version,
+    tenantId
+  });
+  
+  return { ...scores, scoring_config_version: scoringConfig.version, ...period, explanation };
+}
+
+/**
+ * Recalculate an employee's contribution scores and store them as a new contribution
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @param {Object} context - Data shared across a batch of employees (see calculateContributionScores)
+ * @returns {Promise<Object>} - Created contribution
+ */
+async function recalculateContribution(tenantId, employeeId, context = {}) {
+  const calculated = await calculateContributionScores(tenantId, employeeId, {}, context);
+  
+  return await contributionRepository.createContribution(tenantId, {
+    employee_id: employeeId,
+    calculated_at: new Date().toISOString(),
+    ...calculated
+  });
+}
+
+/**
+ * Validate a batch recalculation scope
+ * @param {Object} scope - Scope to validate
+ * @returns {Object} - Validation result
+ */
+function validateBatchScope(scope) {
+  const errors = [];
+  
+  if (!BATCH_SCOPES.includes(scope.scope)) {
+    errors.push(`Scope must be one of: ${BATCH_SCOPES.join(', ')}`);
+  } else if (scope.scope === 'employees') {
+    if (!Array.isArray(scope.employee_ids) || scope.employee_ids.length === 0) {
+      errors.push('Employee IDs are required for the employees scope');
+    } else if (scope.employee_ids.some(id => typeof id !== 'string' || !id)) {
+      errors.push('Employee IDs must be non-empty strings');
+    }
+  } else if (scope.scope === 'team' && !scope.team_id) {
+    errors.push('Team ID is required for the team scope');
+  } else if (scope.scope === 'department' && !scope.department_id) {
+    errors.push('Department ID is required for the department scope');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Pick the active employees a batch scope covers
+ * @param {Array} allEmployees - All employees of the tenant
+ * @param {Object} scope - Validated batch scope
+ * @returns {Object} - { targets, missing } where missing lists requested IDs with no active employee
+ */
+function resolveBatchTargets(allEmployees, scope) {
+  const activeEmployees = allEmployees.filter(employee => !employee.deleted_at);
+  
+  if (scope.scope === 'employees') {
+    const requested = [...new Set(scope.employee_ids)];
+    const byId = new Map(activeEmployees.map(employee => [employee.employee_id, employee]));
+    return {
+      targets: requested.filter(id => byId.has(id)).map(id => byId.get(id)),
+      missing: requested.filter(id => !byId.has(id))
+    };
+  }
+  
+  if (scope.scope === 'team') {
+    return { targets: activeEmployees.filter(employee => employee.team === scope.team_id), missing: [] };
+  }
+  
+  if (scope.scope === 'department') {
+    return { targets: activeEmployees.filter(employee => employee.department === scope.department_id), missing: [] };
+  }
+  
+  return { targets: activeEmployees, missing: [] };
+}
+
+/**
+ * Recalculate contribution scores for a set of employees in one pass
+ * Employees, interactions and kudos are loaded once and all new contributions are stored in one insert
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} scope - Which employees to recalculate
+ * @param {string} scope.scope - 'employees', 'team', 'department' or 'all'
+ * @param {Array<string>} scope.employee_ids - Employee IDs (employees scope)
+ * @param {string} scope.team_id - Team ID (team scope)
+ * @param {string} scope.department_id - Department ID, direct members only (department scope)
+ * @param {string} scope.period - Scoring period and its options (see scoringPeriodService.resolveScoringPeriod)
+ * @returns {Promise<Object>} - Report with counts and a result per employee
+ */
+async function recalculateContributionsBatch(tenantId, scope = {}) {
+  const errors = [...validateBatchScope(scope).errors, ...validateScoringPeriod(scope).errors];
+  if (errors.length > 0) {
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+  
+  const period = resolveScoringPeriod(scope);
+  const allEmployees = await loadAllEmployees(tenantId);
+  const { targets, missing } = resolveBatchTargets(allEmployees, scope);
+  const scoringConfig = await getActiveScoringConfig(tenantId);
+  
+  const interactionsByEmployee = groupBySender(
+    await loadAllPages(page => interactionRepository.getInteractions(tenantId, page, 1000))
+  );
+  const kudosByEmployee = groupByRecipient(await loadFlaggedKudos(tenantId, period, scoringConfig.config));
+  
+  const calculatedAt = new Date().toISOString();
+  const contributions = [];
+  const results = [];
+  
+  targets.forEach(employee => {
+    try {
+      const { scores, explanation } = scoreEmployee(
+        employee,
+        interactionsByEmployee.get(employee.employee_id) || [],
+        kudosByEmployee.get(employee.employee_id) || [],
+        allEmployees,
+        scoringConfig,
+        { period }
+      );
+      contributions.push({
+        employee_id: employee.employee_id,
+        calculated_at: calculatedAt,
+        scoring_config_version: scoringConfig.version,
+        ...period,
+        ...scores,
+        explanation
+      });
+      results.push({ employee_id: employee.employee_id, status: 'updated', scores });
+    } catch (error) {
+      logger.warn('Batch score calculation failed for employee', {
+        employeeId: employee.employee_id,
+        error: error.message,
+        tenantId
+      });
+      results.push({ employee_id: employee.employee_id, status: 'failed', error: error.message });
+    }
+  });
+  
+  missing.forEach(employeeId => {
+    results.push({ employee_id: employeeId, status: 'not_found', error: 'Employee not found' });
+  });
+  
+  if (contributions.length > 0) {
+    await contributionRepository.createContributions(tenantId, contributions);
+  }
+  
+  const report = {
+    scope: scope.scope,
+    calculated_at: calculatedAt,
+    scoring_config_version: scoringConfig.version,
+    ...period,
+    employees_requested: targets.length + missing.length,
+    employees_updated: contributions.length,
+    employees_failed: results.length - contributions.length,
+    results
+  };
+  
+  logger.info('Batch score recalculation completed', {
+    scope: scope.scope,
+    updated: report.employees_updated,
+    failed: report.employees_failed,
+    tenantId
+  });
+  
+  return report;
+}
+
+module.exports = {
+  BATCH_SCOPES,
+  toContributionScores,
+  loadAllEmployees,
+  calculateContributionScores,
+  recalculateContribution,
+  recalculateContributionsBatch
+};
\ No newline at end of file
@@ -0,0 +1,258 @@
+const departmentRepository = require('../repositories/departmentRepository');
+const teamRepository = require('../repositories/teamRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+
+// Fields a department can be created or updated with
+const DEPARTMENT_FIELDS = ['department_id', 'name', 'parent_department_id', 'lead_employee_id', 'archived'];
+
+// Department IDs are stored in employees.department, which is limited to 50 characters
+const DEPARTMENT_ID_PATTERN = /^[a-zA-Z0-9-_]{1,50}$/;
+
+/**
+ * Check whether a stored archived flag is set
+ * (the CSV backend returns every column as a string)
+ * @param {Object} record - Team or department record
+ * @returns {boolean} - Whether the record is archived
+ */
+function isArchived(record) {
+  return String(record.archived) === 'true';
+}
+
+/**
+ * Keep the known department fields, turning empty references into null
+ * @param {Object} departmentData - Request payload
+ * @returns {Object} - Department data to store
+ */
+function pickDepartmentFields(departmentData) {
+  const picked = {};
+  
+  DEPARTMENT_FIELDS.forEach(field => {
+    if (departmentData[field] !== undefined) {
+      picked[field] = departmentData[field];
+    }
+  });
+  
+  ['parent_department_id', 'lead_employee_id'].forEach(field => {
+    if (picked[field] === '') {
+      picked[field] = null;
+    }
+  });
+  
+  return picked;
+}
+
+/**
+ * Validate department data
+ * @param {Object} department - Department data to validate
+ * @returns {Object} - Validation result
+ */
+function validateDepartmentData(department) {
+  const errors = [];
+  
+  if (!department.department_id) {
+    errors.push('Department ID is required');
+  } else if (!DEPARTMENT_ID_PATTERN.test(department.department_id)) {
+    errors.push('Department ID must be at most 50 letters, digits, dashes or underscores');
+  }
+  
+  if (!department.name) {
+    errors.push('Name is required');
+  } else if (department.name.length > 100) {
+    errors.push('Name must be less than 100 characters');
+  }
+  
+  if (department.archived !== undefined && typeof department.archived !== 'boolean') {
+    errors.push('Archived must be true or false');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get a department, failing with "Department not found" when it does not exist
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @returns {Promise<Object>} - Department data
+ */
+async function getDepartment(tenantId, departmentId) {
+  if (!departmentId) {
+    throw new Error('Department ID is required');
+  }
+  
+  try {
+    return await departmentRepository.getDepartmentById(tenantId, departmentId);
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.message.includes('not found')) {
+      throw new Error('Department not found');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a department that employees, teams and sub-departments can be assigned to
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @returns {Promise<Object>} - Department data
+ */
+async function requireActiveDepartment(tenantId, departmentId) {
+  let department;
+  try {
+    department = await getDepartment(tenantId, departmentId);
+  } catch (error) {
+    if (error.message === 'Department not found') {
+      throw new Error(`Validation failed: Department ${departmentId} not found`);
+    }
+    throw error;
+  }
+  
+  if (isArchived(department)) {
+    throw new Error(`Validation failed: Department ${departmentId} is archived`);
+  }
+  
+  return department;
+}
+
+/**
+ * Check that a lead employee exists and is not soft-deleted
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The lead's employee ID
+ * @returns {Promise<void>}
+ */
+async function validateLead(tenantId, employeeId) {
+  const lead = await employeeRepository.getEmployeeById(tenantId, employeeId).catch(() => null);
+  if (!lead || lead.deleted_at) {
+    throw new Error(`Validation failed: Lead employee ${employeeId} not found`);
+  }
+}
+
+/**
+ * Get all departments for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Listing options
+ * @param {boolean} options.includeArchived - Include archived departments (default: false)
+ * @returns {Promise<Array>} - Departments ordered by name
+ */
+async function listDepartments(tenantId, options = {}) {
+  return await departmentRepository.getDepartments(tenantId, {
+    includeArchived: !!options.includeArchived
+  });
+}
+
+/**
+ * Create a new department
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} departmentData - Department data
+ * @returns {Promise<Object>} - Created department data
+ */
+async function createDepartment(tenantId, departmentData) {
+  const department = pickDepartmentFields(departmentData);
+  
+  const validation = validateDepartmentData(department);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const existing = await departmentRepository.getDepartmentById(tenantId, department.department_id).catch(() => null);
+  if (existing) {
+    throw new Error('Department ID already exists');
+  }
+  
+  if (department.parent_department_id) {
+    await requireActiveDepartment(tenantId, department.parent_department_id);
+  }
+  
+  if (department.lead_employee_id) {
+    await validateLead(tenantId, department.lead_employee_id);
+  }
+  
+  return await departmentRepository.createDepartment(tenantId, department);
+}
+
+/**
+ * Update a department (partial updates allowed; the department ID cannot be changed)
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @param {Object} departmentData - Department data to update
+ * @returns {Promise<Object>} - Updated department data
+ */
+async function updateDepartment(tenantId, departmentId, departmentData) {
+  // The department ID is what employees and teams refer to
+  if (departmentData.department_id !== undefined && departmentData.department_id !== departmentId) {
+    throw new Error('Validation failed: Department ID cannot be changed');
+  }
+  
+  const updateData = pickDepartmentFields(departmentData);
+  delete updateData.department_id;
+  
+  const existing = await getDepartment(tenantId, departmentId);
+  
+  const validation = validateDepartmentData({ ...existing, ...updateData });
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  if (updateData.parent_department_id) {
+    if (updateData.parent_department_id === departmentId) {
+      throw new Error('Validation failed: A department cannot be its own parent');
+    }
+    
+    // Walk up from the new parent; reaching this department means a cycle
+    let ancestor = await requireActiveDepartment(tenantId, updateData.parent_department_id);
+    const visited = new Set();
+    while (ancestor && ancestor.parent_department_id && !visited.has(ancestor.department_id)) {
+      if (ancestor.parent_department_id === departmentId) {
+        throw new Error(`Validation failed: Parent department ${updateData.parent_department_id} would create a cycle`);
+      }
+      visited.add(ancestor.department_id);
+      ancestor = await departmentRepository.getDepartmentById(tenantId, ancestor.parent_department_id).catch(() => null);
+    }
+  }
+  
+  if (updateData.lead_employee_id) {
+    await validateLead(tenantId, updateData.lead_employee_id);
+  }
+  
+  return await departmentRepository.updateDepartment(tenantId, departmentId, updateData);
+}
+
+/**
+ * Delete a department that nothing refers to any more
+ * Departments with employees, teams or sub-departments should be archived instead
+ * @param {string} tenantId - The tenant ID
+ * @param {string} departmentId - The department ID
+ * @returns {Promise<Object>} - Deleted department data
+ */
+async function deleteDepartment(tenantId, departmentId) {
+  await getDepartment(tenantId, departmentId);
+  
+  const employees = await employeeRepository.countEmployees(tenantId, { department: departmentId });
+  const teams = await teamRepository.getTeams(tenantId, { includeArchived: true, departmentId });
+  const children = await departmentRepository.getDepartments(tenantId, { includeArchived: true, parentId: departmentId });
+  
+  const references = [];
+  if (employees > 0) references.push(`${employees} employee(s)`);
+  if (teams.length > 0) references.push(`${teams.length} team(s)`);
+  if (children.length > 0) references.push(`${children.length} sub-department(s)`);
+  
+  if (references.length > 0) {
+    throw new Error(`Validation failed: Department ${departmentId} still has ${references.join(', ')}; archive it instead`);
+  }
+  
+  return await departmentRepository.deleteDepartment(tenantId, departmentId);
+}
+
+module.exports = {
+  isArchived,
+  validateDepartmentData,
+  validateLead,
+  getDepartment,
+  requireActiveDepartment,
+  listDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+};
\ No newline at end of file
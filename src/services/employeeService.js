@@ -1,4 +1,21 @@
 const employeeRepository = require('../repositories/employeeRepository');
+const interactionRepository = require('../repositories/interactionRepository');
+const kudosRepository = require('../repositories/kudosRepository');
+const contributionRepository = require('../repositories/contributionRepository');
+const teamRepository = require('../repositories/teamRepository');
+const departmentRepository = require('../repositories/departmentRepository');
+const orgChartService = require('./orgChartService');
+const teamService = require('./teamService');
+const departmentService = require('./departmentService');
+
+// What happens to an employee's interactions, kudos and contributions on deletion
+const DELETION_STRATEGIES = ['cascade', 'reassign', 'soft-delete'];
+
+// Fields employees can be searched by
+const SEARCH_FIELDS = ['name', 'email', 'team', 'department'];
+
+// Columns that are managed by the system and never taken from update payloads
+const IMMUTABLE_FIELDS = ['id', 'tenant_id', 'created_at', 'deleted_at'];
 
 /**
  * Validate employee data
@@ -57,20 +74,90 @@ function validateEmployeeData(employee) {
   };
 }
 
+/**
+ * Check an employee's team and department against the tenant's teams and departments
+ * Tenants that have not defined any teams (or departments) keep free-text values.
+ * When only the team is given, the employee's department is taken from the team.
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} assignment - Team and department IDs to store (undefined when unchanged)
+ * @returns {Promise<Object>} - The team and department to store
+ */
+async function resolveTeamAndDepartment(tenantId, assignment) {
+  let { team, department } = assignment;
+  
+  if (team && (await teamRepository.getTeams(tenantId, { includeArchived: true })).length > 0) {
+    const teamRecord = await teamService.requireActiveTeam(tenantId, team);
+    
+    if (teamRecord.department_id) {
+      if (!department) {
+        department = teamRecord.department_id;
+      } else if (department !== teamRecord.department_id) {
+        throw new Error(`Validation failed: Team ${team} belongs to department ${teamRecord.department_id}`);
+      }
+    }
+  }
+  
+  if (department && (await departmentRepository.getDepartments(tenantId, { includeArchived: true })).length > 0) {
+    await departmentService.requireActiveDepartment(tenantId, department);
+  }
+  
+  return { team, department };
+}
+
 /**
  * Get all employees for a tenant with pagination
  * @param {string} tenantId - The tenant ID
  * @param {number} page - Page number (default: 1)
  * @param {number} limit - Number of records per page (default: 10)
+ * @param {Object} options - Listing options
+ * @param {boolean} options.includeDeleted - Include soft-deleted employees (default: false)
  * @returns {Promise<Object>} - Object containing employee data and pagination info
  */
-async function getEmployees(tenantId, page = 1, limit = 10) {
+async function getEmployees(tenantId, page = 1, limit = 10, options = {}) {
   // Validate pagination parameters
   if (page < 1 || limit < 1 || limit > 100) {
     throw new Error('Invalid pagination parameters. Page must be >= 1 and limit must be between 1 and 100.');
   }
   
-  return await employeeRepository.getEmployees(tenantId, page, limit);
+  return await employeeRepository.getEmployees(tenantId, page, limit, {
+    activeOnly: !options.includeDeleted
+  });
+}
+
+/**
+ * Search employees by name, email, team and department
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} criteria - Search criteria; unknown and empty fields are ignored
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Number of records per page (default: 10)
+ * @param {Object} options - Search options
+ * @param {boolean} options.includeDeleted - Include soft-deleted employees (default: false)
+ * @returns {Promise<Object>} - Object containing matching employees and pagination info
+ */
+async function searchEmployees(tenantId, criteria = {}, page = 1, limit = 10, options = {}) {
+  if (page < 1 || limit < 1 || limit > 100) {
+    throw new Error('Invalid pagination parameters. Page must be >= 1 and limit must be between 1 and 100.');
+  }
+  
+  const searchCriteria = {};
+  SEARCH_FIELDS.forEach(field => {
+    if (typeof criteria[field] === 'string' && criteria[field].trim()) {
+      searchCriteria[field] = criteria[field].trim();
+    }
+  });
+  
+  if (Object.keys(searchCriteria).length === 0) {
+    throw new Error(`Validation failed: At least one search criterion is required (${SEARCH_FIELDS.join(', ')})`);
+  }
+  
+  const tooLong = Object.keys(searchCriteria).filter(field => searchCriteria[field].length > 100);
+  if (tooLong.length > 0) {
+    throw new Error(`Validation failed: Search terms must be less than 100 characters (${tooLong.join(', ')})`);
+  }
+  
+  return await employeeRepository.searchEmployees(tenantId, searchCriteria, page, limit, {
+    activeOnly: !options.includeDeleted
+  });
 }
 
 /**
@@ -111,6 +198,18 @@ async function createEmployee(tenantId, employeeData) {
     throw new Error('Email already exists');
   }
   
+  if (employeeData.team || employeeData.department) {
+    const { department } = await resolveTeamAndDepartment(tenantId, employeeData);
+    employeeData = { ...employeeData, department };
+  }
+  
+  if (employeeData.manager_id !== undefined) {
+    employeeData = { ...employeeData, manager_id: employeeData.manager_id || null };
+    if (employeeData.manager_id) {
+      await orgChartService.validateManagerAssignment(tenantId, employeeData.employee_id, employeeData.manager_id);
+    }
+  }
+  
   return await employeeRepository.createEmployee(tenantId, employeeData);
 }
 
@@ -127,15 +226,55 @@ async function updateEmployee(tenantId, employeeId, employeeData) {
     throw new Error('Employee ID is required');
   }
   
-  // Validate employee data (if provided)
-  if (Object.keys(employeeData).length > 0) {
-    const validation = validateEmployeeData(employeeData);
+  // The employee ID is the lookup key for interactions, kudos and contributions
+  if (employeeData.employee_id !== undefined && employeeData.employee_id !== employeeId) {
+    throw new Error('Validation failed: Employee ID cannot be changed');
+  }
+  
+  const updateData = {};
+  Object.keys(employeeData).forEach(field => {
+    if (!IMMUTABLE_FIELDS.includes(field)) {
+      updateData[field] = employeeData[field];
+    }
+  });
+  
+  // Throws when the employee does not exist
+  const existingEmployee = await employeeRepository.getEmployeeById(tenantId, employeeId);
+  
+  // Validate employee data (if provided) as it will be stored, so partial updates are allowed
+  if (Object.keys(updateData).length > 0) {
+    const validation = validateEmployeeData({ ...existingEmployee, ...updateData });
     if (!validation.isValid) {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
   }
   
-  return await employeeRepository.updateEmployee(tenantId, employeeId, employeeData);
+  // Check the new email is not used by another employee
+  if (updateData.email && existingEmployee && updateData.email !== existingEmployee.email &&
+      await employeeRepository.emailExists(tenantId, updateData.email)) {
+    throw new Error('Email already exists');
+  }
+  
+  // A changed team or department must exist in the tenant's teams and departments
+  if (updateData.team || updateData.department) {
+    const { department } = await resolveTeamAndDepartment(tenantId, {
+      team: updateData.team,
+      department: updateData.department
+    });
+    if (department !== undefined) {
+      updateData.department = department;
+    }
+  }
+  
+  // An empty manager_id removes the manager; a new one must not create a reporting cycle
+  if (updateData.manager_id !== undefined) {
+    updateData.manager_id = updateData.manager_id || null;
+    if (updateData.manager_id) {
+      await orgChartService.validateManagerAssignment(tenantId, employeeId, updateData.manager_id);
+    }
+  }
+  
+  return await employeeRepository.updateEmployee(tenantId, employeeId, updateData);
 }
 
 /**
@@ -153,11 +292,95 @@ async function deleteEmployee(tenantId, employeeId) {
   return await employeeRepository.deleteEmployee(tenantId, employeeId);
 }
 
+/**
+ * Delete an employee, deciding what happens to their interactions, kudos and contributions
+ *   - cascade: delete the employee and every record they sent, received or were scored on
+ *   - reassign: move their interactions and kudos to another employee, drop their
+ *     contributions (scores are per-employee) and delete the employee
+ *   - soft-delete: keep the employee and all history, stamped with deleted_at
+ * In every case the employee's direct reports move up to the employee's own manager.
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @param {Object} options - Deletion options
+ * @param {string} options.strategy - One of cascade, reassign, soft-delete
+ * @param {string} options.reassignTo - Target employee ID (required for reassign)
+ * @returns {Promise<Object>} - Deleted employee, strategy and affected record counts
+ */
+async function deleteEmployeeWithStrategy(tenantId, employeeId, options = {}) {
+  const { strategy, reassignTo } = options;
+  
+  if (!employeeId) {
+    throw new Error('Employee ID is required');
+  }
+  
+  if (!DELETION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Validation failed: Deletion strategy is required and must be one of: ${DELETION_STRATEGIES.join(', ')}`);
+  }
+  
+  // Throws when the employee does not exist
+  const employee = await employeeRepository.getEmployeeById(tenantId, employeeId);
+  
+  if (strategy === 'soft-delete') {
+    if (employee.deleted_at) {
+      throw new Error('Validation failed: Employee is already deleted');
+    }
+    
+    // Direct reports move up to the departing employee's manager
+    const reports = await employeeRepository.reassignDirectReports(tenantId, employeeId, employee.manager_id || null);
+    
+    return {
+      employee: await employeeRepository.softDeleteEmployee(tenantId, employeeId),
+      strategy,
+      affected: { interactions: 0, kudos: 0, contributions: 0, reports }
+    };
+  }
+  
+  const affected = {};
+  
+  if (strategy === 'reassign') {
+    if (!reassignTo) {
+      throw new Error('Validation failed: reassign_to is required for the reassign strategy');
+    }
+    
+    if (reassignTo === employeeId) {
+      throw new Error('Validation failed: Cannot reassign records to the employee being deleted');
+    }
+    
+    const target = await employeeRepository.getEmployeeById(tenantId, reassignTo).catch(() => null);
+    if (!target || target.deleted_at) {
+      throw new Error(`Validation failed: Reassignment target employee ${reassignTo} not found`);
+    }
+    
+    affected.interactions = await interactionRepository.reassignInteractions(tenantId, employeeId, reassignTo);
+    affected.kudos = await kudosRepository.reassignKudos(tenantId, employeeId, reassignTo);
+  } else {
+    affected.interactions = await interactionRepository.deleteInteractionsByEmployeeId(tenantId, employeeId);
+    affected.kudos = await kudosRepository.deleteKudosByEmployeeId(tenantId, employeeId);
+  }
+  
+  affected.contributions = await contributionRepository.deleteContributionsByEmployeeId(tenantId, employeeId);
+  
+  // Direct reports move up to the departing employee's manager
+  affected.reports = await employeeRepository.reassignDirectReports(tenantId, employeeId, employee.manager_id || null);
+  
+  const deletedEmployee = await employeeRepository.deleteEmployee(tenantId, employeeId);
+  
+  return {
+    employee: deletedEmployee,
+    strategy,
+    ...(strategy === 'reassign' && { reassignedTo: reassignTo }),
+    affected
+  };
+}
+
 module.exports = {
+  DELETION_STRATEGIES,
   getEmployees,
+  searchEmployees,
   getEmployeeById,
   createEmployee,
   updateEmployee,
   deleteEmployee,
+  deleteEmployeeWithStrategy,
   validateEmployeeData
 };
\ No newline at end of file
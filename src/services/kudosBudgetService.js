@@ -0,0 +1,271 @@
+const kudosRepository = require('../repositories/kudosRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+const tenantSettingsRepository = require('../repositories/tenantSettingsRepository');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients } = require('../utils/recipients');
+const { RateLimitError } = require('../utils/customErrors');
+const logger = require('../utils/logger');
+
+/**
+ * Kudos Budget Service
+ * Per-tenant limits on how many kudos each employee may give: per UTC day, per week
+ * (Monday to Sunday, UTC) and per recipient per week. A limit of null means unlimited,
+ * which is the default for every limit. Kudos count from the moment they were created,
+ * so a back-dated timestamp does not free up budget. A group kudos counts once towards the
+ * daily and weekly limits and once towards the limit of each of its recipients
+ */
+
+const BUDGET_SETTING_KEY = 'kudos_budget';
+const MAX_BUDGET_LIMIT = 1000;
+const DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_KUDOS_BUDGET = {
+  daily_limit: null,
+  weekly_limit: null,
+  per_recipient_weekly_limit: null
+};
+
+/**
+ * Validate changes to a kudos budget
+ * @param {Object} changes - Limits to change
+ * @returns {Object} - Validation result
+ */
+function validateKudosBudget(changes) {
+  const errors = [];
+  
+  Object.entries(changes).forEach(([limit, value]) => {
+    if (!(limit in DEFAULT_KUDOS_BUDGET)) {
+      errors.push(`Unknown kudos budget limit ${limit}`);
+    } else if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_BUDGET_LIMIT)) {
+      errors.push(`${limit} must be null (unlimited) or a whole number between 1 and ${MAX_BUDGET_LIMIT}`);
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Moment a kudos was given, for budget purposes
+ * @param {Object} kudos - Kudos record
+ * @returns {number|null} - Milliseconds since the epoch, null without a usable time
+ */
+function sentTime(kudos) {
+  const time = new Date(kudos.created_at || kudos.timestamp).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Bounds of the current budget day and week
+ * @param {Date} now - Current time
+ * @returns {Object} - { day, week } with start and end in milliseconds
+ */
+function budgetWindows(now) {
+  const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const weekStart = dayStart - ((now.getUTCDay() + 6) % 7) * DAY_IN_MILLIS;
+  
+  return {
+    day: { start: dayStart, end: dayStart + DAY_IN_MILLIS },
+    week: { start: weekStart, end: weekStart + 7 * DAY_IN_MILLIS }
+  };
+}
+
+/**
+ * Usage of one limit
+ * @param {number|null} limit - The limit (null for unlimited)
+ * @param {number} used - Kudos given in the window
+ * @param {number} end - End of the window in milliseconds
+ * @returns {Object} - { limit, used, remaining, resets_at } (remaining is null when unlimited)
+ */
+function limitUsage(limit, used, end) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resets_at: new Date(end).toISOString()
+  };
+}
+
+/**
+ * Work out how much of the budget an employee has used
+ * @param {Object} budget - Kudos budget limits
+ * @param {Array} sentKudos - Kudos the employee gave
+ * @param {Date} now - Current time
+ * @returns {Object} - Daily, weekly and per-recipient usage
+ */
+function summarizeBudget(budget, sentKudos, now) {
+  const { day, week } = budgetWindows(now);
+  let usedToday = 0;
+  let usedThisWeek = 0;
+  const usedPerRecipient = new Map();
+  
+  sentKudos.forEach(kudos => {
+    const time = sentTime(kudos);
+    if (time === null || time < week.start || time >= week.end) return;
+    
+    usedThisWeek++;
+    if (time >= day.start && time < day.end) usedToday++;
+    getRecipients(kudos).forEach(recipient => {
+      usedPerRecipient.set(recipient, (usedPerRecipient.get(recipient) || 0) + 1);
+    });
+  });
+  
+  return {
+    daily: limitUsage(budget.daily_limit, usedToday, day.end),
+    weekly: limitUsage(budget.weekly_limit, usedThisWeek, week.end),
+    per_recipient: [...usedPerRecipient.entries()]
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([recipient, used]) => ({
+        to_employee_id: recipient,
+        ...limitUsage(budget.per_recipient_weekly_limit, used, week.end)
+      }))
+  };
+}
+
+/**
+ * Get the kudos budget of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} - Limits with who changed them last and when
+ */
+async function getKudosBudget(tenantId) {
+  const setting = await tenantSettingsRepository.getSetting(tenantId, BUDGET_SETTING_KEY);
+  
+  return {
+    ...DEFAULT_KUDOS_BUDGET,
+    ...(setting ? setting.value : {}),
+    updated_by: setting ? setting.updated_by || null : null,
+    updated_at: setting ? setting.updated_at || null : null
+  };
+}
+
+/**
+ * Change limits of a tenant's kudos budget; limits left out keep their value
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} changes - Limits to change (null removes a limit)
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Promise<Object>} - Updated kudos budget
+ */
+async function updateKudosBudget(tenantId, changes, updatedBy) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new Error('Validation failed: At least one kudos budget limit is required');
+  }
+  
+  const validation = validateKudosBudget(changes);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const current = await getKudosBudget(tenantId);
+  const limits = {};
+  Object.keys(DEFAULT_KUDOS_BUDGET).forEach(limit => {
+    limits[limit] = limit in changes ? changes[limit] : current[limit];
+  });
+  
+  await tenantSettingsRepository.saveSetting(tenantId, BUDGET_SETTING_KEY, limits, updatedBy);
+  logger.info('Kudos budget updated', { tenantId, ...limits });
+  
+  return getKudosBudget(tenantId);
+}
+
+/**
+ * Make sure a sender has budget left for a kudos
+ * The check reads the kudos already stored and is not atomic with storing the new one, so
+ * kudos a sender gives in parallel requests can go over a limit by the requests in flight
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} kudos - Kudos about to be created (from_employee_id, and to_employee_id or the recipient_ids of a group kudos)
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} - When a limit is reached; the error carries the limit and the
+ *   seconds until every reached limit has reset
+ */
+async function checkKudosBudget(tenantId, kudos, now = new Date()) {
+  const budget = await getKudosBudget(tenantId);
+  if (Object.keys(DEFAULT_KUDOS_BUDGET).every(limit => budget[limit] === null)) {
+    return;
+  }
+  
+  const sentKudos = await kudosRepository.getKudosBySenderId(tenantId, kudos.from_employee_id);
+  const usage = summarizeBudget(budget, sentKudos, now);
+  // A group kudos is rejected as a whole when any of its recipients is over the limit
+  const exhaustedRecipients = getRecipients(kudos).filter(recipient => {
+    const toRecipient = usage.per_recipient.find(entry => entry.to_employee_id === recipient);
+    return toRecipient && toRecipient.remaining === 0;
+  });
+  const toRecipients = exhaustedRecipients.length > 0
+    ? usage.per_recipient.find(entry => entry.to_employee_id === exhaustedRecipients[0])
+    : limitUsage(budget.per_recipient_weekly_limit, 0, budgetWindows(now).week.end);
+  
+  const reached = [
+    { limit: 'weekly_limit', usage: usage.weekly, message: `Weekly limit of ${budget.weekly_limit} kudos reached` },
+    {
+      limit: 'per_recipient_weekly_limit',
+      usage: toRecipients,
+      message: `Weekly limit of ${budget.per_recipient_weekly_limit} kudos to ${exhaustedRecipients.join(', ')} reached`
+    },
+    { limit: 'daily_limit', usage: usage.daily, message: `Daily limit of ${budget.daily_limit} kudos reached` }
+  ].filter(entry => entry.usage.remaining === 0);
+  
+  if (reached.length > 0) {
+    // The first entry resets last: weekly limits come before the daily one
+    const { limit, usage: { resets_at: resetsAt }, message } = reached[0];
+    const retryAfter = Math.ceil((new Date(resetsAt).getTime() - now.getTime()) / 1000);
+    
+    logger.warn('Kudos budget exhausted', { tenantId, fromEmployeeId: kudos.from_employee_id, limit });
+    throw new RateLimitError(`${message}; more kudos can be given from ${resetsAt}`, limit, retryAfter);
+  }
+}
+
+/**
+ * Get how much kudos budget an employee has left
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Daily, weekly and per-recipient usage of the employee
+ */
+async function getRemainingBudget(tenantId, employeeId, now = new Date()) {
+  const budget = await getKudosBudget(tenantId);
+  const sentKudos = await kudosRepository.getKudosBySenderId(tenantId, employeeId);
+  
+  return {
+    employee_id: employeeId,
+    ...summarizeBudget(budget, sentKudos, now)
+  };
+}
+
+/**
+ * Get how much kudos budget every active employee of a tenant has left
+ * @param {string} tenantId - The tenant ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { budget, employees } with the usage of each employee
+ */
+async function getRemainingBudgets(tenantId, now = new Date()) {
+  const budget = await getKudosBudget(tenantId);
+  const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true }));
+  const kudos = await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000));
+  
+  const sentBy = new Map();
+  kudos.forEach(record => {
+    if (!sentBy.has(record.from_employee_id)) sentBy.set(record.from_employee_id, []);
+    sentBy.get(record.from_employee_id).push(record);
+  });
+  
+  return {
+    budget,
+    employees: employees.map(employee => ({
+      employee_id: employee.employee_id,
+      name: employee.name,
+      ...summarizeBudget(budget, sentBy.get(employee.employee_id) || [], now)
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_KUDOS_BUDGET,
+  getKudosBudget,
+  updateKudosBudget,
+  checkKudosBudget,
+  getRemainingBudget,
+  getRemainingBudgets
+};
\ No newline at end of file
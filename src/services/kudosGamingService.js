@@ -0,0 +1,265 @@
+const kudosRepository = require('../repositories/kudosRepository');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringService');
+const { getActiveScoringConfig } = require('./scoringConfigService');
+const { activityTime } = require('./scoringPeriodService');
+const { loadAllPages } = require('../utils/pagination');
+const { getRecipients } = require('../utils/recipients');
+const logger = require('../utils/logger');
+
+/**
+ * Kudos Gaming Service
+ * Flags kudos that look like gaming of the collaboration score: reciprocal pairs trading kudos,
+ * closed rings passing kudos around, bursts from one sender and repeated messages. Thresholds
+ * come from the anti_gaming section of the scoring configuration; flagged kudos count with its
+ * flagged_weight towards collaboration (0 leaves them out)
+ */
+
+const MINUTE_IN_MILLIS = 60 * 1000;
+const DAY_IN_MILLIS = 24 * 60 * MINUTE_IN_MILLIS;
+const MAX_REVIEW_DAYS = 365;
+
+/**
+ * Get the anti-gaming settings of a scoring configuration
+ * @param {Object} config - Scoring configuration
+ * @returns {Object} - Anti-gaming settings (the built-in ones for configurations stored before they existed)
+ */
+function getAntiGamingSettings(config) {
+  return config.anti_gaming || DEFAULT_SCORING_CONFIG.anti_gaming;
+}
+
+/**
+ * Weight of a kudos after gaming detection
+ * @param {Object} kudos - Kudos, flagged by detectKudosGaming
+ * @param {Object} settings - Anti-gaming settings
+ * @returns {number} - flagged_weight for flagged kudos while detection is enabled, otherwise 1
+ */
+function gamingWeight(kudos, settings) {
+  return settings.enabled && kudos.gaming_flags && kudos.gaming_flags.length > 0 ? settings.flagged_weight : 1;
+}
+
+/**
+ * Count the sorted times inside [from, to]
+ * @param {Array<number>} times - Sorted times
+ * @param {number} from - Window start
+ * @param {number} to - Window end
+ * @returns {number} - Times inside the window
+ */
+function countInWindow(times, from, to) {
+  const firstAtOrAfter = value => {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (times[middle] < value) low = middle + 1; else high = middle;
+    }
+    return low;
+  };
+  
+  return firstAtOrAfter(to + 1) - firstAtOrAfter(from);
+}
+
+/**
+ * Normalize a kudos message for duplicate detection: letters and digits only, lower case
+ * @param {string} message - Kudos message
+ * @returns {string} - Normalized message ('' when nothing is left)
+ */
+function normalizeMessage(message) {
+  return (message || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Find a closed ring through an edge: a path back from its recipient to its sender
+ * @param {string} from - Sender of the edge
+ * @param {string} to - Recipient of the edge
+ * @param {Map} recipientsOf - Sender -> set of recipients
+ * @param {Function} isActive - Whether an edge (sender, recipient) has enough kudos
+ * @param {number} maxSize - Largest ring size to look for
+ * @returns {Array<string>|null} - Employees of the ring starting with the sender, null without one
+ */
+function findRing(from, to, recipientsOf, isActive, maxSize) {
+  const search = path => {
+    const last = path[path.length - 1];
+    for (const next of recipientsOf.get(last) || []) {
+      if (next === from && path.length >= 3 && isActive(last, next)) {
+        return path;
+      }
+      if (next !== from && !path.includes(next) && path.length < maxSize && isActive(last, next)) {
+        const ring = search([...path, next]);
+        if (ring) return ring;
+      }
+    }
+    return null;
+  };
+  
+  return search([from, to]);
+}
+
+/**
+ * Flag kudos that look like gaming
+ * - reciprocal: both employees of a pair gave each other at least reciprocal_min_kudos kudos within window_days
+ * - ring: the kudos closes a ring of 3 to max_ring_size employees where every step has at least ring_min_kudos
+ *   kudos within window_days
+ * - burst: the sender gave more than burst_max_kudos kudos within burst_window_minutes (the extra kudos are flagged)
+ * - duplicate: the sender already sent the same message within window_days
+ * Kudos without a usable timestamp are never flagged
+ * @param {Array} kudosList - Kudos to examine
+ * @param {Object} settings - Anti-gaming settings
+ * @returns {Object} - { kudos, patterns } with a copy of every kudos carrying its gaming_flags, and the
+ *   suspicious patterns found (largest first)
+ */
+function detectKudosGaming(kudosList, settings) {
+  const window = settings.window_days * DAY_IN_MILLIS;
+  const entries = (kudosList || []).map(kudos => ({ kudos, time: activityTime(kudos), flags: new Set() }));
+  const timed = entries.filter(entry => entry.time !== null).sort((a, b) => a.time - b.time);
+  
+  const edgeTimes = new Map();
+  const recipientsOf = new Map();
+  timed.forEach(({ kudos, time }) => {
+    getRecipients(kudos).forEach(recipient => {
+      const edge = `${kudos.from_employee_id}\u0000${recipient}`;
+      if (!edgeTimes.has(edge)) edgeTimes.set(edge, []);
+      edgeTimes.get(edge).push(time);
+      if (!recipientsOf.has(kudos.from_employee_id)) recipientsOf.set(kudos.from_employee_id, new Set());
+      recipientsOf.get(kudos.from_employee_id).add(recipient);
+    });
+  });
+  const edgeCount = (from, to, time) => countInWindow(edgeTimes.get(`${from}\u0000${to}`) || [], time - window, time + window);
+  
+  const patterns = new Map();
+  const addToPattern = (key, pattern, entry) => {
+    if (!patterns.has(key)) {
+      patterns.set(key, { ...pattern, entries: [] });
+    }
+    patterns.get(key).entries.push(entry);
+  };
+  
+  // Reciprocal pairs and closed rings, checked for each recipient of a group kudos
+  timed.forEach(entry => {
+    const from = entry.kudos.from_employee_id;
+    
+    getRecipients(entry.kudos).forEach(to => {
+      if (edgeCount(from, to, entry.time) >= settings.reciprocal_min_kudos &&
+          edgeCount(to, from, entry.time) >= settings.reciprocal_min_kudos) {
+        entry.flags.add('reciprocal');
+        const pair = [from, to].sort();
+        addToPattern(`reciprocal:${pair.join('\u0000')}`, { type: 'reciprocal', employee_ids: pair }, entry);
+      }
+      
+      const isActive = (sender, recipient) => edgeCount(sender, recipient, entry.time) >= settings.ring_min_kudos;
+      const ring = isActive(from, to) && findRing(from, to, recipientsOf, isActive, settings.max_ring_size);
+      if (ring) {
+        entry.flags.add('ring');
+        // Start the ring at its smallest employee ID so every kudos of the ring lands in the same pattern
+        const start = ring.indexOf([...ring].sort()[0]);
+        const members = [...ring.slice(start), ...ring.slice(0, start)];
+        addToPattern(`ring:${members.join('\u0000')}`, { type: 'ring', employee_ids: members }, entry);
+      }
+    });
+  });
+  
+  // Bursts and repeated messages, per sender
+  const burstWindow = settings.burst_window_minutes * MINUTE_IN_MILLIS;
+  const sentTimes = new Map();
+  const lastMessageTimes = new Map();
+  timed.forEach(entry => {
+    const sender = entry.kudos.from_employee_id;
+    
+    if (!sentTimes.has(sender)) sentTimes.set(sender, []);
+    const times = sentTimes.get(sender);
+    times.push(entry.time);
+    if (countInWindow(times, entry.time - burstWindow + 1, entry.time) > settings.burst_max_kudos) {
+      entry.flags.add('burst');
+      addToPattern(`burst:${sender}`, { type: 'burst', employee_ids: [sender] }, entry);
+    }
+    
+    const message = normalizeMessage(entry.kudos.message);
+    const messageKey = `${sender}\u0000${message}`;
+    if (message && lastMessageTimes.has(messageKey) && entry.time - lastMessageTimes.get(messageKey) <= window) {
+      entry.flags.add('duplicate');
+      addToPattern(`duplicate:${messageKey}`, { type: 'duplicate', employee_ids: [sender], message: entry.kudos.message }, entry);
+    }
+    if (message) {
+      lastMessageTimes.set(messageKey, entry.time);
+    }
+  });
+  
+  const flagged = new Map(entries.map(entry => [entry.kudos, [...entry.flags]]));
+  
+  return {
+    kudos: (kudosList || []).map(kudos => ({ ...kudos, gaming_flags: flagged.get(kudos) })),
+    patterns: [...patterns.values()]
+      .map(({ entries: patternEntries, ...pattern }) => ({
+        ...pattern,
+        kudos_count: patternEntries.length,
+        kudos_ids: patternEntries.map(entry => entry.kudos.id || entry.kudos.kudos_id || null),
+        first_at: new Date(patternEntries[0].time).toISOString(),
+        last_at: new Date(patternEntries[patternEntries.length - 1].time).toISOString()
+      }))
+      .sort((a, b) => b.kudos_count - a.kudos_count)
+  };
+}
+
+/**
+ * List the suspicious kudos patterns of a tenant for review
+ * Detection runs with the tenant's thresholds even when it is disabled for scoring
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Review options
+ * @param {number} options.days - How many days back to look (default: the configured window_days)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Review window, settings, counts, flagged kudos and patterns
+ */
+async function getSuspiciousKudos(tenantId, options = {}, now = new Date()) {
+  const scoringConfig = await getActiveScoringConfig(tenantId);
+  const settings = getAntiGamingSettings(scoringConfig.config);
+  const days = options.days === undefined ? settings.window_days : options.days;
+  
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REVIEW_DAYS) {
+    throw new Error(`Validation failed: Days must be a whole number between 1 and ${MAX_REVIEW_DAYS}`);
+  }
+  
+  const from = now.getTime() - days * DAY_IN_MILLIS;
+  const kudos = (await loadAllPages(page => kudosRepository.getKudos(tenantId, page, 1000)))
+    .filter(record => {
+      const time = activityTime(record);
+      return time !== null && time >= from && time <= now.getTime();
+    });
+  
+  const { kudos: examined, patterns } = detectKudosGaming(kudos, settings);
+  const flaggedKudos = examined
+    .filter(record => record.gaming_flags.length > 0)
+    .map(record => ({
+      kudos_id: record.id || record.kudos_id || null,
+      from_employee_id: record.from_employee_id,
+      to_employee_id: record.to_employee_id,
+      recipient_ids: getRecipients(record),
+      message: record.message,
+      timestamp: record.timestamp || record.created_at || null,
+      flags: record.gaming_flags
+    }));
+  
+  logger.info('Reviewed kudos for gaming', {
+    tenantId,
+    days,
+    kudosCount: kudos.length,
+    flaggedCount: flaggedKudos.length,
+    patternCount: patterns.length
+  });
+  
+  return {
+    from: new Date(from).toISOString(),
+    to: now.toISOString(),
+    scoring_config_version: scoringConfig.version,
+    settings,
+    kudos_count: kudos.length,
+    flagged_kudos_count: flaggedKudos.length,
+    flagged_kudos: flaggedKudos,
+    patterns
+  };
+}
+
+module.exports = {
+  getAntiGamingSettings,
+  gamingWeight,
+  detectKudosGaming,
+  getSuspiciousKudos
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+const kudosRepository = require('../repositories/kudosRepository');
+const kudosReactionRepository = require('../repositories/kudosReactionRepository');
+const logger = require('../utils/logger');
+
+/**
+ * Kudos Reaction Service
+ * Employees react to (or "+1") kudos other colleagues gave. Each employee can add each
+ * reaction once per kudos; the sender of a kudos cannot react to it
+ */
+
+const REACTIONS = ['+1', 'clap', 'heart', 'celebrate', 'insightful'];
+
+/**
+ * Count reactions by type
+ * @param {Array} reactions - Reactions
+ * @returns {Object} - { total, counts } with a count for every reaction type
+ */
+function summarizeReactions(reactions) {
+  const counts = Object.fromEntries(REACTIONS.map(reaction => [reaction, 0]));
+  reactions.forEach(record => {
+    if (record.reaction in counts) counts[record.reaction]++;
+  });
+  
+  return { total: reactions.length, counts };
+}
+
+/**
+ * Find a kudos or fail
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @returns {Promise<Object>} - The kudos
+ */
+async function findKudos(tenantId, kudosId) {
+  const kudos = await kudosRepository.getKudosById(tenantId, kudosId);
+  if (!kudos) {
+    throw new Error('Kudos not found');
+  }
+  return kudos;
+}
+
+/**
+ * Get the reactions to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @returns {Promise<Object>} - { kudos_id, total, counts, reactions }
+ */
+async function getKudosReactions(tenantId, kudosId) {
+  await findKudos(tenantId, kudosId);
+  const reactions = await kudosReactionRepository.getReactionsByKudosId(tenantId, kudosId);
+  
+  return {
+    kudos_id: kudosId,
+    ...summarizeReactions(reactions),
+    reactions: reactions.map(record => ({
+      employee_id: record.employee_id,
+      reaction: record.reaction,
+      created_at: record.created_at
+    }))
+  };
+}
+
+/**
+ * React to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @param {string} employeeId - The reacting employee ID
+ * @param {string} reaction - One of REACTIONS (default: '+1')
+ * @returns {Promise<Object>} - The reactions to the kudos afterwards
+ */
+async function addReaction(tenantId, kudosId, employeeId, reaction = '+1') {
+  if (!REACTIONS.includes(reaction)) {
+    throw new Error(`Validation failed: Reaction must be one of: ${REACTIONS.join(', ')}`);
+  }
+  
+  const kudos = await findKudos(tenantId, kudosId);
+  if (kudos.from_employee_id === employeeId) {
+    throw new Error('Validation failed: Cannot react to kudos you gave');
+  }
+  
+  const existing = await kudosReactionRepository.getReactionsByKudosId(tenantId, kudosId);
+  if (existing.some(record => record.employee_id === employeeId && record.reaction === reaction)) {
+    throw new Error(`Employee ${employeeId} already reacted with ${reaction}`);
+  }
+  
+  await kudosReactionRepository.createReaction(tenantId, { kudos_id: kudosId, employee_id: employeeId, reaction });
+  logger.info('Kudos reaction added', { tenantId, kudosId, employeeId, reaction });
+  
+  return getKudosReactions(tenantId, kudosId);
+}
+
+/**
+ * Take back a reaction to a kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} kudosId - The kudos ID
+ * @param {string} employeeId - The reacting employee ID
+ * @param {string} reaction - The reaction to remove
+ * @returns {Promise<Object>} - The reactions to the kudos afterwards
+ */
+async function removeReaction(tenantId, kudosId, employeeId, reaction) {
+  await findKudos(tenantId, kudosId);
+  
+  const removed = await kudosReactionRepository.deleteReaction(tenantId, kudosId, employeeId, reaction);
+  if (removed === 0) {
+    throw new Error('Reaction not found');
+  }
+  logger.info('Kudos reaction removed', { tenantId, kudosId, employeeId, reaction });
+  
+  return getKudosReactions(tenantId, kudosId);
+}
+
+module.exports = {
+  REACTIONS,
+  summarizeReactions,
+  getKudosReactions,
+  addReaction,
+  removeReaction
+};
\ No newline at end of file
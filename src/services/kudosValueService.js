@@ -0,0 +1,161 @@
+const tenantSettingsRepository = require('../repositories/tenantSettingsRepository');
+const logger = require('../utils/logger');
+
+/**
+ * Kudos Value Service
+ * Company values (or kudos categories) a tenant recognizes, e.g. "Customer Obsession".
+ * Each value has a key that kudos are tagged with (value_keys); keys stay on kudos when a
+ * value is later removed from the list, so past recognition is not lost
+ */
+
+const VALUES_SETTING_KEY = 'kudos_values';
+const MAX_VALUES = 50;
+const MAX_VALUES_PER_KUDOS = 5;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_KEY_LENGTH = 50;
+const VALUE_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Derive a value key from its name ("Customer Obsession" -> "customer-obsession")
+ * @param {string} name - Value name
+ * @returns {string} - Lower-case letters and digits separated by dashes
+ */
+function toValueKey(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_KEY_LENGTH)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Validate a list of company values
+ * @param {Array} values - Values with key, name and description
+ * @returns {Object} - Validation result
+ */
+function validateCompanyValues(values) {
+  const errors = [];
+  
+  if (values.length > MAX_VALUES) {
+    errors.push(`At most ${MAX_VALUES} values are allowed`);
+  }
+  
+  const keys = new Set();
+  const names = new Set();
+  values.forEach((value, index) => {
+    const label = `Value ${index + 1}`;
+    
+    if (typeof value.name !== 'string' || value.name.trim() === '' || value.name.length > MAX_NAME_LENGTH) {
+      errors.push(`${label} must have a name of at most ${MAX_NAME_LENGTH} characters`);
+      return;
+    }
+    if (typeof value.key !== 'string' || !VALUE_KEY_PATTERN.test(value.key) || value.key.length > MAX_KEY_LENGTH) {
+      errors.push(`${label} must have a key of at most ${MAX_KEY_LENGTH} lower-case letters, digits and dashes`);
+    }
+    if (value.description !== null && (typeof value.description !== 'string' || value.description.length > MAX_DESCRIPTION_LENGTH)) {
+      errors.push(`${label} description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    
+    if (keys.has(value.key)) {
+      errors.push(`Value key ${value.key} is used more than once`);
+    }
+    if (names.has(value.name.trim().toLowerCase())) {
+      errors.push(`Value name ${value.name.trim()} is used more than once`);
+    }
+    keys.add(value.key);
+    names.add(value.name.trim().toLowerCase());
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the company values of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} - { values, updated_by, updated_at }
+ */
+async function getCompanyValues(tenantId) {
+  const setting = await tenantSettingsRepository.getSetting(tenantId, VALUES_SETTING_KEY);
+  
+  return {
+    values: setting ? setting.value : [],
+    updated_by: setting ? setting.updated_by || null : null,
+    updated_at: setting ? setting.updated_at || null : null
+  };
+}
+
+/**
+ * Replace the company values of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Array} values - Values with a name, and optionally a key (derived from the name by default) and a description
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Promise<Object>} - Updated company values
+ */
+async function updateCompanyValues(tenantId, values, updatedBy) {
+  if (!Array.isArray(values) || values.some(value => !value || typeof value !== 'object' || Array.isArray(value))) {
+    throw new Error('Validation failed: Values must be a list of objects with a name');
+  }
+  
+  const normalized = values.map(value => ({
+    key: value.key === undefined && typeof value.name === 'string' ? toValueKey(value.name) : value.key,
+    name: typeof value.name === 'string' ? value.name.trim() : value.name,
+    description: value.description === undefined ? null : value.description
+  }));
+  
+  const validation = validateCompanyValues(normalized);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  await tenantSettingsRepository.saveSetting(tenantId, VALUES_SETTING_KEY, normalized, updatedBy);
+  logger.info('Company values updated', { tenantId, valueCount: normalized.length });
+  
+  return getCompanyValues(tenantId);
+}
+
+/**
+ * Validate the company values a kudos is tagged with
+ * @param {string} tenantId - The tenant ID
+ * @param {*} valueKeys - Value keys from the request (optional)
+ * @returns {Promise<Object>} - Validation result
+ */
+async function validateValueKeys(tenantId, valueKeys) {
+  const errors = [];
+  
+  if (valueKeys === undefined) {
+    return { isValid: true, errors };
+  }
+  
+  if (!Array.isArray(valueKeys) || valueKeys.some(key => typeof key !== 'string')) {
+    errors.push('Value keys must be a list of value keys');
+  } else if (valueKeys.length > MAX_VALUES_PER_KUDOS) {
+    errors.push(`A kudos can be tagged with at most ${MAX_VALUES_PER_KUDOS} values`);
+  } else if (new Set(valueKeys).size !== valueKeys.length) {
+    errors.push('Value keys must not repeat');
+  } else if (valueKeys.length > 0) {
+    const { values } = await getCompanyValues(tenantId);
+    const defined = new Set(values.map(value => value.key));
+    valueKeys.filter(key => !defined.has(key)).forEach(key => {
+      errors.push(`Unknown company value ${key}`);
+    });
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  toValueKey,
+  getCompanyValues,
+  updateCompanyValues,
+  validateValueKeys
+};
\ No newline at end of file
@@ -0,0 +1,257 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const contributionRepository = require('../repositories/contributionRepository');
+const tenantSettingsRepository = require('../repositories/tenantSettingsRepository');
+const { resolveScoringPeriod, getPreviousPeriod, coversPeriod } = require('./scoringPeriodService');
+const { loadAllPages } = require('../utils/pagination');
+const logger = require('../utils/logger');
+
+/**
+ * Leaderboard Service
+ * Ranks employees by a score dimension of their stored contributions for a period, with how
+ * their rank changed since the previous period. Tenants can hide who is on the leaderboard:
+ * with show_names off, entries only tell callers which of them is their own, and leave out
+ * teams and departments, which would single people out in small groups
+ */
+
+// Dimensions a leaderboard can rank by, with their contribution score columns
+const LEADERBOARD_DIMENSIONS = {
+  overall: 'overall_score',
+  problem_solving: 'problem_solving_score',
+  collaboration: 'collaboration_score',
+  initiative: 'initiative_score'
+};
+const SORT_DIRECTIONS = ['desc', 'asc'];
+const MAX_LEADERBOARD_LIMIT = 100;
+
+const LEADERBOARD_SETTING_KEY = 'leaderboard';
+
+const DEFAULT_LEADERBOARD_SETTINGS = {
+  show_names: true
+};
+
+/**
+ * Validate leaderboard options
+ * @param {Object} options - Leaderboard options
+ * @returns {Object} - Validation result
+ */
+function validateLeaderboardOptions(options) {
+  const errors = [];
+  
+  if (options.dimension !== undefined && !(options.dimension in LEADERBOARD_DIMENSIONS)) {
+    errors.push(`Dimension must be one of: ${Object.keys(LEADERBOARD_DIMENSIONS).join(', ')}`);
+  }
+  
+  if (options.sort !== undefined && !SORT_DIRECTIONS.includes(options.sort)) {
+    errors.push(`Sort must be one of: ${SORT_DIRECTIONS.join(', ')}`);
+  }
+  
+  if (options.page !== undefined && (!Number.isInteger(options.page) || options.page < 1)) {
+    errors.push('Page must be a whole number of at least 1');
+  }
+  
+  if (options.limit !== undefined &&
+      (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LEADERBOARD_LIMIT)) {
+    errors.push(`Limit must be a whole number between 1 and ${MAX_LEADERBOARD_LIMIT}`);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate changes to the leaderboard settings
+ * @param {Object} changes - Settings to change
+ * @returns {Object} - Validation result
+ */
+function validateLeaderboardSettings(changes) {
+  const errors = [];
+  
+  Object.entries(changes).forEach(([setting, value]) => {
+    if (!(setting in DEFAULT_LEADERBOARD_SETTINGS)) {
+      errors.push(`Unknown leaderboard setting ${setting}`);
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${setting} must be true or false`);
+    }
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get the leaderboard settings of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} - Settings with who changed them last and when
+ */
+async function getLeaderboardSettings(tenantId) {
+  const setting = await tenantSettingsRepository.getSetting(tenantId, LEADERBOARD_SETTING_KEY);
+  
+  return {
+    ...DEFAULT_LEADERBOARD_SETTINGS,
+    ...(setting ? setting.value : {}),
+    updated_by: setting ? setting.updated_by || null : null,
+    updated_at: setting ? setting.updated_at || null : null
+  };
+}
+
+/**
+ * Change a tenant's leaderboard settings; settings left out keep their value
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} changes - Settings to change
+ * @param {string} updatedBy - ID of the user making the change
+ * @returns {Promise<Object>} - Updated leaderboard settings
+ */
+async function updateLeaderboardSettings(tenantId, changes, updatedBy) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new Error('Validation failed: At least one leaderboard setting is required');
+  }
+  
+  const validation = validateLeaderboardSettings(changes);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const current = await getLeaderboardSettings(tenantId);
+  const settings = {};
+  Object.keys(DEFAULT_LEADERBOARD_SETTINGS).forEach(setting => {
+    settings[setting] = setting in changes ? changes[setting] : current[setting];
+  });
+  
+  await tenantSettingsRepository.saveSetting(tenantId, LEADERBOARD_SETTING_KEY, settings, updatedBy);
+  logger.info('Leaderboard settings updated', { tenantId, ...settings });
+  
+  return getLeaderboardSettings(tenantId);
+}
+
+/**
+ * Rank employees by their latest score for a period; tied scores share a rank
+ * @param {Array} employees - Employees to rank
+ * @param {Array} contributions - Contributions of the tenant, latest first
+ * @param {Object} period - Resolved period
+ * @param {string} column - Score column to rank by
+ * @returns {Array<Object>} - Ranked entries, best first: employee, score and rank
+ */
+function rankEmployees(employees, contributions, period, column) {
+  const latest = new Map();
+  contributions.forEach(contribution => {
+    if (!latest.has(contribution.employee_id) && coversPeriod(contribution, period)) {
+      latest.set(contribution.employee_id, contribution);
+    }
+  });
+  
+  const entries = employees
+    .filter(employee => latest.has(employee.employee_id))
+    .map(employee => ({ employee, score: parseFloat(latest.get(employee.employee_id)[column]) }))
+    .filter(entry => !isNaN(entry.score))
+    .sort((a, b) => b.score - a.score || String(a.employee.employee_id).localeCompare(String(b.employee.employee_id)));
+  
+  entries.forEach((entry, index) => {
+    entry.rank = index > 0 && entry.score === entries[index - 1].score ? entries[index - 1].rank : index + 1;
+  });
+  return entries;
+}
+
+/**
+ * Get a leaderboard of a tenant's active employees
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; all time by default), and
+ *   dimension (overall by default), team, department, sort (desc, best first, by default, or
+ *   asc), page, limit (10 by default) and current_employee_id (the caller's own employee ID)
+ * @returns {Promise<Object>} - Period, filters, whether names are shown, the page of entries
+ *   (rank, score, previous rank and rank change; positive is up) and pagination. With names
+ *   hidden, entries have no employee ID, name, team or department, and team and department
+ *   filters are rejected
+ */
+async function getLeaderboard(tenantId, options = {}) {
+  try {
+    logger.debug('Fetching leaderboard', { tenantId, dimension: options.dimension, period: options.period });
+    
+    const validation = validateLeaderboardOptions(options);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+    
+    const dimension = options.dimension || 'overall';
+    const sort = options.sort || 'desc';
+    const page = options.page || 1;
+    const limit = options.limit || 10;
+    const period = resolveScoringPeriod(options);
+    const previousPeriod = getPreviousPeriod(period);
+    const { show_names: showNames } = await getLeaderboardSettings(tenantId);
+    if (!showNames && (options.team || options.department)) {
+      throw new Error('Validation failed: Team and department filters are not available while leaderboard names are hidden');
+    }
+    
+    const employees = (await loadAllPages(employeePage => employeeRepository.getEmployees(tenantId, employeePage, 1000, { activeOnly: true })))
+      .filter(employee => (!options.team || employee.team === options.team) &&
+        (!options.department || employee.department === options.department));
+    const contributions = (await loadAllPages(contributionPage => contributionRepository.getContributions(tenantId, contributionPage, 1000)))
+      .sort((a, b) => new Date(b.calculated_at || b.created_at) - new Date(a.calculated_at || a.created_at));
+    
+    const column = LEADERBOARD_DIMENSIONS[dimension];
+    const ranked = rankEmployees(employees, contributions, period, column);
+    const previousRanks = new Map(previousPeriod
+      ? rankEmployees(employees, contributions, previousPeriod, column).map(entry => [entry.employee.employee_id, entry.rank])
+      : []);
+    
+    const ordered = sort === 'desc' ? ranked : [...ranked].reverse();
+    const data = ordered.slice((page - 1) * limit, page * limit).map(({ employee, score, rank }) => {
+      const previousRank = previousRanks.get(employee.employee_id) || null;
+      return {
+        rank,
+        employee_id: showNames ? employee.employee_id : null,
+        name: showNames ? employee.name || null : null,
+        team: showNames ? employee.team || null : null,
+        department: showNames ? employee.department || null : null,
+        score,
+        previous_rank: previousRank,
+        rank_change: previousRank === null ? null : previousRank - rank,
+        is_current_user: Boolean(options.current_employee_id) && employee.employee_id === options.current_employee_id
+      };
+    });
+    
+    const result = {
+      dimension,
+      period_type: period.period_type,
+      period_start: period.period_start,
+      period_end: period.period_end,
+      previous_period_start: previousPeriod ? previousPeriod.period_start : null,
+      previous_period_end: previousPeriod ? previousPeriod.period_end : null,
+      filters: {
+        team: options.team || null,
+        department: options.department || null
+      },
+      sort,
+      show_names: showNames,
+      data,
+      pagination: {
+        page,
+        limit,
+        totalCount: ranked.length,
+        totalPages: Math.ceil(ranked.length / limit)
+      }
+    };
+    
+    logger.info('Successfully fetched leaderboard', { tenantId, dimension, count: data.length });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get leaderboard', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getLeaderboard',
+      tenantId
+    });
+    throw new Error(`Failed to get leaderboard: ${error.message}`);
+  }
+}
+
+module.exports = {
+  LEADERBOARD_DIMENSIONS,
+  getLeaderboard,
+  getLeaderboardSettings,
+  updateLeaderboardSettings
+};
\ No newline at end of file
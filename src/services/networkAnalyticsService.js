@@ -0,0 +1,409 @@
+const { buildContributionGraph } = require('./contributionGraphService');
+const logger = require('../utils/logger');
+
+/**
+ * Network Analytics Service
+ * Analyzes the contribution graph (see contributionGraphService): degree, betweenness and
+ * PageRank centrality per employee, communities found by label propagation (the de facto
+ * teams), how siloed each team is, and who bridges communities or risks becoming isolated
+ */
+
+// PageRank damping factor, and when to stop iterating
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_TOLERANCE = 1e-6;
+const PAGERANK_MAX_ITERATIONS = 100;
+
+// Label propagation stops after this many rounds even if labels still change
+const LABEL_PROPAGATION_MAX_ROUNDS = 100;
+
+// Isolation risk levels, from most to least severe
+const ISOLATION_RISKS = ['high', 'medium'];
+
+/**
+ * Round a centrality measure for output
+ * @param {number} value - Value to round
+ * @returns {number} - Value rounded to 4 decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Build the undirected, weighted view of a graph: employees are tied when either gave the
+ * other an interaction or kudos, and the tie weighs the edges in both directions together
+ * @param {Object} graph - Contribution graph
+ * @returns {Map<string, Map<string, number>>} - Tie weight by employee ID and neighbour ID
+ */
+function buildTies(graph) {
+  const ties = new Map(graph.nodes.map(node => [node.id, new Map()]));
+  
+  graph.edges.forEach(edge => {
+    ties.get(edge.source).set(edge.target, (ties.get(edge.source).get(edge.target) || 0) + edge.weight);
+    ties.get(edge.target).set(edge.source, (ties.get(edge.target).get(edge.source) || 0) + edge.weight);
+  });
+  
+  return ties;
+}
+
+/**
+ * Compute betweenness centrality with Brandes' algorithm on the unweighted ties
+ * @param {Array<string>} ids - Employee IDs
+ * @param {Map<string, Map<string, number>>} ties - Ties by employee ID
+ * @returns {Map<string, number>} - Betweenness by employee ID, normalized to 0-1
+ */
+function computeBetweenness(ids, ties) {
+  const betweenness = new Map(ids.map(id => [id, 0]));
+  
+  ids.forEach(source => {
+    const stack = [];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const paths = new Map(ids.map(id => [id, 0]));
+    const distance = new Map([[source, 0]]);
+    paths.set(source, 1);
+    
+    const queue = [source];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      stack.push(current);
+      
+      for (const neighbour of ties.get(current).keys()) {
+        if (!distance.has(neighbour)) {
+          distance.set(neighbour, distance.get(current) + 1);
+          queue.push(neighbour);
+        }
+        if (distance.get(neighbour) === distance.get(current) + 1) {
+          paths.set(neighbour, paths.get(neighbour) + paths.get(current));
+          predecessors.get(neighbour).push(current);
+        }
+      }
+    }
+    
+    const dependency = new Map(ids.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const current = stack.pop();
+      predecessors.get(current).forEach(predecessor => {
+        dependency.set(predecessor, dependency.get(predecessor) +
+          (paths.get(predecessor) / paths.get(current)) * (1 + dependency.get(current)));
+      });
+      if (current !== source) {
+        betweenness.set(current, betweenness.get(current) + dependency.get(current));
+      }
+    }
+  });
+  
+  // Every pair was counted from both ends; divide by the number of pairs that exclude the node
+  const pairs = (ids.length - 1) * (ids.length - 2);
+  ids.forEach(id => betweenness.set(id, pairs > 0 ? betweenness.get(id) / pairs : 0));
+  return betweenness;
+}
+
+/**
+ * Compute PageRank on the directed, weighted edges; employees without outgoing edges
+ * spread their rank over everyone
+ * @param {Array<string>} ids - Employee IDs
+ * @param {Array<Object>} edges - Graph edges
+ * @returns {Map<string, number>} - PageRank by employee ID, summing to 1
+ */
+function computePageRank(ids, edges) {
+  const count = ids.length;
+  const outWeight = new Map(ids.map(id => [id, 0]));
+  edges.forEach(edge => outWeight.set(edge.source, outWeight.get(edge.source) + edge.weight));
+  
+  let rank = new Map(ids.map(id => [id, 1 / count]));
+  for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS; iteration++) {
+    const danglingRank = ids
+      .filter(id => outWeight.get(id) === 0)
+      .reduce((sum, id) => sum + rank.get(id), 0);
+    const base = (1 - PAGERANK_DAMPING) / count + PAGERANK_DAMPING * danglingRank / count;
+    
+    const next = new Map(ids.map(id => [id, base]));
+    edges.forEach(edge => {
+      next.set(edge.target, next.get(edge.target) +
+        PAGERANK_DAMPING * rank.get(edge.source) * edge.weight / outWeight.get(edge.source));
+    });
+    
+    const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+  
+  return rank;
+}
+
+/**
+ * Detect communities by weighted label propagation. Employees are visited in ID order and
+ * ties go to the smallest label, so the same graph always gives the same communities
+ * @param {Array<string>} ids - Employee IDs, sorted
+ * @param {Map<string, Map<string, number>>} ties - Ties by employee ID
+ * @returns {Map<string, string>} - Community label by employee ID
+ */
+function detectCommunities(ids, ties) {
+  const labels = new Map(ids.map(id => [id, id]));
+  
+  for (let pass = 0; pass < LABEL_PROPAGATION_MAX_ROUNDS; pass++) {
+    let changed = false;
+    
+    ids.forEach(id => {
+      if (ties.get(id).size === 0) return;
+      
+      const weights = new Map();
+      ties.get(id).forEach((weight, neighbour) => {
+        const label = labels.get(neighbour);
+        weights.set(label, (weights.get(label) || 0) + weight);
+      });
+      
+      const best = Math.max(...weights.values());
+      const candidates = [...weights.keys()].filter(label => weights.get(label) === best);
+      if (candidates.includes(labels.get(id))) return;
+      
+      labels.set(id, candidates.sort((a, b) => String(a).localeCompare(String(b)))[0]);
+      changed = true;
+    });
+    
+    if (!changed) break;
+  }
+  
+  return labels;
+}
+
+/**
+ * Compute the modularity of a partition of the weighted ties
+ * @param {Map<string, Map<string, number>>} ties - Ties by employee ID
+ * @param {Map<string, string>} labels - Community label by employee ID
+ * @returns {number|null} - Modularity, or null if there are no ties
+ */
+function computeModularity(ties, labels) {
+  const strength = new Map();
+  let totalWeight = 0;
+  ties.forEach((neighbours, id) => {
+    const sum = [...neighbours.values()].reduce((a, b) => a + b, 0);
+    strength.set(id, sum);
+    totalWeight += sum;
+  });
+  if (totalWeight === 0) return null;
+  
+  // totalWeight counts every tie from both ends, i.e. it is twice the total tie weight
+  let modularity = 0;
+  ties.forEach((neighbours, id) => {
+    neighbours.forEach((weight, neighbour) => {
+      if (labels.get(id) === labels.get(neighbour)) modularity += weight;
+    });
+  });
+  modularity /= totalWeight;
+  
+  const strengthByLabel = new Map();
+  strength.forEach((sum, id) => {
+    strengthByLabel.set(labels.get(id), (strengthByLabel.get(labels.get(id)) || 0) + sum);
+  });
+  strengthByLabel.forEach(sum => {
+    modularity -= (sum / totalWeight) ** 2;
+  });
+  
+  return modularity;
+}
+
+/**
+ * Measure how siloed a team is: the weight of the edges among its members against the weight
+ * of the edges between its members and the rest of the tenant
+ * @param {Object} graph - Contribution graph of the whole tenant
+ * @param {string} teamId - Team ID
+ * @returns {Object} - Internal and external edge counts and weights, and the silo ratio (the
+ *   internal share of the weight; null if the team has no edges)
+ */
+function measureTeamSilo(graph, teamId) {
+  const members = new Set(graph.nodes.filter(node => node.team === teamId).map(node => node.id));
+  const silo = { internal_edges: 0, external_edges: 0, internal_weight: 0, external_weight: 0 };
+  
+  graph.edges.forEach(edge => {
+    const sourceInTeam = members.has(edge.source);
+    const targetInTeam = members.has(edge.target);
+    if (sourceInTeam && targetInTeam) {
+      silo.internal_edges++;
+      silo.internal_weight += edge.weight;
+    } else if (sourceInTeam || targetInTeam) {
+      silo.external_edges++;
+      silo.external_weight += edge.weight;
+    }
+  });
+  
+  const totalWeight = silo.internal_weight + silo.external_weight;
+  return {
+    ...silo,
+    silo_ratio: totalWeight > 0 ? round(silo.internal_weight / totalWeight) : null
+  };
+}
+
+/**
+ * Get how siloed a team is, over all of the tenant's interactions and kudos
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Object>} - Silo measure (see measureTeamSilo)
+ */
+async function getTeamSilo(tenantId, teamId) {
+  const graph = await buildContributionGraph(tenantId);
+  return measureTeamSilo(graph, teamId);
+}
+
+/**
+ * Assess whether an employee risks becoming isolated
+ * @param {Object} employee - Employee centrality (degree counts)
+ * @returns {Object|null} - Risk level and reasons, or null if there is no risk
+ */
+function assessIsolation(employee) {
+  if (employee.degree === 0) {
+    return { risk: 'high', reasons: ['No interactions or kudos with colleagues'] };
+  }
+  
+  const reasons = [];
+  if (employee.degree === 1) {
+    reasons.push('Collaborates with a single colleague');
+  }
+  if (employee.in_degree === 0) {
+    reasons.push('No colleague reached out to them');
+  }
+  return reasons.length > 0 ? { risk: 'medium', reasons } : null;
+}
+
+/**
+ * Get network analytics for a tenant's contribution graph
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Period options (see resolveScoringPeriod; all time by default) and
+ *   min_weight (only count edges with at least this weight)
+ * @returns {Promise<Object>} - Period, per-employee centrality, communities and their
+ *   modularity, team silo measures, bridges and employees at risk of isolation
+ */
+async function getNetworkAnalytics(tenantId, options = {}) {
+  try {
+    logger.debug('Fetching network analytics', { tenantId, options });
+    
+    const graph = await buildContributionGraph(tenantId, {
+      period: options.period,
+      from: options.from,
+      to: options.to,
+      reference_date: options.reference_date,
+      min_weight: options.min_weight
+    });
+    
+    const ids = graph.nodes.map(node => node.id);
+    const ties = buildTies(graph);
+    const betweenness = computeBetweenness(ids, ties);
+    const pageRank = computePageRank(ids, graph.edges);
+    const labels = detectCommunities(ids, ties);
+    
+    const outDegree = new Map(ids.map(id => [id, 0]));
+    const inDegree = new Map(ids.map(id => [id, 0]));
+    graph.edges.forEach(edge => {
+      outDegree.set(edge.source, outDegree.get(edge.source) + 1);
+      inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+    });
+    
+    // Communities of two or more employees, largest first, numbered in that order
+    const membersByLabel = new Map();
+    ids.forEach(id => {
+      if (!membersByLabel.has(labels.get(id))) membersByLabel.set(labels.get(id), []);
+      membersByLabel.get(labels.get(id)).push(id);
+    });
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+    const communities = [...membersByLabel.values()]
+      .filter(members => members.length > 1)
+      .sort((a, b) => b.length - a.length || String(a[0]).localeCompare(String(b[0])))
+      .map((members, index) => {
+        const teams = {};
+        members.forEach(id => {
+          const team = nodesById.get(id).team || 'unassigned';
+          teams[team] = (teams[team] || 0) + 1;
+        });
+        const dominantTeam = Object.keys(teams)
+          .sort((a, b) => teams[b] - teams[a] || a.localeCompare(b))[0];
+        
+        return { community_id: index + 1, size: members.length, members, teams, dominant_team: dominantTeam };
+      });
+    const communityOf = new Map();
+    communities.forEach(community => {
+      community.members.forEach(id => communityOf.set(id, community.community_id));
+    });
+    
+    const employees = graph.nodes.map(node => {
+      const degree = ties.get(node.id).size;
+      return {
+        employee_id: node.id,
+        name: node.name,
+        team: node.team,
+        degree,
+        in_degree: inDegree.get(node.id),
+        out_degree: outDegree.get(node.id),
+        degree_centrality: ids.length > 1 ? round(degree / (ids.length - 1)) : 0,
+        betweenness: round(betweenness.get(node.id)),
+        pagerank: round(pageRank.get(node.id)),
+        community_id: communityOf.get(node.id) || null
+      };
+    });
+    
+    // Bridges lie on shortest paths between others and are tied into more than one community
+    const bridges = employees
+      .map(employee => {
+        const reached = new Set([...ties.get(employee.employee_id).keys()]
+          .map(id => communityOf.get(id))
+          .concat(employee.community_id)
+          .filter(Boolean));
+        return { ...employee, communities_reached: reached.size };
+      })
+      .filter(employee => employee.betweenness > 0 && employee.communities_reached > 1)
+      .sort((a, b) => b.betweenness - a.betweenness || String(a.employee_id).localeCompare(String(b.employee_id)));
+    
+    const isolationRisks = employees
+      .map(employee => {
+        const isolation = assessIsolation(employee);
+        return isolation ? { employee_id: employee.employee_id, name: employee.name, team: employee.team, ...isolation } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => ISOLATION_RISKS.indexOf(a.risk) - ISOLATION_RISKS.indexOf(b.risk) ||
+        String(a.employee_id).localeCompare(String(b.employee_id)));
+    
+    const teams = [...new Set(graph.nodes.map(node => node.team).filter(Boolean))]
+      .sort()
+      .map(teamId => ({
+        team_id: teamId,
+        member_count: graph.nodes.filter(node => node.team === teamId).length,
+        ...measureTeamSilo(graph, teamId)
+      }));
+    
+    const modularity = computeModularity(ties, labels);
+    const result = {
+      period_type: graph.period_type,
+      period_start: graph.period_start,
+      period_end: graph.period_end,
+      min_weight: graph.filters.min_weight,
+      node_count: graph.node_count,
+      edge_count: graph.edge_count,
+      modularity: modularity === null ? null : round(modularity),
+      employees,
+      communities,
+      teams,
+      bridges,
+      isolation_risks: isolationRisks
+    };
+    
+    logger.info('Successfully fetched network analytics', {
+      tenantId,
+      communityCount: communities.length,
+      bridgeCount: bridges.length,
+      isolatedCount: isolationRisks.length
+    });
+    return result;
+  } catch (error) {
+    logger.error('Failed to get network analytics', {
+      error: error.message,
+      stack: error.stack,
+      operation: 'getNetworkAnalytics',
+      tenantId
+    });
+    throw new Error(`Failed to get network analytics: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getNetworkAnalytics,
+  getTeamSilo,
+  measureTeamSilo
+};
\ No newline at end of file
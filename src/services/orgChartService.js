@@ -0,0 +1,226 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const logger = require('../utils/logger');
+
+/**
+ * Org Chart Service
+ * Builds the reporting hierarchy from each employee's manager_id (an employee_id
+ * in the same tenant). Soft-deleted employees are not part of the org chart.
+ */
+
+// Page size used when loading all employees of a tenant
+const PAGE_SIZE = 1000;
+
+/**
+ * Load every active employee of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Active employees
+ */
+async function loadEmployees(tenantId) {
+  let employees = [];
+  let page = 1;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const { data } = await employeeRepository.getEmployees(tenantId, page, PAGE_SIZE, { activeOnly: true });
+    employees = employees.concat(data);
+    hasMore = data.length === PAGE_SIZE;
+    page++;
+  }
+  
+  return employees;
+}
+
+/**
+ * Index employees by employee_id and by manager_id
+ * @param {Array} employees - Employees of one tenant
+ * @returns {Object} - { byId: Map, reportsByManager: Map }
+ */
+function buildIndex(employees) {
+  const byId = new Map();
+  const reportsByManager = new Map();
+  
+  employees.forEach(employee => {
+    byId.set(employee.employee_id, employee);
+    if (employee.manager_id) {
+      if (!reportsByManager.has(employee.manager_id)) {
+        reportsByManager.set(employee.manager_id, []);
+      }
+      reportsByManager.get(employee.manager_id).push(employee);
+    }
+  });
+  
+  return { byId, reportsByManager };
+}
+
+/**
+ * Find an active employee in the index or fail with "Employee not found"
+ * @param {Object} index - Index from buildIndex
+ * @param {string} employeeId - The employee ID
+ * @returns {Object} - Employee
+ */
+function requireEmployee(index, employeeId) {
+  const employee = index.byId.get(employeeId);
+  if (!employee) {
+    throw new Error('Employee not found');
+  }
+  return employee;
+}
+
+/**
+ * Summarize an employee for org chart responses
+ * @param {Object} employee - Employee record
+ * @returns {Object} - Org chart node
+ */
+function toNode(employee) {
+  return {
+    employee_id: employee.employee_id,
+    name: employee.name,
+    role: employee.role,
+    team: employee.team,
+    department: employee.department,
+    manager_id: employee.manager_id || null
+  };
+}
+
+/**
+ * Get the direct reports of an employee
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The manager's employee ID
+ * @returns {Promise<Array>} - Direct reports
+ */
+async function getDirectReports(tenantId, employeeId) {
+  const index = buildIndex(await loadEmployees(tenantId));
+  requireEmployee(index, employeeId);
+  
+  return (index.reportsByManager.get(employeeId) || []).map(toNode);
+}
+
+/**
+ * Collect the subtree of an employee from an index
+ * Guards against cycles in stored data by visiting each employee once
+ * @param {Object} index - Index from buildIndex
+ * @param {string} employeeId - Root employee ID
+ * @returns {Object} - { tree, members } where members excludes the root and carry depth and branch_id
+ */
+function collectSubtree(index, employeeId) {
+  const visited = new Set([employeeId]);
+  const members = [];
+  
+  // branchId is the root's direct report under which a member sits
+  const build = (employee, depth, branchId) => {
+    const reports = (index.reportsByManager.get(employee.employee_id) || [])
+      .filter(report => !visited.has(report.employee_id));
+    
+    reports.forEach(report => visited.add(report.employee_id));
+    
+    return {
+      ...toNode(employee),
+      depth,
+      reports: reports.map(report => {
+        const reportBranchId = branchId || report.employee_id;
+        members.push({ ...report, depth: depth + 1, branch_id: reportBranchId });
+        return build(report, depth + 1, reportBranchId);
+      })
+    };
+  };
+  
+  const tree = build(requireEmployee(index, employeeId), 0, null);
+  return { tree, members };
+}
+
+/**
+ * Get everyone who reports to an employee, directly or indirectly
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - Root employee ID
+ * @returns {Promise<Object>} - Nested tree plus the total number of people under the root
+ */
+async function getSubtree(tenantId, employeeId) {
+  const index = buildIndex(await loadEmployees(tenantId));
+  const { tree, members } = collectSubtree(index, employeeId);
+  
+  return {
+    root: tree,
+    total_count: members.length,
+    max_depth: members.reduce((max, member) => Math.max(max, member.depth), 0)
+  };
+}
+
+/**
+ * Get the subtree members of an employee as a flat list (used by analytics)
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - Root employee ID
+ * @returns {Promise<Object>} - { root, members } with employee records
+ */
+async function getSubtreeMembers(tenantId, employeeId) {
+  const index = buildIndex(await loadEmployees(tenantId));
+  const { members } = collectSubtree(index, employeeId);
+  
+  return { root: index.byId.get(employeeId), members };
+}
+
+/**
+ * Get the management chain of an employee, from the direct manager to the top
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee ID
+ * @returns {Promise<Array>} - Managers, nearest first
+ */
+async function getManagementChain(tenantId, employeeId) {
+  const index = buildIndex(await loadEmployees(tenantId));
+  const employee = requireEmployee(index, employeeId);
+  
+  const chain = [];
+  const visited = new Set([employeeId]);
+  let managerId = employee.manager_id;
+  
+  while (managerId && !visited.has(managerId) && index.byId.has(managerId)) {
+    const manager = index.byId.get(managerId);
+    chain.push({ ...toNode(manager), level: chain.length + 1 });
+    visited.add(managerId);
+    managerId = manager.manager_id;
+  }
+  
+  return chain;
+}
+
+/**
+ * Check that an employee may report to a manager
+ * The manager must be another active employee of the tenant and must not
+ * report (directly or indirectly) to the employee, which would create a cycle.
+ * @param {string} tenantId - The tenant ID
+ * @param {string} employeeId - The employee being assigned
+ * @param {string} managerId - The proposed manager's employee ID
+ */
+async function validateManagerAssignment(tenantId, employeeId, managerId) {
+  if (managerId === employeeId) {
+    throw new Error('Validation failed: An employee cannot be their own manager');
+  }
+  
+  const index = buildIndex(await loadEmployees(tenantId));
+  
+  if (!index.byId.has(managerId)) {
+    throw new Error(`Validation failed: Manager ${managerId} not found`);
+  }
+  
+  // Walk up from the proposed manager; reaching the employee means a cycle
+  const visited = new Set();
+  let currentId = managerId;
+  
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === employeeId) {
+      logger.warn('Rejected manager assignment that would create a cycle', { employeeId, managerId, tenantId });
+      throw new Error(`Validation failed: Assigning manager ${managerId} would create a reporting cycle`);
+    }
+    
+    visited.add(currentId);
+    const current = index.byId.get(currentId);
+    currentId = current ? current.manager_id : null;
+  }
+}
+
+module.exports = {
+  getDirectReports,
+  getSubtree,
+  getSubtreeMembers,
+  getManagementChain,
+  validateManagerAssignment
+};
\ No newline at end of file
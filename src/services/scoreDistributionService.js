@@ -0,0 +1,169 @@
+const employeeRepository = require('../repositories/employeeRepository');
+const contributionRepository = require('../repositories/contributionRepository');
+const { coversPeriod } = require('./scoringPeriodService');
+const { loadAllPages } = require('../utils/pagination');
+
+/**
+ * Score Distribution Service
+ * Describes how scores are spread (quartiles, p90, standard deviation and histogram) and
+ * where an employee stands among their team, department and tenant. Both look at the latest
+ * contribution of each employee for one period, so everyone counts once and scores of
+ * different periods are never compared
+ */
+
+// Score columns described for every contribution
+const SCORE_COLUMNS = ['problem_solving_score', 'collaboration_score', 'initiative_score', 'overall_score'];
+
+// Distributions describe all-time scores unless a period is given
+const ALL_TIME_PERIOD = { period_type: 'all_time' };
+
+// Scores run from 0 to 100; histograms split that range into buckets of this width
+const HISTOGRAM_BUCKET_WIDTH = 10;
+const MAX_SCORE = 100;
+
+/**
+ * Round a statistic for output
+ * @param {number} value - Value to round
+ * @returns {number} - Value rounded to two decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Pick the latest contribution of every employee scored over a period
+ * @param {Array} contributions - Contribution records
+ * @param {Object} period - Resolved period (default: all time)
+ * @returns {Map<string, Object>} - Latest contribution by employee ID
+ */
+function getLatestContributions(contributions, period = ALL_TIME_PERIOD) {
+  const latest = new Map();
+  contributions.filter(contribution => coversPeriod(contribution, period)).forEach(contribution => {
+    const current = latest.get(contribution.employee_id);
+    if (!current || new Date(contribution.calculated_at) > new Date(current.calculated_at)) {
+      latest.set(contribution.employee_id, contribution);
+    }
+  });
+  return latest;
+}
+
+/**
+ * Get a quantile of sorted values, interpolating between the two nearest values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} fraction - Quantile between 0 and 1
+ * @returns {number} - Quantile
+ */
+function quantile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Describe the distribution of a set of scores
+ * @param {Array<number>} values - Scores
+ * @returns {Object} - count, mean, median, p25, p75, p90, std_dev (population) and a histogram
+ *   of buckets { min, max, count }, the last bucket including the maximum score; the statistics
+ *   are null without scores
+ */
+function describeDistribution(values) {
+  const sorted = values.filter(value => !isNaN(value)).sort((a, b) => a - b);
+  const histogram = [];
+  for (let min = 0; min < MAX_SCORE; min += HISTOGRAM_BUCKET_WIDTH) {
+    histogram.push({ min, max: min + HISTOGRAM_BUCKET_WIDTH, count: 0 });
+  }
+  sorted.forEach(value => {
+    const index = Math.min(Math.max(Math.floor(value / HISTOGRAM_BUCKET_WIDTH), 0), histogram.length - 1);
+    histogram[index].count++;
+  });
+  
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, median: null, p25: null, p75: null, p90: null, std_dev: null, histogram };
+  }
+  
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+  
+  return {
+    count: sorted.length,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    p25: round(quantile(sorted, 0.25)),
+    p75: round(quantile(sorted, 0.75)),
+    p90: round(quantile(sorted, 0.9)),
+    std_dev: round(Math.sqrt(variance)),
+    histogram
+  };
+}
+
+/**
+ * Get the percentile rank of a score: the share of scores below it, counting tied scores
+ * half, from 0 to 100
+ * @param {number} value - Score to rank
+ * @param {Array<number>} values - All scores, including the one being ranked
+ * @returns {number|null} - Percentile rank, null without a score
+ */
+function percentileRank(value, values) {
+  const scores = values.filter(score => !isNaN(score));
+  if (isNaN(value) || scores.length === 0) {
+    return null;
+  }
+  
+  const below = scores.filter(score => score < value).length;
+  const tied = scores.filter(score => score === value).length;
+  return parseFloat(((below + tied / 2) / scores.length * 100).toFixed(1));
+}
+
+/**
+ * Get where an employee's latest scores stand among the active employees of their team,
+ * their department and the tenant, compared with the scores of the same period
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} employee - Employee record
+ * @param {Object} latestContribution - The employee's latest contribution
+ * @returns {Promise<Object>} - team, department and tenant percentiles: peer_count (the
+ *   employees with scores compared, the employee included) and the percentile rank of every
+ *   score column; a group is null when the employee is not in one
+ */
+async function getEmployeePercentiles(tenantId, employee, latestContribution) {
+  const employees = await loadAllPages(page => employeeRepository.getEmployees(tenantId, page, 1000, { activeOnly: true }));
+  const period = {
+    period_type: latestContribution.period_type || 'all_time',
+    period_start: latestContribution.period_start || null,
+    period_end: latestContribution.period_end || null
+  };
+  const latest = getLatestContributions(
+    await loadAllPages(page => contributionRepository.getContributions(tenantId, page, 1000)),
+    period
+  );
+  latest.set(employee.employee_id, latestContribution);
+  
+  const rankAmong = peers => {
+    const contributions = [...new Set([...peers.map(peer => peer.employee_id), employee.employee_id])]
+      .filter(employeeId => latest.has(employeeId))
+      .map(employeeId => latest.get(employeeId));
+    
+    const percentiles = { peer_count: contributions.length };
+    SCORE_COLUMNS.forEach(column => {
+      percentiles[column] = percentileRank(
+        parseFloat(latestContribution[column]),
+        contributions.map(contribution => parseFloat(contribution[column]))
+      );
+    });
+    return percentiles;
+  };
+  
+  return {
+    team: employee.team ? rankAmong(employees.filter(peer => peer.team === employee.team)) : null,
+    department: employee.department ? rankAmong(employees.filter(peer => peer.department === employee.department)) : null,
+    tenant: rankAmong(employees)
+  };
+}
+
+module.exports = {
+  SCORE_COLUMNS,
+  getLatestContributions,
+  describeDistribution,
+  percentileRank,
+  getEmployeePercentiles
+};
\ No newline at end of file
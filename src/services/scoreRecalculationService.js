@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const tenantRepository = require('../repositories/tenantRepository');
+const scoreRunRepository = require('../repositories/scoreRunRepository');
+const { recalculateContributionsBatch } = require('./contributionService');
+const logger = require('../utils/logger');
+
+/**
+ * Score Recalculation Service
+ * Recalculates contribution scores for every employee, on a schedule or on demand,
+ * and keeps a run log per tenant
+ */
+
+// Store recalculation schedule reference
+let recalculationSchedule = null;
+let scheduleIntervalInMinutes = null;
+let nextRunAt = null;
+
+// Tenants with a recalculation in progress (runs for the same tenant must not overlap)
+const runningTenants = new Set();
+
+// Minutes after which a run still marked running is taken to be interrupted (default: 6 hours)
+const DEFAULT_STALE_RUN_MINUTES = 360;
+
+/**
+ * Recalculate contribution scores for every active employee of a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run: 'scheduled' or 'manual' (default: 'manual')
+ * @param {string} options.runId - Run ID shared by all tenants of one run (generated when omitted)
+ * @returns {Promise<Object>} - The finished run log entry
+ */
+async function recalculateTenantScores(tenantId, options = {}) {
+  if (runningTenants.has(tenantId)) {
+    throw new Error(`Score recalculation is already running for tenant ${tenantId}`);
+  }
+  
+  runningTenants.add(tenantId);
+  
+  const runId = options.runId || crypto.randomUUID();
+  const trigger = options.trigger || 'manual';
+  let employeesProcessed = 0;
+  const failures = [];
+  let status;
+  
+  try {
+    logger.info('Starting score recalculation for tenant', { tenantId, runId, trigger });
+    
+    await scoreRunRepository.createRun(tenantId, {
+      run_id: runId,
+      trigger,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      employees_processed: 0,
+      employees_failed: 0,
+      failures: []
+    });
+    
+    try {
+      const report = await recalculateContributionsBatch(tenantId, { scope: 'all' });
+      employeesProcessed = report.employees_updated;
+      
+      report.results
+        .filter(result => result.status !== 'updated')
+        .forEach(result => failures.push({ employee_id: result.employee_id, error: result.error }));
+      
+      status = failures.length > 0 ? 'completed_with_errors' : 'completed';
+    } catch (error) {
+      status = 'failed';
+      failures.push({ employee_id: null, error: error.message });
+      logger.error('Score recalculation failed for tenant', {
+        error: error.message,
+        stack: error.stack,
+        tenantId,
+        runId
+      });
+    }
+    
+    const run = await scoreRunRepository.updateRun(tenantId, runId, {
+      status,
+      finished_at: new Date().toISOString(),
+      employees_processed: employeesProcessed,
+      employees_failed: failures.filter(failure => failure.employee_id).length,
+      failures
+    });
+    
+    logger.info('Score recalculation completed for tenant', {
+      tenantId,
+      runId,
+      status,
+      employeesProcessed,
+      failed: failures.length
+    });
+    
+    return run;
+  } finally {
+    runningTenants.delete(tenantId);
+  }
+}
+
+/**
+ * Recalculate contribution scores for every tenant
+ * @param {string} trigger - What started the run: 'scheduled' or 'manual' (default: 'scheduled')
+ * @param {string} runId - Run ID shared by all tenants (generated when omitted)
+ * @returns {Promise<Object>} - Run ID and the result per tenant
+ */
+async function recalculateAllTenants(trigger = 'scheduled', runId = crypto.randomUUID()) {
+  try {
+    logger.info('Starting score recalculation for all tenants', { runId, trigger });
+    
+    const tenants = await tenantRepository.listTenants();
+    const results = {};
+    
+    // Tenants are processed one at a time to keep the load on the database flat
+    for (const tenant of tenants) {
+      try {
+        results[tenant.tenant_id] = await recalculateTenantScores(tenant.tenant_id, { trigger, runId });
+      } catch (error) {
+        logger.error('Failed to recalculate scores for tenant', {
+          tenantId: tenant.tenant_id,
+          error: error.message
+        });
+        results[tenant.tenant_id] = { error: error.message };
+      }
+    }
+    
+    logger.info('Score recalculation completed for all tenants', { runId, tenantCount: tenants.length });
+    
+    return { run_id: runId, tenants: results };
+  } catch (error) {
+    logger.error('Score recalculation failed for all tenants', {
+      error: error.message,
+      stack: error.stack,
+      runId
+    });
+    throw new Error(`Score recalculation failed for all tenants: ${error.message}`);
+  }
+}
+
+/**
+ * Start recalculating contribution scores for every tenant without waiting for it
+ * Follow the run in each tenant's run log (see getScoreRecalculationStatus)
+ * @param {string} trigger - What started the run: 'scheduled' or 'manual' (default: 'manual')
+ * @returns {Object} - Run ID shared by all tenants of the run
+ */
+function startRecalculationForAllTenants(trigger = 'manual') {
+  const runId = crypto.randomUUID();
+  
+  recalculateAllTenants(trigger, runId).catch(error => {
+    logger.error('Background score recalculation failed for all tenants', { error: error.message, runId });
+  });
+  
+  return { run_id: runId };
+}
+
+/**
+ * Mark runs a stopped server process left running as failed
+ * Runs only make progress inside the process that started them, but other instances sharing
+ * the database may still be working on theirs, so only runs started longer ago than any run
+ * takes are marked failed
+ * @param {number} staleAfterMinutes - Minutes after which a running run counts as interrupted
+ *   (default: 360)
+ * @returns {Promise<number>} - Number of runs marked failed
+ */
+async function failInterruptedRuns(staleAfterMinutes = DEFAULT_STALE_RUN_MINUTES) {
+  const staleBefore = Date.now() - staleAfterMinutes * 60 * 1000;
+  const tenants = await tenantRepository.listTenants();
+  let interrupted = 0;
+  
+  for (const tenant of tenants) {
+    const runs = (await scoreRunRepository.getRunsByStatus(tenant.tenant_id, 'running'))
+      .filter(run => new Date(run.started_at).getTime() < staleBefore);
+    
+    for (const run of runs) {
+      await scoreRunRepository.updateRun(tenant.tenant_id, run.run_id, {
+        status: 'failed',
+        finished_at: new Date().toISOString(),
+        failures: [{ employee_id: null, error: 'Interrupted by a server restart' }]
+      });
+    }
+    interrupted += runs.length;
+  }
+  
+  if (interrupted > 0) {
+    logger.warn('Marked interrupted score recalculation runs as failed', { count: interrupted });
+  }
+  return interrupted;
+}
+
+/**
+ * Schedule automatic score recalculation for all tenants
+ * Unlike backups there is no run at startup; the first run happens after one interval
+ * @param {number} intervalInMinutes - Recalculation interval in minutes (default: 1440, once a day)
+ */
+function scheduleScoreRecalculation(intervalInMinutes = 1440) {
+  // Clear existing schedule if any
+  if (recalculationSchedule) {
+    clearInterval(recalculationSchedule);
+    logger.info('Previous score recalculation schedule cleared');
+  }
+  
+  // Convert minutes to milliseconds
+  const intervalInMillis = intervalInMinutes * 60 * 1000;
+  
+  logger.info('Scheduling automatic score recalculation', { intervalInMinutes });
+  
+  scheduleIntervalInMinutes = intervalInMinutes;
+  nextRunAt = new Date(Date.now() + intervalInMillis);
+  
+  recalculationSchedule = setInterval(async () => {
+    nextRunAt = new Date(Date.now() + intervalInMillis);
+    try {
+      await recalculateAllTenants('scheduled');
+    } catch (error) {
+      logger.error('Scheduled score recalculation failed', { error: error.message });
+    }
+  }, intervalInMillis);
+  
+  logger.info('Automatic score recalculation scheduled successfully');
+}
+
+/**
+ * Stop scheduled score recalculation
+ */
+function stopScheduledScoreRecalculation() {
+  if (recalculationSchedule) {
+    clearInterval(recalculationSchedule);
+    recalculationSchedule = null;
+    scheduleIntervalInMinutes = null;
+    nextRunAt = null;
+    logger.info('Scheduled score recalculation stopped');
+  }
+}
+
+/**
+ * Get the recalculation schedule and a tenant's recent runs
+ * @param {string} tenantId - Tenant identifier
+ * @param {number} limit - Number of recent runs to include (default: 10)
+ * @returns {Promise<Object>} - Schedule status and run log
+ */
+async function getScoreRecalculationStatus(tenantId, limit = 10) {
+  return {
+    scheduled: !!recalculationSchedule,
+    interval_minutes: scheduleIntervalInMinutes,
+    next_run_at: nextRunAt ? nextRunAt.toISOString() : null,
+    running: runningTenants.has(tenantId),
+    recent_runs: await scoreRunRepository.getRecentRuns(tenantId, limit)
+  };
+}
+
+module.exports = {
+  recalculateTenantScores,
+  recalculateAllTenants,
+  startRecalculationForAllTenants,
+  failInterruptedRuns,
+  scheduleScoreRecalculation,
+  stopScheduledScoreRecalculation,
+  getScoreRecalculationStatus
+};
\ No newline at end of file
@@ -0,0 +1,334 @@
+const {
+  DEFAULT_SCORING_CONFIG,
+  explainProblemSolvingScore,
+  explainCollaborationScore,
+  explainInitiativeScore,
+  explainKeywordScore
+} = require('./scoringService');
+
+/**
+ * Scorer Registry
+ * Every contribution dimension is scored by a plugin: a name, the inputs it reads
+ * (interactions, kudos and/or employees) and a score function. A tenant enables a
+ * dimension by giving it a weight in its scoring configuration (see scoringConfigService)
+ */
+
+// Inputs a scorer can select
+const SCORER_INPUTS = ['interactions', 'kudos', 'employees'];
+
+// Names a dimension cannot use (the overall score sits next to the dimensions)
+const RESERVED_NAMES = ['overall'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// Registered scorers by name, in registration order
+const scorers = new Map();
+
+/**
+ * Validate a scorer plugin
+ * @param {Object} scorer - Scorer to validate
+ * @returns {Object} - Validation result
+ */
+function validateScorer(scorer) {
+  const errors = [];
+  
+  if (!scorer || typeof scorer !== 'object') {
+    return { isValid: false, errors: ['Scorer must be an object'] };
+  }
+  
+  if (typeof scorer.name !== 'string' || !NAME_PATTERN.test(scorer.name)) {
+    errors.push('Scorer name must start with a lower-case letter and contain only lower-case letters, digits and underscores (at most 50 characters)');
+  } else if (RESERVED_NAMES.includes(scorer.name)) {
+    errors.push(`Scorer name ${scorer.name} is reserved`);
+  }
+  
+  if (!Array.isArray(scorer.inputs) || scorer.inputs.length === 0 ||
+      scorer.inputs.some(input => !SCORER_INPUTS.includes(input))) {
+    errors.push(`Scorer inputs must be a non-empty list of: ${SCORER_INPUTS.join(', ')}`);
+  }
+  
+  if (typeof scorer.score !== 'function') {
+    errors.push('Scorer score must be a function');
+  }
+  
+  // Settings are typed by their defaults: term lists or numbers between 0 and 100
+  if (scorer.defaults !== undefined) {
+    if (!scorer.defaults || typeof scorer.defaults !== 'object' || Array.isArray(scorer.defaults)) {
+      errors.push('Scorer defaults must be an object of settings');
+    } else {
+      Object.entries(scorer.defaults).forEach(([key, value]) => {
+        const isTermList = Array.isArray(value) && value.every(term => typeof term === 'string');
+        const isNumber = typeof value === 'number' && value >= 0 && value <= 100;
+        if (!isTermList && !isNumber) {
+          errors.push(`Scorer setting ${key} must be a list of strings or a number between 0 and 100`);
+        }
+      });
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Register a scorer plugin
+ * @param {Object} scorer - Scorer plugin
+ * @param {string} scorer.name - Dimension name, used for weights, settings and stored scores
+ * @param {string} scorer.label - Display name (default: the name)
+ * @param {Array<string>} scorer.inputs - Inputs the score function receives: interactions, kudos, employees
+ * @param {Object} scorer.defaults - Default settings; tenants override them in the configuration section named after the scorer
+ * @param {Function} scorer.score - Called with (inputs, settings, context) where context holds the employee,
+ *   the whole scoring configuration and weightOf(record); returns a score (0-100) or an object with a score and its evidence
+ * @returns {Object} - Registered scorer
+ */
+function registerScorer(scorer) {
+  const validation = validateScorer(scorer);
+  if (!validation.isValid) {
+    throw new Error(`Invalid scorer: ${validation.errors.join(', ')}`);
+  }
+  
+  if (scorers.has(scorer.name)) {
+    throw new Error(`Scorer ${scorer.name} is already registered`);
+  }
+  
+  const registered = {
+    name: scorer.name,
+    label: scorer.label || scorer.name,
+    inputs: [...scorer.inputs],
+    defaults: scorer.defaults || {},
+    builtin: !!scorer.builtin,
+    score: scorer.score
+  };
+  scorers.set(registered.name, registered);
+  
+  return registered;
+}
+
+/**
+ * Remove a scorer plugin (built-in scorers cannot be removed)
+ * @param {string} name - Scorer name
+ * @returns {boolean} - Whether a scorer was removed
+ */
+function unregisterScorer(name) {
+  const scorer = scorers.get(name);
+  if (!scorer) {
+    return false;
+  }
+  
+  if (scorer.builtin) {
+    throw new Error(`Built-in scorer ${name} cannot be removed`);
+  }
+  
+  return scorers.delete(name);
+}
+
+/**
+ * Get a registered scorer
+ * @param {string} name - Scorer name
+ * @returns {Object|null} - Scorer, or null when none is registered under the name
+ */
+function getScorer(name) {
+  return scorers.get(name) || null;
+}
+
+/**
+ * Get every registered scorer
+ * @returns {Array} - Scorers in registration order
+ */
+function listScorers() {
+  return [...scorers.values()];
+}
+
+/**
+ * Get the scorers a configuration enables: every dimension with a weight
+ * @param {Object} config - Scoring configuration
+ * @returns {Array} - Enabled scorers in weight order
+ */
+function getEnabledScorers(config) {
+  return Object.keys(config.weights || {}).map(name => {
+    const scorer = scorers.get(name);
+    if (!scorer) {
+      throw new Error(`Unknown scoring dimension ${name}`);
+    }
+    return scorer;
+  });
+}
+
+/**
+ * Get a scorer's settings from a configuration, falling back to the scorer's defaults
+ * @param {Object} config - Scoring configuration
+ * @param {Object} scorer - Registered scorer
+ * @returns {Object} - Settings
+ */
+function getScorerSettings(config, scorer) {
+  return config[scorer.name] || scorer.defaults;
+}
+
+/**
+ * Run a scorer on an employee's data
+ * @param {Object} scorer - Registered scorer
+ * @param {Object} data - { employee, interactions, kudos, employees }; the scorer only receives the inputs it selects
+ * @param {Object} config - Scoring configuration
+ * @param {Function} weightOf - Weight of one interaction or kudos (default: every record counts fully)
+ * @returns {Object} - The scorer's evidence with its score rounded and capped to 0-100
+ */
+function runScorer(scorer, data, config, weightOf = () => 1) {
+  const inputs = {};
+  scorer.inputs.forEach(input => {
+    inputs[input] = data[input] || [];
+  });
+  
+  const result = scorer.score(inputs, getScorerSettings(config, scorer), {
+    employee: data.employee,
+    config,
+    weightOf
+  });
+  const explained = typeof result === 'number' ? { score: result } : (result || {});
+  
+  if (typeof explained.score !== 'number' || !Number.isFinite(explained.score)) {
+    throw new Error(`Scorer ${scorer.name} returned an invalid score`);
+  }
+  
+  return { ...explained, score: Math.min(Math.max(Math.round(explained.score), 0), 100) };
+}
+
+/**
+ * Combine dimension scores into an overall score
+ * @param {Object} dimensionScores - Score per dimension
+ * @param {Object} weights - Weight per dimension (sums to 1)
+ * @returns {number} - Overall score (0-100)
+ */
+function calculateWeightedScore(dimensionScores, weights) {
+  return Math.round(Object.entries(weights).reduce(
+    (sum, [name, weight]) => sum + (Number(dimensionScores[name]) || 0) * weight,
+    0
+  ));
+}
+
+/**
+ * Explain a per-interaction score for each interaction and average it
+ * Helper for scorers that score interaction content one message at a time
+ * @param {Array} interactions - The employee's interactions
+ * @param {Function} explainContent - Explains one interaction's content, returning at least { score }
+ * @param {Function} weightOf - Weight of one interaction in the average
+ * @returns {Object} - Rounded weighted average (0 without interactions) and the evidence per interaction
+ */
+function averageInteractionScores(interactions, explainContent, weightOf = () => 1) {
+  const explained = interactions.map(interaction => ({
+    interaction_id: interaction.id || interaction.interaction_id || null,
+    weight: Math.round(weightOf(interaction) * 10000) / 10000,
+    ...explainContent(interaction.content)
+  }));
+  
+  const totalWeight = explained.reduce((sum, interaction) => sum + interaction.weight, 0);
+  const totalScore = explained.reduce((sum, interaction) => sum + interaction.score * interaction.weight, 0);
+  
+  return {
+    score: totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0,
+    interaction_count: explained.length,
+    interactions: explained
+  };
+}
+
+/**
+ * Build a scorer that counts keywords and phrases in the interactions an employee sent
+ * @param {Object} options - Scorer options
+ * @param {string} options.name - Dimension name
+ * @param {string} options.label - Display name
+ * @param {Object} options.defaults - keywords, phrases, keyword_points, keyword_max, phrase_points and phrase_max
+ * @returns {Object} - Scorer plugin, ready for registerScorer
+ */
+function createKeywordScorer({ name, label, defaults }) {
+  return {
+    name,
+    label,
+    inputs: ['interactions'],
+    defaults,
+    score: ({ interactions }, settings, { weightOf }) =>
+      averageInteractionScores(interactions, content => explainKeywordScore(content, settings), weightOf)
+  };
+}
+
+// Built-in scorers: the three original dimensions (enabled by the default weights)
+// and two keyword dimensions tenants can enable by giving them a weight
+[
+  {
+    name: 'problem_solving',
+    label: 'Problem solving',
+    inputs: ['interactions'],
+    defaults: DEFAULT_SCORING_CONFIG.problem_solving,
+    score: ({ interactions }, settings, { config, weightOf }) => averageInteractionScores(
+      interactions,
+      content => explainProblemSolvingScore(content, { language: config.language, problem_solving: settings }),
+      weightOf
+    )
+  },
+  {
+    name: 'collaboration',
+    label: 'Collaboration',
+    inputs: ['kudos', 'employees'],
+    defaults: DEFAULT_SCORING_CONFIG.collaboration,
+    score: ({ kudos, employees }, settings, { employee, weightOf }) =>
+      explainCollaborationScore(kudos, employees, { collaboration: settings }, weightOf, employee && employee.employee_id)
+  },
+  {
+    name: 'initiative',
+    label: 'Initiative',
+    inputs: ['interactions'],
+    defaults: DEFAULT_SCORING_CONFIG.initiative,
+    score: ({ interactions }, settings, { config, weightOf }) => averageInteractionScores(
+      interactions,
+      content => explainInitiativeScore(content, { language: config.language, initiative: settings }),
+      weightOf
+    )
+  },
+  createKeywordScorer({
+    name: 'mentorship',
+    label: 'Mentorship',
+    defaults: {
+      keywords: [
+        'mentor', 'mentored', 'mentoring', 'coached', 'coaching', 'taught', 'onboarding',
+        'onboarded', 'paired', 'pairing', 'walkthrough', 'explained'
+      ],
+      phrases: [
+        'showed me', 'taught me', 'walked me through', 'helped me understand',
+        'paired with me', 'thanks for explaining'
+      ],
+      keyword_points: 10,
+      keyword_max: 60,
+      phrase_points: 20,
+      phrase_max: 40
+    }
+  }),
+  createKeywordScorer({
+    name: 'documentation',
+    label: 'Documentation',
+    defaults: {
+      keywords: [
+        'documentation', 'docs', 'documented', 'readme', 'wiki', 'guide', 'runbook',
+        'tutorial', 'changelog', 'diagram', 'faq'
+      ],
+      phrases: ['wrote up', 'write-up', 'added docs', 'updated the docs', 'how-to', 'knowledge base'],
+      keyword_points: 10,
+      keyword_max: 60,
+      phrase_points: 20,
+      phrase_max: 40
+    }
+  })
+].forEach(scorer => registerScorer({ ...scorer, builtin: true }));
+
+module.exports = {
+  SCORER_INPUTS,
+  registerScorer,
+  unregisterScorer,
+  getScorer,
+  listScorers,
+  getEnabledScorers,
+  getScorerSettings,
+  runScorer,
+  calculateWeightedScore,
+  averageInteractionScores,
+  createKeywordScorer
+};
\ No newline at end of file
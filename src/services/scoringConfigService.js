@@ -0,0 +1,332 @@
+const scoringConfigRepository = require('../repositories/scoringConfigRepository');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringService');
+const { getScorer, listScorers, getScorerSettings } = require('./scorerRegistry');
+const { SUPPORTED_LANGUAGES, isSupportedLanguage } = require('../utils/languageDetection');
+
+/**
+ * Scoring Config Service
+ * Per-tenant scoring weights, caps and keyword lists. Every change is stored as a new
+ * version so each contribution can record the version that produced it; version 0 is
+ * the built-in configuration. The weights decide which dimensions (registered scorers,
+ * see scorerRegistry) are scored, the language section how content languages are handled,
+ * the anti_gaming section which kudos are flagged (see kudosGamingService), and every other
+ * section holds one scorer's settings
+ */
+
+// Sections that do not belong to a scorer
+const GENERAL_SECTIONS = ['weights', 'language', 'anti_gaming'];
+
+// Upper bounds of the anti-gaming counts and windows
+const ANTI_GAMING_LIMITS = {
+  window_days: 365,
+  reciprocal_min_kudos: 100,
+  ring_min_kudos: 100,
+  max_ring_size: 6,
+  burst_max_kudos: 100,
+  burst_window_minutes: 1440
+};
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * Turn a stored configuration row into its API shape
+ * @param {Object} record - Stored configuration version
+ * @returns {Object} - { version, is_default, config, created_by, created_at }
+ */
+function formatConfigVersion(record) {
+  return {
+    version: Number(record.version),
+    is_default: false,
+    config: record.config,
+    created_by: record.created_by || null,
+    created_at: record.created_at
+  };
+}
+
+/**
+ * The built-in configuration in its API shape
+ * @returns {Object} - Version 0
+ */
+function defaultConfigVersion() {
+  return {
+    version: 0,
+    is_default: true,
+    config: DEFAULT_SCORING_CONFIG,
+    created_by: null,
+    created_at: null
+  };
+}
+
+/**
+ * Validate a complete scoring configuration
+ * @param {Object} config - Scoring configuration to validate
+ * @returns {Object} - Validation result
+ */
+function validateScoringConfig(config) {
+  const errors = [];
+  
+  // Every other section holds the settings of a scorer that has settings
+  const sections = Object.keys(config).filter(section => !GENERAL_SECTIONS.includes(section));
+  sections.forEach(section => {
+    const scorer = getScorer(section);
+    if (!scorer || Object.keys(scorer.defaults).length === 0) {
+      errors.push(`Unknown configuration section ${section}`);
+    }
+  });
+  
+  // A dimension is scored when it has a weight; the weights must sum to 1
+  const weights = config.weights || {};
+  if (Object.keys(weights).length === 0) {
+    errors.push('At least one dimension must have a weight');
+  }
+  Object.keys(weights).forEach(key => {
+    if (!getScorer(key)) {
+      errors.push(`Unknown weight ${key}`);
+    } else if (typeof weights[key] !== 'number' || weights[key] < 0 || weights[key] > 1) {
+      errors.push(`Weight ${key} must be a number between 0 and 1`);
+    }
+  });
+  if (Object.keys(weights).length > 0 && Object.values(weights).every(weight => typeof weight === 'number')) {
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 1) > 0.0001) {
+      errors.push(`Weights must sum to 1 (got ${Math.round(total * 10000) / 10000})`);
+    }
+  }
+  
+  // Default language and whether to detect the language of each interaction (optional, English with detection)
+  if (config.language !== undefined) {
+    const language = config.language;
+    if (!language || typeof language !== 'object' || Array.isArray(language)) {
+      errors.push('language must be an object with default_language and detect');
+    } else {
+      Object.keys(language).forEach(key => {
+        if (!['default_language', 'detect'].includes(key)) {
+          errors.push(`Unknown setting language.${key}`);
+        }
+      });
+      if (!isSupportedLanguage(language.default_language)) {
+        errors.push(`language.default_language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+      }
+      if (typeof language.detect !== 'boolean') {
+        errors.push('language.detect must be true or false');
+      }
+    }
+  }
+  
+  // Kudos gaming detection (optional, the built-in thresholds)
+  if (config.anti_gaming !== undefined) {
+    const antiGaming = config.anti_gaming;
+    if (!antiGaming || typeof antiGaming !== 'object' || Array.isArray(antiGaming)) {
+      errors.push('anti_gaming must be an object');
+    } else {
+      Object.keys(antiGaming).forEach(key => {
+        if (!Object.keys(DEFAULT_SCORING_CONFIG.anti_gaming).includes(key)) {
+          errors.push(`Unknown setting anti_gaming.${key}`);
+        }
+      });
+      if (typeof antiGaming.enabled !== 'boolean') {
+        errors.push('anti_gaming.enabled must be true or false');
+      }
+      Object.entries(ANTI_GAMING_LIMITS).forEach(([key, max]) => {
+        const value = antiGaming[key];
+        const min = key === 'max_ring_size' ? 3 : 1;
+        if (!Number.isInteger(value) || value < min || value > max) {
+          errors.push(`anti_gaming.${key} must be a whole number between ${min} and ${max}`);
+        }
+      });
+      const weight = antiGaming.flagged_weight;
+      if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+        errors.push('anti_gaming.flagged_weight must be a number between 0 and 1');
+      }
+    }
+  }
+  
+  // Settings take the type of the scorer's default: a term list or a number between 0 and 100
+  sections.map(getScorer).filter(Boolean).forEach(scorer => {
+    const section = scorer.name;
+    const settings = config[section] || {};
+    const known = Object.keys(scorer.defaults);
+    
+    Object.keys(settings).forEach(key => {
+      if (!known.includes(key)) {
+        errors.push(`Unknown setting ${section}.${key}`);
+      }
+    });
+    
+    known.filter(key => Array.isArray(scorer.defaults[key])).forEach(key => {
+      const terms = settings[key];
+      if (!Array.isArray(terms)) {
+        errors.push(`${section}.${key} must be a list of keywords or phrases`);
+      } else if (terms.length > MAX_TERMS) {
+        errors.push(`${section}.${key} must have at most ${MAX_TERMS} entries`);
+      } else if (terms.some(term => typeof term !== 'string' || !term.trim() || term.length > MAX_TERM_LENGTH)) {
+        errors.push(`${section}.${key} entries must be non-empty strings of at most ${MAX_TERM_LENGTH} characters`);
+      }
+    });
+    
+    known.filter(key => !Array.isArray(scorer.defaults[key])).forEach(key => {
+      const value = settings[key];
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        errors.push(`${section}.${key} must be a number between 0 and 100`);
+      }
+    });
+  });
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Apply changes to a configuration, section by section
+ * Weights replace the current weights as a whole, so leaving a dimension out disables it;
+ * a section without stored settings starts from its defaults
+ * @param {Object} config - Current configuration
+ * @param {Object} changes - Sections with the settings to change
+ * @returns {Object} - New configuration
+ */
+function mergeScoringConfig(config, changes) {
+  const merged = { ...config };
+  
+  Object.entries(changes).forEach(([section, settings]) => {
+    const isSection = settings && typeof settings === 'object' && !Array.isArray(settings);
+    const scorer = GENERAL_SECTIONS.includes(section) ? null : getScorer(section);
+    const current = config[section] || (scorer ? scorer.defaults : DEFAULT_SCORING_CONFIG[section] || {});
+    merged[section] = isSection && section !== 'weights' ? { ...current, ...settings } : settings;
+  });
+  
+  return merged;
+}
+
+/**
+ * Get the scoring configuration in effect for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} - Newest configuration version, or the built-in version 0
+ */
+async function getActiveScoringConfig(tenantId) {
+  const latest = await scoringConfigRepository.getLatestConfig(tenantId);
+  return latest ? formatConfigVersion(latest) : defaultConfigVersion();
+}
+
+/**
+ * Get every configuration version of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Array>} - Configuration versions, newest first, ending with version 0
+ */
+async function listScoringConfigVersions(tenantId) {
+  const versions = await scoringConfigRepository.getConfigVersions(tenantId);
+  return [...versions.map(formatConfigVersion), defaultConfigVersion()];
+}
+
+/**
+ * Get one configuration version of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {number} version - The version number (0 for the built-in configuration)
+ * @returns {Promise<Object>} - Configuration version
+ */
+async function getScoringConfigVersion(tenantId, version) {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('Validation failed: Version must be a non-negative integer');
+  }
+  
+  if (version === 0) {
+    return defaultConfigVersion();
+  }
+  
+  const record = await scoringConfigRepository.getConfigByVersion(tenantId, version);
+  if (!record) {
+    throw new Error('Scoring configuration version not found');
+  }
+  
+  return formatConfigVersion(record);
+}
+
+/**
+ * Store a configuration as the tenant's next version
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} config - Complete scoring configuration
+ * @param {string} createdBy - User who made the change
+ * @returns {Promise<Object>} - Created configuration version
+ */
+async function saveConfigVersion(tenantId, config, createdBy) {
+  const active = await getActiveScoringConfig(tenantId);
+  
+  const record = await scoringConfigRepository.createConfigVersion(tenantId, {
+    version: active.version + 1,
+    config,
+    created_by: createdBy || null
+  });
+  
+  return formatConfigVersion(record);
+}
+
+/**
+ * Change a tenant's scoring configuration (partial updates allowed per section)
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} changes - Sections with the settings to change
+ * @param {string} createdBy - User who made the change
+ * @returns {Promise<Object>} - New configuration version
+ */
+async function updateScoringConfig(tenantId, changes, createdBy) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new Error('Validation failed: At least one configuration section is required');
+  }
+  
+  const active = await getActiveScoringConfig(tenantId);
+  const config = mergeScoringConfig(active.config, changes);
+  
+  const validation = validateScoringConfig(config);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  return await saveConfigVersion(tenantId, config, createdBy);
+}
+
+/**
+ * Go back to the built-in configuration
+ * Earlier versions are kept because contributions refer to them
+ * @param {string} tenantId - The tenant ID
+ * @param {string} createdBy - User who made the change
+ * @returns {Promise<Object>} - New configuration version with the built-in settings
+ */
+async function resetScoringConfig(tenantId, createdBy) {
+  return await saveConfigVersion(tenantId, DEFAULT_SCORING_CONFIG, createdBy);
+}
+
+/**
+ * Get every registered scoring dimension with its state for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object>} - Active configuration version and the dimensions, enabled ones first
+ */
+async function listScoringDimensions(tenantId) {
+  const active = await getActiveScoringConfig(tenantId);
+  const weights = active.config.weights || {};
+  
+  const dimensions = listScorers().map(scorer => ({
+    name: scorer.name,
+    label: scorer.label,
+    inputs: scorer.inputs,
+    builtin: scorer.builtin,
+    enabled: weights[scorer.name] !== undefined,
+    weight: weights[scorer.name] !== undefined ? weights[scorer.name] : null,
+    settings: getScorerSettings(active.config, scorer)
+  }));
+  
+  return {
+    version: active.version,
+    dimensions: [...dimensions.filter(dimension => dimension.enabled), ...dimensions.filter(dimension => !dimension.enabled)]
+  };
+}
+
+module.exports = {
+  validateScoringConfig,
+  getActiveScoringConfig,
+  listScoringConfigVersions,
+  getScoringConfigVersion,
+  updateScoringConfig,
+  resetScoringConfig,
+  listScoringDimensions
+};
\ No newline at end of file
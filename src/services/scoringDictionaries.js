@@ -0,0 +1,83 @@
+/**
+ * Scoring Dictionaries
+ * Keyword and phrase lists of the problem-solving and initiative algorithms for languages
+ * other than English. The English lists live in the scoring configuration (see scoringService),
+ * where tenants can change them; these lists are added to the configured lists, with the
+ * configured points and caps
+ */
+
+const SCORING_DICTIONARIES = {
+  es: {
+    problem_solving: {
+      problem_keywords: [
+        'problema', 'incidencia', 'solución', 'solucionar', 'solucionado', 'resolver', 'resuelto',
+        'arreglar', 'arreglado', 'depurar', 'error', 'fallo', 'bug', 'reto', 'dificultad', 'obstáculo'
+      ],
+      question_keywords: ['cómo', 'qué', 'por qué', 'puedes', 'podrías', 'podría'],
+      answer_keywords: [
+        'deberías', 'debería', 'podrías usar', 'sugiero', 'recomiendo', 'prueba', 'intenta',
+        'usa', 'implementa', 'solución', 'respuesta'
+      ]
+    },
+    initiative: {
+      keywords: [
+        'propuesta', 'idea', 'sugerencia', 'iniciativa', 'empecé', 'creé', 'construí', 'desarrollé',
+        'lancé', 'propuse', 'sugerí', 'implementé', 'diseñé'
+      ],
+      proactive_phrases: [
+        'voy a', 'me encargo', 'planeo', 'déjame', 'sugiero', 'propongo', 'recomiendo',
+        'he empezado', 'he creado'
+      ]
+    }
+  },
+  de: {
+    problem_solving: {
+      problem_keywords: [
+        'problem', 'fehler', 'lösung', 'lösen', 'gelöst', 'beheben', 'behoben', 'fehlerbehebung',
+        'debuggen', 'bug', 'störung', 'herausforderung', 'schwierigkeit', 'hindernis'
+      ],
+      question_keywords: ['wie', 'was', 'warum', 'kannst du', 'könntest du', 'würdest du', 'können sie'],
+      answer_keywords: [
+        'solltest', 'sollte', 'könnte', 'kann', 'ich schlage vor', 'ich empfehle', 'versuch', 'versuche',
+        'nutze', 'verwende', 'implementiere', 'lösung', 'antwort'
+      ]
+    },
+    initiative: {
+      keywords: [
+        'vorschlag', 'idee', 'initiative', 'gestartet', 'erstellt', 'gebaut', 'entwickelt', 'eingeführt',
+        'vorgeschlagen', 'umgesetzt', 'entworfen'
+      ],
+      proactive_phrases: [
+        'ich werde', 'ich kümmere mich', 'ich plane', 'lass mich', 'ich schlage vor', 'ich empfehle',
+        'ich habe angefangen', 'ich habe erstellt'
+      ]
+    }
+  },
+  id: {
+    problem_solving: {
+      problem_keywords: [
+        'masalah', 'kendala', 'solusi', 'menyelesaikan', 'selesaikan', 'perbaiki', 'memperbaiki',
+        'diperbaiki', 'error', 'bug', 'galat', 'tantangan', 'kesulitan', 'hambatan'
+      ],
+      question_keywords: ['bagaimana', 'apa', 'mengapa', 'kenapa', 'bisakah', 'apakah', 'bisa tolong'],
+      answer_keywords: [
+        'sebaiknya', 'harus', 'bisa', 'coba', 'gunakan', 'pakai', 'saya sarankan', 'saya rekomendasikan',
+        'terapkan', 'solusinya', 'jawabannya'
+      ]
+    },
+    initiative: {
+      keywords: [
+        'usulan', 'ide', 'saran', 'inisiatif', 'memulai', 'membuat', 'membangun', 'mengembangkan',
+        'meluncurkan', 'mengusulkan', 'menerapkan', 'merancang'
+      ],
+      proactive_phrases: [
+        'saya akan', 'saya berencana', 'biar saya', 'saya sarankan', 'saya usulkan',
+        'saya sudah mulai', 'saya sudah membuat'
+      ]
+    }
+  }
+};
+
+module.exports = {
+  SCORING_DICTIONARIES
+};
\ No newline at end of file
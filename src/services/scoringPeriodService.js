@@ -0,0 +1,226 @@
+/**
+ * Scoring Period Service
+ * Resolves the time window a contribution is scored over (weekly, monthly, quarterly,
+ * custom or all-time) and the exponential decay applied to older activity in it
+ */
+
+// Period types a contribution can be scored over
+const PERIOD_TYPES = ['all_time', 'weekly', 'monthly', 'quarterly', 'custom'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+const MAX_HALF_LIFE_DAYS = 3650;
+
+/**
+ * Parse a YYYY-MM-DD date as midnight UTC
+ * @param {string} value - Date string
+ * @returns {Date|null} - Parsed date, null when the value is not a valid date
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+  
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * Validate period options
+ * @param {Object} options - Period options (see resolveScoringPeriod)
+ * @returns {Object} - Validation result
+ */
+function validateScoringPeriod(options = {}) {
+  const errors = [];
+  const period = options.period === undefined ? 'all_time' : options.period;
+  
+  if (!PERIOD_TYPES.includes(period)) {
+    errors.push(`Period must be one of: ${PERIOD_TYPES.join(', ')}`);
+  }
+  
+  if (period === 'custom') {
+    const from = parseDate(options.from);
+    const to = parseDate(options.to);
+    if (!from || !to) {
+      errors.push('From and to dates in YYYY-MM-DD format are required for a custom period');
+    } else if (from > to) {
+      errors.push('From date must not be after to date');
+    }
+  } else if (options.from !== undefined || options.to !== undefined) {
+    errors.push('From and to dates are only allowed for a custom period');
+  }
+  
+  if (options.reference_date !== undefined && !parseDate(options.reference_date)) {
+    errors.push('Reference date must be in YYYY-MM-DD format');
+  }
+  
+  const halfLife = options.decay_half_life_days;
+  if (halfLife !== undefined && halfLife !== null &&
+      (typeof halfLife !== 'number' || halfLife <= 0 || halfLife > MAX_HALF_LIFE_DAYS)) {
+    errors.push(`Decay half-life must be a number of days between 0 and ${MAX_HALF_LIFE_DAYS}`);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Resolve period options to the bounds of the scoring window
+ * Calendar periods are in UTC; weeks start on Monday. The end is exclusive.
+ * @param {Object} options - Period options
+ * @param {string} options.period - 'all_time' (default), 'weekly', 'monthly', 'quarterly' or 'custom'
+ * @param {string} options.from - First day of a custom period (YYYY-MM-DD)
+ * @param {string} options.to - Last day of a custom period (YYYY-MM-DD, inclusive)
+ * @param {string} options.reference_date - Day inside the calendar period to score (default: today)
+ * @param {number} options.decay_half_life_days - Halve the weight of activity every N days (default: no decay)
+ * @param {Date} now - Current time
+ * @returns {Object} - period_type, period_start (null for all-time), period_end and decay_half_life_days
+ */
+function resolveScoringPeriod(options = {}, now = new Date()) {
+  const validation = validateScoringPeriod(options);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const periodType = options.period || 'all_time';
+  const reference = options.reference_date ? parseDate(options.reference_date) : now;
+  const year = reference.getUTCFullYear();
+  const month = reference.getUTCMonth();
+  let start = null;
+  let end = now;
+  
+  if (periodType === 'weekly') {
+    const daysSinceMonday = (reference.getUTCDay() + 6) % 7;
+    start = new Date(Date.UTC(year, month, reference.getUTCDate() - daysSinceMonday));
+    end = new Date(start.getTime() + 7 * DAY_IN_MILLIS);
+  } else if (periodType === 'monthly') {
+    start = new Date(Date.UTC(year, month, 1));
+    end = new Date(Date.UTC(year, month + 1, 1));
+  } else if (periodType === 'quarterly') {
+    const firstMonth = Math.floor(month / 3) * 3;
+    start = new Date(Date.UTC(year, firstMonth, 1));
+    end = new Date(Date.UTC(year, firstMonth + 3, 1));
+  } else if (periodType === 'custom') {
+    start = parseDate(options.from);
+    end = new Date(parseDate(options.to).getTime() + DAY_IN_MILLIS);
+  }
+  
+  return {
+    period_type: periodType,
+    period_start: start ? start.toISOString() : null,
+    period_end: end.toISOString(),
+    decay_half_life_days: options.decay_half_life_days || null
+  };
+}
+
+/**
+ * Resolve the period of the same length just before a resolved period: the previous week,
+ * month or quarter, or the days right before a custom period
+ * @param {Object} period - Resolved period
+ * @returns {Object|null} - Resolved previous period, null for all-time
+ */
+function getPreviousPeriod(period) {
+  if (!period.period_start) {
+    return null;
+  }
+  
+  const start = new Date(period.period_start);
+  const end = new Date(period.period_end);
+  let previousStart;
+  
+  if (period.period_type === 'monthly') {
+    previousStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, 1));
+  } else if (period.period_type === 'quarterly') {
+    previousStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 3, 1));
+  } else {
+    previousStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+  }
+  
+  return {
+    ...period,
+    period_start: previousStart.toISOString(),
+    period_end: start.toISOString()
+  };
+}
+
+/**
+ * When a piece of activity happened
+ * @param {Object} record - Interaction or kudos
+ * @returns {number|null} - Milliseconds since the epoch, null without a usable timestamp
+ */
+function activityTime(record) {
+  const time = new Date(record.timestamp || record.created_at).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Keep the activity that happened inside a period
+ * Activity without a timestamp only counts towards all-time scores
+ * @param {Array} records - Interactions or kudos
+ * @param {Object} period - Resolved period
+ * @returns {Array} - Records inside the period
+ */
+function filterToPeriod(records, period) {
+  if (!period.period_start) {
+    return records;
+  }
+  
+  const start = new Date(period.period_start).getTime();
+  const end = new Date(period.period_end).getTime();
+  
+  return records.filter(record => {
+    const time = activityTime(record);
+    return time !== null && time >= start && time < end;
+  });
+}
+
+/**
+ * Weight of a piece of activity after decay
+ * Age is measured from the end of the period, or from now for a period that has not ended yet
+ * @param {Object} record - Interaction or kudos
+ * @param {Object} period - Resolved period
+ * @param {Date} now - Current time
+ * @returns {number} - Weight between 0 and 1 (1 without decay)
+ */
+function decayWeight(record, period, now = new Date()) {
+  const time = activityTime(record);
+  if (!period.decay_half_life_days || time === null) {
+    return 1;
+  }
+  
+  const reference = Math.min(new Date(period.period_end).getTime(), now.getTime());
+  const ageInDays = Math.max(reference - time, 0) / DAY_IN_MILLIS;
+  
+  return Math.pow(0.5, ageInDays / period.decay_half_life_days);
+}
+
+/**
+ * Check whether a stored contribution was scored over a period
+ * Contributions stored before scoring periods existed count as all-time scores
+ * @param {Object} contribution - Contribution record
+ * @param {Object} period - Resolved period
+ * @returns {boolean} - Whether the contribution covers the period
+ */
+function coversPeriod(contribution, period) {
+  if (period.period_type === 'all_time') {
+    return !contribution.period_type || contribution.period_type === 'all_time';
+  }
+  
+  return contribution.period_type === period.period_type &&
+    Boolean(contribution.period_start) &&
+    new Date(contribution.period_start).getTime() === new Date(period.period_start).getTime() &&
+    new Date(contribution.period_end).getTime() === new Date(period.period_end).getTime();
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  validateScoringPeriod,
+  resolveScoringPeriod,
+  getPreviousPeriod,
+  activityTime,
+  filterToPeriod,
+  decayWeight,
+  coversPeriod
+};
\ No newline at end of file
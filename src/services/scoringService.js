@@ -1,154 +1,381 @@
+const { detectLanguage } = require('../utils/languageDetection');
+const { SCORING_DICTIONARIES } = require('./scoringDictionaries');
+const { getRecipients, isRecipient } = require('../utils/recipients');
+
 /**
  * Contribution Scoring Service
  * Implements algorithms for measuring problem-solving, collaboration, and initiative
+ * Every algorithm takes an optional scoring configuration (see scoringConfigService);
+ * without one the built-in defaults below are used. The keyword lists in the configuration
+ * are the English ones; content in another supported language is scored with that
+ * language's dictionary (see scoringDictionaries)
  */
 
+// Built-in scoring configuration (version 0 for every tenant)
+const DEFAULT_SCORING_CONFIG = {
+  // Overall score weights, must sum to 1
+  weights: {
+    problem_solving: 0.4,
+    collaboration: 0.3,
+    initiative: 0.3
+  },
+  // Language of content that gives no clear signal, and whether to detect it per interaction
+  language: {
+    default_language: 'en',
+    detect: true
+  },
+  // Kudos gaming detection (see kudosGamingService); flagged kudos count with flagged_weight
+  // towards collaboration, 0 leaves them out
+  anti_gaming: {
+    enabled: true,
+    window_days: 30,
+    reciprocal_min_kudos: 3,
+    ring_min_kudos: 2,
+    max_ring_size: 4,
+    burst_max_kudos: 5,
+    burst_window_minutes: 60,
+    flagged_weight: 0.5
+  },
+  problem_solving: {
+    problem_keywords: [
+      'problem', 'issue', 'solution', 'resolve', 'fix', 'debug', 'troubleshoot',
+      'error', 'bug', 'challenge', 'difficulty', 'obstacle'
+    ],
+    question_keywords: ['how', 'what', 'why', 'can you', 'could you', 'would you'],
+    answer_keywords: [
+      'should', 'could', 'can', 'will', 'i suggest', 'i recommend', 
+      'try', 'use', 'implement', 'solution', 'answer'
+    ],
+    qa_ratio_max: 70,
+    keyword_points: 5,
+    keyword_max: 30
+  },
+  collaboration: {
+    unique_sender_points: 10,
+    unique_sender_max: 70,
+    cross_functional_points: 20,
+    cross_functional_max: 30
+  },
+  initiative: {
+    keywords: [
+      'proposal', 'idea', 'suggestion', 'initiative', 'started', 'created', 'built',
+      'developed', 'launched', 'proposed', 'suggested', 'implemented', 'designed'
+    ],
+    proactive_phrases: [
+      'i will', 'i am going to', 'i plan to', 'let me', 'i suggest', 
+      'i propose', 'i recommend', 'i have started', 'i have created'
+    ],
+    keyword_points: 5,
+    keyword_max: 60,
+    proactive_points: 10,
+    proactive_max: 40
+  }
+};
+
 /**
- * Problem-Solving Detection Algorithm
- * @param {string} content - Interaction content to analyze
- * @returns {number} - Problem-solving score (0-100)
+ * Normalize content for matching: composed Unicode characters, lower case
+ * @param {string} content - Content to normalize
+ * @returns {string} - Normalized content ('' when empty)
  */
-function calculateProblemSolvingScore(content) {
-  if (!content) return 0;
+function normalizeContent(content) {
+  return (content || '').normalize('NFC').toLowerCase();
+}
+
+/**
+ * Find the keywords or phrases that occur in normalized content
+ * @param {string} lowerContent - Normalized content (see normalizeContent)
+ * @param {Array<string>} terms - Keywords or phrases
+ * @param {boolean} wholeWords - Only match whole words
+ * @returns {Object} - { count, matches } where matches maps each matched term to its occurrences
+ */
+function matchTerms(lowerContent, terms, wholeWords) {
+  const matches = {};
+  let count = 0;
   
-  const lowerContent = content.toLowerCase();
-  
-  // Keywords for problem-solving
-  const problemKeywords = [
-    'problem', 'issue', 'solution', 'resolve', 'fix', 'debug', 'troubleshoot',
-    'error', 'bug', 'challenge', 'difficulty', 'obstacle'
-  ];
-  
-  // Count questions vs answers
-  const questionKeywords = ['how', 'what', 'why', 'can you', 'could you', 'would you'];
-  const answerKeywords = [
-    'should', 'could', 'can', 'will', 'i suggest', 'i recommend', 
-    'try', 'use', 'implement', 'solution', 'answer'
-  ];
-  
-  // Count problem-solving keywords
-  let problemKeywordCount = 0;
-  problemKeywords.forEach(keyword => {
-    problemKeywordCount += (lowerContent.match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
+  terms.forEach(term => {
+    const escaped = normalizeContent(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Letters, marks and digits of any script are word characters, so "c++", "solución"
+    // and "überprüft" only match as whole words
+    const pattern = wholeWords ? `(?<![\\p{L}\\p{M}\\p{N}_])${escaped}(?![\\p{L}\\p{M}\\p{N}_])` : escaped;
+    const occurrences = (lowerContent.match(new RegExp(pattern, 'gu')) || []).length;
+    if (occurrences > 0) {
+      matches[term] = occurrences;
+      count += occurrences;
+    }
   });
   
-  // Count questions
-  let questionCount = 0;
-  questionKeywords.forEach(keyword => {
-    questionCount += (lowerContent.match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
-  });
+  return { count, matches };
+}
+
+/**
+ * Decide the language of a piece of content
+ * @param {string} content - Content to analyze
+ * @param {Object} config - Scoring configuration
+ * @returns {string} - Detected language, or the configured default when detection is off
+ */
+function resolveContentLanguage(content, config) {
+  const settings = config.language || DEFAULT_SCORING_CONFIG.language;
+  return settings.detect ? detectLanguage(content, settings.default_language) : settings.default_language;
+}
+
+/**
+ * Add a language's dictionary terms to a section's configured keyword lists, keeping its
+ * points and caps; terms the tenant configured still count in every language
+ * @param {Object} settings - Configured section settings
+ * @param {string} section - 'problem_solving' or 'initiative'
+ * @param {string} language - Language code
+ * @returns {Object} - Settings to score the language with
+ */
+function localizeSettings(settings, section, language) {
+  const dictionary = SCORING_DICTIONARIES[language];
+  if (!dictionary || !dictionary[section]) {
+    return settings;
+  }
   
-  // Count answers
-  let answerCount = 0;
-  answerKeywords.forEach(keyword => {
-    answerCount += (lowerContent.match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
+  const localized = { ...settings };
+  Object.entries(dictionary[section]).forEach(([list, terms]) => {
+    localized[list] = [...new Set([...(settings[list] || []), ...terms])];
   });
+  return localized;
+}
+
+/**
+ * Round an activity weight for reporting
+ * @param {number} weight - Weight between 0 and 1
+ * @returns {number} - Weight rounded to four decimals
+ */
+function roundWeight(weight) {
+  return Math.round(weight * 10000) / 10000;
+}
+
+/**
+ * Problem-Solving Detection Algorithm, with the evidence behind the score
+ * @param {string} content - Interaction content to analyze
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @param {string} language - Language of the content (default: detected per the configuration)
+ * @returns {Object} - Score, language, matched keywords, question/answer counts and capped sub-scores
+ */
+function explainProblemSolvingScore(content, config = DEFAULT_SCORING_CONFIG, language = resolveContentLanguage(content, config)) {
+  const settings = localizeSettings(config.problem_solving, 'problem_solving', language);
+  const lowerContent = normalizeContent(content);
   
-  // Calculate score: (answers_count / (questions_count + answers_count)) * 100
+  // Count problem-solving keywords, questions and answers
+  const problemKeywords = matchTerms(lowerContent, settings.problem_keywords, true);
+  const questions = matchTerms(lowerContent, settings.question_keywords, true);
+  const answers = matchTerms(lowerContent, settings.answer_keywords, true);
+  
+  // Calculate score: (answers_count / (questions_count + answers_count)) * qa_ratio_max
   // But also consider problem-solving keywords
-  let score = 0;
-  if (questionCount + answerCount > 0) {
-    score = (answerCount / (questionCount + answerCount)) * 70; // 70% weight for Q&A ratio
+  let qaRatioScore = 0;
+  if (questions.count + answers.count > 0) {
+    qaRatioScore = (answers.count / (questions.count + answers.count)) * settings.qa_ratio_max;
   }
   
-  // Add 30% weight for problem-solving keywords
-  score += Math.min(problemKeywordCount * 5, 30);
+  // Add keyword points up to keyword_max
+  const keywordScore = Math.min(problemKeywords.count * settings.keyword_points, settings.keyword_max);
   
-  return Math.min(Math.round(score), 100);
+  return {
+    score: content ? Math.min(Math.round(qaRatioScore + keywordScore), 100) : 0,
+    language,
+    matched: {
+      problem_keywords: problemKeywords.matches,
+      question_keywords: questions.matches,
+      answer_keywords: answers.matches
+    },
+    question_count: questions.count,
+    answer_count: answers.count,
+    sub_scores: {
+      qa_ratio: Math.round(qaRatioScore * 100) / 100,
+      keywords: keywordScore
+    }
+  };
 }
 
 /**
- * Collaboration Measurement Algorithm
+ * Problem-Solving Detection Algorithm
+ * @param {string} content - Interaction content to analyze
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @returns {number} - Problem-solving score (0-100)
+ */
+function calculateProblemSolvingScore(content, config = DEFAULT_SCORING_CONFIG) {
+  if (!content) return 0;
+  
+  return explainProblemSolvingScore(content, config).score;
+}
+
+/**
+ * Collaboration Measurement Algorithm, with the evidence behind the score
  * @param {Array} employeeKudos - Kudos received by the employee
  * @param {Array} allEmployees - All employees in the system
- * @returns {number} - Collaboration score (0-100)
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @param {Function} weightOf - Weight of one kudos, e.g. after decay (default: every kudos counts fully)
+ * @param {string} employeeId - The receiving employee (default: the recipient all the kudos share)
+ * @returns {Object} - Score, unique senders, cross-functional kudos, kudos flagged as gaming and capped sub-scores
  */
-function calculateCollaborationScore(employeeKudos, allEmployees) {
-  if (!employeeKudos || employeeKudos.length === 0) return 0;
+function explainCollaborationScore(employeeKudos, allEmployees, config = DEFAULT_SCORING_CONFIG, weightOf = () => 1, employeeId = null) {
+  const kudosList = employeeKudos || [];
   
-  // Get unique senders of kudos
-  const uniqueSenders = [...new Set(employeeKudos.map(k => k.from_employee_id))];
+  // Get unique senders of kudos; a sender counts once, with the weight of
+  // their heaviest kudos
+  const senderWeights = new Map();
+  kudosList.forEach(kudos => {
+    const weight = weightOf(kudos);
+    senderWeights.set(kudos.from_employee_id, Math.max(senderWeights.get(kudos.from_employee_id) || 0, weight));
+  });
+  // Kudos left out entirely by anti-gaming (weight 0) do not make their sender count
+  const uniqueSenders = [...senderWeights.keys()].filter(sender => senderWeights.get(sender) > 0);
+  const uniqueSenderWeight = [...senderWeights.values()].reduce((sum, weight) => sum + weight, 0);
   
   // Identify kudos from different teams/departments
-  let crossFunctionalKudos = 0;
+  const crossFunctionalKudos = [];
   
-  // Get employee's team/department
-  const employee = allEmployees.find(emp => emp.employee_id === employeeKudos[0].to_employee_id);
+  // Get employee's team/department; group kudos have several recipients, so the receiving
+  // employee is the one every kudos was given to
+  const receiverId = employeeId || (kudosList.length > 0 &&
+    getRecipients(kudosList[0]).find(recipient => kudosList.every(kudos => isRecipient(kudos, recipient))));
+  const employee = receiverId && allEmployees.find(emp => emp.employee_id === receiverId);
   if (employee) {
-    employeeKudos.forEach(kudos => {
+    kudosList.forEach(kudos => {
       const sender = allEmployees.find(emp => emp.employee_id === kudos.from_employee_id);
       if (sender && (sender.team !== employee.team || sender.department !== employee.department)) {
-        crossFunctionalKudos++;
+        crossFunctionalKudos.push({
+          kudos_id: kudos.id || kudos.kudos_id || null,
+          from_employee_id: kudos.from_employee_id,
+          sender_team: sender.team || null,
+          sender_department: sender.department || null,
+          weight: roundWeight(weightOf(kudos))
+        });
       }
     });
   }
+  const crossFunctionalWeight = crossFunctionalKudos.reduce((sum, kudos) => sum + kudos.weight, 0);
+  
+  // Kudos flagged as gaming (see kudosGamingService)
+  const flaggedKudos = kudosList
+    .filter(kudos => kudos.gaming_flags && kudos.gaming_flags.length > 0)
+    .map(kudos => ({
+      kudos_id: kudos.id || kudos.kudos_id || null,
+      from_employee_id: kudos.from_employee_id,
+      flags: kudos.gaming_flags,
+      weight: roundWeight(weightOf(kudos))
+    }));
   
   // Score calculation: (unique_senders_count * 10) + (cross_functional_kudos * 20), capped at 100
-  const uniqueSendersScore = Math.min(uniqueSenders.length * 10, 70); // Max 70 points
-  const crossFunctionalScore = Math.min(crossFunctionalKudos * 20, 30); // Max 30 points
+  // (points and caps per part come from the configuration, 70 and 30 by default)
+  const settings = config.collaboration;
+  const uniqueSendersScore = Math.min(uniqueSenderWeight * settings.unique_sender_points, settings.unique_sender_max);
+  const crossFunctionalScore = Math.min(crossFunctionalWeight * settings.cross_functional_points, settings.cross_functional_max);
   
-  return Math.min(uniqueSendersScore + crossFunctionalScore, 100);
+  return {
+    score: Math.min(Math.round(uniqueSendersScore + crossFunctionalScore), 100),
+    kudos_count: kudosList.length,
+    unique_senders: uniqueSenders,
+    unique_sender_weight: roundWeight(uniqueSenderWeight),
+    cross_functional_kudos: crossFunctionalKudos,
+    cross_functional_weight: roundWeight(crossFunctionalWeight),
+    flagged_kudos: flaggedKudos,
+    sub_scores: {
+      unique_senders: Math.round(uniqueSendersScore * 100) / 100,
+      cross_functional: Math.round(crossFunctionalScore * 100) / 100
+    }
+  };
 }
 
 /**
- * Initiative Detection Algorithm
- * @param {string} content - Interaction content to analyze
- * @returns {number} - Initiative score (0-100)
+ * Collaboration Measurement Algorithm
+ * @param {Array} employeeKudos - Kudos received by the employee
+ * @param {Array} allEmployees - All employees in the system
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @returns {number} - Collaboration score (0-100)
  */
-function calculateInitiativeScore(content) {
-  if (!content) return 0;
-  
-  const lowerContent = content.toLowerCase();
-  
-  // Keywords for initiative
-  const initiativeKeywords = [
-    'proposal', 'idea', 'suggestion', 'initiative', 'started', 'created', 'built',
-    'developed', 'launched', 'proposed', 'suggested', 'implemented', 'designed'
-  ];
-  
-  // Count initiative keywords
-  let initiativeKeywordCount = 0;
-  initiativeKeywords.forEach(keyword => {
-    initiativeKeywordCount += (lowerContent.match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
-  });
+function calculateCollaborationScore(employeeKudos, allEmployees, config = DEFAULT_SCORING_CONFIG) {
+  if (!employeeKudos || employeeKudos.length === 0) return 0;
   
-  // Identify proactive language patterns
-  const proactivePhrases = [
-    'i will', 'i am going to', 'i plan to', 'let me', 'i suggest', 
-    'i propose', 'i recommend', 'i have started', 'i have created'
-  ];
+  return explainCollaborationScore(employeeKudos, allEmployees, config).score;
+}
+
+/**
+ * Initiative Detection Algorithm, with the evidence behind the score
+ * @param {string} content - Interaction content to analyze
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @param {string} language - Language of the content (default: detected per the configuration)
+ * @returns {Object} - Score, language, matched keywords and phrases and capped sub-scores
+ */
+function explainInitiativeScore(content, config = DEFAULT_SCORING_CONFIG, language = resolveContentLanguage(content, config)) {
+  const settings = localizeSettings(config.initiative, 'initiative', language);
+  const lowerContent = normalizeContent(content);
   
-  let proactiveCount = 0;
-  proactivePhrases.forEach(phrase => {
-    proactiveCount += (lowerContent.match(new RegExp(phrase, 'g')) || []).length;
-  });
+  // Count initiative keywords and proactive language patterns
+  const keywords = matchTerms(lowerContent, settings.keywords, true);
+  const proactivePhrases = matchTerms(lowerContent, settings.proactive_phrases, false);
   
   // Score calculation: (initiative_keywords_count * 5) + (proactive_count * 10), capped at 100
-  const keywordScore = Math.min(initiativeKeywordCount * 5, 60); // Max 60 points
-  const proactiveScore = Math.min(proactiveCount * 10, 40); // Max 40 points
+  // (points and caps per part come from the configuration, 60 and 40 by default)
+  const keywordScore = Math.min(keywords.count * settings.keyword_points, settings.keyword_max);
+  const proactiveScore = Math.min(proactivePhrases.count * settings.proactive_points, settings.proactive_max);
   
-  return Math.min(keywordScore + proactiveScore, 100);
+  return {
+    score: content ? Math.min(keywordScore + proactiveScore, 100) : 0,
+    language,
+    matched: {
+      keywords: keywords.matches,
+      proactive_phrases: proactivePhrases.matches
+    },
+    sub_scores: {
+      keywords: keywordScore,
+      proactive_phrases: proactiveScore
+    }
+  };
 }
 
 /**
- * Calculate overall contribution score
- * @param {number} problemSolvingScore - Problem-solving score
- * @param {number} collaborationScore - Collaboration score
- * @param {number} initiativeScore - Initiative score
- * @returns {number} - Overall score (0-100)
+ * Initiative Detection Algorithm
+ * @param {string} content - Interaction content to analyze
+ * @param {Object} config - Scoring configuration (default: built-in)
+ * @returns {number} - Initiative score (0-100)
  */
-function calculateOverallScore(problemSolvingScore, collaborationScore, initiativeScore) {
-  // Weighted average: 40% problem-solving, 30% collaboration, 30% initiative
-  return Math.round(
-    problemSolvingScore * 0.4 +
-    collaborationScore * 0.3 +
-    initiativeScore * 0.3
-  );
+function calculateInitiativeScore(content, config = DEFAULT_SCORING_CONFIG) {
+  if (!content) return 0;
+  
+  return explainInitiativeScore(content, config).score;
+}
+
+/**
+ * Keyword Detection Algorithm for custom dimensions, with the evidence behind the score
+ * @param {string} content - Interaction content to analyze
+ * @param {Object} settings - Keyword and phrase lists with their points and caps
+ * @returns {Object} - Score, matched keywords and phrases and capped sub-scores
+ */
+function explainKeywordScore(content, settings) {
+  const lowerContent = normalizeContent(content);
+  
+  // Keywords match as whole words, phrases anywhere in the content
+  const keywords = matchTerms(lowerContent, settings.keywords, true);
+  const phrases = matchTerms(lowerContent, settings.phrases, false);
+  
+  const keywordScore = Math.min(keywords.count * settings.keyword_points, settings.keyword_max);
+  const phraseScore = Math.min(phrases.count * settings.phrase_points, settings.phrase_max);
+  
+  return {
+    score: content ? Math.min(keywordScore + phraseScore, 100) : 0,
+    matched: {
+      keywords: keywords.matches,
+      phrases: phrases.matches
+    },
+    sub_scores: {
+      keywords: keywordScore,
+      phrases: phraseScore
+    }
+  };
 }
 
 module.exports = {
+  DEFAULT_SCORING_CONFIG,
   calculateProblemSolvingScore,
   calculateCollaborationScore,
   calculateInitiativeScore,
-  calculateOverallScore
+  explainProblemSolvingScore,
+  explainCollaborationScore,
+  explainInitiativeScore,
+  explainKeywordScore
 };
\ No newline at end of file
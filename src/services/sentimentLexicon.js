@@ -0,0 +1,78 @@
+/**
+ * Sentiment Lexicon
+ * Word valences (-4 very negative to +4 very positive) for the workplace messages
+ * the sentiment analyzer sees, plus the negators and intensifiers that change them,
+ * per language supported by language detection
+ */
+
+const SENTIMENT_LEXICONS = {
+  en: {
+    // Positive
+    thanks: 2, thank: 2, thankful: 2, grateful: 3, appreciate: 2, appreciated: 2, appreciation: 2,
+    great: 3, good: 2, nice: 2, awesome: 4, amazing: 4, excellent: 3, fantastic: 4, brilliant: 3,
+    outstanding: 4, superb: 4, wonderful: 4, perfect: 3, love: 3, loved: 3, like: 1, enjoy: 2, enjoyed: 2,
+    happy: 3, glad: 2, pleased: 2, excited: 3, proud: 2, impressive: 3, impressed: 3, helpful: 2,
+    kind: 2, clear: 1, clean: 1, smooth: 2, solid: 2, fast: 1, quick: 1, easy: 1, win: 3, success: 2,
+    successful: 2, congrats: 3, congratulations: 3, kudos: 2, cheers: 2, welcome: 1, well: 1,
+    fixed: 1, resolved: 1, shipped: 1, improved: 2, better: 2, best: 3, support: 1, supportive: 2,
+    // Negative
+    bad: -3, terrible: -4, awful: -4, horrible: -4, worst: -4, worse: -3, poor: -2, wrong: -2,
+    broken: -2, fail: -2, failed: -2, failing: -2, failure: -3, problem: -1, problems: -1, issue: -1,
+    issues: -1, bug: -1, bugs: -1, error: -1, errors: -1, crash: -2, crashed: -2, outage: -2,
+    blocked: -2, blocker: -2, stuck: -2, delay: -1, delayed: -2, late: -1, slow: -1, confusing: -2,
+    confused: -2, annoying: -2, annoyed: -2, frustrating: -3, frustrated: -3, angry: -3, upset: -2,
+    sad: -2, disappointed: -3, disappointing: -3, tired: -2, exhausted: -3, burnout: -3, stressed: -2,
+    stressful: -2, overwhelmed: -3, worried: -2, concern: -1, concerned: -2, unfortunately: -2,
+    sorry: -1, hate: -4, ugly: -2, mess: -2, messy: -2, painful: -2, hard: -1, difficult: -1,
+    unclear: -1, useless: -3, ignored: -2, unfair: -3, quit: -2, rude: -3
+  },
+  es: {
+    gracias: 2, agradecido: 3, agradecida: 3, genial: 3, bueno: 2, buena: 2, bien: 1, excelente: 3,
+    fantástico: 4, increíble: 4, perfecto: 3, feliz: 3, contento: 2, contenta: 2, orgulloso: 2,
+    útil: 2, ayuda: 1, éxito: 2, mejor: 2, felicidades: 3, encanta: 3, rápido: 1, resuelto: 1,
+    malo: -3, mala: -3, terrible: -4, horrible: -4, peor: -3, problema: -1, error: -1, fallo: -2,
+    roto: -2, bloqueado: -2, lento: -1, confuso: -2, frustrado: -3, frustrante: -3, enojado: -3,
+    triste: -2, decepcionado: -3, cansado: -2, agotado: -3, estresado: -2, preocupado: -2,
+    lamentablemente: -2, difícil: -1, odio: -4
+  },
+  de: {
+    danke: 2, dankbar: 3, super: 3, gut: 2, toll: 3, klasse: 3, großartig: 4, ausgezeichnet: 3,
+    perfekt: 3, prima: 2, froh: 2, glücklich: 3, stolz: 2, hilfreich: 2, erfolg: 2, erfolgreich: 2,
+    besser: 2, beste: 3, schnell: 1, gelöst: 1, glückwunsch: 3, freue: 2,
+    schlecht: -3, schrecklich: -4, furchtbar: -4, schlimmer: -3, problem: -1, fehler: -1,
+    kaputt: -2, blockiert: -2, langsam: -1, verwirrend: -2, frustriert: -3, frustrierend: -3,
+    wütend: -3, traurig: -2, enttäuscht: -3, müde: -2, erschöpft: -3, gestresst: -2, besorgt: -2,
+    leider: -2, schwierig: -1, hasse: -4
+  },
+  id: {
+    terima: 1, kasih: 1, bagus: 2, hebat: 3, keren: 3, mantap: 3, sempurna: 3, senang: 3,
+    bahagia: 3, bangga: 2, membantu: 2, sukses: 2, berhasil: 2, baik: 2, cepat: 1, selamat: 2,
+    suka: 2, beres: 1,
+    buruk: -3, jelek: -3, parah: -3, masalah: -1, kendala: -1, error: -1, gagal: -2, rusak: -2,
+    terhambat: -2, lambat: -1, bingung: -2, kesal: -3, frustrasi: -3, marah: -3, sedih: -2,
+    kecewa: -3, capek: -2, lelah: -2, stres: -2, khawatir: -2, sayangnya: -2, sulit: -1, benci: -4
+  }
+};
+
+// Words that flip the valence of the words right after them
+const NEGATORS = {
+  en: ['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', "don't", "doesn't", "didn't",
+    "isn't", "wasn't", "aren't", "won't", "can't", "couldn't", "shouldn't", 'cannot', 'without'],
+  es: ['no', 'nunca', 'jamás', 'nada', 'nadie', 'ni', 'sin', 'tampoco'],
+  de: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals', 'nichts', 'ohne'],
+  id: ['tidak', 'tak', 'bukan', 'belum', 'jangan', 'tanpa']
+};
+
+// Words that strengthen the word right after them
+const INTENSIFIERS = {
+  en: ['very', 'really', 'so', 'extremely', 'super', 'incredibly', 'totally', 'truly', 'absolutely'],
+  es: ['muy', 'súper', 'realmente', 'totalmente', 'increíblemente'],
+  de: ['sehr', 'echt', 'wirklich', 'total', 'extrem', 'besonders'],
+  id: ['sangat', 'amat', 'banget', 'sekali', 'benar']
+};
+
+module.exports = {
+  SENTIMENT_LEXICONS,
+  NEGATORS,
+  INTENSIFIERS
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { tokenize, detectLanguage } = require('../utils/languageDetection');
+const { SENTIMENT_LEXICONS, NEGATORS, INTENSIFIERS } = require('./sentimentLexicon');
+
+/**
+ * Sentiment Service
+ * Offline, lexicon-based sentiment and tone analysis of interaction content and kudos messages
+ * Each word found in the language's lexicon adds its valence; a negator shortly before the word
+ * flips and dampens it, an intensifier right before it strengthens it. The sum is normalized to -1..1
+ */
+
+// Scores at or beyond these bounds are labelled positive / negative, the rest neutral
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+
+// How many words before a lexicon word a negator still applies to
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.74;
+const INTENSIFIER_FACTOR = 1.3;
+
+// Normalization constant: a sum of about 4 (one very positive word) gives roughly 0.72
+const NORMALIZATION_ALPHA = 15;
+
+const NEGATOR_SETS = Object.fromEntries(
+  Object.entries(NEGATORS).map(([language, words]) => [language, new Set(words)])
+);
+const INTENSIFIER_SETS = Object.fromEntries(
+  Object.entries(INTENSIFIERS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Label a sentiment score
+ * @param {number} score - Score between -1 and 1
+ * @returns {string} - 'positive', 'neutral' or 'negative'
+ */
+function labelSentiment(score) {
+  if (score >= POSITIVE_THRESHOLD) return 'positive';
+  if (score <= NEGATIVE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Analyze the sentiment of a text
+ * @param {string} text - Text to analyze
+ * @param {Object} options - { language } to skip detection, { default_language } for texts without a clear language
+ * @returns {Object} - { score, label, language, positive_words, negative_words }
+ */
+function analyzeSentiment(text, options = {}) {
+  const language = options.language || detectLanguage(text, options.default_language || 'en');
+  const lexicon = SENTIMENT_LEXICONS[language] || SENTIMENT_LEXICONS.en;
+  const negators = NEGATOR_SETS[language] || NEGATOR_SETS.en;
+  const intensifiers = INTENSIFIER_SETS[language] || INTENSIFIER_SETS.en;
+  const words = tokenize(text);
+  
+  const positiveWords = [];
+  const negativeWords = [];
+  let sum = 0;
+  
+  words.forEach((word, index) => {
+    if (!lexicon[word]) return;
+    
+    let valence = lexicon[word];
+    if (index > 0 && intensifiers.has(words[index - 1])) {
+      valence *= INTENSIFIER_FACTOR;
+    }
+    
+    const preceding = words.slice(Math.max(0, index - NEGATION_WINDOW), index);
+    if (preceding.some(previous => negators.has(previous))) {
+      valence *= NEGATION_FACTOR;
+    }
+    
+    if (valence > 0) {
+      positiveWords.push(word);
+    } else {
+      negativeWords.push(word);
+    }
+    sum += valence;
+  });
+  
+  const score = sum === 0 ? 0 : Math.round((sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)) * 10000) / 10000;
+  
+  return {
+    score,
+    label: labelSentiment(score),
+    language,
+    positive_words: positiveWords,
+    negative_words: negativeWords
+  };
+}
+
+/**
+ * Sentiment fields stored on an interaction or kudos record
+ * @param {string} text - Interaction content or kudos message
+ * @returns {Object} - { sentiment_score, sentiment_label }
+ */
+function getSentimentFields(text) {
+  const { score, label } = analyzeSentiment(text);
+  return { sentiment_score: score, sentiment_label: label };
+}
+
+/**
+ * Sentiment score of a stored interaction or kudos record
+ * Records created before sentiment analysis existed are analyzed on the fly
+ * @param {Object} record - Interaction or kudos record
+ * @returns {number} - Score between -1 and 1
+ */
+function getRecordSentiment(record) {
+  const stored = record.sentiment_score;
+  if (stored !== null && stored !== undefined && !isNaN(Number(stored))) {
+    return Number(stored);
+  }
+  
+  return analyzeSentiment(record.content !== undefined ? record.content : record.message).score;
+}
+
+module.exports = {
+  labelSentiment,
+  analyzeSentiment,
+  getSentimentFields,
+  getRecordSentiment
+};
\ No newline at end of file
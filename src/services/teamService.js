@@ -0,0 +1,214 @@
+const teamRepository = require('../repositories/teamRepository');
+const employeeRepository = require('../repositories/employeeRepository');
+const departmentService = require('./departmentService');
+
+// Fields a team can be created or updated with
+const TEAM_FIELDS = ['team_id', 'name', 'department_id', 'lead_employee_id', 'archived'];
+
+// Team IDs are stored in employees.team, which is limited to 50 characters
+const TEAM_ID_PATTERN = /^[a-zA-Z0-9-_]{1,50}$/;
+
+/**
+ * Keep the known team fields, turning empty references into null
+ * @param {Object} teamData - Request payload
+ * @returns {Object} - Team data to store
+ */
+function pickTeamFields(teamData) {
+  const picked = {};
+  
+  TEAM_FIELDS.forEach(field => {
+    if (teamData[field] !== undefined) {
+      picked[field] = teamData[field];
+    }
+  });
+  
+  ['department_id', 'lead_employee_id'].forEach(field => {
+    if (picked[field] === '') {
+      picked[field] = null;
+    }
+  });
+  
+  return picked;
+}
+
+/**
+ * Validate team data
+ * @param {Object} team - Team data to validate
+ * @returns {Object} - Validation result
+ */
+function validateTeamData(team) {
+  const errors = [];
+  
+  if (!team.team_id) {
+    errors.push('Team ID is required');
+  } else if (!TEAM_ID_PATTERN.test(team.team_id)) {
+    errors.push('Team ID must be at most 50 letters, digits, dashes or underscores');
+  }
+  
+  if (!team.name) {
+    errors.push('Name is required');
+  } else if (team.name.length > 100) {
+    errors.push('Name must be less than 100 characters');
+  }
+  
+  if (team.archived !== undefined && typeof team.archived !== 'boolean') {
+    errors.push('Archived must be true or false');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Get a team, failing with "Team not found" when it does not exist
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @returns {Promise<Object>} - Team data
+ */
+async function getTeam(tenantId, teamId) {
+  if (!teamId) {
+    throw new Error('Team ID is required');
+  }
+  
+  try {
+    return await teamRepository.getTeamById(tenantId, teamId);
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.message.includes('not found')) {
+      throw new Error('Team not found');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a team that employees can be assigned to
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @returns {Promise<Object>} - Team data
+ */
+async function requireActiveTeam(tenantId, teamId) {
+  let team;
+  try {
+    team = await getTeam(tenantId, teamId);
+  } catch (error) {
+    if (error.message === 'Team not found') {
+      throw new Error(`Validation failed: Team ${teamId} not found`);
+    }
+    throw error;
+  }
+  
+  if (departmentService.isArchived(team)) {
+    throw new Error(`Validation failed: Team ${teamId} is archived`);
+  }
+  
+  return team;
+}
+
+/**
+ * Get all teams for a tenant
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} options - Listing options
+ * @param {boolean} options.includeArchived - Include archived teams (default: false)
+ * @param {string} options.departmentId - Only teams of this department
+ * @returns {Promise<Array>} - Teams ordered by name
+ */
+async function listTeams(tenantId, options = {}) {
+  return await teamRepository.getTeams(tenantId, {
+    includeArchived: !!options.includeArchived,
+    departmentId: options.departmentId
+  });
+}
+
+/**
+ * Create a new team
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} teamData - Team data
+ * @returns {Promise<Object>} - Created team data
+ */
+async function createTeam(tenantId, teamData) {
+  const team = pickTeamFields(teamData);
+  
+  const validation = validateTeamData(team);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  const existing = await teamRepository.getTeamById(tenantId, team.team_id).catch(() => null);
+  if (existing) {
+    throw new Error('Team ID already exists');
+  }
+  
+  if (team.department_id) {
+    await departmentService.requireActiveDepartment(tenantId, team.department_id);
+  }
+  
+  if (team.lead_employee_id) {
+    await departmentService.validateLead(tenantId, team.lead_employee_id);
+  }
+  
+  return await teamRepository.createTeam(tenantId, team);
+}
+
+/**
+ * Update a team (partial updates allowed; the team ID cannot be changed)
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @param {Object} teamData - Team data to update
+ * @returns {Promise<Object>} - Updated team data
+ */
+async function updateTeam(tenantId, teamId, teamData) {
+  // The team ID is what employees refer to
+  if (teamData.team_id !== undefined && teamData.team_id !== teamId) {
+    throw new Error('Validation failed: Team ID cannot be changed');
+  }
+  
+  const updateData = pickTeamFields(teamData);
+  delete updateData.team_id;
+  
+  const existing = await getTeam(tenantId, teamId);
+  
+  const validation = validateTeamData({ ...existing, ...updateData });
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  if (updateData.department_id) {
+    await departmentService.requireActiveDepartment(tenantId, updateData.department_id);
+  }
+  
+  if (updateData.lead_employee_id) {
+    await departmentService.validateLead(tenantId, updateData.lead_employee_id);
+  }
+  
+  return await teamRepository.updateTeam(tenantId, teamId, updateData);
+}
+
+/**
+ * Delete a team that no employee belongs to any more
+ * Teams with employees should be archived instead
+ * @param {string} tenantId - The tenant ID
+ * @param {string} teamId - The team ID
+ * @returns {Promise<Object>} - Deleted team data
+ */
+async function deleteTeam(tenantId, teamId) {
+  await getTeam(tenantId, teamId);
+  
+  const employees = await employeeRepository.countEmployees(tenantId, { team: teamId });
+  if (employees > 0) {
+    throw new Error(`Validation failed: Team ${teamId} still has ${employees} employee(s); archive it instead`);
+  }
+  
+  return await teamRepository.deleteTeam(tenantId, teamId);
+}
+
+module.exports = {
+  validateTeamData,
+  getTeam,
+  requireActiveTeam,
+  listTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
\ No newline at end of file
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const { readTenantCSV, writeTenantCSV } = require('../utils/tenantCsvUtils');
+const { likeToRegExp } = require('../utils/sqlPattern');
+const logger = require('../utils/logger');
+
+/**
+ * CSV Storage Adapter
+ * Stores every table as a CSV file in the tenant's data directory
+ *
+ * Rows are partitioned by their `tenant_id` column: `employees` rows for tenant
+ * "acme" live in `data/acme/employees.csv`. Platform-wide tables that are not
+ * owned by a single tenant live in the PLATFORM_PARTITION directory instead.
+ * Every method resolves to the Supabase result shape `{ data, error, count }`.
+ */
+
+// Tables shared by all tenants and the partition they are stored in
+const PLATFORM_PARTITION = '_platform';
+const PLATFORM_TABLES = ['tenants'];
+
+// Error code Supabase (PostgREST) uses when .single() matches no rows
+const NO_ROWS_ERROR_CODE = 'PGRST116';
+
+// Pending write per file, used to serialize read-modify-write cycles
+const fileQueues = new Map();
+
+/**
+ * Resolve the partition (data directory) that holds a table's rows
+ * @param {string} table - Table name
+ * @param {string} tenantId - Tenant ID taken from filters or row data
+ * @returns {string} - Partition name
+ */
+function resolvePartition(table, tenantId) {
+  if (PLATFORM_TABLES.includes(table)) {
+    return PLATFORM_PARTITION;
+  }
+
+  if (!tenantId) {
+    throw new Error(`A tenant_id is required to access table ${table}`);
+  }
+
+  return tenantId;
+}
+
+/**
+ * Convert a stored CSV value back into a JavaScript value
+ * @param {string} value - Raw CSV cell
+ * @returns {*} - Parsed value
+ */
+function deserializeValue(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  // Booleans are stored as true/false; keep them typed so flags such as archived
+  // read back the way they were written
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  // Objects and arrays are stored as JSON
+  if (value.startsWith('{') || value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Convert a JavaScript value into a CSV cell
+ * @param {*} value - Value to store
+ * @returns {string} - CSV cell
+ */
+function serializeValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Read every row of a table partition
+ * @param {string} partition - Partition name
+ * @param {string} table - Table name
+ * @returns {Promise<Array>} - Deserialized rows
+ */
+async function readRows(partition, table) {
+  const records = await readTenantCSV(partition, `${table}.csv`);
+
+  return records.map(record => {
+    const row = {};
+    Object.keys(record).forEach(key => {
+      row[key] = deserializeValue(record[key]);
+    });
+    return row;
+  });
+}
+
+/**
+ * Overwrite a table partition with the given rows
+ * @param {string} partition - Partition name
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows to write
+ * @returns {Promise<void>}
+ */
+async function writeRows(partition, table, rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+
+  const headers = columns.map(column => ({ id: column, title: column }));
+  const records = rows.map(row => {
+    const record = {};
+    columns.forEach(column => {
+      record[column] = serializeValue(row[column]);
+    });
+    return record;
+  });
+
+  await writeTenantCSV(partition, `${table}.csv`, headers, records);
+}
+
+/**
+ * Run a read-modify-write operation with exclusive access to a table partition
+ * @param {string} partition - Partition name
+ * @param {string} table - Table name
+ * @param {Function} operation - Receives the current rows, returns { rows, result }
+ * @returns {Promise<*>} - The operation result
+ */
+function withExclusiveAccess(partition, table, operation) {
+  const key = `${partition}/${table}`;
+  const previous = fileQueues.get(key) || Promise.resolve();
+
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const rows = await readRows(partition, table);
+      const { rows: updatedRows, result } = await operation(rows);
+      await writeRows(partition, table, updatedRows);
+      return result;
+    });
+
+  fileQueues.set(key, next);
+  next.finally(() => {
+    if (fileQueues.get(key) === next) {
+      fileQueues.delete(key);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * Wait for pending writes to a table partition before reading it
+ * (writeCSV replaces the file, so a concurrent read could see it missing)
+ * @param {string} partition - Partition name
+ * @param {string} table - Table name
+ * @returns {Promise<void>}
+ */
+async function waitForPendingWrites(partition, table) {
+  const pending = fileQueues.get(`${partition}/${table}`);
+  if (pending) {
+    await pending.catch(() => {});
+  }
+}
+
+/**
+ * Check whether a row matches all equality filters
+ * @param {Object} row - Row to test
+ * @param {Object} filters - Map of column name to expected value
+ * @returns {boolean} - Whether the row matches
+ */
+function matchesFilters(row, filters = {}) {
+  return Object.entries(filters).every(([column, value]) => {
+    return serializeValue(row[column]) === serializeValue(value);
+  });
+}
+
+/**
+ * Check whether a row matches all case-insensitive LIKE patterns
+ * @param {Object} row - Row to test
+ * @param {Object} patterns - Map of column name to ILIKE pattern
+ * @returns {boolean} - Whether the row matches
+ */
+function matchesPatterns(row, patterns = {}) {
+  return Object.entries(patterns).every(([column, pattern]) => {
+    return row[column] !== null && row[column] !== undefined && likeToRegExp(pattern).test(String(row[column]));
+  });
+}
+
+/**
+ * Check whether a row has one of the accepted values in every listed column
+ * @param {Object} row - Row to test
+ * @param {Object} anyOf - Map of column name to accepted values
+ * @returns {boolean} - Whether the row matches
+ */
+function matchesAnyOf(row, anyOf = {}) {
+  return Object.entries(anyOf).every(([column, values]) => {
+    return values.some(value => serializeValue(row[column]) === serializeValue(value));
+  });
+}
+
+/**
+ * Compare two cell values, numerically when both are numbers
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Sort comparison result
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+
+  const numA = Number(a);
+  const numB = Number(b);
+  if (!isNaN(numA) && !isNaN(numB)) {
+    return numA - numB;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Keep only the requested columns of a row
+ * @param {Object} row - Row to project
+ * @param {string} columns - Comma separated column list or '*'
+ * @returns {Object} - Projected row
+ */
+function projectColumns(row, columns) {
+  if (!columns || columns.trim() === '*') {
+    return row;
+  }
+
+  const projected = {};
+  columns.split(',').map(column => column.trim()).forEach(column => {
+    projected[column] = row[column] === undefined ? null : row[column];
+  });
+  return projected;
+}
+
+/**
+ * Build a Supabase-style error result
+ * @param {Error} error - Caught error
+ * @param {string} operation - Adapter operation name
+ * @param {string} table - Table name
+ * @returns {Object} - { data, error }
+ */
+function errorResult(error, operation, table) {
+  logger.error('CSV storage operation failed', {
+    error: error.message,
+    operation,
+    table
+  });
+  return { data: null, error: { message: error.message } };
+}
+
+/**
+ * Select rows from a table
+ * @param {string} table - Table name
+ * @param {Object} options - Query options (see supabaseAdapter.select)
+ * @returns {Promise<Object>} - { data, error, count }
+ */
+async function select(table, options = {}) {
+  const { columns = '*', filters = {}, ilike = {}, in: anyOf = {}, count, range, order, limit, single } = options;
+
+  try {
+    const partition = resolvePartition(table, filters.tenant_id);
+    await waitForPendingWrites(partition, table);
+    let rows = (await readRows(partition, table))
+      .filter(row => matchesFilters(row, filters) && matchesPatterns(row, ilike) && matchesAnyOf(row, anyOf));
+    const totalCount = rows.length;
+
+    // Later orders break ties of earlier ones
+    const orders = [].concat(order || []);
+    if (orders.length > 0) {
+      rows = rows.sort((a, b) => {
+        for (const { column, ascending } of orders) {
+          const comparison = compareValues(a[column], b[column]);
+          if (comparison !== 0) {
+            return ascending === false ? -comparison : comparison;
+          }
+        }
+        return 0;
+      });
+    }
+
+    if (range) {
+      rows = rows.slice(range.from, range.to + 1);
+    }
+
+    if (limit !== undefined) {
+      rows = rows.slice(0, limit);
+    }
+
+    rows = rows.map(row => projectColumns(row, columns));
+
+    if (single) {
+      if (rows.length !== 1) {
+        return {
+          data: null,
+          error: {
+            code: NO_ROWS_ERROR_CODE,
+            message: rows.length === 0 ? 'Row not found' : 'Multiple rows found where one was expected'
+          }
+        };
+      }
+      return { data: rows[0], error: null };
+    }
+
+    return { data: rows, error: null, count: count ? totalCount : null };
+  } catch (error) {
+    return errorResult(error, 'select', table);
+  }
+}
+
+/**
+ * Insert rows into a table
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows to insert
+ * @returns {Promise<Object>} - { data, error } with the inserted rows
+ */
+async function insert(table, rows) {
+  try {
+    // Group the new rows by partition so each file is written once
+    const partitions = new Map();
+    rows.forEach(row => {
+      const partition = resolvePartition(table, row.tenant_id);
+      if (!partitions.has(partition)) {
+        partitions.set(partition, []);
+      }
+      partitions.get(partition).push({
+        id: row.id || crypto.randomUUID(),
+        ...row,
+        created_at: row.created_at || new Date().toISOString()
+      });
+    });
+
+    const inserted = [];
+    for (const [partition, newRows] of partitions) {
+      await withExclusiveAccess(partition, table, existingRows => ({
+        rows: existingRows.concat(newRows),
+        result: null
+      }));
+      inserted.push(...newRows);
+    }
+
+    return { data: inserted, error: null };
+  } catch (error) {
+    return errorResult(error, 'insert', table);
+  }
+}
+
+/**
+ * Update rows matching the filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Equality filters
+ * @param {Object} changes - Column values to set
+ * @returns {Promise<Object>} - { data, error } with the updated rows
+ */
+async function update(table, filters, changes) {
+  try {
+    const partition = resolvePartition(table, filters.tenant_id);
+
+    const updated = await withExclusiveAccess(partition, table, existingRows => {
+      const changedRows = [];
+      const rows = existingRows.map(row => {
+        if (!matchesFilters(row, filters)) {
+          return row;
+        }
+        const changedRow = { ...row, ...changes };
+        changedRows.push(changedRow);
+        return changedRow;
+      });
+      return { rows, result: changedRows };
+    });
+
+    return { data: updated, error: null };
+  } catch (error) {
+    return errorResult(error, 'update', table);
+  }
+}
+
+/**
+ * Delete rows matching the filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Equality filters
+ * @returns {Promise<Object>} - { data, error } with the deleted rows
+ */
+async function remove(table, filters) {
+  try {
+    const partition = resolvePartition(table, filters.tenant_id);
+
+    const removed = await withExclusiveAccess(partition, table, existingRows => ({
+      rows: existingRows.filter(row => !matchesFilters(row, filters)),
+      result: existingRows.filter(row => matchesFilters(row, filters))
+    }));
+
+    return { data: removed, error: null };
+  } catch (error) {
+    return errorResult(error, 'remove', table);
+  }
+}
+
+/**
+ * Call a database function
+ * Tenant isolation is enforced by the file layout, so set_tenant_context is a no-op
+ * @param {string} functionName - Function name
+ * @returns {Promise<Object>} - { data, error }
+ */
+async function rpc(functionName) {
+  if (functionName === 'set_tenant_context') {
+    return { data: null, error: null };
+  }
+
+  return {
+    data: null,
+    error: { message: `Function ${functionName} is not supported by the CSV storage backend` }
+  };
+}
+
+module.exports = {
+  name: 'csv',
+  select,
+  insert,
+  update,
+  remove,
+  rpc
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+
+/**
+ * Storage Adapter Selection
+ * Repositories talk to this module instead of a specific database client.
+ * The backend is chosen with the STORAGE_BACKEND environment variable:
+ *   - supabase (default): Supabase PostgreSQL through supabaseClient
+ *   - csv: CSV files in the tenant data directories (no network needed)
+ *
+ * Adapters are loaded lazily so the CSV backend never requires Supabase credentials.
+ */
+
+const STORAGE_BACKENDS = {
+  supabase: './supabaseAdapter',
+  csv: './csvAdapter'
+};
+
+const DEFAULT_STORAGE_BACKEND = 'supabase';
+
+let activeAdapter = null;
+
+/**
+ * Get the configured storage backend name
+ * @returns {string} - Backend name
+ */
+function getStorageBackend() {
+  return (process.env.STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND).trim().toLowerCase();
+}
+
+/**
+ * Get the storage adapter for the configured backend
+ * @returns {Object} - Storage adapter
+ */
+function getStorageAdapter() {
+  if (activeAdapter) {
+    return activeAdapter;
+  }
+
+  const backend = getStorageBackend();
+  const adapterPath = STORAGE_BACKENDS[backend];
+
+  if (!adapterPath) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${backend}". Supported backends: ${Object.keys(STORAGE_BACKENDS).join(', ')}`
+    );
+  }
+
+  activeAdapter = require(adapterPath);
+  logger.info('Storage backend selected', { backend });
+  return activeAdapter;
+}
+
+/**
+ * Forget the selected adapter so the next call re-reads the configuration
+ * (used by tests that switch backends)
+ */
+function resetStorageAdapter() {
+  activeAdapter = null;
+}
+
+module.exports = {
+  getStorageBackend,
+  getStorageAdapter,
+  resetStorageAdapter,
+  select: (table, options) => getStorageAdapter().select(table, options),
+  insert: (table, rows) => getStorageAdapter().insert(table, rows),
+  update: (table, filters, changes) => getStorageAdapter().update(table, filters, changes),
+  remove: (table, filters) => getStorageAdapter().remove(table, filters),
+  rpc: (functionName, params) => getStorageAdapter().rpc(functionName, params)
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+const supabase = require('../utils/supabaseClient');
+
+/**
+ * Supabase Storage Adapter
+ * Translates storage adapter calls into Supabase query-builder chains
+ *
+ * Every method resolves to the Supabase result shape `{ data, error, count }`
+ * so repositories can handle errors the same way for every backend.
+ */
+
+/**
+ * Apply equality filters to a query in declaration order
+ * A null value matches rows where the column IS NULL
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - Map of column name to expected value
+ * @returns {Object} - Filtered query builder
+ */
+function applyFilters(query, filters = {}) {
+  Object.entries(filters).forEach(([column, value]) => {
+    query = value === null ? query.is(column, null) : query.eq(column, value);
+  });
+  return query;
+}
+
+/**
+ * Select rows from a table
+ * @param {string} table - Table name
+ * @param {Object} options - Query options
+ * @param {string} options.columns - Columns to select (default: '*')
+ * @param {Object} options.filters - Equality filters
+ * @param {Object} options.ilike - Case-insensitive LIKE patterns by column
+ * @param {Object} options.in - Lists of accepted values by column
+ * @param {string} options.count - Count mode, e.g. 'exact'
+ * @param {Object} options.range - Inclusive row range { from, to }
+ * @param {Object|Array} options.order - Sort order { column, ascending }, or a list of them
+ *   (later orders break ties of earlier ones)
+ * @param {number} options.limit - Maximum number of rows
+ * @param {boolean} options.single - Whether exactly one row is expected
+ * @returns {Promise<Object>} - { data, error, count }
+ */
+async function select(table, options = {}) {
+  const { columns = '*', filters, ilike, in: anyOf, count, range, order, limit, single } = options;
+
+  let query = count
+    ? supabase.from(table).select(columns, { count })
+    : supabase.from(table).select(columns);
+
+  query = applyFilters(query, filters);
+
+  Object.entries(ilike || {}).forEach(([column, pattern]) => {
+    query = query.ilike(column, pattern);
+  });
+
+  Object.entries(anyOf || {}).forEach(([column, values]) => {
+    query = query.in(column, values);
+  });
+
+  if (range) {
+    query = query.range(range.from, range.to);
+  }
+
+  [].concat(order || []).forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending: ascending !== false });
+  });
+
+  if (limit !== undefined) {
+    query = query.limit(limit);
+  }
+
+  if (single) {
+    query = query.single();
+  }
+
+  return await query;
+}
+
+/**
+ * Insert rows into a table
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows to insert
+ * @returns {Promise<Object>} - { data, error } with the inserted rows
+ */
+async function insert(table, rows) {
+  return await supabase
+    .from(table)
+    .insert(rows)
+    .select();
+}
+
+/**
+ * Update rows matching the filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Equality filters
+ * @param {Object} changes - Column values to set
+ * @returns {Promise<Object>} - { data, error } with the updated rows
+ */
+async function update(table, filters, changes) {
+  const query = applyFilters(supabase.from(table).update(changes), filters);
+  return await query.select();
+}
+
+/**
+ * Delete rows matching the filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Equality filters
+ * @returns {Promise<Object>} - { data, error } with the deleted rows
+ */
+async function remove(table, filters) {
+  const query = applyFilters(supabase.from(table).delete(), filters);
+  return await query.select();
+}
+
+/**
+ * Call a database function
+ * @param {string} functionName - Function name
+ * @param {Object} params - Function parameters
+ * @returns {Promise<Object>} - { data, error }
+ */
+async function rpc(functionName, params = {}) {
+  return await supabase.rpc(functionName, params);
+}
+
+module.exports = {
+  name: 'supabase',
+  select,
+  insert,
+  update,
+  remove,
+  rpc
+};
\ No newline at end of file
@@ -49,11 +49,21 @@ class FileLockError extends Error {
   }
 }
 
+class RateLimitError extends Error {
+  constructor(message, limit, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.limit = limit;
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ValidationError,
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
   DatabaseError,
-  FileLockError
+  FileLockError,
+  RateLimitError
 };
\ No newline at end of file
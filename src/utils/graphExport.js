@@ -0,0 +1,132 @@
+/**
+ * Graph export
+ * Serializes a contribution graph ({ nodes, edges }, see contributionGraphService) as GraphML
+ * or GEXF for tools such as Gephi, yEd or NetworkX
+ */
+
+// Node and edge attributes written next to the IDs, with their GraphML types
+const NODE_ATTRIBUTES = [
+  { id: 'name', type: 'string' },
+  { id: 'team', type: 'string' },
+  { id: 'department', type: 'string' },
+  { id: 'out_weight', type: 'double' },
+  { id: 'in_weight', type: 'double' }
+];
+const EDGE_ATTRIBUTES = [
+  { id: 'weight', type: 'double' },
+  { id: 'interaction_count', type: 'int' },
+  { id: 'kudos_count', type: 'int' }
+];
+
+// GEXF names some attribute types differently
+const GEXF_TYPES = { string: 'string', double: 'double', int: 'integer' };
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} graph - Graph with nodes and edges
+ * @returns {string} - GraphML document
+ */
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_ATTRIBUTES.map(({ id, type }) =>
+      `  <key id="${id}" for="node" attr.name="${id}" attr.type="${type}"/>`),
+    ...EDGE_ATTRIBUTES.map(({ id, type }) =>
+      `  <key id="${id}" for="edge" attr.name="${id}" attr.type="${type}"/>`),
+    '  <graph id="contributions" edgedefault="directed">'
+  ];
+  
+  graph.nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    NODE_ATTRIBUTES.filter(({ id }) => node[id] !== null && node[id] !== undefined).forEach(({ id }) => {
+      lines.push(`      <data key="${id}">${escapeXml(node[id])}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  
+  graph.edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    EDGE_ATTRIBUTES.forEach(({ id }) => {
+      lines.push(`      <data key="${id}">${escapeXml(edge[id])}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+  
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+/**
+ * Serialize a graph as GEXF 1.3
+ * @param {Object} graph - Graph with nodes and edges
+ * @returns {string} - GEXF document
+ */
+function toGEXF(graph) {
+  // GEXF has a label for the name and a weight for the edge weight
+  const nodeAttributes = NODE_ATTRIBUTES.filter(({ id }) => id !== 'name');
+  const edgeAttributes = EDGE_ATTRIBUTES.filter(({ id }) => id !== 'weight');
+  const attValues = (record, attributes, indent) => {
+    const values = attributes.filter(({ id }) => record[id] !== null && record[id] !== undefined);
+    if (values.length === 0) return [];
+    
+    return [
+      `${indent}<attvalues>`,
+      ...values.map(({ id }) => `${indent}  <attvalue for="${id}" value="${escapeXml(record[id])}"/>`),
+      `${indent}</attvalues>`
+    ];
+  };
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(({ id, type }) => `      <attribute id="${id}" title="${id}" type="${GEXF_TYPES[type]}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(({ id, type }) => `      <attribute id="${id}" title="${id}" type="${GEXF_TYPES[type]}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+  
+  graph.nodes.forEach(node => {
+    lines.push(
+      `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name || node.id)}">`,
+      ...attValues(node, nodeAttributes, '        '),
+      '      </node>'
+    );
+  });
+  
+  lines.push('    </nodes>', '    <edges>');
+  graph.edges.forEach((edge, index) => {
+    lines.push(
+      `      <edge id="${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}">`,
+      ...attValues(edge, edgeAttributes, '        '),
+      '      </edge>'
+    );
+  });
+  
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  toGraphML,
+  toGEXF
+};
\ No newline at end of file
@@ -0,0 +1,509 @@
+const crypto = require('crypto');
+const { likeToRegExp } = require('./sqlPattern');
+
+/**
+ * In-Memory Supabase Client
+ * A local stand-in for the subset of the Supabase client used by SyncUpEZ:
+ *   - from(table).select/insert/update/delete with eq, neq, gt, gte, lt, lte,
+ *     in, ilike, is filters and range, order, limit, single, maybeSingle modifiers
+ *   - rpc(functionName, params)
+ *   - auth.signUp, auth.signInWithPassword, auth.getUser, auth.refreshSession,
+ *     auth.resetPasswordForEmail, auth.verifyOtp
+ *   - auth.admin.signOut, auth.admin.getUserById, auth.admin.deleteUser,
+ *     auth.admin.updateUserById
+ *
+ * Results use the Supabase shape `{ data, error, count }` and errors carry the
+ * PostgREST/GoTrue codes the application checks for (e.g. PGRST116).
+ * Enable it with SUPABASE_CLIENT=memory (see supabaseClient.js).
+ */
+
+// Column defaults mirrored from scripts/supabase-schema.sql
+const TABLE_DEFAULTS = {
+  employees: ['created_at', 'updated_at'],
+  interactions: ['timestamp', 'created_at'],
+  kudos: ['timestamp', 'created_at'],
+  contributions: ['calculated_at', 'created_at'],
+  tenants: ['created_at', 'updated_at']
+};
+
+/**
+ * Deep copy a value so callers cannot mutate stored rows
+ * @param {*} value - Value to copy
+ * @returns {*} - Copied value
+ */
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two column values the way PostgreSQL orders them (numbers numerically)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Sort comparison result
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1; // NULLS LAST
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+const FILTER_OPERATORS = {
+  eq: (value, expected) => value === expected || (value !== null && value !== undefined && String(value) === String(expected)),
+  neq: (value, expected) => !FILTER_OPERATORS.eq(value, expected),
+  gt: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) > 0,
+  gte: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) >= 0,
+  lt: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) < 0,
+  lte: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) <= 0,
+  in: (value, expected) => expected.some(candidate => FILTER_OPERATORS.eq(value, candidate)),
+  ilike: (value, expected) => value !== null && value !== undefined && likeToRegExp(expected).test(String(value)),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected)
+};
+
+/**
+ * Query builder for a single table
+ * Mirrors the chainable, thenable Supabase PostgrestQueryBuilder
+ */
+class InMemoryQueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.rangeBounds = null;
+    this.maxRows = null;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+    } else {
+      // .select() after insert/update/delete returns the affected rows
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(changes) {
+    this.operation = 'update';
+    this.payload = changes;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = { from, to };
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  /**
+   * Run the built query against the in-memory store
+   * @returns {Object} - { data, error, count }
+   */
+  execute() {
+    const rows = this.store.tables.get(this.table) || [];
+    this.store.tables.set(this.table, rows);
+
+    switch (this.operation) {
+      case 'insert':
+        return this.executeInsert(rows);
+      case 'update':
+        return this.executeUpdate(rows);
+      case 'delete':
+        return this.executeDelete(rows);
+      default:
+        return this.executeSelect(rows);
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(({ operator, column, value }) => FILTER_OPERATORS[operator](row[column], value));
+  }
+
+  project(row) {
+    if (!this.columns || this.columns.trim() === '*') {
+      return copy(row);
+    }
+
+    const projected = {};
+    this.columns.split(',').map(column => column.trim()).forEach(column => {
+      projected[column] = row[column] === undefined ? null : copy(row[column]);
+    });
+    return projected;
+  }
+
+  finish(rows, count = null) {
+    const data = rows.map(row => this.project(row));
+
+    if (this.singleMode) {
+      if (data.length === 1) {
+        return { data: data[0], error: null, count };
+      }
+      if (data.length === 0 && this.singleMode === 'maybeSingle') {
+        return { data: null, error: null, count };
+      }
+      return {
+        data: null,
+        error: {
+          code: 'PGRST116',
+          details: `The result contains ${data.length} rows`,
+          hint: null,
+          message: 'JSON object requested, multiple (or no) rows returned'
+        },
+        count
+      };
+    }
+
+    return { data, error: null, count };
+  }
+
+  executeSelect(rows) {
+    let result = rows.filter(row => this.matches(row));
+    const count = this.countMode ? result.length : null;
+
+    if (this.orders.length > 0) {
+      result = [...result].sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const comparison = compareValues(a[column], b[column]);
+          if (comparison !== 0) {
+            return ascending ? comparison : -comparison;
+          }
+        }
+        return 0;
+      });
+    }
+
+    if (this.rangeBounds) {
+      result = result.slice(this.rangeBounds.from, this.rangeBounds.to + 1);
+    }
+
+    if (this.maxRows !== null) {
+      result = result.slice(0, this.maxRows);
+    }
+
+    return this.finish(result, count);
+  }
+
+  executeInsert(rows) {
+    const now = new Date().toISOString();
+    const defaults = TABLE_DEFAULTS[this.table] || ['created_at'];
+
+    const inserted = this.payload.map(row => {
+      const newRow = { id: crypto.randomUUID() };
+      defaults.forEach(column => {
+        newRow[column] = now;
+      });
+      return { ...newRow, ...copy(row) };
+    });
+
+    rows.push(...inserted);
+    return this.returning ? this.finish(inserted) : { data: null, error: null, count: null };
+  }
+
+  executeUpdate(rows) {
+    const updated = [];
+    rows.forEach((row, index) => {
+      if (this.matches(row)) {
+        rows[index] = { ...row, ...copy(this.payload) };
+        updated.push(rows[index]);
+      }
+    });
+    return this.returning ? this.finish(updated) : { data: null, error: null, count: null };
+  }
+
+  executeDelete(rows) {
+    const deleted = rows.filter(row => this.matches(row));
+    this.store.tables.set(this.table, rows.filter(row => !this.matches(row)));
+    return this.returning ? this.finish(deleted) : { data: null, error: null, count: null };
+  }
+}
+
+// Register the chainable filter methods (eq, neq, gt, ...)
+Object.keys(FILTER_OPERATORS).forEach(operator => {
+  InMemoryQueryBuilder.prototype[operator] = function(column, value) {
+    this.filters.push({ operator, column, value });
+    return this;
+  };
+});
+
+/**
+ * Build the public view of a stored auth user
+ * @param {Object} user - Stored user record
+ * @returns {Object} - User without credentials
+ */
+function publicUser(user) {
+  const { password, ...rest } = user;
+  return copy(rest);
+}
+
+/**
+ * Create the auth API of the in-memory client
+ * @param {Object} store - Shared store
+ * @returns {Object} - Auth API
+ */
+function createAuth(store) {
+  function createSession(user) {
+    const session = {
+      access_token: `mem-access-${crypto.randomUUID()}`,
+      refresh_token: `mem-refresh-${crypto.randomUUID()}`,
+      token_type: 'bearer',
+      expires_in: 3600,
+      expires_at: Math.floor(Date.now() / 1000) + 3600,
+      user: publicUser(user)
+    };
+    store.sessions.set(session.access_token, { userId: user.id, refreshToken: session.refresh_token });
+    return session;
+  }
+
+  function findUserByEmail(email) {
+    return [...store.users.values()].find(user => user.email === String(email).toLowerCase());
+  }
+
+  return {
+    async signUp({ email, password, options = {} } = {}) {
+      if (!email || !password) {
+        return { data: { user: null, session: null }, error: { message: 'Signup requires a valid password', status: 422 } };
+      }
+
+      if (findUserByEmail(email)) {
+        return { data: { user: null, session: null }, error: { message: 'User already registered', status: 422 } };
+      }
+
+      const now = new Date().toISOString();
+      const user = {
+        id: crypto.randomUUID(),
+        aud: 'authenticated',
+        role: 'authenticated',
+        email: String(email).toLowerCase(),
+        password,
+        user_metadata: copy(options.data || {}),
+        app_metadata: { provider: 'email' },
+        created_at: now,
+        updated_at: now
+      };
+      store.users.set(user.id, user);
+
+      return { data: { user: publicUser(user), session: createSession(user) }, error: null };
+    },
+
+    async signInWithPassword({ email, password } = {}) {
+      const user = findUserByEmail(email || '');
+      if (!user || user.password !== password) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid login credentials', status: 400 } };
+      }
+
+      return { data: { user: publicUser(user), session: createSession(user) }, error: null };
+    },
+
+    async getUser(accessToken) {
+      const session = accessToken ? store.sessions.get(accessToken) : null;
+      const user = session ? store.users.get(session.userId) : null;
+      if (!user) {
+        return { data: { user: null }, error: { message: 'invalid JWT: unable to parse or verify signature', status: 401 } };
+      }
+
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    async refreshSession({ refresh_token: refreshToken } = {}) {
+      const entry = [...store.sessions.entries()].find(([, session]) => session.refreshToken === refreshToken);
+      const user = entry ? store.users.get(entry[1].userId) : null;
+      if (!user) {
+        return { data: { user: null, session: null }, error: { message: 'Invalid Refresh Token: Refresh Token Not Found', status: 400 } };
+      }
+
+      // Refresh tokens are single use
+      store.sessions.delete(entry[0]);
+      return { data: { user: publicUser(user), session: createSession(user) }, error: null };
+    },
+
+    async resetPasswordForEmail(email, options = {}) {
+      const user = findUserByEmail(email || '');
+      // Like GoTrue, do not reveal whether the address is registered
+      if (user) {
+        const tokenHash = crypto.randomBytes(16).toString('hex');
+        store.recoveryTokens.set(tokenHash, user.id);
+        store.outbox.push({ type: 'recovery', email: user.email, token_hash: tokenHash, redirectTo: options.redirectTo || null });
+      }
+      return { data: {}, error: null };
+    },
+
+    async verifyOtp({ token_hash: tokenHash, type } = {}) {
+      const userId = type === 'recovery' ? store.recoveryTokens.get(tokenHash) : null;
+      const user = userId ? store.users.get(userId) : null;
+      if (!user) {
+        return { data: { user: null, session: null }, error: { message: 'Email link is invalid or has expired', status: 403 } };
+      }
+
+      store.recoveryTokens.delete(tokenHash);
+      return { data: { user: publicUser(user), session: createSession(user) }, error: null };
+    },
+
+    admin: {
+      async signOut(accessToken) {
+        const session = store.sessions.get(accessToken);
+        if (!session) {
+          return { data: null, error: { message: 'invalid JWT: unable to parse or verify signature', status: 401 } };
+        }
+
+        // Global scope: end every session of the user
+        [...store.sessions.entries()]
+          .filter(([, candidate]) => candidate.userId === session.userId)
+          .forEach(([token]) => store.sessions.delete(token));
+        return { data: null, error: null };
+      },
+
+      async getUserById(userId) {
+        const user = store.users.get(userId);
+        if (!user) {
+          return { data: { user: null }, error: { message: 'User not found', status: 404 } };
+        }
+
+        return { data: { user: publicUser(user) }, error: null };
+      },
+
+      async deleteUser(userId) {
+        if (!store.users.has(userId)) {
+          return { data: { user: null }, error: { message: 'User not found', status: 404 } };
+        }
+
+        const user = store.users.get(userId);
+        store.users.delete(userId);
+        [...store.sessions.entries()]
+          .filter(([, session]) => session.userId === userId)
+          .forEach(([token]) => store.sessions.delete(token));
+        return { data: { user: publicUser(user) }, error: null };
+      },
+
+      async updateUserById(userId, attributes = {}) {
+        const user = store.users.get(userId);
+        if (!user) {
+          return { data: { user: null }, error: { message: 'User not found', status: 404 } };
+        }
+
+        if (attributes.password !== undefined) user.password = attributes.password;
+        if (attributes.email !== undefined) user.email = String(attributes.email).toLowerCase();
+        if (attributes.user_metadata !== undefined) user.user_metadata = copy(attributes.user_metadata);
+        if (attributes.app_metadata !== undefined) user.app_metadata = { ...user.app_metadata, ...copy(attributes.app_metadata) };
+        user.updated_at = new Date().toISOString();
+        return { data: { user: publicUser(user) }, error: null };
+      }
+    }
+  };
+}
+
+/**
+ * Create a new, empty in-memory Supabase client
+ * @returns {Object} - Client exposing from, rpc, auth plus test helpers
+ */
+function createInMemoryClient() {
+  const store = {
+    tables: new Map(),
+    users: new Map(),
+    sessions: new Map(),
+    recoveryTokens: new Map(),
+    outbox: [],
+    tenantContext: null
+  };
+
+  return {
+    isInMemory: true,
+
+    from(table) {
+      return new InMemoryQueryBuilder(store, table);
+    },
+
+    async rpc(functionName, params = {}) {
+      if (functionName === 'set_tenant_context') {
+        store.tenantContext = params.tenant_id || null;
+        return { data: null, error: null };
+      }
+
+      return {
+        data: null,
+        error: {
+          code: 'PGRST202',
+          message: `Could not find the function public.${functionName} in the schema cache`
+        }
+      };
+    },
+
+    auth: createAuth(store),
+
+    /**
+     * Replace the rows of a table (test helper)
+     * @param {string} table - Table name
+     * @param {Array} rows - Rows to store
+     */
+    seed(table, rows) {
+      store.tables.set(table, copy(rows));
+    },
+
+    /**
+     * Emails the auth API would have sent, oldest first (test helper)
+     * @returns {Array} - Sent emails, e.g. { type: 'recovery', email, token_hash }
+     */
+    sentEmails() {
+      return copy(store.outbox);
+    },
+
+    /**
+     * Remove all rows, users, sessions and sent emails (test helper)
+     */
+    reset() {
+      store.tables.clear();
+      store.users.clear();
+      store.sessions.clear();
+      store.recoveryTokens.clear();
+      store.outbox.length = 0;
+      store.tenantContext = null;
+    }
+  };
+}
+
+module.exports = { createInMemoryClient };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Language Detection
+ * Unicode-aware tokenization and a stopword-based guess of the language of a short text
+ * (chat messages and interaction notes), for the languages the scoring dictionaries support
+ */
+
+// Languages with scoring dictionaries, in tie-break order
+const SUPPORTED_LANGUAGES = ['en', 'es', 'de', 'id'];
+
+// Frequent function words per language; words shared between languages are left out where possible
+const STOPWORDS = {
+  en: [
+    'the', 'a', 'an', 'and', 'is', 'are', 'was', 'to', 'of', 'in', 'for', 'on', 'with', 'this', 'that',
+    'it', 'i', 'you', 'we', 'me', 'my', 'our', 'your', 'can', 'how', 'what', 'why', 'be', 'have', 'will',
+    'please', 'thanks', 'just', 'not'
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'y', 'que', 'en', 'por', 'para', 'con', 'del', 'al', 'es',
+    'son', 'está', 'yo', 'tú', 'mi', 'nos', 'lo', 'pero', 'cómo', 'qué', 'gracias', 'muy', 'también'
+  ],
+  de: [
+    'der', 'die', 'das', 'und', 'ist', 'sind', 'nicht', 'ich', 'du', 'wir', 'zu', 'mit', 'den', 'dem',
+    'ein', 'eine', 'einen', 'auf', 'für', 'von', 'auch', 'aber', 'wie', 'warum', 'danke', 'bitte', 'mich', 'dir'
+  ],
+  id: [
+    'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'untuk', 'dengan', 'tidak', 'ada', 'saya', 'kami',
+    'kita', 'akan', 'sudah', 'juga', 'karena', 'bagaimana', 'mengapa', 'kenapa', 'terima', 'kasih', 'tolong'
+  ]
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Split text into lower-cased words
+ * Letters and digits of any script count as word characters, so accented and non-Latin words stay whole
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words in order
+ */
+function tokenize(text) {
+  if (!text) return [];
+  
+  return text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*/gu) || [];
+}
+
+/**
+ * Check whether a language has scoring dictionaries
+ * @param {string} language - Language code
+ * @returns {boolean} - True if the language is supported
+ */
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * Guess the language of a text from its stopwords
+ * The language with the most stopwords wins; texts without any (or with a tie) keep the fallback
+ * when it is among the best candidates
+ * @param {string} text - Text to analyze
+ * @param {string} fallback - Language for texts that give no clear signal (default: 'en')
+ * @returns {string} - Language code
+ */
+function detectLanguage(text, fallback = 'en') {
+  const words = tokenize(text);
+  const hits = {};
+  
+  SUPPORTED_LANGUAGES.forEach(language => {
+    hits[language] = words.filter(word => STOPWORD_SETS[language].has(word)).length;
+  });
+  
+  const best = Math.max(...Object.values(hits));
+  if (best === 0) {
+    return fallback;
+  }
+  
+  const candidates = SUPPORTED_LANGUAGES.filter(language => hits[language] === best);
+  return candidates.includes(fallback) ? fallback : candidates[0];
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  tokenize,
+  isSupportedLanguage,
+  detectLanguage
+};
\ No newline at end of file
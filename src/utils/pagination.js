@@ -0,0 +1,29 @@
+/**
+ * Pagination helpers for repository listings
+ */
+
+/**
+ * Load every page of a paginated repository listing
+ * The listing must be in a stable order (the repositories break ties on the primary key),
+ * otherwise rows can move between pages and be skipped or loaded twice
+ * @param {Function} fetchPage - Called with the page number, resolves to { data, pagination }
+ * @returns {Promise<Array>} - All records
+ */
+async function loadAllPages(fetchPage) {
+  const records = [];
+  let page = 1;
+  let totalPages = 1;
+  
+  do {
+    const { data, pagination } = await fetchPage(page);
+    records.push(...data);
+    totalPages = pagination.totalPages;
+    page++;
+  } while (page <= totalPages);
+  
+  return records;
+}
+
+module.exports = {
+  loadAllPages
+};
\ No newline at end of file
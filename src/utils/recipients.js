@@ -0,0 +1,32 @@
+/**
+ * Recipient helpers
+ * Kudos and interactions given to several employees at once are a single record: is_group
+ * is set, recipient_ids lists every recipient and to_employee_id holds the first of them
+ */
+
+/**
+ * Get every employee a kudos or interaction was given to
+ * @param {Object} record - Kudos or interaction record
+ * @returns {Array<string>} - Recipient employee IDs
+ */
+function getRecipients(record) {
+  if (Array.isArray(record.recipient_ids) && record.recipient_ids.length > 0) {
+    return record.recipient_ids;
+  }
+  return record.to_employee_id ? [record.to_employee_id] : [];
+}
+
+/**
+ * Check whether an employee received a kudos or interaction
+ * @param {Object} record - Kudos or interaction record
+ * @param {string} employeeId - Employee ID
+ * @returns {boolean} - Whether the employee is one of its recipients
+ */
+function isRecipient(record, employeeId) {
+  return getRecipients(record).includes(employeeId);
+}
+
+module.exports = {
+  getRecipients,
+  isRecipient
+};
\ No newline at end of file
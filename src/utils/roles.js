@@ -0,0 +1,55 @@
+/**
+ * Roles
+ * Role names stored in a Supabase Auth user's app_metadata.role, next to the
+ * employee_id linking the user to their employee record
+ * (app_metadata cannot be changed by the user, unlike user_metadata)
+ */
+
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',   // Platform operator, may act on any tenant
+  TENANT_ADMIN: 'tenant_admin', // Manages one tenant's employees, backups and settings
+  MANAGER: 'manager',           // Manages people and scoring within a tenant
+  EMPLOYEE: 'employee'          // Default role for registered users
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Roles that exist within a tenant (everything except the platform role)
+const TENANT_ROLES = [ROLES.TENANT_ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE];
+
+/**
+ * Get the role of an authenticated user
+ * @param {Object} user - Supabase Auth user
+ * @returns {string} - The user's role (employee when none is set)
+ */
+function getUserRole(user) {
+  const role = user && user.app_metadata && user.app_metadata.role;
+  return ALL_ROLES.includes(role) ? role : ROLES.EMPLOYEE;
+}
+
+/**
+ * Get the employee ID an authenticated user is linked to
+ * @param {Object} user - Supabase Auth user
+ * @returns {string|null} - The employee ID from app_metadata (null when none is set)
+ */
+function getUserEmployeeId(user) {
+  return (user && user.app_metadata && user.app_metadata.employee_id) || null;
+}
+
+/**
+ * Check whether a role is valid
+ * @param {string} role - Role to check
+ * @returns {boolean} - Whether the role exists
+ */
+function isValidRole(role) {
+  return ALL_ROLES.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  TENANT_ROLES,
+  getUserRole,
+  getUserEmployeeId,
+  isValidRole
+};
\ No newline at end of file
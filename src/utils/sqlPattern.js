@@ -0,0 +1,56 @@
+/**
+ * SQL Pattern Utilities
+ * Helpers for building and evaluating SQL LIKE / ILIKE patterns
+ */
+
+/**
+ * Escape LIKE wildcards in user input so it is matched literally
+ * @param {string} value - Raw user input
+ * @returns {string} - Value with %, _ and \ escaped
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build a "contains" pattern for ILIKE searches
+ * @param {string} value - Raw user input
+ * @returns {string} - Pattern matching any value containing the input
+ */
+function containsPattern(value) {
+  return `%${escapeLikePattern(value)}%`;
+}
+
+/**
+ * Convert a SQL LIKE pattern into a regular expression
+ * Supports the % and _ wildcards and backslash escapes
+ * @param {string} pattern - LIKE pattern
+ * @param {boolean} caseInsensitive - Whether to match like ILIKE (default: true)
+ * @returns {RegExp} - Equivalent regular expression
+ */
+function likeToRegExp(pattern, caseInsensitive = true) {
+  let source = '';
+  const text = String(pattern);
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      i++;
+      source += text[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+module.exports = {
+  escapeLikePattern,
+  containsPattern,
+  likeToRegExp
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+const { createClient } = require('@supabase/supabase-js');
+const supabase = require('./supabaseClient');
+
+// Same switch as supabaseClient.js: the in-memory stand-in keeps no session of its own
+const useInMemoryClient = (process.env.SUPABASE_CLIENT || '').trim().toLowerCase() === 'memory';
+
+/**
+ * Create a Supabase client for the auth calls of a single request
+ * Refreshing a session or verifying a reset link signs the user in on the client it runs on.
+ * The shared client also runs storage queries and admin calls for every request, so these
+ * calls get a short-lived client that neither keeps nor refreshes the session
+ * @returns {Object} - Supabase client (the shared in-memory client when SUPABASE_CLIENT=memory)
+ */
+function createRequestAuthClient() {
+  if (useInMemoryClient) return supabase;
+  
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    }
+  });
+}
+
+module.exports = {
+  createRequestAuthClient
+};
\ No newline at end of file
@@ -1,16 +1,20 @@
 const { createClient } = require('@supabase/supabase-js');
+const { createInMemoryClient } = require('./inMemorySupabaseClient');
+
+// Use the local in-memory stand-in instead of a Supabase project (tests, offline development)
+const useInMemoryClient = (process.env.SUPABASE_CLIENT || '').trim().toLowerCase() === 'memory';
 
 // Get Supabase credentials from environment variables
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_KEY;
 
 // Validate that we have the required environment variables
-if (!supabaseUrl || !supabaseKey) {
+if (!useInMemoryClient && (!supabaseUrl || !supabaseKey)) {
   throw new Error('SUPABASE_URL and SUPABASE_KEY environment variables are required');
 }
 
 // Create Supabase client
-const supabase = createClient(supabaseUrl, supabaseKey, {
+const supabase = useInMemoryClient ? createInMemoryClient() : createClient(supabaseUrl, supabaseKey, {
   // Optional: Add any additional configuration here
   auth: {
     // Automatically refresh tokens when they expire
@@ -20,6 +20,7 @@ jest.mock('../src/repositories/employeeRepository', () => ({
 jest.mock('../src/repositories/contributionRepository', () => ({
   getLatestContribution: jest.fn(),
   getContributionsByEmployeeId: jest.fn(),
+  getContributionsByEmployeeIds: jest.fn(),
   getContributions: jest.fn()
 }));
 
@@ -31,15 +32,33 @@ jest.mock('../src/repositories/kudosRepository', () => ({
   getKudos: jest.fn()
 }));
 
+jest.mock('../src/services/networkAnalyticsService', () => ({
+  getTeamSilo: jest.fn()
+}));
+
+jest.mock('../src/services/leaderboardService', () => ({
+  getLeaderboardSettings: jest.fn()
+}));
+
+jest.mock('../src/services/scoreDistributionService', () => ({
+  ...jest.requireActual('../src/services/scoreDistributionService'),
+  getEmployeePercentiles: jest.fn()
+}));
+
 describe('Analytics Service', () => {
   const employeeRepository = require('../src/repositories/employeeRepository');
   const contributionRepository = require('../src/repositories/contributionRepository');
   const interactionRepository = require('../src/repositories/interactionRepository');
   const kudosRepository = require('../src/repositories/kudosRepository');
+  const networkAnalyticsService = require('../src/services/networkAnalyticsService');
+  const scoreDistributionService = require('../src/services/scoreDistributionService');
+  const leaderboardService = require('../src/services/leaderboardService');
+  const page = (data, totalPages = 1) => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages } });
 
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    leaderboardService.getLeaderboardSettings.mockResolvedValue({ show_names: true });
   });
 
   describe('getEmployeeMetrics', () => {
@@ -60,6 +79,9 @@ describe('Analytics Service', () => {
         overall_score: '80'
       });
 
+      const percentiles = { team: null, department: null, tenant: { peer_count: 1, overall_score: 50 } };
+      scoreDistributionService.getEmployeePercentiles.mockResolvedValue(percentiles);
+
       const metrics = await getEmployeeMetrics('emp1', 'test-tenant');
       
       expect(metrics).toHaveProperty('employee_id', 'emp1');
@@ -67,6 +89,7 @@ describe('Analytics Service', () => {
       expect(metrics).toHaveProperty('team', 'TeamA');
       expect(metrics).toHaveProperty('department', 'DeptA');
       expect(metrics).toHaveProperty('current_scores');
+      expect(metrics).toHaveProperty('percentiles', percentiles);
       expect(employeeRepository.getEmployeeById).toHaveBeenCalledWith('test-tenant', 'emp1');
       expect(contributionRepository.getLatestContribution).toHaveBeenCalledWith('test-tenant', 'emp1');
     });
@@ -87,6 +110,8 @@ describe('Analytics Service', () => {
       
       expect(metrics).toHaveProperty('employee_id', 'emp3');
       expect(metrics.current_scores.problem_solving_score).toBe(0);
+      expect(metrics.percentiles).toBeNull();
+      expect(scoreDistributionService.getEmployeePercentiles).not.toHaveBeenCalled();
     });
   });
 
@@ -126,30 +151,64 @@ describe('Analytics Service', () => {
         data: [
           { employee_id: 'emp1', name: 'John Doe', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp2', name: 'Jane Smith', team: 'TeamA', department: 'DeptA' }
-        ]
+        ],
+        pagination: { totalPages: 1 }
       });
 
       // Mock contribution data
-      contributionRepository.getLatestContribution
-        .mockResolvedValueOnce({
+      contributionRepository.getContributionsByEmployeeIds.mockResolvedValue(page([
+        {
+          employee_id: 'emp1',
           problem_solving_score: '80',
           collaboration_score: '70',
           initiative_score: '90',
           overall_score: '80'
-        })
-        .mockResolvedValueOnce({
+        },
+        {
+          employee_id: 'emp2',
           problem_solving_score: '70',
           collaboration_score: '80',
           initiative_score: '75',
           overall_score: '75'
-        });
+        }
+      ]));
+
+      const silo = { internal_edges: 1, external_edges: 1, internal_weight: 3, external_weight: 1, silo_ratio: 0.75 };
+      networkAnalyticsService.getTeamSilo.mockResolvedValue(silo);
 
       const metrics = await getTeamMetrics('TeamA', 'test-tenant');
       
       expect(metrics).toHaveProperty('team_id', 'TeamA');
       expect(metrics).toHaveProperty('member_count', 2);
       expect(metrics).toHaveProperty('average_scores');
-      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000);
+      expect(metrics).toHaveProperty('collaboration', silo);
+      expect(networkAnalyticsService.getTeamSilo).toHaveBeenCalledWith('test-tenant', 'TeamA');
+      expect(contributionRepository.getContributionsByEmployeeIds).toHaveBeenCalledTimes(1);
+      expect(contributionRepository.getContributionsByEmployeeIds).toHaveBeenCalledWith('test-tenant', ['emp1', 'emp2'], 1, 1000);
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000, { activeOnly: true });
+    });
+  });
+
+  describe('getTeamMetrics with large teams', () => {
+    test('should page through the contributions of the team in chunks of employees', async () => {
+      const members = Array.from({ length: 150 }, (_, index) => ({ employee_id: `emp${index}`, team: 'TeamA' }));
+      employeeRepository.getEmployees.mockResolvedValue(page(members));
+      contributionRepository.getContributionsByEmployeeIds.mockImplementation(async (tenantId, employeeIds, pageNumber) => {
+        if (employeeIds[0] === 'emp100') {
+          return page([{ employee_id: 'emp100', overall_score: '75' }]);
+        }
+        return pageNumber === 1
+          ? page([{ employee_id: 'emp0', overall_score: '90' }], 2)
+          : page([{ employee_id: 'emp0', overall_score: '0' }, { employee_id: 'emp1', overall_score: '60' }], 2);
+      });
+      networkAnalyticsService.getTeamSilo.mockResolvedValue(null);
+
+      const metrics = await getTeamMetrics('TeamA', 'test-tenant');
+
+      const calls = contributionRepository.getContributionsByEmployeeIds.mock.calls;
+      expect(calls.map(([, employeeIds, pageNumber]) => [employeeIds.length, pageNumber])).toEqual([[100, 1], [100, 2], [50, 1]]);
+      // Only the latest contribution of emp0 counts
+      expect(metrics.average_scores.overall_score).toBe(75);
     });
   });
 
@@ -160,30 +219,34 @@ describe('Analytics Service', () => {
         data: [
           { employee_id: 'emp1', name: 'John Doe', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp2', name: 'Jane Smith', team: 'TeamA', department: 'DeptA' }
-        ]
+        ],
+        pagination: { totalPages: 1 }
       });
 
       // Mock contribution data
-      contributionRepository.getLatestContribution
-        .mockResolvedValueOnce({
+      contributionRepository.getContributionsByEmployeeIds.mockResolvedValue(page([
+        {
+          employee_id: 'emp1',
           problem_solving_score: '80',
           collaboration_score: '70',
           initiative_score: '90',
           overall_score: '80'
-        })
-        .mockResolvedValueOnce({
+        },
+        {
+          employee_id: 'emp2',
           problem_solving_score: '70',
           collaboration_score: '80',
           initiative_score: '75',
           overall_score: '75'
-        });
+        }
+      ]));
 
       const metrics = await getDepartmentMetrics('DeptA', 'test-tenant');
       
       expect(metrics).toHaveProperty('department_id', 'DeptA');
       expect(metrics).toHaveProperty('employee_count', 2);
       expect(metrics).toHaveProperty('average_scores');
-      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000);
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000, { activeOnly: true });
     });
   });
 
@@ -195,7 +258,8 @@ describe('Analytics Service', () => {
           { employee_id: 'emp1', name: 'John Doe', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp2', name: 'Jane Smith', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp3', name: 'Bob Johnson', team: 'TeamB', department: 'DeptB' }
-        ]
+        ],
+        pagination: { totalPages: 1 }
       });
 
       // Mock interaction data
@@ -252,7 +316,9 @@ describe('Analytics Service', () => {
       expect(stats).toHaveProperty('total_interactions', 2);
       expect(stats).toHaveProperty('total_kudos', 2);
       expect(stats).toHaveProperty('average_scores');
-      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000);
+      expect(stats.score_distributions.overall_score).toMatchObject({ count: 3, median: 80, p25: 77.5, p75: 82.5 });
+      expect(stats.dimension_distributions).toHaveProperty('collaboration');
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000, { activeOnly: true });
       expect(interactionRepository.getInteractions).toHaveBeenCalledWith('test-tenant', 1, 10000);
       expect(kudosRepository.getKudos).toHaveBeenCalledWith('test-tenant', 1, 10000);
       expect(contributionRepository.getContributions).toHaveBeenCalledWith('test-tenant', 1, 100);
@@ -267,34 +333,63 @@ describe('Analytics Service', () => {
           { employee_id: 'emp1', name: 'John Doe', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp2', name: 'Jane Smith', team: 'TeamA', department: 'DeptA' },
           { employee_id: 'emp3', name: 'Bob Johnson', team: 'TeamB', department: 'DeptB' }
-        ]
+        ],
+        pagination: { totalPages: 1 }
       });
 
       // Mock contribution data
-      contributionRepository.getLatestContribution
-        .mockResolvedValueOnce({
+      contributionRepository.getContributionsByEmployeeIds.mockResolvedValue(page([
+        {
+          employee_id: 'emp1',
           problem_solving_score: '80',
           collaboration_score: '70',
           initiative_score: '90',
           overall_score: '80'
-        })
-        .mockResolvedValueOnce({
+        },
+        {
+          employee_id: 'emp2',
           problem_solving_score: '70',
           collaboration_score: '80',
           initiative_score: '75',
           overall_score: '75'
-        })
-        .mockResolvedValueOnce({
+        },
+        {
+          employee_id: 'emp3',
           problem_solving_score: '85',
           collaboration_score: '85',
           initiative_score: '85',
           overall_score: '85'
-        });
+        }
+      ]));
 
       const topContributors = await getTopContributors('test-tenant');
       
       expect(topContributors).toHaveLength(3);
-      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000);
+      expect(topContributors.map(contributor => contributor.employee_id)).toEqual(['emp3', 'emp1', 'emp2']);
+      expect(contributionRepository.getContributionsByEmployeeIds).toHaveBeenCalledTimes(1);
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('test-tenant', 1, 1000, { activeOnly: true });
+    });
+
+    test('should leave out who the top contributors are while names are hidden', async () => {
+      leaderboardService.getLeaderboardSettings.mockResolvedValue({ show_names: false });
+      employeeRepository.getEmployees.mockResolvedValue({
+        data: [
+          { employee_id: 'emp1', name: 'John Doe', team: 'TeamA', department: 'DeptA' },
+          { employee_id: 'emp2', name: 'Jane Smith', team: 'TeamA', department: 'DeptA' }
+        ],
+        pagination: { totalPages: 1 }
+      });
+      contributionRepository.getContributionsByEmployeeIds.mockResolvedValue(page([
+        { employee_id: 'emp1', overall_score: '80' },
+        { employee_id: 'emp2', overall_score: '75' }
+      ]));
+
+      const topContributors = await getTopContributors('test-tenant', { current_employee_id: 'emp2' });
+
+      expect(topContributors).toEqual([
+        { employee_id: null, name: null, overall_score: 80, department: null, team: null, is_current_user: false },
+        { employee_id: null, name: null, overall_score: 75, department: null, team: null, is_current_user: true }
+      ]);
     });
   });
 });
\ No newline at end of file
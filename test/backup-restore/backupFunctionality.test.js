@@ -8,6 +8,10 @@ jest.mock('../../src/utils/supabaseClient', () => ({
           email: 'test@example.com',
           user_metadata: {
             tenant_id: 'test-tenant'
+          },
+          // Backups are restricted by role; a super admin may act on any tenant
+          app_metadata: {
+            role: 'super_admin'
           }
         }
       },
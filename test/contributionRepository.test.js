@@ -78,13 +78,41 @@ describe('Contribution Repository', () => {
     });
   });
 
+  describe('getContributionsByEmployeeIds', () => {
+    test('should retrieve a page of the contributions of several employees in one query', async () => {
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: [testContribution], error: null, count: 3 });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
+      const inMock = jest.fn().mockReturnValue({ range: rangeMock });
+      const eqMock = jest.fn().mockReturnValue({ in: inMock });
+      const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
+      const fromMock = jest.fn().mockReturnValue({ select: selectMock });
+      
+      require('../src/utils/supabaseClient').from.mockImplementation(fromMock);
+
+      const result = await contributionRepository.getContributionsByEmployeeIds(testTenantId, [testEmployeeId, 'emp-002'], 2, 2);
+      
+      expect(result).toEqual({
+        data: [testContribution],
+        pagination: { page: 2, limit: 2, totalCount: 3, totalPages: 2 }
+      });
+      expect(fromMock).toHaveBeenCalledTimes(1);
+      expect(eqMock).toHaveBeenCalledWith('tenant_id', testTenantId);
+      expect(inMock).toHaveBeenCalledWith('employee_id', [testEmployeeId, 'emp-002']);
+      expect(rangeMock).toHaveBeenCalledWith(2, 3);
+      expect(orderMock).toHaveBeenCalledWith('calculated_at', { ascending: false });
+      expect(orderMock).toHaveBeenCalledWith('id', { ascending: true });
+    });
+  });
+
   describe('getContributions', () => {
     test('should retrieve contributions with pagination', async () => {
       const mockData = [testContribution];
       const mockCount = 1;
       
       // Mock the Supabase chain following the pattern from employeeRepository.test.js
-      const orderMock = jest.fn().mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
       const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
@@ -110,13 +138,15 @@ describe('Contribution Repository', () => {
       expect(eqMock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(rangeMock).toHaveBeenCalledWith(0, 9);
       expect(orderMock).toHaveBeenCalledWith('calculated_at', { ascending: false });
+      expect(orderMock).toHaveBeenCalledWith('id', { ascending: true });
     });
 
     test('should throw error when Supabase returns error', async () => {
       const errorMessage = 'Database error';
       
       // Mock the Supabase chain with error
-      const orderMock = jest.fn().mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
       const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
@@ -85,7 +85,9 @@ describe('Data Consistency Tests', () => {
       };
 
       // Mock the Supabase chain for getInteractionsByEmployeeId
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: [mockInteraction], error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [mockInteraction], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -122,7 +124,9 @@ describe('Data Consistency Tests', () => {
       };
 
       // Mock the Supabase chain for getKudosByEmployeeId
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: [mockKudos], error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [mockKudos], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -46,7 +46,9 @@ describe('Employee Repository', () => {
       const mockCount = 1;
       
       // Mock the Supabase chain
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -70,13 +72,17 @@ describe('Employee Repository', () => {
       expect(selectMock).toHaveBeenCalled();
       expect(eqMock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(rangeMock).toHaveBeenCalledWith(0, 9);
+      expect(orderMock).toHaveBeenCalledWith('created_at', { ascending: true });
+      expect(orderMock).toHaveBeenCalledWith('id', { ascending: true });
     });
 
     test('should throw error when Supabase returns error', async () => {
       const errorMessage = 'Database error';
       
       // Mock the Supabase chain with error
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
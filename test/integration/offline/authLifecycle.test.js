@@ -0,0 +1,226 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const request = require('supertest');
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { createMockTenant } = require('../../testDataFactory');
+
+describe('Auth account lifecycle (in-memory Supabase)', () => {
+  let testTenant, danaId;
+  const account = {
+    email: 'dana@example.com',
+    password: 'password123',
+    name: 'Dana Scully',
+    employee_id: 'emp_dana'
+  };
+
+  beforeAll(() => {
+    supabase.reset();
+    testTenant = createMockTenant();
+  });
+
+  const login = (password = account.password) => request(app)
+    .post('/api/auth/login')
+    .set('X-Tenant-ID', testTenant.tenantId)
+    .send({ email: account.email, password });
+
+  test('should register a user as an employee together with the employee record', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send(account)
+      .expect(201);
+
+    expect(response.body.user.email).toBe(account.email);
+    expect(response.body.role).toBe('employee');
+    expect(response.body.user.app_metadata.role).toBeUndefined();
+    expect(response.body.user.app_metadata.employee_id).toBe(account.employee_id);
+    expect(response.body.employee.employee_id).toBe(account.employee_id);
+    danaId = response.body.user.id;
+  });
+
+  test('should roll back the auth user when the employee record cannot be created', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ ...account, email: 'mulder@example.com', name: 'Fox Mulder' })
+      .expect(409);
+
+    expect(response.body.error).toBe('Employee ID already exists');
+
+    const { error } = await supabase.auth.signInWithPassword({ email: 'mulder@example.com', password: account.password });
+    expect(error).not.toBeNull();
+  });
+
+  test('should return the current user and employee', async () => {
+    const { body } = await login().expect(200);
+
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${body.session.access_token}`)
+      .expect(200);
+
+    expect(response.body.user.email).toBe(account.email);
+    expect(response.body.role).toBe('employee');
+    expect(response.body.employee.name).toBe(account.name);
+  });
+
+  test('should restrict routes by role and let tenant admins assign roles', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: 'walter@example.com', password: 'password123', name: 'Walter Skinner', employee_id: 'emp_walter' })
+      .expect(201);
+    expect(registered.body.role).toBe('employee');
+
+    const walter = await request(app)
+      .post('/api/auth/login')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: 'walter@example.com', password: 'password123' })
+      .expect(200);
+    const walterToken = walter.body.session.access_token;
+
+    const denied = await request(app)
+      .put('/api/employees/emp_dana')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${walterToken}`)
+      .send({ team: 'X-Files' })
+      .expect(403);
+    expect(denied.body).toEqual({
+      error: 'Authorization Error',
+      message: 'Access denied: requires one of the roles tenant_admin, manager'
+    });
+
+    await request(app)
+      .put(`/api/auth/users/${registered.body.user.id}/role`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${walterToken}`)
+      .send({ role: 'tenant_admin' })
+      .expect(403);
+
+    // Tenant admins are set up outside the API, as scripts/setUserRole.js does
+    await supabase.auth.admin.updateUserById(danaId, { app_metadata: { role: 'tenant_admin' } });
+    const { body: admin } = await login().expect(200);
+    const adminToken = admin.session.access_token;
+
+    await request(app)
+      .put(`/api/auth/users/${registered.body.user.id}/role`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'super_admin' })
+      .expect(403);
+
+    const promoted = await request(app)
+      .put(`/api/auth/users/${registered.body.user.id}/role`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'manager' })
+      .expect(200);
+    expect(promoted.body.user.app_metadata.role).toBe('manager');
+
+    await request(app)
+      .put('/api/employees/emp_dana')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${walterToken}`)
+      .send({ team: 'X-Files' })
+      .expect(200);
+  });
+
+  test('should refresh a session once and reject unknown refresh tokens', async () => {
+    const { body } = await login().expect(200);
+
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ refresh_token: body.session.refresh_token })
+      .expect(200);
+    expect(refreshed.body.session.access_token).not.toBe(body.session.access_token);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ refresh_token: body.session.refresh_token })
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .set('X-Tenant-ID', 'another-tenant')
+      .send({ refresh_token: refreshed.body.session.refresh_token })
+      .expect(403);
+  });
+
+  test('should revoke sessions on logout', async () => {
+    const { body } = await login().expect(200);
+    const token = body.session.access_token;
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+  });
+
+  test('should reset the password with the token from the reset email', async () => {
+    const unknown = await request(app)
+      .post('/api/auth/password-reset')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/password-reset')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: account.email })
+      .expect(200)
+      .expect(res => expect(res.body.message).toBe(unknown.body.message));
+
+    const [resetEmail] = supabase.sentEmails();
+    expect(resetEmail.email).toBe(account.email);
+
+    // A session access token is not a reset token
+    const { body } = await login().expect(200);
+    await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ access_token: body.session.access_token, password: 'new-password' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ token_hash: resetEmail.token_hash, password: 'new-password' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ token_hash: resetEmail.token_hash, password: 'other-password' })
+      .expect(401);
+
+    await login().expect(401);
+    await login('new-password').expect(200);
+
+    await request(app)
+      .post('/api/auth/password-reset')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: account.email })
+      .expect(200);
+    const [, secondEmail] = supabase.sentEmails();
+
+    await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .set('X-Tenant-ID', 'another-tenant')
+      .send({ token_hash: secondEmail.token_hash, password: 'other-password' })
+      .expect(403);
+    await login('new-password').expect(200);
+  });
+});
\ No newline at end of file
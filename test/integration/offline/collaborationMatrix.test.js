@@ -0,0 +1,54 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Collaboration matrix (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team, department] of [['ben', 'support', 'ops'], ['cy', 'support', 'ops'], ['dee', 'platform', 'eng']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department }))
+        .expect(201);
+    }
+
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'ben', to_employee_ids: ['cy', 'dee'], type: 'question', content: 'Who owns billing?' })
+      .expect(201);
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'dee', to_employee_id: 'cy', message: 'Thanks for the billing runbook' })
+      .expect(201);
+  });
+
+  test('should return the team matrix for the current month', async () => {
+    const response = await api('get', '/api/analytics/collaboration-matrix').expect(200);
+
+    expect(response.body).toMatchObject({ group_by: 'team', period_type: 'monthly' });
+    expect(response.body.matrix).toEqual({
+      platform: { platform: 0, support: 1 },
+      support: { platform: 1, support: 1 }
+    });
+    expect(response.body.cells.find(cell => cell.from === 'platform'))
+      .toMatchObject({ to: 'support', kudos_count: 1, total: 1, previous_total: 0, change: 1 });
+    expect(response.body.summary).toMatchObject({ total: 3, cross_group_total: 2 });
+  });
+
+  test('should group by department', async () => {
+    const response = await api('get', '/api/analytics/collaboration-matrix?group_by=department&period=all_time').expect(200);
+
+    expect(response.body.matrix).toEqual({ eng: { eng: 0, ops: 1 }, ops: { eng: 1, ops: 1 } });
+    expect(response.body.summary.previous).toBeNull();
+  });
+
+  test('should reject invalid options and employees', async () => {
+    await api('get', '/api/analytics/collaboration-matrix?group_by=office').expect(400);
+    await api('get', '/api/analytics/collaboration-matrix?period=custom').expect(400);
+    await api('get', '/api/analytics/collaboration-matrix', employeeToken).expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Contribution explanations (in-memory Supabase)', () => {
+  let testTenant, employeeToken, api;
+
+  beforeAll(async () => {
+    ({ testTenant, api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    supabase.seed('interactions', [{
+      tenant_id: testTenant.tenantId,
+      from_employee_id: 'member',
+      to_employee_id: 'admin',
+      interaction_type: 'chat',
+      content: 'How do we fix this bug? I suggest we debug it'
+    }]);
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_id: 'member', message: 'Thanks for the review' })
+      .expect(201);
+  });
+
+  test('should serve the evidence behind calculated scores', async () => {
+    const created = await api('post', '/api/contributions').send({ employee_id: 'member' }).expect(201);
+    const { contribution } = created.body;
+
+    const response = await api('get', `/api/contributions/${contribution.id}/explanation`, employeeToken).expect(200);
+
+    expect(response.body).toMatchObject({
+      contribution_id: contribution.id,
+      employee_id: 'member',
+      scoring_config_version: 0
+    });
+    const { explanation } = response.body;
+    expect(explanation.dimensions.problem_solving.score).toBe(Number(contribution.problem_solving_score));
+    expect(explanation.dimensions.problem_solving.interactions[0]).toMatchObject({
+      question_count: 1,
+      answer_count: 1,
+      matched: { problem_keywords: { fix: 1, bug: 1, debug: 1 } }
+    });
+    expect(explanation.dimensions.collaboration.unique_senders).toEqual(['admin']);
+  });
+
+  test('should record explanations for batch recalculations', async () => {
+    await api('post', '/api/contributions/batch').send({ scope: 'all' }).expect(200);
+    const contributions = await api('get', '/api/contributions/employee/member').expect(200);
+
+    const response = await api('get', `/api/contributions/${contributions.body[0].id}/explanation`).expect(200);
+    expect(response.body.explanation.dimensions.initiative).toMatchObject({ provided: false, interaction_count: 1 });
+  });
+
+  test('should answer 404 for manual scores and unknown contributions', async () => {
+    const manual = await api('post', '/api/contributions')
+      .send({ employee_id: 'member', problem_solving_score: 1, collaboration_score: 2, initiative_score: 3, overall_score: 4 })
+      .expect(201);
+
+    const noExplanation = await api('get', `/api/contributions/${manual.body.contribution.id}/explanation`).expect(404);
+    expect(noExplanation.body.message).toBe('No explanation was recorded for this contribution');
+
+    await api('get', '/api/contributions/00000000-0000-0000-0000-000000000000/explanation').expect(404);
+    await api('get', '/api/contributions/not-a-uuid/explanation').expect(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Contribution graph (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team] of [['ben', 'support'], ['cy', 'support'], ['dee', 'platform']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department: '' }))
+        .expect(201);
+    }
+
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'ben', to_employee_ids: ['cy', 'dee'], type: 'question', content: 'Who owns billing?' })
+      .expect(201);
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'cy', to_employee_id: 'ben', type: 'answer', content: 'Platform does' })
+      .expect(201);
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'ben', to_employee_id: 'cy', message: 'Thanks for the quick answer' })
+      .expect(201);
+  });
+
+  test('should return who collaborates with whom', async () => {
+    const response = await api('get', '/api/analytics/graph').expect(200);
+
+    expect(response.body.edges).toEqual([
+      { source: 'ben', target: 'cy', weight: 2, interaction_count: 1, kudos_count: 1 },
+      { source: 'ben', target: 'dee', weight: 1, interaction_count: 1, kudos_count: 0 },
+      { source: 'cy', target: 'ben', weight: 1, interaction_count: 1, kudos_count: 0 }
+    ]);
+    expect(response.body.nodes.map(node => node.id)).toEqual(['admin', 'ben', 'cy', 'dee', 'member']);
+
+    const support = await api('get', '/api/analytics/graph?team=support&min_weight=2').expect(200);
+    expect(support.body.nodes.map(node => node.id)).toEqual(['ben', 'cy']);
+    expect(support.body.edges).toHaveLength(1);
+  });
+
+  test('should export GraphML and GEXF', async () => {
+    const graphml = await api('get', '/api/analytics/graph?format=graphml').expect(200);
+    expect(graphml.headers['content-type']).toMatch(/^application\/graphml\+xml/);
+    expect(graphml.headers['content-disposition']).toBe('attachment; filename="contribution-graph.graphml"');
+    expect(graphml.text).toContain('<edge id="e0" source="ben" target="cy">');
+
+    const gexf = await api('get', '/api/analytics/graph?format=gexf').expect(200);
+    expect(gexf.headers['content-type']).toMatch(/^application\/gexf\+xml/);
+    expect(gexf.text).toContain('<edge id="0" source="ben" target="cy" weight="2">');
+  });
+
+  test('should reject invalid options and employees', async () => {
+    await api('get', '/api/analytics/graph?format=dot').expect(400);
+    await api('get', '/api/analytics/graph?min_weight=heavy').expect(400);
+    await api('get', '/api/analytics/graph', employeeToken).expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Group kudos (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  const kudosOf = async employeeId => (await api('get', `/api/kudos/employee/${employeeId}`).expect(200)).body;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team] of [['ben', 'support'], ['cy', 'support'], ['eli', 'support'], ['dee', 'platform']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department: '' }))
+        .expect(201);
+    }
+  });
+
+  test('should store kudos to a list of employees as one group kudos', async () => {
+    const response = await api('post', '/api/kudos', employeeToken)
+      .send({ from_employee_id: 'member', to_employee_ids: ['ben', 'cy', 'dee'], message: 'Great launch, squad!' })
+      .expect(201);
+
+    expect(response.body.kudos).toMatchObject({
+      from_employee_id: 'member',
+      to_employee_id: 'ben',
+      is_group: true,
+      recipient_ids: ['ben', 'cy', 'dee']
+    });
+  });
+
+  test('should reject the whole group when a recipient is invalid', async () => {
+    const missing = await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_ids: ['ben', 'nobody', 'ghost'], message: 'Thanks all' })
+      .expect(404);
+    expect(missing.body.message).toBe('To employees not found: nobody, ghost');
+
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_ids: ['ben', 'admin'], message: 'Thanks all' })
+      .expect(400);
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_id: 'ben', to_team_id: 'support', message: 'Thanks all' })
+      .expect(400);
+
+    expect(await kudosOf('ben')).toHaveLength(1);
+  });
+
+  test('should give kudos to every other active member of a team', async () => {
+    const response = await api('post', '/api/kudos')
+      .send({ from_employee_id: 'ben', to_team_id: 'support', message: 'Thanks for covering the weekend' })
+      .expect(201);
+
+    expect(response.body.kudos).toMatchObject({ is_group: true, to_team_id: 'support' });
+    expect([...response.body.kudos.recipient_ids].sort()).toEqual(['cy', 'eli']);
+
+    const unknown = await api('post', '/api/kudos')
+      .send({ from_employee_id: 'ben', to_team_id: 'no-such-team', message: 'Hello?' })
+      .expect(404);
+    expect(unknown.body.resource).toBe('team');
+  });
+
+  test('should count group kudos for every recipient', async () => {
+    expect((await kudosOf('cy')).map(kudos => kudos.from_employee_id).sort()).toEqual(['ben', 'member']);
+    expect(await kudosOf('dee')).toHaveLength(1);
+
+    const created = await api('post', '/api/contributions').send({ employee_id: 'cy' }).expect(201);
+    const response = await api('get', `/api/contributions/${created.body.contribution.id}/explanation`).expect(200);
+
+    const { collaboration } = response.body.explanation.dimensions;
+    expect([...collaboration.unique_senders].sort()).toEqual(['ben', 'member']);
+    expect(collaboration.kudos_count).toBe(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Interaction senders, recipients and threads (in-memory Supabase)', () => {
+  let employeeToken, questionId, api;
+
+  const interactionsOf = async (employeeId, direction) => (await api('get',
+    `/api/interactions/employee/${employeeId}${direction ? `?direction=${direction}` : ''}`).expect(200)).body;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const id of ['ben', 'cy']) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com` }))
+        .expect(201);
+    }
+  });
+
+  test('should record who helped whom', async () => {
+    const question = await api('post', '/api/interactions', employeeToken)
+      .send({
+        from_employee_id: 'member',
+        to_employee_ids: ['ben', 'cy'],
+        type: 'question',
+        content: 'How do we roll back the deploy?',
+        channel: 'slack'
+      })
+      .expect(201);
+    questionId = question.body.interaction.id;
+
+    expect(question.body.interaction).toMatchObject({
+      from_employee_id: 'member',
+      to_employee_id: 'ben',
+      is_group: true,
+      recipient_ids: ['ben', 'cy'],
+      channel: 'slack',
+      thread_id: null,
+      parent_id: null
+    });
+  });
+
+  test('should only let employees record interactions as themselves', async () => {
+    const response = await api('post', '/api/interactions', employeeToken)
+      .send({ from_employee_id: 'ben', to_employee_id: 'member', type: 'answer', content: 'The solution is to fix the bug' })
+      .expect(403);
+    expect(response.body.message).toBe('Access denied: employees can only record interactions as themselves');
+
+    await api('post', '/api/interactions', employeeToken)
+      .send({ employee_id: 'ben', type: 'standup', content: 'Fixed the outage' })
+      .expect(403);
+  });
+
+  test('should keep recording interactions in the original format', async () => {
+    const response = await api('post', '/api/interactions')
+      .send({ employee_id: 'admin', type: 'standup', content: 'Daily standup' })
+      .expect(201);
+
+    expect(response.body.interaction).toMatchObject({ from_employee_id: 'admin', to_employee_id: 'admin' });
+  });
+
+  test('should reject interactions with unknown recipients or the sender as recipient', async () => {
+    const missing = await api('post', '/api/interactions')
+      .send({ from_employee_id: 'admin', to_employee_ids: ['ben', 'nobody'], type: 'chat', content: 'Hi' })
+      .expect(404);
+    expect(missing.body.message).toBe('To employees not found: nobody');
+
+    const self = await api('post', '/api/interactions')
+      .send({ from_employee_id: 'admin', to_employee_ids: ['ben', 'admin'], type: 'chat', content: 'Hi' })
+      .expect(400);
+    expect(self.body.field).toEqual(['The sender cannot also be a recipient']);
+
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'admin', to_employee_id: 'ben', type: 'chat', content: 'Hi', channel: '' })
+      .expect(400);
+  });
+
+  test('should thread replies under their parent', async () => {
+    const reply = await api('post', '/api/interactions')
+      .send({ from_employee_id: 'cy', to_employee_id: 'member', parent_id: questionId, type: 'answer', content: 'Run the rollback job' })
+      .expect(201);
+    expect(reply.body.interaction).toMatchObject({ thread_id: questionId, parent_id: questionId });
+
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'cy', to_employee_id: 'member', parent_id: questionId, thread_id: 'other', type: 'answer', content: 'Hm' })
+      .expect(400);
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'cy', to_employee_id: 'member', parent_id: 'missing', type: 'answer', content: 'Hm' })
+      .expect(404);
+
+    const thread = await api('get', `/api/interactions/thread/${questionId}`, employeeToken).expect(200);
+    expect(thread.body.interactions.map(interaction => interaction.interaction_type)).toEqual(['answer']);
+    await api('get', '/api/interactions/thread/no-such-thread').expect(404);
+  });
+
+  test('should list sent, received or both', async () => {
+    const types = interactions => interactions.map(interaction => interaction.interaction_type).sort();
+
+    expect(types(await interactionsOf('cy'))).toEqual(['question']);
+    expect(types(await interactionsOf('cy', 'sent'))).toEqual(['answer']);
+    expect(types(await interactionsOf('cy', 'both'))).toEqual(['answer', 'question']);
+    expect(types(await interactionsOf('member', 'both'))).toEqual(['answer', 'question']);
+    expect(types(await interactionsOf('admin', 'both'))).toEqual(['standup']);
+
+    await api('get', '/api/interactions/employee/cy?direction=sideways').expect(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Kudos budgets (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  const giveKudos = (from, to) => api('post', '/api/kudos')
+    .send({ from_employee_id: from, to_employee_id: to, message: `Thanks ${to}, from ${from}` });
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const id of ['ben', 'cy']) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com` }))
+        .expect(201);
+    }
+  });
+
+  test('should leave kudos unlimited until a budget is set', async () => {
+    const response = await api('get', '/api/kudos/budget', employeeToken).expect(200);
+
+    expect(response.body).toMatchObject({ daily_limit: null, weekly_limit: null, per_recipient_weekly_limit: null });
+  });
+
+  test('should let only tenant admins change the budget', async () => {
+    await api('put', '/api/kudos/budget', employeeToken).send({ daily_limit: 3 }).expect(403);
+    await api('put', '/api/kudos/budget').send({ daily_limit: 0 }).expect(400);
+
+    const response = await api('put', '/api/kudos/budget').send({ daily_limit: 3, per_recipient_weekly_limit: 2 }).expect(200);
+
+    expect(response.body.budget).toMatchObject({ daily_limit: 3, weekly_limit: null, per_recipient_weekly_limit: 2 });
+  });
+
+  test('should reject kudos beyond the budget with 429', async () => {
+    await giveKudos('member', 'ben').expect(201);
+    await giveKudos('member', 'ben').expect(201);
+
+    const perRecipient = await giveKudos('member', 'ben').expect(429);
+    expect(perRecipient.body).toMatchObject({ error: 'Too Many Requests', limit: 'per_recipient_weekly_limit' });
+    expect(Number(perRecipient.headers['retry-after'])).toBe(perRecipient.body.retry_after);
+
+    await giveKudos('member', 'cy').expect(201);
+    const daily = await giveKudos('member', 'admin').expect(429);
+    expect(daily.body.limit).toBe('daily_limit');
+
+    // Other senders have their own budget
+    await giveKudos('admin', 'ben').expect(201);
+  });
+
+  test('should show how much budget employees have left', async () => {
+    const member = await api('get', '/api/kudos/budget/employees/member', employeeToken).expect(200);
+
+    expect(member.body.daily).toMatchObject({ limit: 3, used: 3, remaining: 0 });
+    expect(member.body.per_recipient).toEqual([
+      expect.objectContaining({ to_employee_id: 'ben', used: 2, remaining: 0 }),
+      expect.objectContaining({ to_employee_id: 'cy', used: 1, remaining: 1 })
+    ]);
+
+    const all = await api('get', '/api/kudos/budget/employees').expect(200);
+    const remaining = Object.fromEntries(all.body.employees.map(employee => [employee.employee_id, employee.daily.remaining]));
+    expect(remaining).toEqual({ admin: 2, member: 0, ben: 3, cy: 3 });
+
+    await api('get', '/api/kudos/budget/employees', employeeToken).expect(403);
+    await api('get', '/api/kudos/budget/employees/nobody').expect(404);
+  });
+
+  test('should not let employees give kudos from another sender\'s budget', async () => {
+    const response = await api('post', '/api/kudos', employeeToken)
+      .send({ from_employee_id: 'ben', to_employee_id: 'cy', message: 'Thanks cy, from ben' })
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied: employees can only give kudos as themselves');
+  });
+
+  test('should ignore an employee_id users write into their own user_metadata', async () => {
+    // Users can rewrite user_metadata themselves (supabase.auth.updateUser), but not app_metadata
+    const { data: { user } } = await supabase.auth.getUser(employeeToken);
+    await supabase.auth.admin.updateUserById(user.id, { user_metadata: { ...user.user_metadata, employee_id: 'ben' } });
+
+    await api('post', '/api/kudos', employeeToken)
+      .send({ from_employee_id: 'ben', to_employee_id: 'cy', message: 'Thanks cy, from ben' })
+      .expect(403);
+
+    const kudosId = (await giveKudos('admin', 'cy').expect(201)).body.kudos.id;
+    await api('post', `/api/kudos/${kudosId}/reactions`, employeeToken).send({}).expect(201);
+
+    const reactions = await api('get', `/api/kudos/${kudosId}/reactions`, employeeToken).expect(200);
+    expect(reactions.body.reactions).toEqual([expect.objectContaining({ employee_id: 'member' })]);
+  });
+});
\ No newline at end of file
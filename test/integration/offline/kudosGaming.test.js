@@ -0,0 +1,52 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Kudos anti-gaming (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    // admin and member trade three kudos each within a few hours
+    const start = Date.now() - 24 * 60 * 60 * 1000;
+    for (let i = 0; i < 3; i++) {
+      for (const [from, to] of [['admin', 'member'], ['member', 'admin']]) {
+        await api('post', '/api/kudos')
+          .send({
+            from_employee_id: from,
+            to_employee_id: to,
+            message: `Thanks for round ${i} (${from})`,
+            timestamp: new Date(start + (i * 2 + (from === 'admin' ? 0 : 1)) * 60 * 60 * 1000).toISOString()
+          })
+          .expect(201);
+      }
+    }
+  });
+
+  test('should list suspicious patterns for tenant admins', async () => {
+    const response = await api('get', '/api/kudos/suspicious').expect(200);
+
+    expect(response.body).toMatchObject({ kudos_count: 6, flagged_kudos_count: 6, scoring_config_version: 0 });
+    expect(response.body.patterns).toEqual([
+      expect.objectContaining({ type: 'reciprocal', employee_ids: ['admin', 'member'], kudos_count: 6 })
+    ]);
+
+    await api('get', '/api/kudos/suspicious', employeeToken).expect(403);
+    await api('get', '/api/kudos/suspicious?days=abc').expect(400);
+  });
+
+  test('should leave flagged kudos out of collaboration when their weight is 0', async () => {
+    const weighted = await api('post', '/api/contributions').send({ employee_id: 'member' }).expect(201);
+    expect(Number(weighted.body.contribution.collaboration_score)).toBe(5);
+
+    await api('put', '/api/scoring-config').send({ anti_gaming: { flagged_weight: 0 } }).expect(200);
+
+    const excluded = await api('post', '/api/contributions').send({ employee_id: 'member' }).expect(201);
+    expect(Number(excluded.body.contribution.collaboration_score)).toBe(0);
+    expect(excluded.body.contribution.explanation.dimensions.collaboration.unique_senders).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Kudos values and reactions (in-memory Supabase)', () => {
+  let employeeToken, kudosId, api;
+
+  const giveKudos = (to, valueKeys) => api('post', '/api/kudos')
+    .send({ from_employee_id: 'admin', to_employee_id: to, message: `Thanks ${to}`, value_keys: valueKeys });
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team] of [['ben', 'support'], ['cy', 'support'], ['dee', 'platform']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department: '' }))
+        .expect(201);
+    }
+  });
+
+  test('should let tenant admins define the company values', async () => {
+    await api('put', '/api/kudos/values', employeeToken).send({ values: [{ name: 'Ownership' }] }).expect(403);
+    await api('put', '/api/kudos/values').send({ values: [{ description: 'No name' }] }).expect(400);
+
+    await api('put', '/api/kudos/values')
+      .send({ values: [{ name: 'Customer Obsession' }, { name: 'Ownership', description: 'Act like an owner' }] })
+      .expect(200);
+
+    const response = await api('get', '/api/kudos/values', employeeToken).expect(200);
+    expect(response.body.values.map(value => value.key)).toEqual(['customer-obsession', 'ownership']);
+  });
+
+  test('should tag kudos with defined values only', async () => {
+    const tagged = await giveKudos('ben', ['customer-obsession', 'ownership']).expect(201);
+    expect(tagged.body.kudos.value_keys).toEqual(['customer-obsession', 'ownership']);
+    kudosId = tagged.body.kudos.id;
+
+    await giveKudos('cy', ['customer-obsession']).expect(201);
+    await giveKudos('dee', ['ownership']).expect(201);
+    await giveKudos('dee').expect(201);
+
+    const rejected = await giveKudos('ben', ['speed']).expect(400);
+    expect(rejected.body.field).toEqual(['Unknown company value speed']);
+  });
+
+  test('should let colleagues react to kudos', async () => {
+    const added = await api('post', `/api/kudos/${kudosId}/reactions`, employeeToken).send({}).expect(201);
+    expect(added.body).toMatchObject({ total: 1, counts: { '+1': 1 } });
+
+    await api('post', `/api/kudos/${kudosId}/reactions`, employeeToken).send({ reaction: 'clap' }).expect(201);
+    await api('post', `/api/kudos/${kudosId}/reactions`, employeeToken).send({ reaction: 'clap' }).expect(409);
+    await api('post', `/api/kudos/${kudosId}/reactions`, employeeToken).send({ reaction: 'wow' }).expect(400);
+    // The sender cannot react to their own kudos
+    await api('post', `/api/kudos/${kudosId}/reactions`).send({}).expect(400);
+    await api('post', '/api/kudos/missing/reactions', employeeToken).send({}).expect(404);
+
+    const removed = await api('delete', `/api/kudos/${kudosId}/reactions/clap`, employeeToken).expect(200);
+    expect(removed.body).toMatchObject({ total: 1, counts: { '+1': 1, clap: 0 } });
+    await api('delete', `/api/kudos/${kudosId}/reactions/clap`, employeeToken).expect(404);
+
+    const reactions = await api('get', `/api/kudos/${kudosId}/reactions`, employeeToken).expect(200);
+    expect(reactions.body.reactions).toEqual([expect.objectContaining({ employee_id: 'member', reaction: '+1' })]);
+  });
+
+  test('should break down the values each team is recognized for', async () => {
+    const response = await api('get', '/api/analytics/kudos/values').expect(200);
+    const teams = Object.fromEntries(response.body.teams.map(team => [team.team_id, team]));
+
+    expect(teams.support).toMatchObject({ kudos_count: 2, tagged_kudos_count: 2, reaction_count: 1 });
+    expect(teams.support.values).toEqual([
+      { key: 'customer-obsession', name: 'Customer Obsession', kudos_count: 2, share: 1, reaction_count: 1 },
+      { key: 'ownership', name: 'Ownership', kudos_count: 1, share: 0.5, reaction_count: 1 }
+    ]);
+    expect(teams.platform).toMatchObject({ kudos_count: 2, tagged_kudos_count: 1 });
+
+    const team = await api('get', '/api/analytics/teams/platform/values').expect(200);
+    expect(team.body).toMatchObject({ team_id: 'platform', period_type: 'all_time', values: [expect.objectContaining({ key: 'ownership', share: 1 })] });
+
+    await api('get', '/api/analytics/teams/nobody/values').expect(404);
+    await api('get', '/api/analytics/kudos/values?period=yearly').expect(400);
+    await api('get', '/api/analytics/kudos/values', employeeToken).expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Leaderboards (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  const score = (employeeId, referenceDate, overall) => api('post', '/api/contributions')
+    .send({
+      employee_id: employeeId,
+      period: 'monthly',
+      reference_date: referenceDate,
+      problem_solving_score: overall,
+      collaboration_score: overall,
+      initiative_score: overall,
+      overall_score: overall
+    })
+    .expect(201);
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team] of [['ben', 'support'], ['cy', 'support'], ['dee', 'platform']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, name: id.toUpperCase(), email: `${id}@example.com`, team, department: '' }))
+        .expect(201);
+    }
+
+    await score('ben', '2024-04-15', 60);
+    await score('cy', '2024-04-15', 80);
+    await score('member', '2024-04-15', 70);
+    await score('ben', '2024-05-15', 90);
+    await score('cy', '2024-05-15', 75);
+    await score('member', '2024-05-15', 80);
+  });
+
+  test('should rank employees with their rank change', async () => {
+    const response = await api('get', '/api/analytics/leaderboard?period=monthly&reference_date=2024-05-01', employeeToken)
+      .expect(200);
+
+    expect(response.body.data.map(({ employee_id, rank, previous_rank, rank_change, is_current_user }) =>
+      ({ employee_id, rank, previous_rank, rank_change, is_current_user }))).toEqual([
+      { employee_id: 'ben', rank: 1, previous_rank: 3, rank_change: 2, is_current_user: false },
+      { employee_id: 'member', rank: 2, previous_rank: 2, rank_change: 0, is_current_user: true },
+      { employee_id: 'cy', rank: 3, previous_rank: 1, rank_change: -2, is_current_user: false }
+    ]);
+
+    const support = await api('get', '/api/analytics/leaderboard?period=monthly&reference_date=2024-05-01&team=support&sort=asc&limit=1')
+      .expect(200);
+    expect(support.body.data).toEqual([expect.objectContaining({ employee_id: 'cy', rank: 2, previous_rank: 1 })]);
+    expect(support.body.pagination).toEqual({ page: 1, limit: 1, totalCount: 2, totalPages: 2 });
+  });
+
+  test('should let admins hide names', async () => {
+    await api('put', '/api/analytics/leaderboard/settings', employeeToken).send({ show_names: false }).expect(403);
+    await api('put', '/api/analytics/leaderboard/settings').send({ show_names: 'no' }).expect(400);
+
+    const updated = await api('put', '/api/analytics/leaderboard/settings').send({ show_names: false }).expect(200);
+    expect(updated.body.settings).toMatchObject({ show_names: false });
+
+    const settings = await api('get', '/api/analytics/leaderboard/settings', employeeToken).expect(200);
+    expect(settings.body.show_names).toBe(false);
+
+    const response = await api('get', '/api/analytics/leaderboard?period=monthly&reference_date=2024-05-01', employeeToken)
+      .expect(200);
+    expect(response.body.data.map(entry => [entry.employee_id, entry.name, entry.team, entry.is_current_user]))
+      .toEqual([[null, null, null, false], [null, null, null, true], [null, null, null, false]]);
+    await api('get', '/api/analytics/leaderboard?team=platform', employeeToken).expect(400);
+
+    await api('put', '/api/analytics/leaderboard/settings').send({ show_names: true }).expect(200);
+  });
+
+  test('should hide names from top contributors and other employees\' scores while names are hidden', async () => {
+    await api('put', '/api/analytics/leaderboard/settings').send({ show_names: false }).expect(200);
+
+    const top = await api('get', '/api/analytics/top-contributors', employeeToken).expect(200);
+    expect(top.body.slice(0, 3).map(entry => [entry.employee_id, entry.name, entry.overall_score, entry.is_current_user]))
+      .toEqual([[null, null, 90, false], [null, null, 80, true], [null, null, 75, false]]);
+
+    const own = await api('get', '/api/contributions', employeeToken).expect(200);
+    expect(own.body.data.map(contribution => contribution.employee_id)).toEqual(['member', 'member']);
+    expect(own.body.pagination.totalCount).toBe(2);
+    const all = await api('get', '/api/contributions?limit=100').expect(200);
+    expect(all.body.pagination.totalCount).toBe(6);
+
+    await api('get', '/api/contributions/employee/member', employeeToken).expect(200);
+    const other = await api('get', '/api/contributions/employee/ben', employeeToken).expect(403);
+    expect(other.body.message).toBe('Access denied: employees can only view their own scores while leaderboard names are hidden');
+
+    await api('put', '/api/analytics/leaderboard/settings').send({ show_names: true }).expect(200);
+
+    const named = await api('get', '/api/analytics/top-contributors', employeeToken).expect(200);
+    expect(named.body[0]).toMatchObject({ employee_id: 'ben', name: 'BEN', overall_score: 90 });
+    await api('get', '/api/contributions/employee/ben', employeeToken).expect(200);
+  });
+
+  test('should reject invalid options', async () => {
+    await api('get', '/api/analytics/leaderboard?dimension=charisma').expect(400);
+    await api('get', '/api/analytics/leaderboard?limit=500').expect(400);
+    await api('get', '/api/analytics/leaderboard?page=first').expect(400);
+  });
+});
\ No newline at end of file
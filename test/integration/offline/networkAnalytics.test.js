@@ -0,0 +1,64 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Network analytics (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const [id, team] of [['ben', 'support'], ['cy', 'support'], ['dee', 'platform']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department: '' }))
+        .expect(201);
+    }
+
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'ben', to_employee_id: 'cy', type: 'question', content: 'Who owns billing?' })
+      .expect(201);
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'cy', to_employee_id: 'ben', type: 'answer', content: 'Platform does' })
+      .expect(201);
+    await api('post', '/api/interactions')
+      .send({ from_employee_id: 'ben', to_employee_id: 'dee', type: 'question', content: 'Can you look at billing?' })
+      .expect(201);
+  });
+
+  test('should return centrality, communities and isolation risks', async () => {
+    const response = await api('get', '/api/analytics/network').expect(200);
+
+    const ben = response.body.employees.find(employee => employee.employee_id === 'ben');
+    expect(ben).toMatchObject({ degree: 2, in_degree: 1, out_degree: 2, community_id: 1 });
+    expect(ben.betweenness).toBeGreaterThan(0);
+
+    expect(response.body.communities).toEqual([
+      { community_id: 1, size: 3, members: ['ben', 'cy', 'dee'], teams: { support: 2, platform: 1 }, dominant_team: 'support' }
+    ]);
+    expect(response.body.bridges).toEqual([]);
+    expect(response.body.isolation_risks.map(({ employee_id, risk }) => [employee_id, risk])).toEqual([
+      ['admin', 'high'], ['member', 'high'], ['cy', 'medium'], ['dee', 'medium']
+    ]);
+  });
+
+  test('should report how siloed a team is', async () => {
+    const network = await api('get', '/api/analytics/network').expect(200);
+    expect(network.body.teams.find(team => team.team_id === 'support'))
+      .toMatchObject({ member_count: 2, internal_weight: 2, external_weight: 1, silo_ratio: 0.6667 });
+
+    const metrics = await api('get', '/api/analytics/teams/support').expect(200);
+    expect(metrics.body.collaboration).toEqual({
+      internal_edges: 2, external_edges: 1, internal_weight: 2, external_weight: 1, silo_ratio: 0.6667
+    });
+  });
+
+  test('should reject invalid options and employees', async () => {
+    await api('get', '/api/analytics/network?min_weight=heavy').expect(400);
+    await api('get', '/api/analytics/network?period=yearly').expect(400);
+    await api('get', '/api/analytics/network', employeeToken).expect(403);
+  });
+});
\ No newline at end of file
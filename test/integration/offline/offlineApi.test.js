@@ -0,0 +1,190 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const request = require('supertest');
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { createMockEmployee, createMockTenant } = require('../../testDataFactory');
+
+describe('Offline API (in-memory Supabase)', () => {
+  let testTenant, authToken;
+  const alice = createMockEmployee({ employee_id: 'emp_alice', email: 'alice@example.com', team: 'Backend' });
+  const bob = createMockEmployee({ employee_id: 'emp_bob', email: 'bob@example.com', team: 'Frontend' });
+
+  beforeAll(async () => {
+    supabase.reset();
+    testTenant = createMockTenant();
+
+    const { data } = await supabase.auth.signUp({
+      email: alice.email,
+      password: 'password123',
+      options: { data: { tenant_id: testTenant.tenantId, employee_id: alice.employee_id } }
+    });
+    await supabase.auth.admin.updateUserById(data.user.id, { app_metadata: { role: 'tenant_admin' } });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email: alice.email, password: 'password123' })
+      .expect(200);
+
+    authToken = loginResponse.body.session.access_token;
+  });
+
+  test('should use the in-memory client', () => {
+    expect(supabase.isInMemory).toBe(true);
+  });
+
+  test('should create employees and reject duplicates', async () => {
+    await request(app)
+      .post('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(alice)
+      .expect(201);
+
+    await request(app)
+      .post('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(bob)
+      .expect(201);
+
+    const duplicate = await request(app)
+      .post('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(alice)
+      .expect(400);
+    expect(duplicate.body.message).toContain('already exists');
+  });
+
+  test('should list employees for an authenticated user', async () => {
+    const response = await request(app)
+      .get('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.pagination.totalCount).toBe(2);
+  });
+
+  test('should reject requests with an unknown token', async () => {
+    await request(app)
+      .get('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', 'Bearer unknown-token')
+      .expect(401);
+  });
+
+  test('should record kudos and calculate contribution scores', async () => {
+    await request(app)
+      .post('/api/kudos')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ from_employee_id: bob.employee_id, to_employee_id: alice.employee_id, message: 'Great fix!' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/contributions')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ employee_id: alice.employee_id })
+      .expect(201);
+
+    expect(response.body.contribution.collaboration_score).toBeGreaterThan(0);
+  });
+
+  test('should search employees case-insensitively', async () => {
+    const response = await request(app)
+      .get('/api/employees/search?team=backend')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.map(e => e.employee_id)).toEqual([alice.employee_id]);
+
+    await request(app)
+      .get('/api/employees/search')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+  });
+
+  test('should update employees with partial data', async () => {
+    const response = await request(app)
+      .put(`/api/employees/${bob.employee_id}`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ team: 'Platform' })
+      .expect(200);
+
+    expect(response.body.message).toBe('Employee updated successfully');
+    expect(response.body.employee.team).toBe('Platform');
+    expect(response.body.employee.name).toBe(bob.name);
+
+    await request(app)
+      .put('/api/employees/emp_missing')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ team: 'Platform' })
+      .expect(404);
+  });
+
+  test('should require a deletion strategy and hide soft-deleted employees', async () => {
+    await request(app)
+      .delete(`/api/employees/${bob.employee_id}`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+
+    const response = await request(app)
+      .delete(`/api/employees/${bob.employee_id}?strategy=soft-delete`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(response.body.employee.deleted_at).toBeTruthy();
+
+    const active = await request(app)
+      .get('/api/employees')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(active.body.data.map(e => e.employee_id)).toEqual([alice.employee_id]);
+
+    const all = await request(app)
+      .get('/api/employees?include_deleted=true')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(all.body.pagination.totalCount).toBe(2);
+  });
+
+  test('should cascade deletion to kudos and contributions', async () => {
+    const response = await request(app)
+      .delete(`/api/employees/${bob.employee_id}?strategy=cascade`)
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.affected).toEqual({ interactions: 0, kudos: 1, contributions: 0, reports: 0 });
+
+    const kudos = await request(app)
+      .get('/api/kudos')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    expect(kudos.body.data).toHaveLength(0);
+  });
+
+  test('should keep tenants isolated', async () => {
+    const response = await request(app)
+      .get('/api/employees')
+      .set('X-Tenant-ID', 'another-tenant')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(403);
+
+    expect(response.body.error).toContain('Tenant mismatch');
+  });
+});
\ No newline at end of file
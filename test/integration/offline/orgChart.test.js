@@ -0,0 +1,72 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Org chart and my-org analytics (in-memory Supabase)', () => {
+  let testTenant, managerToken, api;
+
+  beforeAll(async () => {
+    ({ testTenant, api, tokens: { mgr: managerToken } } = await setUpOfflineTenant(app, ['head', 'mgr']));
+
+    // head <- mgr <- (dev1, dev2)
+    await api('put', '/api/employees/mgr').send({ manager_id: 'head' }).expect(200);
+    for (const id of ['dev1', 'dev2']) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, manager_id: 'mgr' }))
+        .expect(201);
+    }
+
+    supabase.seed('contributions', [
+      { tenant_id: testTenant.tenantId, employee_id: 'dev1', problem_solving_score: 40, collaboration_score: 60, initiative_score: 20, overall_score: 40, calculated_at: '2024-01-01' },
+      { tenant_id: testTenant.tenantId, employee_id: 'dev2', problem_solving_score: 80, collaboration_score: 20, initiative_score: 60, overall_score: 60, calculated_at: '2024-01-01' }
+    ]);
+  });
+
+  test('should return direct reports, subtree and management chain', async () => {
+    const reports = await api('get', '/api/employees/head/reports').expect(200);
+    expect(reports.body.reports.map(r => r.employee_id)).toEqual(['mgr']);
+
+    const subtree = await api('get', '/api/employees/head/subtree').expect(200);
+    expect(subtree.body.total_count).toBe(3);
+    expect(subtree.body.root.reports[0].reports.map(r => r.employee_id)).toEqual(['dev1', 'dev2']);
+
+    const chain = await api('get', '/api/employees/dev2/chain').expect(200);
+    expect(chain.body.chain.map(m => m.employee_id)).toEqual(['mgr', 'head']);
+
+    await api('get', '/api/employees/nobody/chain').expect(404);
+  });
+
+  test('should reject manager assignments that create a cycle', async () => {
+    const response = await api('put', '/api/employees/head').send({ manager_id: 'dev1' }).expect(400);
+
+    expect(response.body.message).toContain('reporting cycle');
+  });
+
+  test('should aggregate contribution scores over the org', async () => {
+    const org = await api('get', '/api/analytics/org/head').expect(200);
+    expect(org.body).toMatchObject({
+      manager_id: 'head',
+      member_count: 3,
+      scored_count: 2,
+      max_depth: 2,
+      average_scores: { problem_solving_score: 60, collaboration_score: 40, initiative_score: 40, overall_score: 50 }
+    });
+    expect(org.body.direct_reports).toEqual([expect.objectContaining({ employee_id: 'mgr', org_size: 3, scored_count: 2 })]);
+
+    const myOrg = await api('get', '/api/analytics/my-org', managerToken).expect(200);
+    expect(myOrg.body).toMatchObject({ manager_id: 'mgr', member_count: 2 });
+  });
+
+  test('should move direct reports up when their manager is deleted', async () => {
+    const response = await api('delete', '/api/employees/mgr?strategy=soft-delete').expect(200);
+    expect(response.body.affected.reports).toBe(2);
+
+    const reports = await api('get', '/api/employees/head/reports').expect(200);
+    expect(reports.body.reports.map(r => r.employee_id)).toEqual(['dev1', 'dev2']);
+  });
+});
\ No newline at end of file
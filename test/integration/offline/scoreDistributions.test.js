@@ -0,0 +1,61 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Score distributions and percentiles (in-memory Supabase)', () => {
+  let api;
+
+  const score = (employeeId, overall) => api('post', '/api/contributions')
+    .send({
+      employee_id: employeeId,
+      problem_solving_score: overall,
+      collaboration_score: overall,
+      initiative_score: overall,
+      overall_score: overall
+    })
+    .expect(201);
+
+  beforeAll(async () => {
+    ({ api } = await setUpOfflineTenant(app, ['admin']));
+
+    for (const [id, team, department] of [['ben', 'support', 'ops'], ['cy', 'support', 'ops'], ['dee', 'platform', 'ops']]) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team, department }))
+        .expect(201);
+    }
+
+    // ben's earlier score is superseded by the later one
+    await score('ben', 10);
+    await score('ben', 40);
+    await score('cy', 80);
+    await score('dee', 60);
+  });
+
+  test('should describe the distribution of the latest scores', async () => {
+    const response = await api('get', '/api/analytics/stats').expect(200);
+
+    expect(response.body.score_distributions.overall_score).toMatchObject({
+      count: 3, mean: 60, median: 60, p25: 50, p75: 70, p90: 76, std_dev: 16.33
+    });
+    expect(response.body.score_distributions.overall_score.histogram.filter(bucket => bucket.count > 0))
+      .toEqual([{ min: 40, max: 50, count: 1 }, { min: 60, max: 70, count: 1 }, { min: 80, max: 90, count: 1 }]);
+    expect(response.body.dimension_distributions.collaboration).toMatchObject({ count: 3, median: 60 });
+  });
+
+  test('should show the percentile of an employee in their team, department and tenant', async () => {
+    const response = await api('get', '/api/analytics/employees/cy').expect(200);
+
+    expect(response.body.percentiles).toEqual({
+      team: expect.objectContaining({ peer_count: 2, overall_score: 75 }),
+      department: expect.objectContaining({ peer_count: 3, overall_score: 83.3 }),
+      tenant: expect.objectContaining({ peer_count: 3, overall_score: 83.3 })
+    });
+
+    const unscored = await api('get', '/api/analytics/employees/admin').expect(200);
+    expect(unscored.body.percentiles).toBeNull();
+  });
+});
\ No newline at end of file
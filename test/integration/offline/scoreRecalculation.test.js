@@ -0,0 +1,99 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const supabase = require('../../../src/utils/supabaseClient');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Score recalculation (in-memory Supabase)', () => {
+  let testTenant, employeeToken, api;
+  
+  beforeAll(async () => {
+    ({ testTenant, api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+    
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_id: 'member', message: 'Thanks for fixing the build' })
+      .expect(201);
+  });
+  
+  test('should recalculate every employee and record the run', async () => {
+    const response = await api('post', '/api/contributions/recalculation').expect(200);
+    
+    expect(response.body.run).toMatchObject({
+      tenant_id: testTenant.tenantId,
+      trigger: 'manual',
+      status: 'completed',
+      employees_processed: 2,
+      employees_failed: 0
+    });
+    
+    const contributions = await api('get', '/api/contributions/employee/member').expect(200);
+    expect(contributions.body).toHaveLength(1);
+    expect(contributions.body[0].collaboration_score).toBeGreaterThan(0);
+    
+    const status = await api('get', '/api/contributions/recalculation/status').expect(200);
+    expect(status.body).toMatchObject({ running: false });
+    expect(status.body.recent_runs.map(run => run.run_id)).toEqual([response.body.run.run_id]);
+  });
+  
+  test('should restrict triggering to tenant admins', async () => {
+    await api('post', '/api/contributions/recalculation', employeeToken).expect(403);
+    await api('get', '/api/contributions/recalculation/status', employeeToken).expect(403);
+    await api('post', '/api/contributions/recalculation/all').expect(403);
+  });
+  
+  test('should recalculate a batch of employees with a report per employee', async () => {
+    const response = await api('post', '/api/contributions/batch')
+      .send({ scope: 'employees', employee_ids: ['member', 'nobody'] })
+      .expect(200);
+    
+    expect(response.body.report).toMatchObject({
+      scope: 'employees',
+      employees_requested: 2,
+      employees_updated: 1,
+      employees_failed: 1
+    });
+    expect(response.body.report.results).toEqual([
+      expect.objectContaining({ employee_id: 'member', status: 'updated' }),
+      { employee_id: 'nobody', status: 'not_found', error: 'Employee not found' }
+    ]);
+    
+    const contributions = await api('get', '/api/contributions/employee/member').expect(200);
+    expect(contributions.body[0].collaboration_score).toBe(response.body.report.results[0].scores.collaboration_score);
+  });
+  
+  test('should reject batches without a valid scope', async () => {
+    const response = await api('post', '/api/contributions/batch').send({ scope: 'team' }).expect(400);
+    expect(response.body.message).toContain('Team ID is required');
+    
+    await api('post', '/api/contributions/batch', employeeToken).send({ scope: 'all' }).expect(403);
+  });
+  
+  test('should score a period and keep its bounds in the history', async () => {
+    supabase.seed('kudos', [{
+      tenant_id: testTenant.tenantId,
+      from_employee_id: 'admin',
+      to_employee_id: 'member',
+      message: 'Great demo',
+      timestamp: '2024-03-12T09:00:00.000Z'
+    }]);
+    
+    const created = await api('post', '/api/contributions')
+      .send({ employee_id: 'member', period: 'monthly', reference_date: '2024-03-01' })
+      .expect(201);
+    expect(created.body.contribution).toMatchObject({
+      period_type: 'monthly',
+      period_start: '2024-03-01T00:00:00.000Z',
+      period_end: '2024-04-01T00:00:00.000Z'
+    });
+    expect(Number(created.body.contribution.collaboration_score)).toBe(10);
+    
+    const history = await api('get', '/api/analytics/employees/member/history?period=monthly').expect(200);
+    expect(history.body).toHaveLength(1);
+    expect(history.body[0]).toMatchObject({ period_type: 'monthly', period_start: '2024-03-01T00:00:00.000Z' });
+    
+    await api('get', '/api/analytics/employees/member/history?period=yearly').expect(400);
+    await api('post', '/api/contributions').send({ employee_id: 'member', period: 'custom', from: '2024-03-01' }).expect(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Scoring configuration (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    await api('post', '/api/kudos')
+      .send({ from_employee_id: 'admin', to_employee_id: 'member', message: 'Thanks for the review' })
+      .expect(201);
+  });
+
+  test('should start with the built-in configuration', async () => {
+    const response = await api('get', '/api/scoring-config').expect(200);
+
+    expect(response.body).toMatchObject({ version: 0, is_default: true });
+    expect(response.body.config.weights).toEqual({ problem_solving: 0.4, collaboration: 0.3, initiative: 0.3 });
+  });
+
+  test('should reject weights that do not sum to 1', async () => {
+    const response = await api('put', '/api/scoring-config')
+      .send({ weights: { problem_solving: 0.5, collaboration: 0.5, initiative: 0.5 } })
+      .expect(400);
+
+    expect(response.body.message).toContain('Weights must sum to 1');
+  });
+
+  test('should score with a new version and record it on contributions', async () => {
+    const update = await api('put', '/api/scoring-config')
+      .send({ weights: { problem_solving: 0, collaboration: 1, initiative: 0 } })
+      .expect(200);
+    expect(update.body.scoring_config).toMatchObject({ version: 1, is_default: false });
+
+    const created = await api('post', '/api/contributions').send({ employee_id: 'member' }).expect(201);
+    expect(created.body.contribution).toMatchObject({ scoring_config_version: 1 });
+    expect(Number(created.body.contribution.overall_score)).toBe(Number(created.body.contribution.collaboration_score));
+
+    const manual = await api('post', '/api/contributions')
+      .send({ employee_id: 'member', problem_solving_score: 1, collaboration_score: 2, initiative_score: 3, overall_score: 4 })
+      .expect(201);
+    expect(manual.body.contribution.scoring_config_version).toBeNull();
+  });
+
+  test('should keep every version when resetting to the built-in configuration', async () => {
+    const reset = await api('delete', '/api/scoring-config').expect(200);
+    expect(reset.body.scoring_config.version).toBe(2);
+    expect(reset.body.scoring_config.config.weights.problem_solving).toBe(0.4);
+
+    const versions = await api('get', '/api/scoring-config/versions').expect(200);
+    expect(versions.body.map(version => version.version)).toEqual([2, 1, 0]);
+
+    const first = await api('get', '/api/scoring-config/versions/1').expect(200);
+    expect(first.body.config.weights.collaboration).toBe(1);
+
+    await api('get', '/api/scoring-config/versions/9').expect(404);
+  });
+
+  test('should score the extra dimensions a tenant enables and average them in analytics', async () => {
+    const before = await api('get', '/api/scoring-config/dimensions').expect(200);
+    expect(before.body.dimensions.find(dimension => dimension.name === 'mentorship'))
+      .toMatchObject({ enabled: false, weight: null, builtin: true });
+
+    await api('put', '/api/scoring-config')
+      .send({ weights: { problem_solving: 0.4, collaboration: 0.3, mentorship: 0.3 } })
+      .expect(200);
+
+    const created = await api('post', '/api/contributions').send({ employee_id: 'member' }).expect(201);
+    expect(Object.keys(created.body.contribution.dimension_scores)).toEqual(['problem_solving', 'collaboration', 'mentorship']);
+    expect(created.body.contribution.dimension_scores.mentorship).toBe(0);
+    expect(created.body.contribution.initiative_score).toBeNull();
+
+    const manual = await api('post', '/api/contributions')
+      .send({ employee_id: 'member', dimension_scores: { problem_solving: 10, collaboration: 20, mentorship: 30 }, overall_score: 19 })
+      .expect(201);
+    expect(manual.body.contribution).toMatchObject({
+      scoring_config_version: null,
+      dimension_scores: { problem_solving: 10, collaboration: 20, mentorship: 30 },
+      overall_score: 19
+    });
+
+    const unknown = await api('post', '/api/contributions')
+      .send({ employee_id: 'member', dimension_scores: { happiness: 10 } })
+      .expect(400);
+    expect(unknown.body.message).toBe('Validation failed');
+
+    // Mentorship is averaged over the two contributions scored on it
+    const stats = await api('get', '/api/analytics/stats').expect(200);
+    expect(stats.body.average_dimension_scores.mentorship).toBe(15);
+    expect(stats.body.average_dimension_scores).toHaveProperty('initiative');
+  });
+
+  test('should let the tenant pick its default language', async () => {
+    const update = await api('put', '/api/scoring-config').send({ language: { default_language: 'es' } }).expect(200);
+    expect(update.body.scoring_config.config.language).toEqual({ default_language: 'es', detect: true });
+
+    const invalid = await api('put', '/api/scoring-config').send({ language: { default_language: 'xx' } }).expect(400);
+    expect(invalid.body.message).toContain('language.default_language must be one of');
+  });
+
+  test('should restrict the configuration to admins and managers', async () => {
+    await api('get', '/api/scoring-config', employeeToken).expect(403);
+    await api('put', '/api/scoring-config', employeeToken).send({ weights: {} }).expect(403);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Sentiment analysis (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+
+    for (const id of ['ana', 'ben', 'cy']) {
+      await api('post', '/api/employees')
+        .send(createMockEmployee({ employee_id: id, email: `${id}@example.com`, team: 'support', department: '' }))
+        .expect(201);
+    }
+    // Soft-deleted employees no longer count as team members
+    await api('delete', '/api/employees/cy?strategy=soft-delete').expect(200);
+  });
+
+  test('should store the sentiment of new kudos and interactions', async () => {
+    const kudos = await api('post', '/api/kudos')
+      .send({ from_employee_id: 'ana', to_employee_id: 'ben', message: 'Thanks, the release went really great!', timestamp: '2024-05-07T10:00:00.000Z' })
+      .expect(201);
+    expect(kudos.body.kudos).toMatchObject({ sentiment_label: 'positive' });
+    expect(kudos.body.kudos.sentiment_score).toBeGreaterThan(0.5);
+
+    const interaction = await api('post', '/api/interactions')
+      .send({ employee_id: 'ben', type: 'chat', content: 'I am frustrated, the deploy is broken again and nothing works', timestamp: '2024-05-14T10:00:00.000Z' })
+      .expect(201);
+    expect(interaction.body.interaction).toMatchObject({ sentiment_label: 'negative' });
+  });
+
+  test('should show a weekly sentiment trend per employee and flag morale drops', async () => {
+    const response = await api('get', '/api/analytics/employees/ben/sentiment?from=2024-05-06&to=2024-05-19', employeeToken)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ employee_id: 'ben', interval: 'weekly', morale_drop: true });
+    expect(response.body.summary).toMatchObject({ message_count: 2, positive_count: 1, negative_count: 1 });
+    expect(response.body.trend).toHaveLength(2);
+    expect(response.body.trend[0]).toMatchObject({
+      period_start: '2024-05-06T00:00:00.000Z',
+      message_count: 1,
+      by_source: { interactions: 0, kudos: 1 },
+      change: null
+    });
+    expect(response.body.trend[1].by_source).toEqual({ interactions: 1, kudos: 0 });
+    expect(response.body.trend[1].change).toBeLessThan(-0.2);
+  });
+
+  test('should show a monthly sentiment trend per team to managers', async () => {
+    const response = await api('get', '/api/analytics/teams/support/sentiment?interval=monthly&from=2024-04-01&to=2024-05-31')
+      .expect(200);
+
+    expect(response.body).toMatchObject({ team_id: 'support', member_count: 2, morale_drop: false });
+    expect(response.body.trend.map(bucket => bucket.message_count)).toEqual([0, 2]);
+    expect(response.body.trend[0].average_score).toBeNull();
+
+    await api('get', '/api/analytics/teams/support/sentiment', employeeToken).expect(403);
+  });
+
+  test('should reject invalid ranges and unknown employees and teams', async () => {
+    const invalid = await api('get', '/api/analytics/employees/ben/sentiment?interval=daily').expect(400);
+    expect(invalid.body.message).toBe('Interval must be one of: weekly, monthly');
+
+    await api('get', '/api/analytics/employees/ben/sentiment?from=2024-06-01&to=2024-05-01').expect(400);
+    await api('get', '/api/analytics/employees/ghost/sentiment').expect(404);
+    await api('get', '/api/analytics/teams/ghosts/sentiment').expect(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Run the real app against the in-memory Supabase client (no network, no mocks)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'supabase';
+
+const app = require('../../../server');
+const { createMockEmployee } = require('../../testDataFactory');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Teams and departments (in-memory Supabase)', () => {
+  let employeeToken, api;
+
+  beforeAll(async () => {
+    ({ api, tokens: { member: employeeToken } } = await setUpOfflineTenant(app));
+  });
+
+  test('should manage departments and teams', async () => {
+    await api('post', '/api/departments').send({ department_id: 'eng', name: 'Engineering', lead_employee_id: 'admin' }).expect(201);
+    const created = await api('post', '/api/teams').send({ team_id: 'backend', name: 'Backend Guild', department_id: 'eng' }).expect(201);
+    expect(created.body.team).toMatchObject({ team_id: 'backend', department_id: 'eng', archived: false });
+
+    await api('post', '/api/teams').send({ team_id: 'backend', name: 'Again' }).expect(400);
+    await api('post', '/api/teams').send({ team_id: 'web', name: 'Web', department_id: 'design' }).expect(400);
+
+    const teams = await api('get', '/api/teams?department_id=eng', employeeToken).expect(200);
+    expect(teams.body.map(team => team.team_id)).toEqual(['backend']);
+
+    await api('get', '/api/departments/nope').expect(404);
+  });
+
+  test('should only let tenant admins change teams', async () => {
+    await api('post', '/api/teams', employeeToken).send({ team_id: 'rogue', name: 'Rogue' }).expect(403);
+  });
+
+  test('should validate employee teams and use team names in analytics', async () => {
+    const typo = await api('post', '/api/employees')
+      .send(createMockEmployee({ employee_id: 'typo', email: 'typo@example.com', team: 'bakcend', department: '' }))
+      .expect(400);
+    expect(typo.body.message).toContain('Team bakcend not found');
+
+    const response = await api('post', '/api/employees')
+      .send(createMockEmployee({ employee_id: 'dev', email: 'dev@example.com', team: 'backend', department: '' }))
+      .expect(201);
+    expect(response.body.employee).toMatchObject({ team: 'backend', department: 'eng' });
+
+    await api('post', '/api/employees')
+      .send(createMockEmployee({ employee_id: 'left', email: 'left@example.com', team: 'backend', department: '' }))
+      .expect(201);
+    await api('delete', '/api/employees/left?strategy=soft-delete').expect(200);
+
+    const metrics = await api('get', '/api/analytics/teams/backend').expect(200);
+    expect(metrics.body).toMatchObject({ team_id: 'backend', team_name: 'Backend Guild', member_count: 1 });
+    const department = await api('get', '/api/analytics/departments/eng').expect(200);
+    expect(department.body).toMatchObject({ department_id: 'eng', employee_count: 1 });
+    const stats = await api('get', '/api/analytics/stats').expect(200);
+    expect(stats.body.total_employees).toBe(3);
+    const top = await api('get', '/api/analytics/top-contributors').expect(200);
+    expect(top.body.map(contributor => contributor.employee_id)).not.toContain('left');
+  });
+
+  test('should archive teams in use instead of deleting them', async () => {
+    const blocked = await api('delete', '/api/teams/backend').expect(400);
+    expect(blocked.body.message).toContain('archive it instead');
+
+    await api('put', '/api/teams/backend').send({ archived: true }).expect(200);
+
+    const active = await api('get', '/api/teams').expect(200);
+    expect(active.body).toEqual([]);
+    const all = await api('get', '/api/teams?include_archived=true').expect(200);
+    expect(all.body).toHaveLength(1);
+
+    const archived = await api('put', '/api/employees/member').send({ team: 'backend' }).expect(400);
+    expect(archived.body.message).toContain('Team backend is archived');
+  });
+});
\ No newline at end of file
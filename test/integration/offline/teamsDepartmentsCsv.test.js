@@ -0,0 +1,46 @@
+// Run the real app against the CSV storage backend (auth through the in-memory Supabase client)
+process.env.SUPABASE_CLIENT = 'memory';
+process.env.STORAGE_BACKEND = 'csv';
+
+const fs = require('fs');
+const path = require('path');
+const app = require('../../../server');
+const { setUpOfflineTenant } = require('../../offlineTestHelper');
+
+describe('Teams and departments (CSV storage)', () => {
+  let testTenant, api;
+
+  beforeAll(async () => {
+    ({ testTenant, api } = await setUpOfflineTenant(app));
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.join(__dirname, `../../../data/${testTenant.tenantId}`), { recursive: true, force: true });
+  });
+
+  test('should update departments read back from CSV', async () => {
+    await api('post', '/api/departments').send({ department_id: 'eng', name: 'Engineering' }).expect(201);
+
+    const renamed = await api('put', '/api/departments/eng').send({ name: 'Engineering Org' }).expect(200);
+    expect(renamed.body.department).toMatchObject({ department_id: 'eng', name: 'Engineering Org', archived: false });
+
+    const archived = await api('put', '/api/departments/eng').send({ archived: true }).expect(200);
+    expect(archived.body.department.archived).toBe(true);
+
+    await api('put', '/api/departments/eng').send({ archived: false }).expect(200);
+  });
+
+  test('should update teams read back from CSV', async () => {
+    await api('post', '/api/teams').send({ team_id: 'backend', name: 'Backend', department_id: 'eng' }).expect(201);
+
+    const renamed = await api('put', '/api/teams/backend').send({ name: 'Backend Guild' }).expect(200);
+    expect(renamed.body.team).toMatchObject({ team_id: 'backend', name: 'Backend Guild', archived: false });
+
+    await api('put', '/api/teams/backend').send({ archived: true }).expect(200);
+
+    const active = await api('get', '/api/teams').expect(200);
+    expect(active.body).toEqual([]);
+    const all = await api('get', '/api/teams?include_archived=true').expect(200);
+    expect(all.body).toEqual([expect.objectContaining({ team_id: 'backend', archived: true })]);
+  });
+});
\ No newline at end of file
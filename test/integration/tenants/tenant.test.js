@@ -12,7 +12,21 @@ jest.mock('../../../src/utils/supabaseClient', () => ({
   update: jest.fn().mockReturnThis(),
   delete: jest.fn().mockReturnThis(),
   range: jest.fn().mockReturnThis(),
-  rpc: jest.fn().mockResolvedValue({ data: null, error: null })
+  rpc: jest.fn().mockResolvedValue({ data: null, error: null }),
+  auth: {
+    // Tenant management is restricted to platform super admins
+    getUser: jest.fn().mockResolvedValue({
+      data: {
+        user: {
+          id: 'super-admin-id',
+          email: 'ops@example.com',
+          user_metadata: {},
+          app_metadata: { role: 'super_admin' }
+        }
+      },
+      error: null
+    })
+  }
 }));
 
 const request = require('supertest');
@@ -77,6 +91,7 @@ describe('Tenant API', () => {
 
       const response = await request(app)
         .post('/api/tenants')
+        .set('Authorization', 'Bearer super-admin-token')
         .send({
           tenantId: testTenant.tenantId,
           tenantData: {
@@ -102,6 +117,7 @@ describe('Tenant API', () => {
       
       await request(app)
         .post('/api/tenants')
+        .set('Authorization', 'Bearer super-admin-token')
         .send(invalidTenant)
         .expect(400);
     });
@@ -128,6 +144,7 @@ describe('Tenant API', () => {
       
       const response = await request(app)
         .get('/api/tenants')
+        .set('Authorization', 'Bearer super-admin-token')
         .expect(200);
       
       expect(response.body).toHaveProperty('tenants');
@@ -135,6 +152,45 @@ describe('Tenant API', () => {
     });
   });
 
+  describe('Access control', () => {
+    test('should require authentication', async () => {
+      const supabase = require('../../../src/utils/supabaseClient');
+      supabase.from.mockReset();
+
+      await request(app)
+        .get('/api/tenants')
+        .expect(401);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    test('should reject users who are not super admins', async () => {
+      const supabase = require('../../../src/utils/supabaseClient');
+      supabase.from.mockReset();
+      supabase.auth.getUser.mockResolvedValueOnce({
+        data: {
+          user: {
+            id: 'tenant-admin-id',
+            user_metadata: { tenant_id: 'default' },
+            app_metadata: { role: 'tenant_admin' }
+          }
+        },
+        error: null
+      });
+
+      const response = await request(app)
+        .get('/api/tenants')
+        .set('X-Tenant-ID', 'default')
+        .set('Authorization', 'Bearer tenant-admin-token')
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: 'Authorization Error',
+        message: expect.stringContaining('super_admin')
+      });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/tenants/:id', () => {
     test('should get tenant by ID', async () => {
       // Mock the Supabase chain for getting tenant by ID
@@ -158,6 +214,7 @@ describe('Tenant API', () => {
       
       const response = await request(app)
         .get(`/api/tenants/${testTenant.tenantId}`)
+        .set('Authorization', 'Bearer super-admin-token')
         .expect(200);
       
       expect(response.body).toHaveProperty('tenantId', testTenant.tenantId);
@@ -179,6 +236,7 @@ describe('Tenant API', () => {
       
       await request(app)
         .get('/api/tenants/non-existent-id')
+        .set('Authorization', 'Bearer super-admin-token')
         .expect(404);
     });
   });
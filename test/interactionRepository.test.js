@@ -41,7 +41,9 @@ describe('Interaction Repository', () => {
       const mockCount = 1;
       
       // Mock the Supabase chain following the pattern from employeeRepository.test.js
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -65,13 +67,17 @@ describe('Interaction Repository', () => {
       expect(selectMock).toHaveBeenCalledWith('*', { count: 'exact' });
       expect(eqMock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(rangeMock).toHaveBeenCalledWith(0, 9);
+      expect(orderMock).toHaveBeenCalledWith('created_at', { ascending: true });
+      expect(orderMock).toHaveBeenCalledWith('id', { ascending: true });
     });
 
     test('should throw error when Supabase returns error', async () => {
       const errorMessage = 'Database error';
       
       // Mock the Supabase chain with error
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -87,7 +93,9 @@ describe('Interaction Repository', () => {
   describe('getInteractionsByEmployeeId', () => {
     test('should retrieve interactions by employee ID', async () => {
       // Mock the Supabase chain following the exact pattern from employeeRepository.test.js getEmployeeById
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: [testInteraction], error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [testInteraction], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -103,6 +111,33 @@ describe('Interaction Repository', () => {
       expect(selectMock).toHaveBeenCalled();
       expect(eq1Mock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(eq2Mock).toHaveBeenCalledWith('to_employee_id', testEmployeeId);
+      expect(eq2Mock).toHaveBeenCalledWith('is_group', true);
+    });
+
+    test('should list sent and received interactions once each', async () => {
+      const sentInteraction = { ...testInteraction, id: 'sent-interaction-id', to_employee_id: 'colleague-id' };
+      const groupInteraction = {
+        ...testInteraction,
+        id: 'group-interaction-id',
+        from_employee_id: 'colleague-id',
+        to_employee_id: 'other-colleague-id',
+        is_group: true,
+        recipient_ids: ['other-colleague-id', testEmployeeId]
+      };
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [sentInteraction, testInteraction], error: null })
+        .mockResolvedValueOnce({ data: [testInteraction], error: null })
+        .mockResolvedValueOnce({ data: [groupInteraction], error: null });
+      const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
+      const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
+      const fromMock = jest.fn().mockReturnValue({ select: selectMock });
+      
+      require('../src/utils/supabaseClient').from.mockImplementation(fromMock);
+
+      const result = await interactionRepository.getInteractionsByEmployeeId(testTenantId, testEmployeeId, 'both');
+      
+      expect(result).toEqual([sentInteraction, testInteraction, groupInteraction]);
+      expect(eq2Mock).toHaveBeenCalledWith('from_employee_id', testEmployeeId);
     });
 
     test('should throw error when Supabase returns error', async () => {
@@ -41,7 +41,9 @@ describe('Kudos Repository', () => {
       const mockCount = 1;
       
       // Mock the Supabase chain following the pattern from employeeRepository.test.js
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: mockData, error: null, count: mockCount });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -65,13 +67,17 @@ describe('Kudos Repository', () => {
       expect(selectMock).toHaveBeenCalledWith('*', { count: 'exact' });
       expect(eqMock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(rangeMock).toHaveBeenCalledWith(0, 9);
+      expect(orderMock).toHaveBeenCalledWith('created_at', { ascending: true });
+      expect(orderMock).toHaveBeenCalledWith('id', { ascending: true });
     });
 
     test('should throw error when Supabase returns error', async () => {
       const errorMessage = 'Database error';
       
       // Mock the Supabase chain with error
-      const rangeMock = jest.fn().mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const orderMock = jest.fn();
+      orderMock.mockReturnValueOnce({ order: orderMock }).mockResolvedValueOnce({ data: null, error: { message: errorMessage } });
+      const rangeMock = jest.fn().mockReturnValue({ order: orderMock });
       const eqMock = jest.fn().mockReturnValue({ range: rangeMock });
       const selectMock = jest.fn().mockReturnValue({ eq: eqMock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -87,7 +93,9 @@ describe('Kudos Repository', () => {
   describe('getKudosByEmployeeId', () => {
     test('should retrieve kudos by employee ID', async () => {
       // Mock the Supabase chain following the exact pattern from employeeRepository.test.js getEmployeeById
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: [testKudos], error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [testKudos], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -102,9 +110,33 @@ describe('Kudos Repository', () => {
       expect(fromMock).toHaveBeenCalledWith('kudos');
       expect(eq1Mock).toHaveBeenCalledWith('tenant_id', testTenantId);
       expect(eq2Mock).toHaveBeenCalledWith('to_employee_id', testToEmployeeId);
+      expect(eq2Mock).toHaveBeenCalledWith('is_group', true);
       expect(selectMock).toHaveBeenCalled();
     });
 
+    test('should include group kudos the employee is one of the recipients of', async () => {
+      const groupKudos = {
+        ...testKudos,
+        id: 'group-kudos-id',
+        to_employee_id: 'first-recipient-id',
+        is_group: true,
+        recipient_ids: ['first-recipient-id', testToEmployeeId]
+      };
+      const otherGroupKudos = { ...groupKudos, id: 'other-group-kudos-id', recipient_ids: ['first-recipient-id'] };
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: [testKudos], error: null })
+        .mockResolvedValueOnce({ data: [groupKudos, otherGroupKudos], error: null });
+      const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
+      const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
+      const fromMock = jest.fn().mockReturnValue({ select: selectMock });
+      
+      require('../src/utils/supabaseClient').from.mockImplementation(fromMock);
+
+      const result = await kudosRepository.getKudosByEmployeeId(testTenantId, testToEmployeeId);
+      
+      expect(result).toEqual([testKudos, groupKudos]);
+    });
+
     test('should throw error when Supabase returns error', async () => {
       const errorMessage = 'Database error';
       
@@ -239,7 +239,9 @@ describe('Multi-Tenancy Isolation Tests', () => {
       expect(interactionB.tenant_id).toBe(tenantBId);
       
       // Mock the Supabase chain for getInteractionsByEmployeeId in tenant A
-      const eq2MockA = jest.fn().mockResolvedValueOnce({ data: [mockInteractionA], error: null });
+      const eq2MockA = jest.fn()
+        .mockResolvedValueOnce({ data: [mockInteractionA], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1MockA = jest.fn().mockReturnValue({ eq: eq2MockA });
       const selectMockGetA = jest.fn().mockReturnValue({ eq: eq1MockA });
       const fromMockGetA = jest.fn().mockReturnValue({ select: selectMockGetA });
@@ -317,7 +319,9 @@ describe('Multi-Tenancy Isolation Tests', () => {
       expect(kudosB.tenant_id).toBe(tenantBId);
       
       // Mock the Supabase chain for getKudosByEmployeeId in tenant A
-      const eq2MockA = jest.fn().mockResolvedValueOnce({ data: [mockKudosA], error: null });
+      const eq2MockA = jest.fn()
+        .mockResolvedValueOnce({ data: [mockKudosA], error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1MockA = jest.fn().mockReturnValue({ eq: eq2MockA });
       const selectMockGetA = jest.fn().mockReturnValue({ eq: eq1MockA });
       const fromMockGetA = jest.fn().mockReturnValue({ select: selectMockGetA });
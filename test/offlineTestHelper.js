@@ -0,0 +1,56 @@
+/**
+ * Offline Test Helper
+ * Sets up a tenant for tests that run the real app against the in-memory Supabase client.
+ * Test files set SUPABASE_CLIENT=memory and STORAGE_BACKEND=supabase before requiring the app.
+ */
+
+const request = require('supertest');
+const supabase = require('../src/utils/supabaseClient');
+const { createMockTenant } = require('./testDataFactory');
+
+const PASSWORD = 'password123';
+
+/**
+ * Reset the in-memory client and register users of a fresh tenant through the API
+ * Registration gives everyone the employee role; the first user is then made the tenant admin
+ * through the admin API, the way scripts/setUserRole.js sets up the first admin of a real tenant
+ * @param {Object} app - Express app
+ * @param {Array<string>} employeeIds - Users to register; each ID is also their name and the
+ *   local part of their email
+ * @returns {Promise<Object>} - testTenant, access tokens by employee ID, and
+ *   api(method, url, token) building a request for the tenant (the admin's token by default)
+ */
+async function setUpOfflineTenant(app, employeeIds = ['admin', 'member']) {
+  supabase.reset();
+  const testTenant = createMockTenant();
+  const tokens = {};
+
+  for (const [index, employeeId] of employeeIds.entries()) {
+    const email = `${employeeId}@example.com`;
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email, password: PASSWORD, name: employeeId, employee_id: employeeId })
+      .expect(201);
+
+    if (index === 0) {
+      await supabase.auth.admin.updateUserById(registered.body.user.id, { app_metadata: { role: 'tenant_admin' } });
+    }
+
+    tokens[employeeId] = (await request(app)
+      .post('/api/auth/login')
+      .set('X-Tenant-ID', testTenant.tenantId)
+      .send({ email, password: PASSWORD })
+      .expect(200)).body.session.access_token;
+  }
+
+  const api = (method, url, token = tokens[employeeIds[0]]) => request(app)[method](url)
+    .set('X-Tenant-ID', testTenant.tenantId)
+    .set('Authorization', `Bearer ${token}`);
+
+  return { testTenant, tokens, api };
+}
+
+module.exports = {
+  setUpOfflineTenant
+};
\ No newline at end of file
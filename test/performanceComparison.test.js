@@ -134,7 +134,9 @@ describe('Performance Comparison Tests', () => {
       }));
 
       // Mock the Supabase chain for getInteractionsByEmployeeId
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: mockInteractions, error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: mockInteractions, error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -173,7 +175,9 @@ describe('Performance Comparison Tests', () => {
       }));
 
       // Mock the Supabase chain for getKudosByEmployeeId
-      const eq2Mock = jest.fn().mockResolvedValueOnce({ data: mockKudos, error: null });
+      const eq2Mock = jest.fn()
+        .mockResolvedValueOnce({ data: mockKudos, error: null })
+        .mockResolvedValueOnce({ data: [], error: null });
       const eq1Mock = jest.fn().mockReturnValue({ eq: eq2Mock });
       const selectMock = jest.fn().mockReturnValue({ eq: eq1Mock });
       const fromMock = jest.fn().mockReturnValue({ select: selectMock });
@@ -2,7 +2,10 @@ const {
   calculateProblemSolvingScore, 
   calculateCollaborationScore, 
   calculateInitiativeScore,
-  calculateOverallScore
+  explainProblemSolvingScore,
+  explainCollaborationScore,
+  explainInitiativeScore,
+  DEFAULT_SCORING_CONFIG
 } = require('../src/services/scoringService');
 
 describe('Scoring Service', () => {
@@ -75,16 +78,166 @@ describe('Scoring Service', () => {
     });
   });
 
-  describe('calculateOverallScore', () => {
-    test('should calculate weighted average of all scores', () => {
-      const overall = calculateOverallScore(80, 70, 90);
-      // Expected: 80*0.4 + 70*0.3 + 90*0.3 = 32 + 21 + 27 = 80
-      expect(overall).toBe(80);
+  describe('custom scoring configuration', () => {
+    const withSection = (section, settings) => ({
+      ...DEFAULT_SCORING_CONFIG,
+      [section]: { ...DEFAULT_SCORING_CONFIG[section], ...settings }
     });
 
-    test('should handle edge cases', () => {
-      expect(calculateOverallScore(0, 0, 0)).toBe(0);
-      expect(calculateOverallScore(100, 100, 100)).toBe(100);
+    test('should use the configured keywords, matching them literally', () => {
+      const config = withSection('problem_solving', {
+        problem_keywords: ['c++', 'hotfix'],
+        question_keywords: [],
+        answer_keywords: []
+      });
+      expect(calculateProblemSolvingScore('Shipped a C++ hotfix', config)).toBe(10);
+      expect(calculateProblemSolvingScore('Fixed the bug', config)).toBe(0);
+    });
+
+    test('should use the configured collaboration points and caps', () => {
+      const kudos = [
+        { from_employee_id: 'emp1', to_employee_id: 'emp2' },
+        { from_employee_id: 'emp3', to_employee_id: 'emp2' }
+      ];
+      const employees = [
+        { employee_id: 'emp1', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp2', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp3', team: 'TeamA', department: 'DeptA' }
+      ];
+
+      expect(calculateCollaborationScore(kudos, employees)).toBe(20);
+      expect(calculateCollaborationScore(kudos, employees, withSection('collaboration', {
+        unique_sender_points: 50,
+        unique_sender_max: 80
+      }))).toBe(80);
+    });
+
+    test('should use the configured proactive phrases', () => {
+      const config = withSection('initiative', { keywords: [], proactive_phrases: ['je vais'] });
+      expect(calculateInitiativeScore('Je vais corriger le build', config)).toBe(10);
+    });
+  });
+
+  describe('explain mode', () => {
+    test('should report the matched keywords, question/answer counts and sub-scores', () => {
+      const content = 'How do we fix this bug? I suggest we debug it';
+      const explanation = explainProblemSolvingScore(content);
+
+      expect(explanation.matched).toEqual({
+        problem_keywords: { fix: 1, debug: 1, bug: 1 },
+        question_keywords: { how: 1 },
+        answer_keywords: { 'i suggest': 1 }
+      });
+      expect(explanation.question_count).toBe(1);
+      expect(explanation.answer_count).toBe(1);
+      expect(explanation.sub_scores).toEqual({ qa_ratio: 35, keywords: 15 });
+      expect(explanation.score).toBe(calculateProblemSolvingScore(content));
+    });
+
+    test('should report capped initiative sub-scores', () => {
+      const content = 'I will build it. I will ship it. I will test it. I will document it. I will demo it.';
+      const explanation = explainInitiativeScore(content);
+
+      expect(explanation.matched.proactive_phrases).toEqual({ 'i will': 5 });
+      expect(explanation.sub_scores).toEqual({ keywords: 0, proactive_phrases: 40 });
+      expect(explanation.score).toBe(calculateInitiativeScore(content));
+    });
+
+    test('should list unique senders and the kudos that counted as cross-functional', () => {
+      const kudos = [
+        { id: 'k1', from_employee_id: 'emp1', to_employee_id: 'emp2' },
+        { id: 'k2', from_employee_id: 'emp3', to_employee_id: 'emp2' },
+        { id: 'k3', from_employee_id: 'emp1', to_employee_id: 'emp2' }
+      ];
+      const employees = [
+        { employee_id: 'emp1', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp2', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp3', team: 'TeamC', department: 'DeptA' }
+      ];
+
+      const explanation = explainCollaborationScore(kudos, employees);
+
+      expect(explanation.unique_senders).toEqual(['emp1', 'emp3']);
+      expect(explanation.cross_functional_kudos).toEqual([
+        { kudos_id: 'k2', from_employee_id: 'emp3', sender_team: 'TeamC', sender_department: 'DeptA', weight: 1 }
+      ]);
+      expect(explanation.sub_scores).toEqual({ unique_senders: 20, cross_functional: 20 });
+      expect(explanation.score).toBe(calculateCollaborationScore(kudos, employees));
+    });
+
+    test('should compare senders with the receiving employee of group kudos', () => {
+      const kudos = [
+        { id: 'k1', from_employee_id: 'emp1', to_employee_id: 'emp2', is_group: true, recipient_ids: ['emp2', 'emp3'] },
+        { id: 'k2', from_employee_id: 'emp2', to_employee_id: 'emp3' }
+      ];
+      const employees = [
+        { employee_id: 'emp1', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp2', team: 'TeamA', department: 'DeptA' },
+        { employee_id: 'emp3', team: 'TeamC', department: 'DeptA' }
+      ];
+
+      expect(explainCollaborationScore(kudos, employees).cross_functional_kudos.map(record => record.kudos_id))
+        .toEqual(['k1', 'k2']);
+      expect(explainCollaborationScore([kudos[0]], employees, DEFAULT_SCORING_CONFIG, () => 1, 'emp2').cross_functional_kudos)
+        .toEqual([]);
+    });
+
+    test('should explain empty input as a zero score', () => {
+      expect(explainProblemSolvingScore(null).score).toBe(0);
+      expect(explainInitiativeScore('').score).toBe(0);
+      expect(explainCollaborationScore([], []).score).toBe(0);
+    });
+  });
+
+  describe('multilingual scoring', () => {
+    test('should score Spanish, German and Indonesian content with their dictionaries', () => {
+      const spanish = explainProblemSolvingScore('¿Cómo puedo solucionar este error? Te sugiero reiniciar el servicio.');
+      expect(spanish.language).toBe('es');
+      expect(spanish.matched.problem_keywords).toEqual({ solucionar: 1, error: 1 });
+      expect(spanish.score).toBeGreaterThan(0);
+
+      const german = explainInitiativeScore('Ich werde einen Vorschlag für das Deployment machen');
+      expect(german.language).toBe('de');
+      expect(german.matched).toEqual({ keywords: { vorschlag: 1 }, proactive_phrases: { 'ich werde': 1 } });
+
+      const indonesian = explainProblemSolvingScore('Saya sudah memperbaiki masalah di server, sebaiknya gunakan cache');
+      expect(indonesian.language).toBe('id');
+      expect(indonesian.score).toBe(80);
+    });
+
+    test('should match accented keywords as whole words only', () => {
+      const explanation = explainProblemSolvingScore('La solución funciona, hay que solucionarlo', undefined, 'es');
+
+      expect(explanation.matched.problem_keywords).toEqual({ 'solución': 1 });
+    });
+
+    test('should use the default language when detection is off', () => {
+      const config = { ...DEFAULT_SCORING_CONFIG, language: { default_language: 'id', detect: false } };
+
+      expect(explainProblemSolvingScore('the masalah is fixed', config).language).toBe('id');
+      expect(explainProblemSolvingScore('the masalah is fixed', config).matched.problem_keywords).toEqual({ masalah: 1 });
+    });
+
+    test('should keep scoring English content with the configured lists', () => {
+      const config = {
+        ...DEFAULT_SCORING_CONFIG,
+        initiative: { ...DEFAULT_SCORING_CONFIG.initiative, keywords: ['shipped'] }
+      };
+
+      const explanation = explainInitiativeScore('We shipped the new dashboard', config);
+      expect(explanation.language).toBe('en');
+      expect(explanation.matched.keywords).toEqual({ shipped: 1 });
+    });
+
+    test('should add the dictionary terms to the configured lists', () => {
+      const config = {
+        ...DEFAULT_SCORING_CONFIG,
+        problem_solving: { ...DEFAULT_SCORING_CONFIG.problem_solving, problem_keywords: ['kubernetes'] }
+      };
+
+      const explanation = explainProblemSolvingScore('¿Cómo puedo solucionar el problema de kubernetes?', config);
+      expect(explanation.language).toBe('es');
+      expect(explanation.matched.problem_keywords).toEqual({ kubernetes: 1, solucionar: 1, problema: 1 });
     });
   });
 });
\ No newline at end of file
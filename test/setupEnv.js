@@ -0,0 +1,7 @@
+/**
+ * Jest Environment Setup
+ * Runs before every test file so the suite never needs a live Supabase project.
+ * Tests that mock src/utils/supabaseClient are unaffected; everything else gets
+ * the in-memory client. Export SUPABASE_CLIENT=remote to test against a real project.
+ */
+process.env.SUPABASE_CLIENT = process.env.SUPABASE_CLIENT || 'memory';
\ No newline at end of file
@@ -5,7 +5,16 @@ jest.mock('../../../src/utils/supabaseClient', () => ({
   }
 }));
 
-const { authenticateToken } = require('../../../src/middleware/authMiddleware');
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { authenticateToken, authorize } = require('../../../src/middleware/authMiddleware');
+const { AuthenticationError, AuthorizationError } = require('../../../src/utils/customErrors');
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -99,4 +108,38 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
   });
+
+  describe('authorize', () => {
+    test('should allow users with one of the given roles', () => {
+      req.user = { id: 'user-id', app_metadata: { role: 'manager' } };
+
+      authorize('tenant_admin', 'manager')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.userRole).toBe('manager');
+    });
+
+    test('should treat users without a role as employees', () => {
+      req.user = { id: 'user-id', app_metadata: {} };
+
+      authorize('tenant_admin')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AuthorizationError));
+      expect(next.mock.calls[0][0].message).toBe('Access denied: requires one of the roles tenant_admin');
+    });
+
+    test('should always allow super admins', () => {
+      req.user = { id: 'user-id', app_metadata: { role: 'super_admin' } };
+
+      authorize('tenant_admin')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should require authentication', () => {
+      authorize('employee')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AuthenticationError));
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,114 @@
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const interactionRepository = require('../../../src/repositories/interactionRepository');
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const teamRepository = require('../../../src/repositories/teamRepository');
+const departmentRepository = require('../../../src/repositories/departmentRepository');
+const { getCollaborationMatrix } = require('../../../src/services/collaborationMatrixService');
+const { createMockEmployee, createMockKudos } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/interactionRepository');
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/teamRepository');
+jest.mock('../../../src/repositories/departmentRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Collaboration Matrix Service', () => {
+  const page = data => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages: 1 } });
+  const interaction = (from, to, timestamp = '2024-05-02T09:00:00.000Z') =>
+    ({ from_employee_id: from, to_employee_id: to, interaction_type: 'chat', content: 'Hi', timestamp });
+  const may = { period: 'monthly', reference_date: '2024-05-20' };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    employeeRepository.getEmployees.mockResolvedValue(page([
+      createMockEmployee({ employee_id: 'ana', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'ben', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'cy', team: 'sales', department: 'gtm' }),
+      createMockEmployee({ employee_id: 'dee', team: 'infra', department: 'eng' })
+    ]));
+    interactionRepository.getInteractions.mockResolvedValue(page([
+      interaction('ana', 'ben'),
+      interaction('ana', 'cy'),
+      interaction('ana', 'ana'),
+      // Counts once for core and once for sales, however many core recipients it has
+      { ...interaction('dee', 'ana'), is_group: true, recipient_ids: ['ana', 'ben', 'cy'] },
+      interaction('ana', 'cy', '2024-04-10T09:00:00.000Z'),
+      interaction('ana', 'cy', '2024-04-11T09:00:00.000Z'),
+      interaction('cy', 'dee', '2024-04-12T09:00:00.000Z'),
+      interaction('cy', 'dee', '2024-02-12T09:00:00.000Z')
+    ]));
+    kudosRepository.getKudos.mockResolvedValue(page([
+      createMockKudos({ from_employee_id: 'cy', to_employee_id: 'ana', timestamp: '2024-05-03T09:00:00.000Z' })
+    ]));
+    teamRepository.getTeamById.mockImplementation(async (tenantId, teamId) =>
+      (teamId === 'core' ? { team_id: 'core', name: 'Core Platform' } : null));
+    departmentRepository.getDepartmentById.mockRejectedValue(new Error('Department not found'));
+  });
+  
+  test('should count interactions and kudos between teams with the change from the previous period', async () => {
+    const matrix = await getCollaborationMatrix('tenant', may);
+    
+    expect(matrix).toMatchObject({
+      group_by: 'team',
+      period_type: 'monthly',
+      period_start: '2024-05-01T00:00:00.000Z',
+      previous_period_start: '2024-04-01T00:00:00.000Z',
+      previous_period_end: '2024-05-01T00:00:00.000Z'
+    });
+    expect(matrix.groups).toEqual([
+      { id: 'core', name: 'Core Platform', member_count: 2 },
+      { id: 'infra', name: 'infra', member_count: 1 },
+      { id: 'sales', name: 'sales', member_count: 1 }
+    ]);
+    expect(matrix.cells).toEqual([
+      { from: 'core', to: 'core', interaction_count: 1, kudos_count: 0, total: 1, previous_total: 0, change: 1, change_percent: null },
+      { from: 'core', to: 'sales', interaction_count: 1, kudos_count: 0, total: 1, previous_total: 2, change: -1, change_percent: -50 },
+      { from: 'infra', to: 'core', interaction_count: 1, kudos_count: 0, total: 1, previous_total: 0, change: 1, change_percent: null },
+      { from: 'infra', to: 'sales', interaction_count: 1, kudos_count: 0, total: 1, previous_total: 0, change: 1, change_percent: null },
+      { from: 'sales', to: 'core', interaction_count: 0, kudos_count: 1, total: 1, previous_total: 0, change: 1, change_percent: null },
+      { from: 'sales', to: 'infra', interaction_count: 0, kudos_count: 0, total: 0, previous_total: 1, change: -1, change_percent: -100 }
+    ]);
+    expect(matrix.matrix).toEqual({
+      core: { core: 1, infra: 0, sales: 1 },
+      infra: { core: 1, infra: 0, sales: 1 },
+      sales: { core: 1, infra: 0, sales: 0 }
+    });
+    expect(matrix.summary).toEqual({
+      total: 5,
+      cross_group_total: 4,
+      cross_group_share: 0.8,
+      previous: { total: 3, cross_group_total: 3, cross_group_share: 1 }
+    });
+  });
+  
+  test('should group by department', async () => {
+    const matrix = await getCollaborationMatrix('tenant', { ...may, group_by: 'department' });
+    
+    expect(matrix.groups.map(group => group.id)).toEqual(['eng', 'gtm']);
+    expect(matrix.groups[0]).toEqual({ id: 'eng', name: 'eng', member_count: 3 });
+    expect(matrix.matrix).toEqual({ eng: { eng: 2, gtm: 2 }, gtm: { eng: 1, gtm: 0 } });
+  });
+  
+  test('should default to the current month and have no trend for all time', async () => {
+    const current = await getCollaborationMatrix('tenant');
+    expect(current.period_type).toBe('monthly');
+    
+    const allTime = await getCollaborationMatrix('tenant', { period: 'all_time' });
+    expect(allTime).toMatchObject({ previous_period_start: null, previous_period_end: null });
+    expect(allTime.summary.previous).toBeNull();
+    expect(allTime.cells.find(cell => cell.from === 'sales' && cell.to === 'infra'))
+      .toMatchObject({ total: 2, previous_total: null, change: null, change_percent: null });
+  });
+  
+  test('should reject invalid options', async () => {
+    await expect(getCollaborationMatrix('tenant', { group_by: 'office' }))
+      .rejects.toThrow('Validation failed: Group by must be one of: team, department');
+    await expect(getCollaborationMatrix('tenant', { period: 'yearly' })).rejects.toThrow('Period must be one of');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const interactionRepository = require('../../../src/repositories/interactionRepository');
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const { buildContributionGraph } = require('../../../src/services/contributionGraphService');
+const { toGraphML, toGEXF } = require('../../../src/utils/graphExport');
+const { createMockEmployee, createMockKudos } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/interactionRepository');
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Contribution Graph Service', () => {
+  const page = data => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages: 1 } });
+  const interaction = (from, to, timestamp = '2024-05-02T09:00:00.000Z') =>
+    ({ from_employee_id: from, to_employee_id: to, interaction_type: 'chat', content: 'Hi', timestamp });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    employeeRepository.getEmployees.mockResolvedValue(page([
+      createMockEmployee({ employee_id: 'ana', name: 'Ana', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'ben', name: 'Ben', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'cy', name: 'Cy & Co', team: 'sales', department: 'gtm' })
+    ]));
+    interactionRepository.getInteractions.mockResolvedValue(page([
+      interaction('ana', 'ben'),
+      interaction('ana', 'ben', '2024-04-20T09:00:00.000Z'),
+      interaction('ben', 'ben'),
+      { ...interaction('cy', 'ana'), is_group: true, recipient_ids: ['ana', 'ben'] }
+    ]));
+    kudosRepository.getKudos.mockResolvedValue(page([
+      createMockKudos({ from_employee_id: 'ben', to_employee_id: 'ana', timestamp: '2024-05-03T09:00:00.000Z' }),
+      // Former or unknown employees are not in the graph
+      createMockKudos({ from_employee_id: 'gone', to_employee_id: 'ana', timestamp: '2024-05-03T09:00:00.000Z' })
+    ]));
+  });
+  
+  test('should add up interactions and kudos per directed pair', async () => {
+    const graph = await buildContributionGraph('tenant');
+    
+    expect(employeeRepository.getEmployees).toHaveBeenCalledWith('tenant', 1, 1000, { activeOnly: true });
+    expect(graph.edges).toEqual([
+      { source: 'ana', target: 'ben', weight: 2, interaction_count: 2, kudos_count: 0 },
+      { source: 'ben', target: 'ana', weight: 1, interaction_count: 0, kudos_count: 1 },
+      { source: 'cy', target: 'ana', weight: 1, interaction_count: 1, kudos_count: 0 },
+      { source: 'cy', target: 'ben', weight: 1, interaction_count: 1, kudos_count: 0 }
+    ]);
+    expect(graph.nodes[0]).toEqual({ id: 'ana', name: 'Ana', team: 'core', department: 'eng', out_weight: 2, in_weight: 2 });
+    expect(graph).toMatchObject({ period_type: 'all_time', node_count: 3, edge_count: 4 });
+  });
+  
+  test('should filter by period, team, department and minimum weight', async () => {
+    const may = await buildContributionGraph('tenant', { period: 'custom', from: '2024-05-01', to: '2024-05-31' });
+    expect(may.edges.find(edge => edge.source === 'ana')).toMatchObject({ weight: 1 });
+    
+    const core = await buildContributionGraph('tenant', { team: 'core' });
+    expect(core.nodes.map(node => node.id)).toEqual(['ana', 'ben']);
+    expect(core.edges.map(edge => `${edge.source}>${edge.target}`)).toEqual(['ana>ben', 'ben>ana']);
+    
+    const gtm = await buildContributionGraph('tenant', { department: 'gtm' });
+    expect(gtm).toMatchObject({ node_count: 1, edge_count: 0 });
+    
+    const strong = await buildContributionGraph('tenant', { min_weight: 2 });
+    expect(strong.edges).toHaveLength(1);
+    expect(strong.nodes.find(node => node.id === 'cy')).toMatchObject({ out_weight: 0, in_weight: 0 });
+  });
+  
+  test('should reject invalid options', async () => {
+    await expect(buildContributionGraph('tenant', { min_weight: -1 }))
+      .rejects.toThrow('Validation failed: Minimum edge weight must be a number of at least 0');
+    await expect(buildContributionGraph('tenant', { min_weight: NaN })).rejects.toThrow('Minimum edge weight');
+    await expect(buildContributionGraph('tenant', { period: 'yearly' })).rejects.toThrow('Period must be one of');
+  });
+  
+  test('should export the graph as GraphML and GEXF', async () => {
+    const graph = await buildContributionGraph('tenant');
+    
+    const graphml = toGraphML(graph);
+    expect(graphml).toContain('<graph id="contributions" edgedefault="directed">');
+    expect(graphml).toContain('<data key="name">Cy &amp; Co</data>');
+    expect(graphml).toContain('<edge id="e0" source="ana" target="ben">');
+    expect(graphml.match(/<edge /g)).toHaveLength(4);
+    
+    const gexf = toGEXF(graph);
+    expect(gexf).toContain('<gexf xmlns="http://gexf.net/1.3" version="1.3">');
+    expect(gexf).toContain('<node id="cy" label="Cy &amp; Co">');
+    expect(gexf).toContain('<edge id="0" source="ana" target="ben" weight="2">');
+    expect(gexf).toContain('<attvalue for="interaction_count" value="2"/>');
+  });
+});
\ No newline at end of file
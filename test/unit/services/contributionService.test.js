@@ -0,0 +1,308 @@
+const contributionService = require('../../../src/services/contributionService');
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const interactionRepository = require('../../../src/repositories/interactionRepository');
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const contributionRepository = require('../../../src/repositories/contributionRepository');
+const scoringConfigRepository = require('../../../src/repositories/scoringConfigRepository');
+const { DEFAULT_SCORING_CONFIG } = require('../../../src/services/scoringService');
+const { createMockEmployee, createMockInteraction, createMockKudos } = require('../../testDataFactory');
+
+// Mock the repositories and logger
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/interactionRepository');
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/contributionRepository');
+jest.mock('../../../src/repositories/scoringConfigRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Contribution Service', () => {
+  const testTenantId = 'test-tenant';
+  const page = data => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages: 1 } });
+  
+  const employees = [
+    createMockEmployee({ employee_id: 'alice', team: 'Backend', department: 'Engineering' }),
+    createMockEmployee({ employee_id: 'bob', team: 'Backend', department: 'Engineering' }),
+    createMockEmployee({ employee_id: 'carol', team: 'Sales', department: 'Revenue' }),
+    createMockEmployee({ employee_id: 'gone', team: 'Backend', deleted_at: '2024-01-01T00:00:00.000Z' })
+  ];
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    employeeRepository.getEmployees.mockResolvedValue(page(employees));
+    interactionRepository.getInteractions.mockResolvedValue(page([
+      createMockInteraction({ from_employee_id: 'alice', to_employee_id: 'bob', content: 'Fixed the login bug and resolved the outage' })
+    ]));
+    kudosRepository.getKudos.mockResolvedValue(page([
+      createMockKudos({ from_employee_id: 'carol', to_employee_id: 'alice' }),
+      createMockKudos({ from_employee_id: 'bob', to_employee_id: 'alice' })
+    ]));
+    contributionRepository.createContributions.mockImplementation(async (tenantId, rows) => rows);
+    scoringConfigRepository.getLatestConfig.mockResolvedValue(null);
+  });
+  
+  describe('recalculateContributionsBatch', () => {
+    test('should load data once and store every contribution in one insert', async () => {
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'all' });
+      
+      expect(employeeRepository.getEmployees).toHaveBeenCalledTimes(1);
+      expect(interactionRepository.getInteractions).toHaveBeenCalledTimes(1);
+      expect(kudosRepository.getKudos).toHaveBeenCalledTimes(1);
+      expect(interactionRepository.getInteractionsByEmployeeId).not.toHaveBeenCalled();
+      expect(contributionRepository.createContributions).toHaveBeenCalledTimes(1);
+      
+      const rows = contributionRepository.createContributions.mock.calls[0][1];
+      expect(rows.map(row => row.employee_id)).toEqual(['alice', 'bob', 'carol']);
+      expect(report).toMatchObject({ scope: 'all', employees_requested: 3, employees_updated: 3, employees_failed: 0 });
+    });
+    
+    test('should score employees from the interactions they sent and the kudos they received', async () => {
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice', 'bob']
+      });
+      
+      const alice = report.results.find(result => result.employee_id === 'alice');
+      const bob = report.results.find(result => result.employee_id === 'bob');
+      
+      // Two senders (20) plus one from another team (20)
+      expect(alice.scores.collaboration_score).toBe(40);
+      expect(alice.scores.problem_solving_score).toBeGreaterThan(0);
+      expect(bob.scores).toEqual({
+        dimension_scores: { problem_solving: 0, collaboration: 0, initiative: 0 },
+        problem_solving_score: 0,
+        collaboration_score: 0,
+        initiative_score: 0,
+        overall_score: 0
+      });
+    });
+    
+    test('should credit the employee who helped, not the one who asked', async () => {
+      interactionRepository.getInteractions.mockResolvedValue(page([
+        createMockInteraction({ from_employee_id: 'bob', to_employee_id: 'alice', content: 'Can you help me with the deploy?' }),
+        createMockInteraction({
+          from_employee_id: 'alice',
+          to_employee_id: 'bob',
+          content: 'I suggest you try the rollback script, the solution is to fix the bug in the config'
+        })
+      ]));
+      
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice', 'bob']
+      });
+      
+      const alice = report.results.find(result => result.employee_id === 'alice');
+      const bob = report.results.find(result => result.employee_id === 'bob');
+      expect(alice.scores.problem_solving_score).toBeGreaterThan(bob.scores.problem_solving_score);
+      expect(alice.scores.initiative_score).toBeGreaterThan(bob.scores.initiative_score);
+    });
+    
+    test('should report requested employees that do not exist or are deleted', async () => {
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice', 'gone', 'nobody']
+      });
+      
+      expect(report).toMatchObject({ employees_requested: 3, employees_updated: 1, employees_failed: 2 });
+      expect(report.results.filter(result => result.status === 'not_found').map(result => result.employee_id))
+        .toEqual(['gone', 'nobody']);
+    });
+    
+    test('should limit the team and department scopes to their active members', async () => {
+      const team = await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'team', team_id: 'Backend' });
+      expect(team.results.map(result => result.employee_id)).toEqual(['alice', 'bob']);
+      
+      const department = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'department',
+        department_id: 'Revenue'
+      });
+      expect(department.results.map(result => result.employee_id)).toEqual(['carol']);
+    });
+    
+    test('should score with the tenant configuration and record its version', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({
+        version: 4,
+        config: { ...DEFAULT_SCORING_CONFIG, weights: { problem_solving: 0, collaboration: 1, initiative: 0 } }
+      });
+      
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice']
+      });
+      
+      expect(report.scoring_config_version).toBe(4);
+      expect(report.results[0].scores.overall_score).toBe(40);
+      expect(contributionRepository.createContributions.mock.calls[0][1][0].scoring_config_version).toBe(4);
+    });
+    
+    test('should score the dimensions the configuration enables and store them as a map', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({
+        version: 6,
+        config: { ...DEFAULT_SCORING_CONFIG, weights: { collaboration: 0.5, mentorship: 0.5 } }
+      });
+      interactionRepository.getInteractions.mockResolvedValue(page([
+        createMockInteraction({ from_employee_id: 'alice', to_employee_id: 'alice', content: 'Thanks for mentoring me this sprint' })
+      ]));
+      
+      await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'employees', employee_ids: ['alice'] });
+      
+      const row = contributionRepository.createContributions.mock.calls[0][1][0];
+      // One mentorship keyword (10) and collaboration 40, weighted equally
+      expect(row.dimension_scores).toEqual({ collaboration: 40, mentorship: 10 });
+      expect(row).toMatchObject({
+        problem_solving_score: null,
+        collaboration_score: 40,
+        initiative_score: null,
+        overall_score: 25
+      });
+      expect(row.explanation.dimensions.mentorship.interactions[0].matched.keywords).toEqual({ mentoring: 1 });
+    });
+    
+    test('should store the evidence behind every score with the contribution', async () => {
+      await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'employees', employee_ids: ['alice'] });
+      
+      const { explanation } = contributionRepository.createContributions.mock.calls[0][1][0];
+      expect(explanation.scoring_config_version).toBe(0);
+      expect(explanation.dimensions.problem_solving.interactions).toHaveLength(1);
+      expect(explanation.dimensions.problem_solving.interactions[0].matched.problem_keywords).toEqual({ bug: 1 });
+      expect(explanation.dimensions.collaboration).toMatchObject({
+        provided: false,
+        unique_senders: ['carol', 'bob'],
+        cross_functional_kudos: [expect.objectContaining({ from_employee_id: 'carol' })]
+      });
+      expect(explanation.overall.weights).toEqual(DEFAULT_SCORING_CONFIG.weights);
+    });
+    
+    test('should only count activity inside the requested period', async () => {
+      kudosRepository.getKudos.mockResolvedValue(page([
+        createMockKudos({ from_employee_id: 'carol', to_employee_id: 'alice', timestamp: '2024-03-05T10:00:00.000Z' }),
+        createMockKudos({ from_employee_id: 'bob', to_employee_id: 'alice', timestamp: '2024-02-05T10:00:00.000Z' })
+      ]));
+      
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice'],
+        period: 'monthly',
+        reference_date: '2024-03-20'
+      });
+      
+      expect(report).toMatchObject({
+        period_type: 'monthly',
+        period_start: '2024-03-01T00:00:00.000Z',
+        period_end: '2024-04-01T00:00:00.000Z'
+      });
+      // One sender (10) from another team (20); the February kudos is outside the period
+      expect(report.results[0].scores.collaboration_score).toBe(30);
+      expect(contributionRepository.createContributions.mock.calls[0][1][0]).toMatchObject({
+        period_type: 'monthly',
+        period_start: '2024-03-01T00:00:00.000Z'
+      });
+    });
+    
+    test('should weight older activity less with decay', async () => {
+      kudosRepository.getKudos.mockResolvedValue(page([
+        createMockKudos({ from_employee_id: 'bob', to_employee_id: 'alice', timestamp: '2024-01-01T00:00:00.000Z' }),
+        createMockKudos({ from_employee_id: 'carol', to_employee_id: 'alice', timestamp: '2024-01-31T00:00:00.000Z' })
+      ]));
+      
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, {
+        scope: 'employees',
+        employee_ids: ['alice'],
+        period: 'custom',
+        from: '2024-01-01',
+        to: '2024-01-31',
+        decay_half_life_days: 1
+      });
+      
+      // bob's kudos is 31 half-lives old and barely counts; carol's is one day old (weight 0.5)
+      expect(report.results[0].scores.collaboration_score).toBe(15);
+    });
+    
+    test('should down-weight kudos flagged as gaming', async () => {
+      // bob and alice trade three kudos each within a week; carol's kudos is not flagged
+      const traded = [1, 2, 3].flatMap(day => [
+        createMockKudos({ from_employee_id: 'bob', to_employee_id: 'alice', timestamp: `2024-03-0${day}T10:00:00.000Z` }),
+        createMockKudos({ from_employee_id: 'alice', to_employee_id: 'bob', timestamp: `2024-03-0${day}T11:00:00.000Z` })
+      ]);
+      kudosRepository.getKudos.mockResolvedValue(page([
+        ...traded,
+        createMockKudos({ from_employee_id: 'carol', to_employee_id: 'alice', timestamp: '2024-03-04T10:00:00.000Z' })
+      ]));
+      
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'employees', employee_ids: ['alice'] });
+      
+      // carol counts fully (10 + 20 cross-functional), bob with the flagged weight 0.5 (5)
+      expect(report.results[0].scores.collaboration_score).toBe(35);
+      const { explanation } = contributionRepository.createContributions.mock.calls[0][1][0];
+      expect(explanation.dimensions.collaboration.flagged_kudos).toHaveLength(3);
+      expect(explanation.dimensions.collaboration.flagged_kudos[0]).toMatchObject({
+        from_employee_id: 'bob',
+        flags: ['reciprocal'],
+        weight: 0.5
+      });
+    });
+    
+    test('should not insert anything when the scope matches nobody', async () => {
+      const report = await contributionService.recalculateContributionsBatch(testTenantId, { scope: 'team', team_id: 'Nobody' });
+      
+      expect(report.employees_requested).toBe(0);
+      expect(contributionRepository.createContributions).not.toHaveBeenCalled();
+    });
+    
+    test('should reject invalid scopes', async () => {
+      await expect(contributionService.recalculateContributionsBatch(testTenantId, { scope: 'company' }))
+        .rejects
+        .toThrow('Validation failed: Scope must be one of');
+      await expect(contributionService.recalculateContributionsBatch(testTenantId, { scope: 'employees', employee_ids: [] }))
+        .rejects
+        .toThrow('Employee IDs are required');
+      await expect(contributionService.recalculateContributionsBatch(testTenantId, { scope: 'team' }))
+        .rejects
+        .toThrow('Team ID is required');
+      await expect(contributionService.recalculateContributionsBatch(testTenantId, { scope: 'all', period: 'yearly' }))
+        .rejects
+        .toThrow('Period must be one of');
+      expect(employeeRepository.getEmployees).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('calculateContributionScores', () => {
+    test('should keep provided scores and calculate the rest', async () => {
+      interactionRepository.getInteractionsByEmployeeId.mockResolvedValue([]);
+      kudosRepository.getKudosByEmployeeId.mockResolvedValue([]);
+      
+      const scores = await contributionService.calculateContributionScores(testTenantId, 'bob', { problem_solving: 80 });
+      
+      expect(interactionRepository.getInteractionsByEmployeeId).toHaveBeenCalledWith(testTenantId, 'bob', 'sent');
+      expect(scores).toEqual({
+        dimension_scores: { problem_solving: 80, collaboration: 0, initiative: 0 },
+        problem_solving_score: 80,
+        collaboration_score: 0,
+        initiative_score: 0,
+        overall_score: 32,
+        scoring_config_version: 0,
+        period_type: 'all_time',
+        period_start: null,
+        period_end: expect.any(String),
+        decay_half_life_days: null,
+        explanation: expect.objectContaining({
+          dimensions: expect.objectContaining({
+            problem_solving: { score: 80, provided: true },
+            collaboration: expect.objectContaining({ provided: false, score: 0 })
+          })
+        })
+      });
+    });
+    
+    test('should fail for unknown employees', async () => {
+      await expect(contributionService.calculateContributionScores(testTenantId, 'nobody'))
+        .rejects
+        .toThrow('Employee not found');
+    });
+  });
+});
\ No newline at end of file
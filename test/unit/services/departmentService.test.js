@@ -0,0 +1,115 @@
+const departmentService = require('../../../src/services/departmentService');
+const departmentRepository = require('../../../src/repositories/departmentRepository');
+const teamRepository = require('../../../src/repositories/teamRepository');
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+
+// Mock the repositories
+jest.mock('../../../src/repositories/departmentRepository');
+jest.mock('../../../src/repositories/teamRepository');
+jest.mock('../../../src/repositories/employeeRepository');
+
+describe('Department Service', () => {
+  const testTenantId = 'test-tenant';
+  const notFound = () => Object.assign(new Error('no rows'), { code: 'PGRST116' });
+
+  // eng <- platform <- infra, sales (archived)
+  const departments = {
+    eng: { department_id: 'eng', name: 'Engineering', parent_department_id: null, archived: false },
+    platform: { department_id: 'platform', name: 'Platform', parent_department_id: 'eng', archived: false },
+    infra: { department_id: 'infra', name: 'Infrastructure', parent_department_id: 'platform', archived: false },
+    sales: { department_id: 'sales', name: 'Sales', parent_department_id: null, archived: true }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    departmentRepository.getDepartmentById.mockImplementation(async (tenantId, departmentId) => {
+      if (departments[departmentId]) return departments[departmentId];
+      throw notFound();
+    });
+    departmentRepository.createDepartment.mockImplementation(async (tenantId, data) => data);
+    departmentRepository.updateDepartment.mockImplementation(async (tenantId, departmentId, data) => ({ ...departments[departmentId], ...data }));
+    employeeRepository.getEmployeeById.mockResolvedValue({ employee_id: 'alice' });
+  });
+
+  describe('createDepartment', () => {
+    test('should create a department under an active parent', async () => {
+      const result = await departmentService.createDepartment(testTenantId, {
+        department_id: 'data',
+        name: 'Data',
+        parent_department_id: 'eng',
+        lead_employee_id: 'alice',
+        unknown: 'ignored'
+      });
+
+      expect(result).toEqual({ department_id: 'data', name: 'Data', parent_department_id: 'eng', lead_employee_id: 'alice' });
+    });
+
+    test('should reject invalid data, duplicates, archived parents and unknown leads', async () => {
+      await expect(departmentService.createDepartment(testTenantId, { department_id: 'has space' }))
+        .rejects
+        .toThrow('Validation failed: Department ID must be at most 50 letters, digits, dashes or underscores, Name is required');
+      await expect(departmentService.createDepartment(testTenantId, { department_id: 'eng', name: 'Engineering' }))
+        .rejects
+        .toThrow('Department ID already exists');
+      await expect(departmentService.createDepartment(testTenantId, { department_id: 'emea', name: 'EMEA', parent_department_id: 'sales' }))
+        .rejects
+        .toThrow('Department sales is archived');
+
+      employeeRepository.getEmployeeById.mockRejectedValue(notFound());
+      await expect(departmentService.createDepartment(testTenantId, { department_id: 'data', name: 'Data', lead_employee_id: 'ghost' }))
+        .rejects
+        .toThrow('Lead employee ghost not found');
+      expect(departmentRepository.createDepartment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDepartment', () => {
+    test('should archive a department', async () => {
+      const result = await departmentService.updateDepartment(testTenantId, 'infra', { archived: true });
+
+      expect(result.archived).toBe(true);
+      expect(departmentRepository.updateDepartment).toHaveBeenCalledWith(testTenantId, 'infra', { archived: true });
+    });
+
+    test('should reject renaming the ID and parent cycles', async () => {
+      await expect(departmentService.updateDepartment(testTenantId, 'eng', { department_id: 'engineering' }))
+        .rejects
+        .toThrow('Department ID cannot be changed');
+      await expect(departmentService.updateDepartment(testTenantId, 'eng', { parent_department_id: 'eng' }))
+        .rejects
+        .toThrow('cannot be its own parent');
+      await expect(departmentService.updateDepartment(testTenantId, 'eng', { parent_department_id: 'infra' }))
+        .rejects
+        .toThrow('Parent department infra would create a cycle');
+    });
+
+    test('should report unknown departments as not found', async () => {
+      await expect(departmentService.updateDepartment(testTenantId, 'nope', { name: 'Nope' }))
+        .rejects
+        .toThrow('Department not found');
+    });
+  });
+
+  describe('deleteDepartment', () => {
+    test('should delete a department nothing refers to', async () => {
+      employeeRepository.countEmployees.mockResolvedValue(0);
+      teamRepository.getTeams.mockResolvedValue([]);
+      departmentRepository.getDepartments.mockResolvedValue([]);
+      departmentRepository.deleteDepartment.mockResolvedValue(departments.infra);
+
+      await expect(departmentService.deleteDepartment(testTenantId, 'infra')).resolves.toEqual(departments.infra);
+      expect(employeeRepository.countEmployees).toHaveBeenCalledWith(testTenantId, { department: 'infra' });
+    });
+
+    test('should refuse to delete a department that is still in use', async () => {
+      employeeRepository.countEmployees.mockResolvedValue(2);
+      teamRepository.getTeams.mockResolvedValue([{ team_id: 'sre' }]);
+      departmentRepository.getDepartments.mockResolvedValue([departments.infra]);
+
+      await expect(departmentService.deleteDepartment(testTenantId, 'platform'))
+        .rejects
+        .toThrow('Department platform still has 2 employee(s), 1 team(s), 1 sub-department(s); archive it instead');
+      expect(departmentRepository.deleteDepartment).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -4,16 +4,29 @@ process.env.SUPABASE_KEY = 'test-key';
 
 const employeeService = require('../../../src/services/employeeService');
 const employeeRepository = require('../../../src/repositories/employeeRepository');
+const interactionRepository = require('../../../src/repositories/interactionRepository');
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const contributionRepository = require('../../../src/repositories/contributionRepository');
+const teamRepository = require('../../../src/repositories/teamRepository');
+const departmentRepository = require('../../../src/repositories/departmentRepository');
 const { createMockEmployee } = require('../../testDataFactory');
 
-// Mock the employee repository
+// Mock the repositories
 jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/interactionRepository');
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/contributionRepository');
+jest.mock('../../../src/repositories/teamRepository');
+jest.mock('../../../src/repositories/departmentRepository');
 
 describe('Employee Service', () => {
   const testTenantId = 'test-tenant';
   
   beforeEach(() => {
     jest.clearAllMocks();
+    // No teams or departments defined: free-text values are accepted
+    teamRepository.getTeams.mockResolvedValue([]);
+    departmentRepository.getDepartments.mockResolvedValue([]);
   });
 
   describe('getEmployees', () => {
@@ -30,7 +43,40 @@ describe('Employee Service', () => {
 
       // Assert
       expect(result).toEqual(mockEmployees);
-      expect(employeeRepository.getEmployees).toHaveBeenCalledWith(testTenantId, 1, 10);
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith(testTenantId, 1, 10, { activeOnly: true });
+    });
+
+    test('should include soft-deleted employees when requested', async () => {
+      employeeRepository.getEmployees.mockResolvedValue({ data: [], pagination: {} });
+
+      await employeeService.getEmployees(testTenantId, 1, 10, { includeDeleted: true });
+
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith(testTenantId, 1, 10, { activeOnly: false });
+    });
+  });
+
+  describe('searchEmployees', () => {
+    test('should pass trimmed, known criteria to the repository', async () => {
+      const mockResult = { data: [createMockEmployee()], pagination: { page: 1, limit: 10, totalCount: 1, totalPages: 1 } };
+      employeeRepository.searchEmployees.mockResolvedValue(mockResult);
+
+      const result = await employeeService.searchEmployees(
+        testTenantId,
+        { name: ' ali ', team: '', unknown: 'x' },
+        1,
+        10
+      );
+
+      expect(result).toEqual(mockResult);
+      expect(employeeRepository.searchEmployees)
+        .toHaveBeenCalledWith(testTenantId, { name: 'ali' }, 1, 10, { activeOnly: true });
+    });
+
+    test('should require at least one criterion', async () => {
+      await expect(employeeService.searchEmployees(testTenantId, {}, 1, 10))
+        .rejects
+        .toThrow('At least one search criterion is required');
+      expect(employeeRepository.searchEmployees).not.toHaveBeenCalled();
     });
   });
 
@@ -121,6 +167,7 @@ describe('Employee Service', () => {
         email: mockEmployee.email
         // Removed password from update data as it's handled by Supabase Auth
       };
+      employeeRepository.getEmployeeById.mockResolvedValue(mockEmployee);
       employeeRepository.updateEmployee.mockResolvedValue({ ...mockEmployee, name: 'Updated Name' });
 
       // Act
@@ -130,6 +177,91 @@ describe('Employee Service', () => {
       expect(result).toEqual({ ...mockEmployee, name: 'Updated Name' });
       expect(employeeRepository.updateEmployee).toHaveBeenCalledWith(testTenantId, mockEmployee.employee_id, updateData);
     });
+
+    test('should validate partial updates against the stored employee', async () => {
+      const mockEmployee = createMockEmployee();
+      employeeRepository.getEmployeeById.mockResolvedValue(mockEmployee);
+      employeeRepository.updateEmployee.mockResolvedValue({ ...mockEmployee, team: 'Platform' });
+
+      await employeeService.updateEmployee(testTenantId, mockEmployee.employee_id, { team: 'Platform', tenant_id: 'other' });
+
+      expect(employeeRepository.updateEmployee)
+        .toHaveBeenCalledWith(testTenantId, mockEmployee.employee_id, { team: 'Platform' });
+
+      await expect(employeeService.updateEmployee(testTenantId, mockEmployee.employee_id, { email: 'not-an-email' }))
+        .rejects
+        .toThrow('Email is invalid');
+    });
+
+    test('should reject changing the employee ID or taking another email', async () => {
+      const mockEmployee = createMockEmployee();
+      employeeRepository.getEmployeeById.mockResolvedValue(mockEmployee);
+      employeeRepository.emailExists.mockResolvedValue(true);
+
+      await expect(employeeService.updateEmployee(testTenantId, mockEmployee.employee_id, { employee_id: 'other' }))
+        .rejects
+        .toThrow('Employee ID cannot be changed');
+
+      await expect(employeeService.updateEmployee(testTenantId, mockEmployee.employee_id, { email: 'taken@example.com' }))
+        .rejects
+        .toThrow('Email already exists');
+      expect(employeeRepository.updateEmployee).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('team and department assignment', () => {
+    const platformTeam = { team_id: 'platform', name: 'Platform', department_id: 'eng', archived: false };
+    const engineering = { department_id: 'eng', name: 'Engineering', archived: false };
+
+    beforeEach(() => {
+      teamRepository.getTeams.mockResolvedValue([platformTeam]);
+      departmentRepository.getDepartments.mockResolvedValue([engineering]);
+      teamRepository.getTeamById.mockImplementation(async (tenantId, teamId) => {
+        if (teamId === 'platform') return platformTeam;
+        if (teamId === 'legacy') return { ...platformTeam, team_id: 'legacy', archived: true };
+        throw Object.assign(new Error('no rows'), { code: 'PGRST116' });
+      });
+      departmentRepository.getDepartmentById.mockImplementation(async (tenantId, departmentId) => {
+        if (departmentId === 'eng') return engineering;
+        throw Object.assign(new Error('no rows'), { code: 'PGRST116' });
+      });
+      employeeRepository.employeeIdExists.mockResolvedValue(false);
+      employeeRepository.emailExists.mockResolvedValue(false);
+      employeeRepository.createEmployee.mockImplementation(async (tenantId, data) => data);
+    });
+
+    test('should take the department from the team', async () => {
+      const result = await employeeService.createEmployee(testTenantId, createMockEmployee({ team: 'platform', department: '' }));
+
+      expect(result).toMatchObject({ team: 'platform', department: 'eng' });
+    });
+
+    test('should reject unknown, archived and contradicting assignments', async () => {
+      await expect(employeeService.createEmployee(testTenantId, createMockEmployee({ team: 'Platfrom', department: '' })))
+        .rejects
+        .toThrow('Validation failed: Team Platfrom not found');
+      await expect(employeeService.createEmployee(testTenantId, createMockEmployee({ team: 'legacy', department: '' })))
+        .rejects
+        .toThrow('Team legacy is archived');
+      await expect(employeeService.createEmployee(testTenantId, createMockEmployee({ team: 'platform', department: 'sales' })))
+        .rejects
+        .toThrow('Team platform belongs to department eng');
+      await expect(employeeService.createEmployee(testTenantId, createMockEmployee({ team: '', department: 'sales' })))
+        .rejects
+        .toThrow('Validation failed: Department sales not found');
+      expect(employeeRepository.createEmployee).not.toHaveBeenCalled();
+    });
+
+    test('should move the employee to the new team\'s department on update', async () => {
+      const mockEmployee = createMockEmployee({ team: 'Backend', department: 'Engineering' });
+      employeeRepository.getEmployeeById.mockResolvedValue(mockEmployee);
+      employeeRepository.updateEmployee.mockResolvedValue(mockEmployee);
+
+      await employeeService.updateEmployee(testTenantId, mockEmployee.employee_id, { team: 'platform' });
+
+      expect(employeeRepository.updateEmployee)
+        .toHaveBeenCalledWith(testTenantId, mockEmployee.employee_id, { team: 'platform', department: 'eng' });
+    });
   });
 
   describe('deleteEmployee', () => {
@@ -148,4 +280,73 @@ describe('Employee Service', () => {
       expect(employeeRepository.deleteEmployee).toHaveBeenCalledWith(testTenantId, mockEmployee.employee_id);
     });
   });
+
+  describe('deleteEmployeeWithStrategy', () => {
+    const employee = createMockEmployee({ employee_id: 'emp1' });
+    const target = createMockEmployee({ employee_id: 'emp2' });
+
+    beforeEach(() => {
+      employeeRepository.getEmployeeById.mockImplementation(async (tenantId, employeeId) => {
+        if (employeeId === employee.employee_id) return employee;
+        if (employeeId === target.employee_id) return target;
+        throw Object.assign(new Error('JSON object requested, multiple (or no) rows returned'), { code: 'PGRST116' });
+      });
+      employeeRepository.deleteEmployee.mockResolvedValue(employee);
+      employeeRepository.reassignDirectReports.mockResolvedValue(1);
+      contributionRepository.deleteContributionsByEmployeeId.mockResolvedValue(2);
+    });
+
+    test('should require a valid strategy', async () => {
+      await expect(employeeService.deleteEmployeeWithStrategy(testTenantId, 'emp1'))
+        .rejects
+        .toThrow('Deletion strategy is required');
+      await expect(employeeService.deleteEmployeeWithStrategy(testTenantId, 'emp1', { strategy: 'archive' }))
+        .rejects
+        .toThrow('must be one of: cascade, reassign, soft-delete');
+      expect(employeeRepository.deleteEmployee).not.toHaveBeenCalled();
+    });
+
+    test('should cascade to interactions, kudos and contributions', async () => {
+      interactionRepository.deleteInteractionsByEmployeeId.mockResolvedValue(3);
+      kudosRepository.deleteKudosByEmployeeId.mockResolvedValue(1);
+
+      const result = await employeeService.deleteEmployeeWithStrategy(testTenantId, 'emp1', { strategy: 'cascade' });
+
+      expect(result).toEqual({
+        employee,
+        strategy: 'cascade',
+        affected: { interactions: 3, kudos: 1, contributions: 2, reports: 1 }
+      });
+      expect(employeeRepository.deleteEmployee).toHaveBeenCalledWith(testTenantId, 'emp1');
+      expect(employeeRepository.reassignDirectReports).toHaveBeenCalledWith(testTenantId, 'emp1', null);
+    });
+
+    test('should reassign interactions and kudos to an existing employee', async () => {
+      interactionRepository.reassignInteractions.mockResolvedValue({ reassigned: 4, deleted: 0 });
+      kudosRepository.reassignKudos.mockResolvedValue({ reassigned: 2, deleted: 1 });
+
+      const result = await employeeService.deleteEmployeeWithStrategy(
+        testTenantId, 'emp1', { strategy: 'reassign', reassignTo: 'emp2' }
+      );
+
+      expect(interactionRepository.reassignInteractions).toHaveBeenCalledWith(testTenantId, 'emp1', 'emp2');
+      expect(kudosRepository.reassignKudos).toHaveBeenCalledWith(testTenantId, 'emp1', 'emp2');
+      expect(result.reassignedTo).toBe('emp2');
+      expect(result.affected.kudos).toEqual({ reassigned: 2, deleted: 1 });
+
+      await expect(employeeService.deleteEmployeeWithStrategy(
+        testTenantId, 'emp1', { strategy: 'reassign', reassignTo: 'missing' }
+      )).rejects.toThrow('Reassignment target employee missing not found');
+    });
+
+    test('should soft-delete without touching related records', async () => {
+      employeeRepository.softDeleteEmployee.mockResolvedValue({ ...employee, deleted_at: '2024-01-01T00:00:00.000Z' });
+
+      const result = await employeeService.deleteEmployeeWithStrategy(testTenantId, 'emp1', { strategy: 'soft-delete' });
+
+      expect(result.employee.deleted_at).toBeDefined();
+      expect(employeeRepository.deleteEmployee).not.toHaveBeenCalled();
+      expect(contributionRepository.deleteContributionsByEmployeeId).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,161 @@
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const tenantSettingsRepository = require('../../../src/repositories/tenantSettingsRepository');
+const {
+  getKudosBudget,
+  updateKudosBudget,
+  checkKudosBudget,
+  getRemainingBudget
+} = require('../../../src/services/kudosBudgetService');
+const { RateLimitError } = require('../../../src/utils/customErrors');
+const { createMockKudos } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/tenantSettingsRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Kudos Budget Service', () => {
+  // Wednesday; the budget week runs from Monday 2024-05-13 to Monday 2024-05-20
+  const now = new Date('2024-05-15T12:00:00.000Z');
+  const sent = (to, createdAt) => createMockKudos({ from_employee_id: 'ana', to_employee_id: to, created_at: createdAt });
+  const withBudget = value => tenantSettingsRepository.getSetting.mockResolvedValue({
+    key: 'kudos_budget',
+    value,
+    updated_by: 'admin-user',
+    updated_at: '2024-05-01T00:00:00.000Z'
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tenantSettingsRepository.getSetting.mockResolvedValue(null);
+    kudosRepository.getKudosBySenderId.mockResolvedValue([]);
+  });
+  
+  test('should default to unlimited kudos', async () => {
+    expect(await getKudosBudget('tenant')).toEqual({
+      daily_limit: null,
+      weekly_limit: null,
+      per_recipient_weekly_limit: null,
+      updated_by: null,
+      updated_at: null
+    });
+    
+    await expect(checkKudosBudget('tenant', { from_employee_id: 'ana', to_employee_id: 'ben' }, now)).resolves.toBeUndefined();
+    expect(kudosRepository.getKudosBySenderId).not.toHaveBeenCalled();
+  });
+  
+  describe('updateKudosBudget', () => {
+    test('should merge changed limits into the stored budget', async () => {
+      withBudget({ daily_limit: 5, weekly_limit: null, per_recipient_weekly_limit: null });
+      
+      await updateKudosBudget('tenant', { per_recipient_weekly_limit: 2 }, 'admin-user');
+      
+      expect(tenantSettingsRepository.saveSetting).toHaveBeenCalledWith(
+        'tenant',
+        'kudos_budget',
+        { daily_limit: 5, weekly_limit: null, per_recipient_weekly_limit: 2 },
+        'admin-user'
+      );
+    });
+    
+    test('should reject unknown limits and invalid values', async () => {
+      await expect(updateKudosBudget('tenant', {})).rejects.toThrow('At least one kudos budget limit is required');
+      await expect(updateKudosBudget('tenant', { hourly_limit: 1 })).rejects.toThrow('Unknown kudos budget limit hourly_limit');
+      await expect(updateKudosBudget('tenant', { daily_limit: 0 }))
+        .rejects.toThrow('daily_limit must be null (unlimited) or a whole number between 1 and 1000');
+      await expect(updateKudosBudget('tenant', { weekly_limit: '5' })).rejects.toThrow('weekly_limit must be null');
+      expect(tenantSettingsRepository.saveSetting).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('checkKudosBudget', () => {
+    test('should allow kudos while budget is left', async () => {
+      withBudget({ daily_limit: 2, weekly_limit: 10, per_recipient_weekly_limit: 2 });
+      kudosRepository.getKudosBySenderId.mockResolvedValue([
+        sent('ben', '2024-05-15T08:00:00.000Z'),
+        sent('ben', '2024-05-13T08:00:00.000Z'),
+        // Last week
+        sent('cy', '2024-05-12T23:59:59.000Z')
+      ]);
+      
+      await expect(checkKudosBudget('tenant', { from_employee_id: 'ana', to_employee_id: 'cy' }, now)).resolves.toBeUndefined();
+    });
+    
+    test('should reject kudos beyond the daily limit until the next UTC day', async () => {
+      withBudget({ daily_limit: 2 });
+      kudosRepository.getKudosBySenderId.mockResolvedValue([
+        sent('ben', '2024-05-15T08:00:00.000Z'),
+        sent('cy', '2024-05-15T09:00:00.000Z')
+      ]);
+      
+      const error = await checkKudosBudget('tenant', { from_employee_id: 'ana', to_employee_id: 'dee' }, now).catch(e => e);
+      
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('Daily limit of 2 kudos reached; more kudos can be given from 2024-05-16T00:00:00.000Z');
+      expect(error.limit).toBe('daily_limit');
+      expect(error.retryAfter).toBe(12 * 60 * 60);
+    });
+    
+    test('should reject more kudos to the same person than the weekly limit allows', async () => {
+      withBudget({ daily_limit: 5, per_recipient_weekly_limit: 2 });
+      kudosRepository.getKudosBySenderId.mockResolvedValue([
+        sent('ben', '2024-05-13T08:00:00.000Z'),
+        sent('ben', '2024-05-14T08:00:00.000Z')
+      ]);
+      
+      const error = await checkKudosBudget('tenant', { from_employee_id: 'ana', to_employee_id: 'ben' }, now).catch(e => e);
+      
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('Weekly limit of 2 kudos to ben reached; more kudos can be given from 2024-05-20T00:00:00.000Z');
+      expect(error.limit).toBe('per_recipient_weekly_limit');
+      await expect(checkKudosBudget('tenant', { from_employee_id: 'ana', to_employee_id: 'cy' }, now)).resolves.toBeUndefined();
+    });
+    
+    test('should count group kudos once per recipient and reject the whole group', async () => {
+      withBudget({ daily_limit: 2, per_recipient_weekly_limit: 1 });
+      kudosRepository.getKudosBySenderId.mockResolvedValue([
+        { ...sent('ben', '2024-05-14T08:00:00.000Z'), is_group: true, recipient_ids: ['ben', 'cy'] }
+      ]);
+      
+      const error = await checkKudosBudget('tenant', {
+        from_employee_id: 'ana',
+        to_employee_id: 'cy',
+        is_group: true,
+        recipient_ids: ['cy', 'dee']
+      }, now).catch(e => e);
+      
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('Weekly limit of 1 kudos to cy reached; more kudos can be given from 2024-05-20T00:00:00.000Z');
+      await expect(checkKudosBudget('tenant', {
+        from_employee_id: 'ana',
+        to_employee_id: 'dee',
+        is_group: true,
+        recipient_ids: ['dee', 'eli']
+      }, now)).resolves.toBeUndefined();
+    });
+  });
+  
+  test('should report the remaining budget of an employee', async () => {
+    withBudget({ daily_limit: 5, per_recipient_weekly_limit: 2 });
+    kudosRepository.getKudosBySenderId.mockResolvedValue([
+      sent('ben', '2024-05-15T08:00:00.000Z'),
+      sent('ben', '2024-05-14T08:00:00.000Z'),
+      sent('cy', '2024-05-15T09:00:00.000Z')
+    ]);
+    
+    expect(await getRemainingBudget('tenant', 'ana', now)).toEqual({
+      employee_id: 'ana',
+      daily: { limit: 5, used: 2, remaining: 3, resets_at: '2024-05-16T00:00:00.000Z' },
+      weekly: { limit: null, used: 3, remaining: null, resets_at: '2024-05-20T00:00:00.000Z' },
+      per_recipient: [
+        { to_employee_id: 'ben', limit: 2, used: 2, remaining: 0, resets_at: '2024-05-20T00:00:00.000Z' },
+        { to_employee_id: 'cy', limit: 2, used: 1, remaining: 1, resets_at: '2024-05-20T00:00:00.000Z' }
+      ]
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const scoringConfigRepository = require('../../../src/repositories/scoringConfigRepository');
+const { DEFAULT_SCORING_CONFIG } = require('../../../src/services/scoringService');
+const {
+  gamingWeight,
+  detectKudosGaming,
+  getSuspiciousKudos
+} = require('../../../src/services/kudosGamingService');
+const { createMockKudos } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/scoringConfigRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Kudos Gaming Service', () => {
+  const settings = DEFAULT_SCORING_CONFIG.anti_gaming;
+  let sequence = 0;
+  const kudos = (from, to, timestamp, message = `Kudos ${++sequence}`) =>
+    createMockKudos({ id: `k${++sequence}`, from_employee_id: from, to_employee_id: to, timestamp, message });
+  const flagsOf = result => Object.fromEntries(result.kudos.map(record => [record.id, record.gaming_flags]));
+  
+  describe('detectKudosGaming', () => {
+    test('should flag pairs trading kudos within the window', () => {
+      const traded = [
+        kudos('ana', 'ben', '2024-05-01T09:00:00.000Z'),
+        kudos('ana', 'ben', '2024-05-03T09:00:00.000Z'),
+        kudos('ana', 'ben', '2024-05-05T09:00:00.000Z'),
+        kudos('ben', 'ana', '2024-05-02T09:00:00.000Z'),
+        kudos('ben', 'ana', '2024-05-04T09:00:00.000Z'),
+        kudos('ben', 'ana', '2024-05-06T09:00:00.000Z')
+      ];
+      // Months later, one kudos back is not part of the pattern
+      const later = kudos('ana', 'ben', '2024-09-01T09:00:00.000Z');
+      
+      const result = detectKudosGaming([...traded, later], settings);
+      
+      expect(traded.every(record => flagsOf(result)[record.id].includes('reciprocal'))).toBe(true);
+      expect(flagsOf(result)[later.id]).toEqual([]);
+      expect(result.patterns).toEqual([expect.objectContaining({
+        type: 'reciprocal',
+        employee_ids: ['ana', 'ben'],
+        kudos_count: 6,
+        first_at: '2024-05-01T09:00:00.000Z',
+        last_at: '2024-05-06T09:00:00.000Z'
+      })]);
+    });
+    
+    test('should not flag one-sided or occasional kudos', () => {
+      const result = detectKudosGaming([
+        kudos('ana', 'ben', '2024-05-01T09:00:00.000Z'),
+        kudos('ana', 'ben', '2024-05-10T09:00:00.000Z'),
+        kudos('ana', 'ben', '2024-05-20T09:00:00.000Z'),
+        kudos('ben', 'ana', '2024-05-15T09:00:00.000Z')
+      ], settings);
+      
+      expect(result.kudos.every(record => record.gaming_flags.length === 0)).toBe(true);
+      expect(result.patterns).toEqual([]);
+    });
+    
+    test('should check every recipient of group kudos', () => {
+      const group = ['2024-05-01', '2024-05-03', '2024-05-05'].map(day => ({
+        ...kudos('ana', 'ben', `${day}T09:00:00.000Z`),
+        is_group: true,
+        recipient_ids: ['ben', 'cy']
+      }));
+      const back = ['2024-05-02', '2024-05-04', '2024-05-06'].map(day => kudos('cy', 'ana', `${day}T09:00:00.000Z`));
+      
+      const result = detectKudosGaming([...group, ...back], settings);
+      
+      expect(group.every(record => flagsOf(result)[record.id].includes('reciprocal'))).toBe(true);
+      expect(result.patterns).toEqual([expect.objectContaining({ type: 'reciprocal', employee_ids: ['ana', 'cy'], kudos_count: 6 })]);
+    });
+    
+    test('should flag closed rings', () => {
+      const ring = [];
+      ['ana', 'ben', 'cy'].forEach((from, index) => {
+        const to = ['ben', 'cy', 'ana'][index];
+        ring.push(kudos(from, to, `2024-05-0${index + 1}T09:00:00.000Z`), kudos(from, to, `2024-05-0${index + 4}T09:00:00.000Z`));
+      });
+      
+      const result = detectKudosGaming(ring, settings);
+      
+      expect(result.kudos.every(record => record.gaming_flags.includes('ring'))).toBe(true);
+      expect(result.patterns).toEqual([expect.objectContaining({ type: 'ring', employee_ids: ['ana', 'ben', 'cy'], kudos_count: 6 })]);
+    });
+    
+    test('should flag the kudos beyond a burst and repeated messages', () => {
+      const burst = [0, 5, 10, 15, 20, 25].map((minute, index) =>
+        kudos('ana', `peer${index}`, new Date(Date.UTC(2024, 4, 1, 9, minute)).toISOString()));
+      const repeated = [
+        kudos('ben', 'cy', '2024-05-01T09:00:00.000Z', 'Great job!'),
+        kudos('ben', 'dee', '2024-05-02T09:00:00.000Z', 'great   JOB')
+      ];
+      
+      const result = detectKudosGaming([...burst, ...repeated], settings);
+      const flags = flagsOf(result);
+      
+      expect(burst.map(record => flags[record.id])).toEqual([[], [], [], [], [], ['burst']]);
+      expect(repeated.map(record => flags[record.id])).toEqual([[], ['duplicate']]);
+      expect(result.patterns.map(pattern => pattern.type).sort()).toEqual(['burst', 'duplicate']);
+    });
+  });
+  
+  test('should weight flagged kudos while detection is enabled', () => {
+    const flagged = { gaming_flags: ['burst'] };
+    
+    expect(gamingWeight(flagged, settings)).toBe(0.5);
+    expect(gamingWeight(flagged, { ...settings, flagged_weight: 0 })).toBe(0);
+    expect(gamingWeight(flagged, { ...settings, enabled: false })).toBe(1);
+    expect(gamingWeight({ gaming_flags: [] }, settings)).toBe(1);
+  });
+  
+  describe('getSuspiciousKudos', () => {
+    const now = new Date('2024-05-10T00:00:00.000Z');
+    
+    beforeEach(() => {
+      jest.clearAllMocks();
+      scoringConfigRepository.getLatestConfig.mockResolvedValue(null);
+    });
+    
+    test('should review the kudos of the last days', async () => {
+      const repeated = [
+        kudos('ben', 'cy', '2024-05-01T09:00:00.000Z', 'Thanks!'),
+        kudos('ben', 'cy', '2024-05-02T09:00:00.000Z', 'Thanks!'),
+        kudos('ben', 'cy', '2024-01-02T09:00:00.000Z', 'Thanks!')
+      ];
+      kudosRepository.getKudos.mockResolvedValue({ data: repeated, pagination: { totalPages: 1 } });
+      
+      const review = await getSuspiciousKudos('tenant', { days: 30 }, now);
+      
+      expect(review).toMatchObject({
+        from: '2024-04-10T00:00:00.000Z',
+        to: '2024-05-10T00:00:00.000Z',
+        scoring_config_version: 0,
+        kudos_count: 2,
+        flagged_kudos_count: 1,
+        flagged_kudos: [expect.objectContaining({ kudos_id: repeated[1].id, flags: ['duplicate'] })]
+      });
+      expect(review.patterns).toHaveLength(1);
+    });
+    
+    test('should reject invalid review windows', async () => {
+      await expect(getSuspiciousKudos('tenant', { days: 0 }, now)).rejects.toThrow('Days must be a whole number between 1 and 365');
+      expect(kudosRepository.getKudos).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const kudosRepository = require('../../../src/repositories/kudosRepository');
+const kudosReactionRepository = require('../../../src/repositories/kudosReactionRepository');
+const { addReaction, removeReaction, getKudosReactions } = require('../../../src/services/kudosReactionService');
+const { createMockKudos } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/kudosRepository');
+jest.mock('../../../src/repositories/kudosReactionRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Kudos Reaction Service', () => {
+  const kudos = createMockKudos({ id: 'k1', from_employee_id: 'ana', to_employee_id: 'ben' });
+  const reaction = (employeeId, type) => ({ kudos_id: 'k1', employee_id: employeeId, reaction: type, created_at: '2024-05-01T09:00:00.000Z' });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kudosRepository.getKudosById.mockResolvedValue(kudos);
+    kudosReactionRepository.getReactionsByKudosId.mockResolvedValue([]);
+  });
+  
+  test('should count the reactions to a kudos by type', async () => {
+    kudosReactionRepository.getReactionsByKudosId.mockResolvedValue([reaction('cy', '+1'), reaction('dee', '+1'), reaction('cy', 'clap')]);
+    
+    const result = await getKudosReactions('tenant', 'k1');
+    
+    expect(result).toMatchObject({
+      kudos_id: 'k1',
+      total: 3,
+      counts: { '+1': 2, clap: 1, heart: 0, celebrate: 0, insightful: 0 }
+    });
+    expect(result.reactions).toHaveLength(3);
+  });
+  
+  describe('addReaction', () => {
+    test('should add a +1 by default', async () => {
+      await addReaction('tenant', 'k1', 'cy');
+      
+      expect(kudosReactionRepository.createReaction).toHaveBeenCalledWith('tenant', { kudos_id: 'k1', employee_id: 'cy', reaction: '+1' });
+    });
+    
+    test('should reject unknown reactions, the sender and repeated reactions', async () => {
+      await expect(addReaction('tenant', 'k1', 'cy', 'wow')).rejects.toThrow('Reaction must be one of: +1, clap, heart, celebrate, insightful');
+      await expect(addReaction('tenant', 'k1', 'ana')).rejects.toThrow('Cannot react to kudos you gave');
+      
+      kudosReactionRepository.getReactionsByKudosId.mockResolvedValue([reaction('cy', '+1')]);
+      await expect(addReaction('tenant', 'k1', 'cy', '+1')).rejects.toThrow('Employee cy already reacted with +1');
+      expect(kudosReactionRepository.createReaction).not.toHaveBeenCalled();
+    });
+    
+    test('should fail for unknown kudos', async () => {
+      kudosRepository.getKudosById.mockResolvedValue(null);
+      
+      await expect(addReaction('tenant', 'missing', 'cy')).rejects.toThrow('Kudos not found');
+    });
+  });
+  
+  test('should fail to remove a reaction that was never added', async () => {
+    kudosReactionRepository.deleteReaction.mockResolvedValue(0);
+    
+    await expect(removeReaction('tenant', 'k1', 'cy', 'heart')).rejects.toThrow('Reaction not found');
+  });
+});
\ No newline at end of file
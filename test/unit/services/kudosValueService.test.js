@@ -0,0 +1,67 @@
+const tenantSettingsRepository = require('../../../src/repositories/tenantSettingsRepository');
+const {
+  toValueKey,
+  getCompanyValues,
+  updateCompanyValues,
+  validateValueKeys
+} = require('../../../src/services/kudosValueService');
+
+jest.mock('../../../src/repositories/tenantSettingsRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Kudos Value Service', () => {
+  const customerObsession = { key: 'customer-obsession', name: 'Customer Obsession', description: null };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tenantSettingsRepository.getSetting.mockResolvedValue(null);
+  });
+  
+  test('should derive value keys from names', () => {
+    expect(toValueKey('Customer Obsession')).toBe('customer-obsession');
+    expect(toValueKey('  Déjà vu & Ownership!  ')).toBe('deja-vu-ownership');
+  });
+  
+  test('should have no values until the tenant defines them', async () => {
+    expect(await getCompanyValues('tenant')).toEqual({ values: [], updated_by: null, updated_at: null });
+  });
+  
+  describe('updateCompanyValues', () => {
+    test('should store the values with derived keys', async () => {
+      await updateCompanyValues('tenant', [
+        { name: ' Customer Obsession ' },
+        { key: 'bias', name: 'Bias for Action', description: 'Speed matters' }
+      ], 'admin-user');
+      
+      expect(tenantSettingsRepository.saveSetting).toHaveBeenCalledWith('tenant', 'kudos_values', [
+        customerObsession,
+        { key: 'bias', name: 'Bias for Action', description: 'Speed matters' }
+      ], 'admin-user');
+    });
+    
+    test('should reject invalid or repeated values', async () => {
+      await expect(updateCompanyValues('tenant', 'Ownership')).rejects.toThrow('Values must be a list of objects with a name');
+      await expect(updateCompanyValues('tenant', [{ description: 'No name' }])).rejects.toThrow('Value 1 must have a name');
+      await expect(updateCompanyValues('tenant', [{ name: 'Ownership', key: 'Own It' }]))
+        .rejects.toThrow('Value 1 must have a key of at most 50 lower-case letters, digits and dashes');
+      await expect(updateCompanyValues('tenant', [{ name: 'Ownership' }, { name: 'ownership', key: 'own' }]))
+        .rejects.toThrow('Value name ownership is used more than once');
+      expect(tenantSettingsRepository.saveSetting).not.toHaveBeenCalled();
+    });
+  });
+  
+  test('should only accept defined values on kudos', async () => {
+    tenantSettingsRepository.getSetting.mockResolvedValue({ key: 'kudos_values', value: [customerObsession] });
+    
+    expect(await validateValueKeys('tenant', undefined)).toEqual({ isValid: true, errors: [] });
+    expect(await validateValueKeys('tenant', ['customer-obsession'])).toEqual({ isValid: true, errors: [] });
+    expect((await validateValueKeys('tenant', ['customer-obsession', 'speed'])).errors).toEqual(['Unknown company value speed']);
+    expect((await validateValueKeys('tenant', 'customer-obsession')).errors).toEqual(['Value keys must be a list of value keys']);
+    expect((await validateValueKeys('tenant', ['a', 'a'])).errors).toEqual(['Value keys must not repeat']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const contributionRepository = require('../../../src/repositories/contributionRepository');
+const tenantSettingsRepository = require('../../../src/repositories/tenantSettingsRepository');
+const {
+  getLeaderboard,
+  getLeaderboardSettings,
+  updateLeaderboardSettings
+} = require('../../../src/services/leaderboardService');
+const { createMockEmployee, createMockContribution } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/contributionRepository');
+jest.mock('../../../src/repositories/tenantSettingsRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Leaderboard Service', () => {
+  const page = data => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages: 1 } });
+  const may = { period: 'monthly', reference_date: '2024-05-20' };
+  const monthly = (employeeId, month, overall, calculatedAt = `2024-${month}-28T00:00:00.000Z`) => createMockContribution({
+    employee_id: employeeId,
+    overall_score: overall,
+    collaboration_score: 100 - overall,
+    period_type: 'monthly',
+    period_start: `2024-${month}-01T00:00:00.000Z`,
+    period_end: month === '04' ? '2024-05-01T00:00:00.000Z' : '2024-06-01T00:00:00.000Z',
+    calculated_at: calculatedAt
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tenantSettingsRepository.getSetting.mockResolvedValue(null);
+    employeeRepository.getEmployees.mockResolvedValue(page([
+      createMockEmployee({ employee_id: 'ana', name: 'Ana', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'ben', name: 'Ben', team: 'core', department: 'eng' }),
+      createMockEmployee({ employee_id: 'cy', name: 'Cy', team: 'sales', department: 'gtm' }),
+      createMockEmployee({ employee_id: 'dee', name: 'Dee', team: 'core', department: 'eng' })
+    ]));
+    contributionRepository.getContributions.mockResolvedValue(page([
+      monthly('ana', '05', 70),
+      // Superseded by the later calculation above
+      monthly('ana', '05', 95, '2024-05-10T00:00:00.000Z'),
+      monthly('ben', '05', 90),
+      monthly('cy', '05', 90),
+      monthly('ana', '04', 90),
+      monthly('ben', '04', 60),
+      monthly('cy', '04', 80),
+      // Stored before scoring periods existed
+      createMockContribution({ employee_id: 'dee', overall_score: '50.00', calculated_at: '2024-03-01T00:00:00.000Z' })
+    ]));
+  });
+  
+  test('should rank employees for a period with their rank change', async () => {
+    const leaderboard = await getLeaderboard('tenant', { ...may, current_employee_id: 'ana' });
+    
+    expect(employeeRepository.getEmployees).toHaveBeenCalledWith('tenant', 1, 1000, { activeOnly: true });
+    expect(leaderboard).toMatchObject({
+      dimension: 'overall',
+      period_type: 'monthly',
+      period_start: '2024-05-01T00:00:00.000Z',
+      previous_period_start: '2024-04-01T00:00:00.000Z',
+      sort: 'desc',
+      show_names: true,
+      pagination: { page: 1, limit: 10, totalCount: 3, totalPages: 1 }
+    });
+    expect(leaderboard.data).toEqual([
+      { rank: 1, employee_id: 'ben', name: 'Ben', team: 'core', department: 'eng', score: 90, previous_rank: 3, rank_change: 2, is_current_user: false },
+      { rank: 1, employee_id: 'cy', name: 'Cy', team: 'sales', department: 'gtm', score: 90, previous_rank: 2, rank_change: 1, is_current_user: false },
+      { rank: 3, employee_id: 'ana', name: 'Ana', team: 'core', department: 'eng', score: 70, previous_rank: 1, rank_change: -2, is_current_user: true }
+    ]);
+  });
+  
+  test('should rank by dimension within a team, in either direction, a page at a time', async () => {
+    const collaboration = await getLeaderboard('tenant', { ...may, dimension: 'collaboration', team: 'core' });
+    expect(collaboration.data.map(entry => [entry.employee_id, entry.rank, entry.score, entry.previous_rank]))
+      .toEqual([['ana', 1, 30, 2], ['ben', 2, 10, 1]]);
+    
+    const bottom = await getLeaderboard('tenant', { ...may, sort: 'asc', limit: 2, page: 1 });
+    expect(bottom.data.map(entry => entry.employee_id)).toEqual(['ana', 'cy']);
+    expect(bottom.pagination).toEqual({ page: 1, limit: 2, totalCount: 3, totalPages: 2 });
+    
+    const second = await getLeaderboard('tenant', { ...may, limit: 2, page: 2 });
+    expect(second.data.map(entry => entry.employee_id)).toEqual(['ana']);
+  });
+  
+  test('should rank all-time scores without a rank change', async () => {
+    const leaderboard = await getLeaderboard('tenant', { department: 'eng' });
+    
+    expect(leaderboard.previous_period_start).toBeNull();
+    expect(leaderboard.data).toEqual([
+      expect.objectContaining({ rank: 1, employee_id: 'dee', score: 50, previous_rank: null, rank_change: null })
+    ]);
+  });
+  
+  test('should hide names when the tenant opted out', async () => {
+    tenantSettingsRepository.getSetting.mockResolvedValue({ key: 'leaderboard', value: { show_names: false } });
+    
+    const leaderboard = await getLeaderboard('tenant', { ...may, current_employee_id: 'cy' });
+    
+    expect(leaderboard.show_names).toBe(false);
+    expect(leaderboard.data.map(entry => [entry.employee_id, entry.name, entry.team, entry.department, entry.is_current_user]))
+      .toEqual([[null, null, null, null, false], [null, null, null, null, true], [null, null, null, null, false]]);
+    
+    await expect(getLeaderboard('tenant', { team: 'sales' }))
+      .rejects.toThrow('Validation failed: Team and department filters are not available while leaderboard names are hidden');
+    await expect(getLeaderboard('tenant', { department: 'gtm' })).rejects.toThrow('Validation failed');
+  });
+  
+  test('should reject invalid options', async () => {
+    await expect(getLeaderboard('tenant', { dimension: 'charisma' }))
+      .rejects.toThrow('Validation failed: Dimension must be one of: overall, problem_solving, collaboration, initiative');
+    await expect(getLeaderboard('tenant', { sort: 'up', page: 0, limit: 101 }))
+      .rejects.toThrow('Sort must be one of: desc, asc, Page must be a whole number of at least 1, Limit must be a whole number between 1 and 100');
+    await expect(getLeaderboard('tenant', { period: 'yearly' })).rejects.toThrow('Period must be one of');
+  });
+  
+  describe('leaderboard settings', () => {
+    test('should show names by default', async () => {
+      expect(await getLeaderboardSettings('tenant')).toEqual({ show_names: true, updated_by: null, updated_at: null });
+    });
+    
+    test('should store changed settings', async () => {
+      await updateLeaderboardSettings('tenant', { show_names: false }, 'admin-user');
+      
+      expect(tenantSettingsRepository.saveSetting).toHaveBeenCalledWith('tenant', 'leaderboard', { show_names: false }, 'admin-user');
+    });
+    
+    test('should reject invalid settings', async () => {
+      await expect(updateLeaderboardSettings('tenant', {})).rejects.toThrow('At least one leaderboard setting is required');
+      await expect(updateLeaderboardSettings('tenant', { show_names: 'no', show_scores: true }))
+        .rejects.toThrow('Unknown leaderboard setting show_scores');
+      await expect(updateLeaderboardSettings('tenant', { show_names: 'no' })).rejects.toThrow('show_names must be true or false');
+      expect(tenantSettingsRepository.saveSetting).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const { buildContributionGraph } = require('../../../src/services/contributionGraphService');
+const { getNetworkAnalytics, getTeamSilo } = require('../../../src/services/networkAnalyticsService');
+
+jest.mock('../../../src/services/contributionGraphService');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Network Analytics Service', () => {
+  const node = (id, team) => ({ id, name: id.toUpperCase(), team, department: null, out_weight: 0, in_weight: 0 });
+  const edge = (source, target, weight = 3) => ({ source, target, weight, interaction_count: weight, kudos_count: 0 });
+  
+  // Two tight teams joined by a3 and b1, a newcomer who only reaches out, and someone cut off
+  const graph = {
+    period_type: 'all_time',
+    period_start: null,
+    period_end: null,
+    filters: { team: null, department: null, min_weight: 0 },
+    nodes: [
+      node('a1', 'core'), node('a2', 'core'), node('a3', 'core'),
+      node('b1', 'sales'), node('b2', 'sales'), node('b3', 'sales'),
+      node('lone', 'ops'), node('zed', 'sales')
+    ],
+    edges: [
+      edge('a1', 'a2'), edge('a2', 'a3'), edge('a3', 'a1'), edge('a2', 'a1'),
+      edge('b1', 'b2'), edge('b2', 'b3'), edge('b3', 'b1'),
+      edge('a3', 'b1', 1),
+      edge('lone', 'a1', 1)
+    ]
+  };
+  graph.node_count = graph.nodes.length;
+  graph.edge_count = graph.edges.length;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    buildContributionGraph.mockResolvedValue(graph);
+  });
+  
+  test('should compute degree, betweenness and PageRank centrality', async () => {
+    const network = await getNetworkAnalytics('tenant', { period: 'monthly', min_weight: 1 });
+    
+    expect(buildContributionGraph).toHaveBeenCalledWith('tenant', expect.objectContaining({ period: 'monthly', min_weight: 1 }));
+    const byId = Object.fromEntries(network.employees.map(employee => [employee.employee_id, employee]));
+    
+    expect(byId.a1).toMatchObject({ degree: 3, in_degree: 3, out_degree: 1, degree_centrality: 0.4286 });
+    expect(byId.zed).toMatchObject({ degree: 0, degree_centrality: 0, betweenness: 0, community_id: null });
+    expect(byId.a3.betweenness).toBeGreaterThan(byId.b1.betweenness);
+    expect(byId.b1.betweenness).toBeGreaterThan(byId.a1.betweenness);
+    expect(byId.a2.betweenness).toBe(0);
+    
+    const totalRank = network.employees.reduce((sum, employee) => sum + employee.pagerank, 0);
+    expect(totalRank).toBeCloseTo(1, 3);
+    expect(byId.a1.pagerank).toBeGreaterThan(byId.lone.pagerank);
+  });
+  
+  test('should detect communities and measure team silos', async () => {
+    const network = await getNetworkAnalytics('tenant');
+    
+    expect(network.communities).toEqual([
+      { community_id: 1, size: 4, members: ['a1', 'a2', 'a3', 'lone'], teams: { core: 3, ops: 1 }, dominant_team: 'core' },
+      { community_id: 2, size: 3, members: ['b1', 'b2', 'b3'], teams: { sales: 3 }, dominant_team: 'sales' }
+    ]);
+    expect(network.modularity).toBeGreaterThan(0.3);
+    
+    expect(network.teams.find(team => team.team_id === 'core')).toEqual({
+      team_id: 'core',
+      member_count: 3,
+      internal_edges: 4,
+      external_edges: 2,
+      internal_weight: 12,
+      external_weight: 2,
+      silo_ratio: 0.8571
+    });
+    expect(network.teams.find(team => team.team_id === 'ops')).toMatchObject({ internal_weight: 0, silo_ratio: 0 });
+  });
+  
+  test('should list bridges and employees at risk of isolation', async () => {
+    const network = await getNetworkAnalytics('tenant');
+    
+    expect(network.bridges.map(bridge => bridge.employee_id)).toEqual(['a3', 'b1']);
+    expect(network.bridges[0]).toMatchObject({ communities_reached: 2, community_id: 1 });
+    expect(network.isolation_risks).toEqual([
+      { employee_id: 'zed', name: 'ZED', team: 'sales', risk: 'high', reasons: ['No interactions or kudos with colleagues'] },
+      {
+        employee_id: 'lone',
+        name: 'LONE',
+        team: 'ops',
+        risk: 'medium',
+        reasons: ['Collaborates with a single colleague', 'No colleague reached out to them']
+      }
+    ]);
+  });
+  
+  test('should measure the silo of a single team over all time', async () => {
+    const silo = await getTeamSilo('tenant', 'sales');
+    
+    expect(buildContributionGraph).toHaveBeenCalledWith('tenant');
+    expect(silo).toEqual({ internal_edges: 3, external_edges: 1, internal_weight: 9, external_weight: 1, silo_ratio: 0.9 });
+  });
+  
+  test('should handle a tenant without edges and pass on validation errors', async () => {
+    buildContributionGraph.mockResolvedValueOnce({ ...graph, nodes: [node('solo', 'core')], edges: [], node_count: 1, edge_count: 0 });
+    const network = await getNetworkAnalytics('tenant');
+    expect(network).toMatchObject({ modularity: null, communities: [], bridges: [] });
+    expect(network.employees[0]).toMatchObject({ pagerank: 1, degree_centrality: 0 });
+    expect(network.teams[0].silo_ratio).toBeNull();
+    
+    buildContributionGraph.mockRejectedValueOnce(new Error('Validation failed: Minimum edge weight must be a number of at least 0'));
+    await expect(getNetworkAnalytics('tenant', { min_weight: -1 }))
+      .rejects.toThrow('Failed to get network analytics: Validation failed: Minimum edge weight');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+const orgChartService = require('../../../src/services/orgChartService');
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const { createMockEmployee } = require('../../testDataFactory');
+
+// Mock the employee repository and logger
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Org Chart Service', () => {
+  const testTenantId = 'test-tenant';
+
+  // ceo <- cto <- (lead <- dev), ceo <- cfo
+  const employees = [
+    createMockEmployee({ employee_id: 'ceo', name: 'CEO', manager_id: null }),
+    createMockEmployee({ employee_id: 'cto', name: 'CTO', manager_id: 'ceo' }),
+    createMockEmployee({ employee_id: 'cfo', name: 'CFO', manager_id: 'ceo' }),
+    createMockEmployee({ employee_id: 'lead', name: 'Lead', manager_id: 'cto' }),
+    createMockEmployee({ employee_id: 'dev', name: 'Dev', manager_id: 'lead' })
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    employeeRepository.getEmployees.mockResolvedValue({ data: employees, pagination: {} });
+  });
+
+  test('should only load active employees', async () => {
+    await orgChartService.getDirectReports(testTenantId, 'ceo');
+
+    expect(employeeRepository.getEmployees).toHaveBeenCalledWith(testTenantId, 1, 1000, { activeOnly: true });
+  });
+
+  test('should return direct reports', async () => {
+    const reports = await orgChartService.getDirectReports(testTenantId, 'ceo');
+
+    expect(reports.map(r => r.employee_id)).toEqual(['cto', 'cfo']);
+  });
+
+  test('should return the full subtree as a nested tree', async () => {
+    const { root, total_count, max_depth } = await orgChartService.getSubtree(testTenantId, 'cto');
+
+    expect(total_count).toBe(2);
+    expect(max_depth).toBe(2);
+    expect(root.employee_id).toBe('cto');
+    expect(root.reports[0].employee_id).toBe('lead');
+    expect(root.reports[0].reports[0]).toMatchObject({ employee_id: 'dev', depth: 2, reports: [] });
+  });
+
+  test('should tag subtree members with the branch they belong to', async () => {
+    const { members } = await orgChartService.getSubtreeMembers(testTenantId, 'ceo');
+
+    expect(members.find(m => m.employee_id === 'dev').branch_id).toBe('cto');
+    expect(members.find(m => m.employee_id === 'cfo').branch_id).toBe('cfo');
+  });
+
+  test('should return the management chain nearest manager first', async () => {
+    const chain = await orgChartService.getManagementChain(testTenantId, 'dev');
+
+    expect(chain.map(m => [m.employee_id, m.level])).toEqual([['lead', 1], ['cto', 2], ['ceo', 3]]);
+  });
+
+  test('should report unknown employees as not found', async () => {
+    await expect(orgChartService.getSubtree(testTenantId, 'nobody'))
+      .rejects
+      .toThrow('Employee not found');
+  });
+
+  describe('validateManagerAssignment', () => {
+    test('should accept a manager outside the employee subtree', async () => {
+      await expect(orgChartService.validateManagerAssignment(testTenantId, 'lead', 'cfo'))
+        .resolves
+        .toBeUndefined();
+    });
+
+    test('should reject self-management, unknown managers and cycles', async () => {
+      await expect(orgChartService.validateManagerAssignment(testTenantId, 'cto', 'cto'))
+        .rejects
+        .toThrow('cannot be their own manager');
+      await expect(orgChartService.validateManagerAssignment(testTenantId, 'cto', 'ghost'))
+        .rejects
+        .toThrow('Manager ghost not found');
+      await expect(orgChartService.validateManagerAssignment(testTenantId, 'cto', 'dev'))
+        .rejects
+        .toThrow('would create a reporting cycle');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+const contributionRepository = require('../../../src/repositories/contributionRepository');
+const {
+  getLatestContributions,
+  describeDistribution,
+  percentileRank,
+  getEmployeePercentiles
+} = require('../../../src/services/scoreDistributionService');
+const { createMockEmployee, createMockContribution } = require('../../testDataFactory');
+
+jest.mock('../../../src/repositories/employeeRepository');
+jest.mock('../../../src/repositories/contributionRepository');
+
+describe('Score Distribution Service', () => {
+  const page = data => ({ data, pagination: { page: 1, limit: 1000, totalCount: data.length, totalPages: 1 } });
+  const scored = (employeeId, overall, calculatedAt = '2024-05-01T00:00:00.000Z') =>
+    createMockContribution({ employee_id: employeeId, overall_score: String(overall), calculated_at: calculatedAt });
+  
+  describe('describeDistribution', () => {
+    test('should return quartiles, p90, standard deviation and a histogram', () => {
+      const distribution = describeDistribution([40, 100, 60, 80, 0]);
+      
+      expect(distribution).toMatchObject({ count: 5, mean: 56, median: 60, p25: 40, p75: 80, p90: 92, std_dev: 34.41 });
+      expect(distribution.histogram).toHaveLength(10);
+      expect(distribution.histogram[0]).toEqual({ min: 0, max: 10, count: 1 });
+      expect(distribution.histogram[9]).toEqual({ min: 90, max: 100, count: 1 });
+      expect(distribution.histogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(5);
+    });
+    
+    test('should interpolate between scores and skip missing ones', () => {
+      expect(describeDistribution([10, 20, NaN])).toMatchObject({ count: 2, median: 15, p25: 12.5, std_dev: 5 });
+    });
+    
+    test('should have no statistics without scores', () => {
+      const distribution = describeDistribution([]);
+      
+      expect(distribution).toMatchObject({ count: 0, mean: null, median: null, p90: null, std_dev: null });
+      expect(distribution.histogram.every(bucket => bucket.count === 0)).toBe(true);
+    });
+  });
+  
+  describe('percentileRank', () => {
+    test('should count the scores below and half of the tied ones', () => {
+      expect(percentileRank(80, [60, 70, 80, 80, 90])).toBe(60);
+      expect(percentileRank(90, [60, 70, 80, 80, 90])).toBe(90);
+      expect(percentileRank(50, [50])).toBe(50);
+      expect(percentileRank(NaN, [50])).toBeNull();
+    });
+  });
+  
+  test('should pick the latest contribution of every employee', () => {
+    const latest = getLatestContributions([
+      scored('ana', 50, '2024-04-01T00:00:00.000Z'),
+      scored('ana', 70, '2024-05-01T00:00:00.000Z'),
+      scored('ben', 60)
+    ]);
+    
+    expect(latest.get('ana').overall_score).toBe('70');
+    expect(latest.size).toBe(2);
+  });
+  
+  test('should only pick contributions scored over the period', () => {
+    const may = { period_type: 'monthly', period_start: '2024-05-01T00:00:00.000Z', period_end: '2024-06-01T00:00:00.000Z' };
+    const contributions = [
+      scored('ana', 50),
+      { ...scored('ana', 70, '2024-06-02T00:00:00.000Z'), ...may }
+    ];
+    
+    expect(getLatestContributions(contributions).get('ana').overall_score).toBe('50');
+    expect(getLatestContributions(contributions, may).get('ana').overall_score).toBe('70');
+  });
+  
+  describe('getEmployeePercentiles', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      employeeRepository.getEmployees.mockResolvedValue(page([
+        createMockEmployee({ employee_id: 'ana', team: 'core', department: 'eng' }),
+        createMockEmployee({ employee_id: 'ben', team: 'core', department: 'eng' }),
+        createMockEmployee({ employee_id: 'cy', team: 'infra', department: 'eng' }),
+        createMockEmployee({ employee_id: 'dee', team: 'sales', department: 'gtm' }),
+        createMockEmployee({ employee_id: 'eve', team: 'core', department: 'eng' })
+      ]));
+      contributionRepository.getContributions.mockResolvedValue(page([
+        scored('ana', 90, '2024-04-01T00:00:00.000Z'),
+        scored('ben', 60),
+        scored('cy', 80),
+        scored('dee', 95)
+      ]));
+    });
+    
+    test('should rank the latest scores within the team, department and tenant', async () => {
+      const ana = createMockEmployee({ employee_id: 'ana', team: 'core', department: 'eng' });
+      const percentiles = await getEmployeePercentiles('tenant', ana, scored('ana', 70));
+      
+      expect(employeeRepository.getEmployees).toHaveBeenCalledWith('tenant', 1, 1000, { activeOnly: true });
+      // eve has no contribution and is left out
+      expect(percentiles.team).toMatchObject({ peer_count: 2, overall_score: 75 });
+      expect(percentiles.department).toMatchObject({ peer_count: 3, overall_score: 50 });
+      expect(percentiles.tenant).toMatchObject({ peer_count: 4, overall_score: 37.5 });
+    });
+    
+    test('should have no team or department percentiles without a team or department', async () => {
+      const former = createMockEmployee({ employee_id: 'zed', team: null, department: null });
+      const percentiles = await getEmployeePercentiles('tenant', former, scored('zed', 100));
+      
+      expect(percentiles).toMatchObject({ team: null, department: null, tenant: { peer_count: 5, overall_score: 90 } });
+    });
+    
+    test('should only compare scores of the same period', async () => {
+      const may = { period_type: 'monthly', period_start: '2024-05-01T00:00:00.000Z', period_end: '2024-06-01T00:00:00.000Z' };
+      contributionRepository.getContributions.mockResolvedValue(page([
+        scored('ben', 60),
+        { ...scored('cy', 80, '2024-06-02T00:00:00.000Z'), ...may }
+      ]));
+      
+      const ana = createMockEmployee({ employee_id: 'ana', team: 'core', department: 'eng' });
+      const percentiles = await getEmployeePercentiles('tenant', ana, { ...scored('ana', 70), ...may });
+      
+      // ben's all-time score is not compared with May scores
+      expect(percentiles.tenant).toMatchObject({ peer_count: 2, overall_score: 25 });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+const scoreRecalculationService = require('../../../src/services/scoreRecalculationService');
+const contributionService = require('../../../src/services/contributionService');
+const tenantRepository = require('../../../src/repositories/tenantRepository');
+const scoreRunRepository = require('../../../src/repositories/scoreRunRepository');
+
+// Mock the scoring pipeline, repositories and logger
+jest.mock('../../../src/services/contributionService');
+jest.mock('../../../src/repositories/tenantRepository');
+jest.mock('../../../src/repositories/scoreRunRepository');
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Score Recalculation Service', () => {
+  const testTenantId = 'test-tenant';
+  const batchReport = (results) => ({
+    scope: 'all',
+    employees_requested: results.length,
+    employees_updated: results.filter(result => result.status === 'updated').length,
+    employees_failed: results.filter(result => result.status !== 'updated').length,
+    results
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    contributionService.recalculateContributionsBatch.mockResolvedValue(batchReport([
+      { employee_id: 'alice', status: 'updated' },
+      { employee_id: 'bob', status: 'updated' }
+    ]));
+    scoreRunRepository.createRun.mockImplementation(async (tenantId, run) => ({ ...run, tenant_id: tenantId }));
+    scoreRunRepository.updateRun.mockImplementation(async (tenantId, runId, run) => ({ ...run, run_id: runId, tenant_id: tenantId }));
+  });
+  
+  afterEach(() => {
+    scoreRecalculationService.stopScheduledScoreRecalculation();
+  });
+  
+  describe('recalculateTenantScores', () => {
+    test('should recalculate the whole tenant and log the run', async () => {
+      const run = await scoreRecalculationService.recalculateTenantScores(testTenantId, { trigger: 'manual' });
+      
+      expect(contributionService.recalculateContributionsBatch)
+        .toHaveBeenCalledWith(testTenantId, { scope: 'all' });
+      expect(scoreRunRepository.createRun).toHaveBeenCalledWith(testTenantId, expect.objectContaining({
+        trigger: 'manual',
+        status: 'running'
+      }));
+      expect(run).toMatchObject({
+        status: 'completed',
+        employees_processed: 2,
+        employees_failed: 0,
+        failures: []
+      });
+      expect(run.finished_at).toBeDefined();
+    });
+    
+    test('should record employees that fail and keep going', async () => {
+      contributionService.recalculateContributionsBatch.mockResolvedValue(batchReport([
+        { employee_id: 'alice', status: 'failed', error: 'storage unavailable' },
+        { employee_id: 'bob', status: 'updated' }
+      ]));
+      
+      const run = await scoreRecalculationService.recalculateTenantScores(testTenantId);
+      
+      expect(run).toMatchObject({
+        status: 'completed_with_errors',
+        employees_processed: 1,
+        employees_failed: 1,
+        failures: [{ employee_id: 'alice', error: 'storage unavailable' }]
+      });
+    });
+    
+    test('should mark the run failed when the batch cannot run', async () => {
+      contributionService.recalculateContributionsBatch.mockRejectedValue(new Error('connection refused'));
+      
+      const run = await scoreRecalculationService.recalculateTenantScores(testTenantId);
+      
+      expect(run).toMatchObject({ status: 'failed', employees_processed: 0 });
+    });
+    
+    test('should not start a second run for a tenant while one is in progress', async () => {
+      let finish;
+      contributionService.recalculateContributionsBatch.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+      
+      const first = scoreRecalculationService.recalculateTenantScores(testTenantId);
+      await expect(scoreRecalculationService.recalculateTenantScores(testTenantId))
+        .rejects
+        .toThrow('already running');
+      
+      finish(batchReport([]));
+      await expect(first).resolves.toMatchObject({ status: 'completed' });
+    });
+  });
+  
+  describe('recalculateAllTenants', () => {
+    test('should run every tenant under one run ID', async () => {
+      tenantRepository.listTenants.mockResolvedValue([{ tenant_id: 'acme' }, { tenant_id: 'globex' }]);
+      
+      const result = await scoreRecalculationService.recalculateAllTenants('scheduled');
+      
+      expect(Object.keys(result.tenants)).toEqual(['acme', 'globex']);
+      const runIds = scoreRunRepository.createRun.mock.calls.map(call => call[1].run_id);
+      expect(runIds).toEqual([result.run_id, result.run_id]);
+      expect(scoreRunRepository.createRun.mock.calls[0][1].trigger).toBe('scheduled');
+    });
+  });
+  
+  describe('startRecalculationForAllTenants', () => {
+    test('should return the run ID before the tenants are recalculated', async () => {
+      let finish;
+      tenantRepository.listTenants.mockResolvedValue([{ tenant_id: 'acme' }]);
+      contributionService.recalculateContributionsBatch.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+      
+      const { run_id: runId } = scoreRecalculationService.startRecalculationForAllTenants();
+      expect(scoreRunRepository.updateRun).not.toHaveBeenCalled();
+      
+      await new Promise(resolve => setImmediate(resolve));
+      expect(scoreRunRepository.createRun).toHaveBeenCalledWith('acme', expect.objectContaining({
+        run_id: runId,
+        trigger: 'manual',
+        status: 'running'
+      }));
+      
+      finish(batchReport([]));
+      await new Promise(resolve => setImmediate(resolve));
+      expect(scoreRunRepository.updateRun).toHaveBeenCalledWith('acme', runId, expect.objectContaining({ status: 'completed' }));
+    });
+  });
+  
+  describe('failInterruptedRuns', () => {
+    test('should mark every tenant\'s stale running runs as failed', async () => {
+      const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+      tenantRepository.listTenants.mockResolvedValue([{ tenant_id: 'acme' }, { tenant_id: 'globex' }]);
+      scoreRunRepository.getRunsByStatus.mockImplementation(async tenantId => (tenantId === 'acme'
+        ? [{ run_id: 'run-1', started_at: minutesAgo(400) }, { run_id: 'run-2', started_at: minutesAgo(10) }]
+        : []));
+      
+      const interrupted = await scoreRecalculationService.failInterruptedRuns();
+      
+      expect(interrupted).toBe(1);
+      expect(scoreRunRepository.getRunsByStatus).toHaveBeenCalledTimes(2);
+      expect(scoreRunRepository.getRunsByStatus).toHaveBeenCalledWith('acme', 'running');
+      expect(scoreRunRepository.updateRun).toHaveBeenCalledTimes(1);
+      expect(scoreRunRepository.updateRun).toHaveBeenCalledWith('acme', 'run-1', expect.objectContaining({
+        status: 'failed',
+        failures: [{ employee_id: null, error: 'Interrupted by a server restart' }]
+      }));
+    });
+    
+    test('should leave runs another instance may still be working on alone', async () => {
+      tenantRepository.listTenants.mockResolvedValue([{ tenant_id: 'acme' }]);
+      scoreRunRepository.getRunsByStatus.mockResolvedValue([
+        { run_id: 'run-1', started_at: new Date(Date.now() - 30 * 60 * 1000).toISOString() }
+      ]);
+      
+      expect(await scoreRecalculationService.failInterruptedRuns(60)).toBe(0);
+      expect(await scoreRecalculationService.failInterruptedRuns(15)).toBe(1);
+      expect(scoreRunRepository.updateRun).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('scheduling', () => {
+    test('should run all tenants on every interval and report the schedule', async () => {
+      jest.useFakeTimers();
+      try {
+        tenantRepository.listTenants.mockResolvedValue([]);
+        scoreRunRepository.getRecentRuns.mockResolvedValue([]);
+        
+        scoreRecalculationService.scheduleScoreRecalculation(30);
+        expect(tenantRepository.listTenants).not.toHaveBeenCalled();
+        
+        jest.advanceTimersByTime(30 * 60 * 1000);
+        expect(tenantRepository.listTenants).toHaveBeenCalledTimes(1);
+        
+        const status = await scoreRecalculationService.getScoreRecalculationStatus(testTenantId);
+        expect(status).toMatchObject({ scheduled: true, interval_minutes: 30, running: false, recent_runs: [] });
+        expect(status.next_run_at).not.toBeNull();
+        
+        scoreRecalculationService.stopScheduledScoreRecalculation();
+        const stopped = await scoreRecalculationService.getScoreRecalculationStatus(testTenantId);
+        expect(stopped).toMatchObject({ scheduled: false, interval_minutes: null, next_run_at: null });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
\ No newline at end of file
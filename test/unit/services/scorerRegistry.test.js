@@ -0,0 +1,103 @@
+const scorerRegistry = require('../../../src/services/scorerRegistry');
+const { DEFAULT_SCORING_CONFIG } = require('../../../src/services/scoringService');
+const { createMockEmployee, createMockInteraction, createMockKudos } = require('../../testDataFactory');
+
+describe('Scorer Registry', () => {
+  const data = {
+    employee: createMockEmployee({ employee_id: 'alice' }),
+    interactions: [
+      createMockInteraction({ to_employee_id: 'alice', content: 'Thanks for the walkthrough, you showed me the deploy process' })
+    ],
+    kudos: [createMockKudos({ from_employee_id: 'bob', to_employee_id: 'alice' })],
+    employees: [createMockEmployee({ employee_id: 'alice' }), createMockEmployee({ employee_id: 'bob' })]
+  };
+  
+  afterEach(() => {
+    scorerRegistry.unregisterScorer('reviews');
+  });
+  
+  test('should register the three original dimensions and the extra keyword dimensions as built-ins', () => {
+    const scorers = scorerRegistry.listScorers();
+    
+    expect(scorers.map(scorer => scorer.name)).toEqual([
+      'problem_solving', 'collaboration', 'initiative', 'mentorship', 'documentation'
+    ]);
+    expect(scorers.every(scorer => scorer.builtin)).toBe(true);
+    expect(scorerRegistry.getScorer('collaboration').inputs).toEqual(['kudos', 'employees']);
+  });
+  
+  test('should only enable the dimensions the configuration weights', () => {
+    expect(scorerRegistry.getEnabledScorers(DEFAULT_SCORING_CONFIG).map(scorer => scorer.name))
+      .toEqual(['problem_solving', 'collaboration', 'initiative']);
+    expect(() => scorerRegistry.getEnabledScorers({ weights: { happiness: 1 } }))
+      .toThrow('Unknown scoring dimension happiness');
+  });
+  
+  test('should score a custom plugin with only the inputs it selects', () => {
+    const score = jest.fn(({ kudos }, settings) => ({ score: kudos.length * settings.points, reviewers: kudos.length }));
+    scorerRegistry.registerScorer({ name: 'reviews', inputs: ['kudos'], defaults: { points: 30 }, score });
+    
+    const result = scorerRegistry.runScorer(scorerRegistry.getScorer('reviews'), data, DEFAULT_SCORING_CONFIG);
+    
+    expect(result).toEqual({ score: 30, reviewers: 1 });
+    expect(Object.keys(score.mock.calls[0][0])).toEqual(['kudos']);
+    expect(score.mock.calls[0][2].employee.employee_id).toBe('alice');
+  });
+  
+  test('should use configured settings over the plugin defaults and cap scores to 0-100', () => {
+    scorerRegistry.registerScorer({
+      name: 'reviews',
+      inputs: ['kudos'],
+      defaults: { points: 30 },
+      score: ({ kudos }, settings) => kudos.length * settings.points * 10
+    });
+    const scorer = scorerRegistry.getScorer('reviews');
+    
+    expect(scorerRegistry.runScorer(scorer, data, { ...DEFAULT_SCORING_CONFIG, reviews: { points: 5 } })).toEqual({ score: 50 });
+    expect(scorerRegistry.runScorer(scorer, data, DEFAULT_SCORING_CONFIG)).toEqual({ score: 100 });
+  });
+  
+  test('should score the mentorship keyword dimension per interaction', () => {
+    const result = scorerRegistry.runScorer(scorerRegistry.getScorer('mentorship'), data, DEFAULT_SCORING_CONFIG);
+    
+    // One keyword (10) and one phrase (20)
+    expect(result.score).toBe(30);
+    expect(result.interactions[0].matched).toEqual({ keywords: { walkthrough: 1 }, phrases: { 'showed me': 1 } });
+  });
+  
+  test('should reject invalid, reserved and duplicate scorers', () => {
+    expect(() => scorerRegistry.registerScorer({ name: 'Reviews', inputs: ['kudos'], score: () => 0 }))
+      .toThrow('Scorer name must start with a lower-case letter');
+    expect(() => scorerRegistry.registerScorer({ name: 'overall', inputs: ['kudos'], score: () => 0 }))
+      .toThrow('Scorer name overall is reserved');
+    expect(() => scorerRegistry.registerScorer({ name: 'reviews', inputs: ['meetings'], score: () => 0 }))
+      .toThrow('Scorer inputs must be a non-empty list of: interactions, kudos, employees');
+    expect(() => scorerRegistry.registerScorer({ name: 'initiative', inputs: ['interactions'], score: () => 0 }))
+      .toThrow('Scorer initiative is already registered');
+    expect(() => scorerRegistry.unregisterScorer('initiative')).toThrow('Built-in scorer initiative cannot be removed');
+  });
+  
+  test('should fail when a plugin returns no score', () => {
+    scorerRegistry.registerScorer({ name: 'reviews', inputs: ['kudos'], score: () => ({ reviewers: 1 }) });
+    
+    expect(() => scorerRegistry.runScorer(scorerRegistry.getScorer('reviews'), data, DEFAULT_SCORING_CONFIG))
+      .toThrow('Scorer reviews returned an invalid score');
+  });
+  
+  test('should weight dimension scores into an overall score', () => {
+    expect(scorerRegistry.calculateWeightedScore({ problem_solving: 80, mentorship: 40 }, { problem_solving: 0.5, mentorship: 0.5 }))
+      .toBe(60);
+  });
+  
+  test('should weight the default dimensions 40/30/30', () => {
+    const weights = DEFAULT_SCORING_CONFIG.weights;
+    expect(scorerRegistry.calculateWeightedScore({ problem_solving: 80, collaboration: 70, initiative: 90 }, weights)).toBe(80);
+    expect(scorerRegistry.calculateWeightedScore({ problem_solving: 0, collaboration: 0, initiative: 0 }, weights)).toBe(0);
+    expect(scorerRegistry.calculateWeightedScore({ problem_solving: 100, collaboration: 100, initiative: 100 }, weights)).toBe(100);
+  });
+  
+  test('should leave dimensions without a weight out of the overall score', () => {
+    expect(scorerRegistry.calculateWeightedScore({ problem_solving: 80, collaboration: 70, initiative: 90 }, { collaboration: 1 }))
+      .toBe(70);
+  });
+});
\ No newline at end of file
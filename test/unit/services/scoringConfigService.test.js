@@ -0,0 +1,210 @@
+const scoringConfigService = require('../../../src/services/scoringConfigService');
+const scoringConfigRepository = require('../../../src/repositories/scoringConfigRepository');
+const { DEFAULT_SCORING_CONFIG } = require('../../../src/services/scoringService');
+
+// Mock the repository
+jest.mock('../../../src/repositories/scoringConfigRepository');
+
+describe('Scoring Config Service', () => {
+  const testTenantId = 'test-tenant';
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scoringConfigRepository.getLatestConfig.mockResolvedValue(null);
+    scoringConfigRepository.createConfigVersion.mockImplementation(async (tenantId, data) => ({
+      ...data,
+      tenant_id: tenantId,
+      created_at: '2024-06-01T00:00:00.000Z'
+    }));
+  });
+  
+  describe('validateScoringConfig', () => {
+    test('should accept the built-in configuration', () => {
+      expect(scoringConfigService.validateScoringConfig(DEFAULT_SCORING_CONFIG)).toEqual({ isValid: true, errors: [] });
+    });
+    
+    test('should require weights that sum to 1', () => {
+      const result = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        weights: { problem_solving: 0.5, collaboration: 0.3, initiative: 0.3 }
+      });
+      
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['Weights must sum to 1 (got 1.1)']);
+    });
+    
+    test('should reject unknown settings, bad term lists and out-of-range caps', () => {
+      const result = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        collaboration: { ...DEFAULT_SCORING_CONFIG.collaboration, unique_sender_max: 150, bonus: 1 },
+        initiative: { ...DEFAULT_SCORING_CONFIG.initiative, keywords: ['idea', ''] },
+        sentiment: {}
+      });
+      
+      expect(result.errors).toEqual([
+        'Unknown configuration section sentiment',
+        'Unknown setting collaboration.bonus',
+        'collaboration.unique_sender_max must be a number between 0 and 100',
+        'initiative.keywords entries must be non-empty strings of at most 100 characters'
+      ]);
+    });
+    
+    test('should accept supported default languages only', () => {
+      const valid = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        language: { default_language: 'id', detect: false }
+      });
+      const invalid = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        language: { default_language: 'fr', detect: 'yes', script: 'latin' }
+      });
+      
+      expect(valid.isValid).toBe(true);
+      expect(invalid.errors).toEqual([
+        'Unknown setting language.script',
+        'language.default_language must be one of: en, es, de, id',
+        'language.detect must be true or false'
+      ]);
+    });
+    
+    test('should validate the anti-gaming thresholds', () => {
+      const valid = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        anti_gaming: { ...DEFAULT_SCORING_CONFIG.anti_gaming, enabled: false, flagged_weight: 0 }
+      });
+      const invalid = scoringConfigService.validateScoringConfig({
+        ...DEFAULT_SCORING_CONFIG,
+        anti_gaming: { ...DEFAULT_SCORING_CONFIG.anti_gaming, max_ring_size: 2, flagged_weight: 2, strict: true }
+      });
+      
+      expect(valid.isValid).toBe(true);
+      expect(invalid.errors).toEqual([
+        'Unknown setting anti_gaming.strict',
+        'anti_gaming.max_ring_size must be a whole number between 3 and 6',
+        'anti_gaming.flagged_weight must be a number between 0 and 1'
+      ]);
+    });
+  });
+  
+  describe('getActiveScoringConfig', () => {
+    test('should fall back to the built-in version 0', async () => {
+      const result = await scoringConfigService.getActiveScoringConfig(testTenantId);
+      
+      expect(result).toMatchObject({ version: 0, is_default: true, config: DEFAULT_SCORING_CONFIG });
+    });
+    
+    test('should return the newest stored version', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({ version: '3', config: DEFAULT_SCORING_CONFIG });
+      
+      const result = await scoringConfigService.getActiveScoringConfig(testTenantId);
+      
+      expect(result).toMatchObject({ version: 3, is_default: false });
+    });
+  });
+  
+  describe('updateScoringConfig', () => {
+    test('should merge changes per section and store the next version', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({ version: 2, config: DEFAULT_SCORING_CONFIG });
+      
+      const result = await scoringConfigService.updateScoringConfig(testTenantId, {
+        weights: { problem_solving: 0.2, collaboration: 0.5, initiative: 0.3 },
+        initiative: { keywords: ['shipped'] }
+      }, 'user-1');
+      
+      const stored = scoringConfigRepository.createConfigVersion.mock.calls[0][1];
+      expect(stored.version).toBe(3);
+      expect(stored.created_by).toBe('user-1');
+      expect(stored.config.weights.collaboration).toBe(0.5);
+      expect(stored.config.initiative.keywords).toEqual(['shipped']);
+      expect(stored.config.initiative.proactive_phrases).toEqual(DEFAULT_SCORING_CONFIG.initiative.proactive_phrases);
+      expect(result).toMatchObject({ version: 3, is_default: false });
+    });
+    
+    test('should not store invalid configurations', async () => {
+      await expect(scoringConfigService.updateScoringConfig(testTenantId, { weights: { problem_solving: 0.5 } }))
+        .rejects
+        .toThrow('Validation failed: Weights must sum to 1');
+      await expect(scoringConfigService.updateScoringConfig(testTenantId, {}))
+        .rejects
+        .toThrow('At least one configuration section is required');
+      expect(scoringConfigRepository.createConfigVersion).not.toHaveBeenCalled();
+    });
+    
+    test('should enable extra dimensions by weight and start their settings from the scorer defaults', async () => {
+      await scoringConfigService.updateScoringConfig(testTenantId, {
+        weights: { problem_solving: 0.4, collaboration: 0.3, mentorship: 0.3 },
+        mentorship: { keyword_max: 40 }
+      });
+      
+      const stored = scoringConfigRepository.createConfigVersion.mock.calls[0][1];
+      expect(stored.config.weights).toEqual({ problem_solving: 0.4, collaboration: 0.3, mentorship: 0.3 });
+      expect(stored.config.mentorship.keyword_max).toBe(40);
+      expect(stored.config.mentorship.keywords).toContain('mentored');
+    });
+    
+    test('should reject weights for dimensions no scorer provides', async () => {
+      await expect(scoringConfigService.updateScoringConfig(testTenantId, {
+        weights: { problem_solving: 0.5, happiness: 0.5 }
+      }))
+        .rejects
+        .toThrow('Unknown weight happiness');
+      await expect(scoringConfigService.updateScoringConfig(testTenantId, { weights: {} }))
+        .rejects
+        .toThrow('At least one dimension must have a weight');
+    });
+  });
+  
+  describe('listScoringDimensions', () => {
+    test('should list every registered dimension, enabled ones first', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({
+        version: 5,
+        config: { ...DEFAULT_SCORING_CONFIG, weights: { documentation: 0.5, collaboration: 0.5 } }
+      });
+      
+      const result = await scoringConfigService.listScoringDimensions(testTenantId);
+      
+      expect(result.version).toBe(5);
+      expect(result.dimensions.map(dimension => dimension.name).slice(0, 2)).toEqual(['collaboration', 'documentation']);
+      expect(result.dimensions.find(dimension => dimension.name === 'documentation')).toMatchObject({
+        enabled: true,
+        weight: 0.5,
+        builtin: true,
+        inputs: ['interactions']
+      });
+      expect(result.dimensions.find(dimension => dimension.name === 'initiative')).toMatchObject({
+        enabled: false,
+        weight: null
+      });
+    });
+  });
+  
+  describe('resetScoringConfig', () => {
+    test('should store the built-in configuration as a new version', async () => {
+      scoringConfigRepository.getLatestConfig.mockResolvedValue({ version: 1, config: {} });
+      
+      const result = await scoringConfigService.resetScoringConfig(testTenantId, 'user-1');
+      
+      expect(result).toMatchObject({ version: 2, config: DEFAULT_SCORING_CONFIG });
+    });
+  });
+  
+  describe('getScoringConfigVersion', () => {
+    test('should return the built-in configuration for version 0', async () => {
+      const result = await scoringConfigService.getScoringConfigVersion(testTenantId, 0);
+      
+      expect(result.is_default).toBe(true);
+      expect(scoringConfigRepository.getConfigByVersion).not.toHaveBeenCalled();
+    });
+    
+    test('should fail for unknown and invalid versions', async () => {
+      scoringConfigRepository.getConfigByVersion.mockResolvedValue(null);
+      
+      await expect(scoringConfigService.getScoringConfigVersion(testTenantId, 7))
+        .rejects
+        .toThrow('Scoring configuration version not found');
+      await expect(scoringConfigService.getScoringConfigVersion(testTenantId, NaN))
+        .rejects
+        .toThrow('Validation failed');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+const {
+  validateScoringPeriod,
+  resolveScoringPeriod,
+  getPreviousPeriod,
+  filterToPeriod,
+  decayWeight,
+  coversPeriod
+} = require('../../../src/services/scoringPeriodService');
+
+describe('Scoring Period Service', () => {
+  // A Wednesday
+  const now = new Date('2024-05-15T12:00:00.000Z');
+  
+  describe('resolveScoringPeriod', () => {
+    test('should default to all-time scoring up to now', () => {
+      expect(resolveScoringPeriod({}, now)).toEqual({
+        period_type: 'all_time',
+        period_start: null,
+        period_end: '2024-05-15T12:00:00.000Z',
+        decay_half_life_days: null
+      });
+    });
+    
+    test('should resolve calendar periods around the reference date', () => {
+      expect(resolveScoringPeriod({ period: 'weekly' }, now)).toMatchObject({
+        period_start: '2024-05-13T00:00:00.000Z',
+        period_end: '2024-05-20T00:00:00.000Z'
+      });
+      expect(resolveScoringPeriod({ period: 'monthly', reference_date: '2024-02-10' }, now)).toMatchObject({
+        period_start: '2024-02-01T00:00:00.000Z',
+        period_end: '2024-03-01T00:00:00.000Z'
+      });
+      expect(resolveScoringPeriod({ period: 'quarterly', reference_date: '2024-12-31' }, now)).toMatchObject({
+        period_start: '2024-10-01T00:00:00.000Z',
+        period_end: '2025-01-01T00:00:00.000Z'
+      });
+    });
+    
+    test('should include the last day of a custom period', () => {
+      expect(resolveScoringPeriod({ period: 'custom', from: '2024-01-01', to: '2024-01-31', decay_half_life_days: 7 }, now))
+        .toEqual({
+          period_type: 'custom',
+          period_start: '2024-01-01T00:00:00.000Z',
+          period_end: '2024-02-01T00:00:00.000Z',
+          decay_half_life_days: 7
+        });
+    });
+    
+    test('should reject invalid periods', () => {
+      expect(() => resolveScoringPeriod({ period: 'yearly' }, now)).toThrow('Validation failed: Period must be one of');
+      expect(validateScoringPeriod({ period: 'custom', from: '2024-02-01', to: '2024-01-01' }).errors)
+        .toEqual(['From date must not be after to date']);
+      expect(validateScoringPeriod({ period: 'custom', from: '2024-02-30', to: '2024-03-01' }).errors)
+        .toEqual(['From and to dates in YYYY-MM-DD format are required for a custom period']);
+      expect(validateScoringPeriod({ period: 'weekly', from: '2024-01-01' }).errors)
+        .toEqual(['From and to dates are only allowed for a custom period']);
+      expect(validateScoringPeriod({ decay_half_life_days: 0 }).isValid).toBe(false);
+    });
+  });
+  
+  describe('getPreviousPeriod', () => {
+    const previous = options => {
+      const { period_start, period_end } = getPreviousPeriod(resolveScoringPeriod(options, now));
+      return [period_start, period_end];
+    };
+    
+    test('should step back one calendar period', () => {
+      expect(previous({ period: 'weekly' })).toEqual(['2024-05-06T00:00:00.000Z', '2024-05-13T00:00:00.000Z']);
+      expect(previous({ period: 'monthly', reference_date: '2024-03-31' }))
+        .toEqual(['2024-02-01T00:00:00.000Z', '2024-03-01T00:00:00.000Z']);
+      expect(previous({ period: 'quarterly', reference_date: '2024-02-10' }))
+        .toEqual(['2023-10-01T00:00:00.000Z', '2024-01-01T00:00:00.000Z']);
+    });
+    
+    test('should take the days right before a custom period', () => {
+      expect(previous({ period: 'custom', from: '2024-01-11', to: '2024-01-20' }))
+        .toEqual(['2024-01-01T00:00:00.000Z', '2024-01-11T00:00:00.000Z']);
+    });
+    
+    test('should have no previous period for all-time', () => {
+      expect(getPreviousPeriod(resolveScoringPeriod({}, now))).toBeNull();
+    });
+  });
+  
+  describe('filterToPeriod', () => {
+    const records = [
+      { id: 'before', timestamp: '2024-04-30T23:59:59.000Z' },
+      { id: 'first', timestamp: '2024-05-01T00:00:00.000Z' },
+      { id: 'created', created_at: '2024-05-20T10:00:00.000Z' },
+      { id: 'after', timestamp: '2024-06-01T00:00:00.000Z' },
+      { id: 'undated' }
+    ];
+    
+    test('should keep activity inside the period only', () => {
+      const period = resolveScoringPeriod({ period: 'monthly' }, now);
+      expect(filterToPeriod(records, period).map(record => record.id)).toEqual(['first', 'created']);
+    });
+    
+    test('should keep everything for all-time scores', () => {
+      expect(filterToPeriod(records, resolveScoringPeriod({}, now))).toHaveLength(5);
+    });
+  });
+  
+  describe('decayWeight', () => {
+    test('should halve the weight every half-life before the end of the period', () => {
+      const period = resolveScoringPeriod({ period: 'custom', from: '2024-01-01', to: '2024-01-14', decay_half_life_days: 7 }, now);
+      
+      expect(decayWeight({ timestamp: '2024-01-15T00:00:00.000Z' }, period, now)).toBe(1);
+      expect(decayWeight({ timestamp: '2024-01-08T00:00:00.000Z' }, period, now)).toBeCloseTo(0.5);
+      expect(decayWeight({ timestamp: '2024-01-01T00:00:00.000Z' }, period, now)).toBeCloseTo(0.25);
+    });
+    
+    test('should measure age from now while the period is running', () => {
+      const period = resolveScoringPeriod({ period: 'monthly', decay_half_life_days: 1 }, now);
+      
+      expect(decayWeight({ timestamp: '2024-05-14T12:00:00.000Z' }, period, now)).toBeCloseTo(0.5);
+    });
+    
+    test('should not decay without a half-life', () => {
+      expect(decayWeight({ timestamp: '2020-01-01' }, resolveScoringPeriod({}, now), now)).toBe(1);
+    });
+  });
+  
+  describe('coversPeriod', () => {
+    test('should match contributions scored over the same period', () => {
+      const may = resolveScoringPeriod({ period: 'monthly', reference_date: '2024-05-10' }, now);
+      const april = resolveScoringPeriod({ period: 'monthly', reference_date: '2024-04-10' }, now);
+      const contribution = { period_type: 'monthly', period_start: may.period_start, period_end: may.period_end };
+      
+      expect(coversPeriod(contribution, may)).toBe(true);
+      expect(coversPeriod(contribution, april)).toBe(false);
+      expect(coversPeriod(contribution, resolveScoringPeriod({}, now))).toBe(false);
+    });
+    
+    test('should count contributions without a period as all-time scores', () => {
+      expect(coversPeriod({ overall_score: 50 }, resolveScoringPeriod({}, now))).toBe(true);
+      expect(coversPeriod({ period_type: 'all_time' }, resolveScoringPeriod({}, now))).toBe(true);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const {
+  labelSentiment,
+  analyzeSentiment,
+  getSentimentFields,
+  getRecordSentiment
+} = require('../../../src/services/sentimentService');
+
+describe('Sentiment Service', () => {
+  describe('analyzeSentiment', () => {
+    test('should score positive, negative and neutral messages', () => {
+      const positive = analyzeSentiment('Thanks for the great walkthrough, really helpful');
+      expect(positive.label).toBe('positive');
+      expect(positive.positive_words).toEqual(['thanks', 'great', 'helpful']);
+      
+      const negative = analyzeSentiment('The build is broken again and I am frustrated');
+      expect(negative.label).toBe('negative');
+      expect(negative.negative_words).toEqual(['broken', 'frustrated']);
+      
+      expect(analyzeSentiment('Standup moved to 10am')).toMatchObject({ score: 0, label: 'neutral' });
+      expect(analyzeSentiment('')).toMatchObject({ score: 0, label: 'neutral' });
+    });
+    
+    test('should keep scores between -1 and 1', () => {
+      const score = analyzeSentiment('Amazing amazing amazing, fantastic and wonderful work, thanks!').score;
+      
+      expect(score).toBeGreaterThan(0.9);
+      expect(score).toBeLessThanOrEqual(1);
+    });
+    
+    test('should flip words after a negator and strengthen words after an intensifier', () => {
+      expect(analyzeSentiment('This is not good').label).toBe('negative');
+      expect(analyzeSentiment('Never had a bad review from you').label).toBe('positive');
+      expect(analyzeSentiment('Very good work').score).toBeGreaterThan(analyzeSentiment('Good work').score);
+    });
+    
+    test('should use the lexicon of the detected language', () => {
+      expect(analyzeSentiment('Muchas gracias por la ayuda, es excelente')).toMatchObject({ language: 'es', label: 'positive' });
+      expect(analyzeSentiment('Das ist leider nicht gut')).toMatchObject({ language: 'de', label: 'negative' });
+      expect(analyzeSentiment('Saya kecewa, deploy ini gagal lagi')).toMatchObject({ language: 'id', label: 'negative' });
+    });
+  });
+  
+  test('should label scores with a small neutral band', () => {
+    expect(labelSentiment(0.05)).toBe('positive');
+    expect(labelSentiment(0.01)).toBe('neutral');
+    expect(labelSentiment(-0.05)).toBe('negative');
+  });
+  
+  test('should return the fields stored on interactions and kudos', () => {
+    expect(getSentimentFields('Thanks!')).toEqual({ sentiment_score: expect.any(Number), sentiment_label: 'positive' });
+  });
+  
+  test('should prefer the stored score and analyze older records on the fly', () => {
+    expect(getRecordSentiment({ content: 'Thanks!', sentiment_score: '-0.2500' })).toBe(-0.25);
+    expect(getRecordSentiment({ message: 'This is terrible' })).toBeLessThan(0);
+    expect(getRecordSentiment({ content: 'Great', sentiment_score: null })).toBeGreaterThan(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const teamService = require('../../../src/services/teamService');
+const teamRepository = require('../../../src/repositories/teamRepository');
+const departmentRepository = require('../../../src/repositories/departmentRepository');
+const employeeRepository = require('../../../src/repositories/employeeRepository');
+
+// Mock the repositories
+jest.mock('../../../src/repositories/teamRepository');
+jest.mock('../../../src/repositories/departmentRepository');
+jest.mock('../../../src/repositories/employeeRepository');
+
+describe('Team Service', () => {
+  const testTenantId = 'test-tenant';
+  const notFound = () => Object.assign(new Error('no rows'), { code: 'PGRST116' });
+  const backend = { team_id: 'backend', name: 'Backend', department_id: 'eng', archived: false };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    teamRepository.getTeamById.mockImplementation(async (tenantId, teamId) => {
+      if (teamId === 'backend') return backend;
+      throw notFound();
+    });
+    departmentRepository.getDepartmentById.mockImplementation(async (tenantId, departmentId) => {
+      if (departmentId === 'eng') return { department_id: 'eng', archived: false };
+      if (departmentId === 'sales') return { department_id: 'sales', archived: 'true' };
+      throw notFound();
+    });
+    teamRepository.createTeam.mockImplementation(async (tenantId, data) => data);
+  });
+
+  test('should create a team in an active department', async () => {
+    const result = await teamService.createTeam(testTenantId, { team_id: 'frontend', name: 'Frontend', department_id: 'eng' });
+
+    expect(result).toEqual({ team_id: 'frontend', name: 'Frontend', department_id: 'eng' });
+  });
+
+  test('should reject duplicates and unknown or archived departments', async () => {
+    await expect(teamService.createTeam(testTenantId, { team_id: 'backend', name: 'Backend' }))
+      .rejects
+      .toThrow('Team ID already exists');
+    await expect(teamService.createTeam(testTenantId, { team_id: 'web', name: 'Web', department_id: 'design' }))
+      .rejects
+      .toThrow('Department design not found');
+    await expect(teamService.createTeam(testTenantId, { team_id: 'web', name: 'Web', department_id: 'sales' }))
+      .rejects
+      .toThrow('Department sales is archived');
+  });
+
+  test('should reject archived teams for assignment', async () => {
+    teamRepository.getTeamById.mockResolvedValue({ ...backend, archived: true });
+
+    await expect(teamService.requireActiveTeam(testTenantId, 'backend'))
+      .rejects
+      .toThrow('Validation failed: Team backend is archived');
+  });
+
+  test('should only delete teams without employees', async () => {
+    employeeRepository.countEmployees.mockResolvedValue(3);
+
+    await expect(teamService.deleteTeam(testTenantId, 'backend'))
+      .rejects
+      .toThrow('Team backend still has 3 employee(s); archive it instead');
+    await expect(teamService.deleteTeam(testTenantId, 'missing'))
+      .rejects
+      .toThrow('Team not found');
+    expect(teamRepository.deleteTeam).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
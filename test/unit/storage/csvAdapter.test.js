@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mock logger
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const csvAdapter = require('../../../src/storage/csvAdapter');
+
+describe('CSV Storage Adapter', () => {
+  const tenantId = `csv_adapter_test_${Date.now()}`;
+  const tenantDir = path.join(__dirname, `../../../data/${tenantId}`);
+
+  afterAll(() => {
+    fs.rmSync(tenantDir, { recursive: true, force: true });
+  });
+
+  test('should insert rows with generated ids and read them back', async () => {
+    const { data, error } = await csvAdapter.insert('employees', [
+      { tenant_id: tenantId, employee_id: 'emp1', name: 'Alice', team: 'Backend' },
+      { tenant_id: tenantId, employee_id: 'emp2', name: 'Bob', team: 'Frontend' }
+    ]);
+
+    expect(error).toBeNull();
+    expect(data).toHaveLength(2);
+    expect(data[0].id).toBeDefined();
+    expect(data[0].created_at).toBeDefined();
+    expect(fs.existsSync(path.join(tenantDir, 'employees.csv'))).toBe(true);
+
+    const result = await csvAdapter.select('employees', {
+      filters: { tenant_id: tenantId },
+      count: 'exact'
+    });
+    expect(result.error).toBeNull();
+    expect(result.count).toBe(2);
+    expect(result.data.map(e => e.name)).toEqual(['Alice', 'Bob']);
+  });
+
+  test('should support equality filters, ordering, range and limit', async () => {
+    await csvAdapter.insert('contributions', [
+      { tenant_id: tenantId, employee_id: 'emp1', overall_score: 9, calculated_at: '2024-01-01T00:00:00.000Z' },
+      { tenant_id: tenantId, employee_id: 'emp1', overall_score: 40, calculated_at: '2024-03-01T00:00:00.000Z' },
+      { tenant_id: tenantId, employee_id: 'emp2', overall_score: 75, calculated_at: '2024-02-01T00:00:00.000Z' }
+    ]);
+
+    const latest = await csvAdapter.select('contributions', {
+      filters: { tenant_id: tenantId, employee_id: 'emp1' },
+      order: { column: 'calculated_at', ascending: false },
+      limit: 1
+    });
+    expect(latest.data).toHaveLength(1);
+    expect(latest.data[0].overall_score).toBe('40');
+
+    const byScore = await csvAdapter.select('contributions', {
+      filters: { tenant_id: tenantId },
+      order: { column: 'overall_score', ascending: true },
+      range: { from: 1, to: 2 },
+      count: 'exact'
+    });
+    expect(byScore.count).toBe(3);
+    expect(byScore.data.map(c => c.overall_score)).toEqual(['40', '75']);
+  });
+
+  test('should break ties with later orders', async () => {
+    const { data } = await csvAdapter.select('contributions', {
+      filters: { tenant_id: tenantId },
+      order: [{ column: 'employee_id', ascending: true }, { column: 'overall_score', ascending: false }]
+    });
+
+    expect(data.map(c => [c.employee_id, c.overall_score])).toEqual([['emp1', '40'], ['emp1', '9'], ['emp2', '75']]);
+  });
+
+  test('should keep rows with one of the listed values', async () => {
+    const { data } = await csvAdapter.select('contributions', {
+      filters: { tenant_id: tenantId },
+      in: { employee_id: ['emp2', 'emp3'] }
+    });
+
+    expect(data.map(c => c.employee_id)).toEqual(['emp2']);
+  });
+
+  test('should return a PGRST116 error when single() matches no rows', async () => {
+    const { data, error } = await csvAdapter.select('employees', {
+      filters: { tenant_id: tenantId, employee_id: 'missing' },
+      single: true
+    });
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('PGRST116');
+  });
+
+  test('should update and delete matching rows', async () => {
+    const updated = await csvAdapter.update(
+      'employees',
+      { tenant_id: tenantId, employee_id: 'emp1' },
+      { team: 'Platform' }
+    );
+    expect(updated.data).toHaveLength(1);
+    expect(updated.data[0].team).toBe('Platform');
+
+    const removed = await csvAdapter.remove('employees', { tenant_id: tenantId, employee_id: 'emp2' });
+    expect(removed.data).toHaveLength(1);
+
+    const { data } = await csvAdapter.select('employees', { filters: { tenant_id: tenantId } });
+    expect(data).toHaveLength(1);
+    expect(data[0].team).toBe('Platform');
+  });
+
+  test('should serialize concurrent inserts without losing rows', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(i => csvAdapter.insert('kudos', [{
+      tenant_id: tenantId,
+      from_employee_id: `emp${i}`,
+      to_employee_id: 'emp1',
+      message: `Thanks, "great" work, #${i}`
+    }])));
+
+    const { data } = await csvAdapter.select('kudos', { filters: { tenant_id: tenantId } });
+    expect(data).toHaveLength(5);
+    expect(data.map(k => k.message)).toContain('Thanks, "great" work, #3');
+  });
+
+  test('should round-trip object values as JSON', async () => {
+    await csvAdapter.insert('contributions', [{
+      tenant_id: tenantId,
+      employee_id: 'emp3',
+      overall_score: 10,
+      details: { matched: ['fix', 'bug'] }
+    }]);
+
+    const { data } = await csvAdapter.select('contributions', {
+      filters: { tenant_id: tenantId, employee_id: 'emp3' },
+      single: true
+    });
+    expect(data.details).toEqual({ matched: ['fix', 'bug'] });
+  });
+
+  test('should round-trip boolean values', async () => {
+    await csvAdapter.insert('teams', [
+      { tenant_id: tenantId, team_id: 'web', name: 'Web', archived: false },
+      { tenant_id: tenantId, team_id: 'ops', name: 'Ops', archived: true }
+    ]);
+
+    const { data } = await csvAdapter.select('teams', {
+      filters: { tenant_id: tenantId, archived: false }
+    });
+    expect(data).toHaveLength(1);
+    expect(data[0]).toMatchObject({ team_id: 'web', archived: false });
+  });
+
+  test('should require a tenant_id for tenant-owned tables', async () => {
+    const { data, error } = await csvAdapter.select('employees');
+
+    expect(data).toBeNull();
+    expect(error.message).toContain('tenant_id is required');
+  });
+
+  test('should treat set_tenant_context as a no-op', async () => {
+    const result = await csvAdapter.rpc('set_tenant_context', { tenant_id: tenantId });
+    expect(result).toEqual({ data: null, error: null });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { createInMemoryClient } = require('../../../src/utils/inMemorySupabaseClient');
+
+describe('In-Memory Supabase Client', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createInMemoryClient();
+  });
+
+  describe('query builder', () => {
+    test('should insert rows and return them with generated columns', async () => {
+      const { data, error } = await supabase
+        .from('employees')
+        .insert([{ tenant_id: 't1', employee_id: 'emp1', name: 'Alice' }])
+        .select();
+
+      expect(error).toBeNull();
+      expect(data).toHaveLength(1);
+      expect(data[0]).toMatchObject({ tenant_id: 't1', employee_id: 'emp1', name: 'Alice' });
+      expect(data[0].id).toBeDefined();
+      expect(data[0].created_at).toBeDefined();
+    });
+
+    test('should filter, count, order and paginate like PostgREST', async () => {
+      supabase.seed('contributions', [
+        { tenant_id: 't1', employee_id: 'emp1', overall_score: 10, calculated_at: '2024-01-01' },
+        { tenant_id: 't1', employee_id: 'emp1', overall_score: 30, calculated_at: '2024-03-01' },
+        { tenant_id: 't1', employee_id: 'emp2', overall_score: 20, calculated_at: '2024-02-01' },
+        { tenant_id: 't2', employee_id: 'emp9', overall_score: 99, calculated_at: '2024-04-01' }
+      ]);
+
+      const { data, count } = await supabase
+        .from('contributions')
+        .select('*', { count: 'exact' })
+        .eq('tenant_id', 't1')
+        .range(0, 1)
+        .order('calculated_at', { ascending: false });
+
+      expect(count).toBe(3);
+      expect(data.map(c => c.overall_score)).toEqual([30, 20]);
+
+      const latest = await supabase
+        .from('contributions')
+        .select('*')
+        .eq('tenant_id', 't1')
+        .eq('employee_id', 'emp1')
+        .order('calculated_at', { ascending: false })
+        .limit(1);
+      expect(latest.data[0].overall_score).toBe(30);
+
+      const filtered = await supabase
+        .from('contributions')
+        .select('employee_id')
+        .in('employee_id', ['emp2', 'emp9'])
+        .gte('overall_score', 50);
+      expect(filtered.data).toEqual([{ employee_id: 'emp9' }]);
+    });
+
+    test('should return PGRST116 when single() does not match exactly one row', async () => {
+      const { data, error } = await supabase
+        .from('tenants')
+        .select('tenant_id')
+        .eq('tenant_id', 'missing')
+        .single();
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('PGRST116');
+    });
+
+    test('should update and delete matching rows', async () => {
+      supabase.seed('employees', [
+        { tenant_id: 't1', employee_id: 'emp1', name: 'Alice' },
+        { tenant_id: 't1', employee_id: 'emp2', name: 'Bob' }
+      ]);
+
+      const updated = await supabase
+        .from('employees')
+        .update({ name: 'Alicia' })
+        .eq('tenant_id', 't1')
+        .eq('employee_id', 'emp1')
+        .select();
+      expect(updated.data).toEqual([{ tenant_id: 't1', employee_id: 'emp1', name: 'Alicia' }]);
+
+      const deleted = await supabase
+        .from('employees')
+        .delete()
+        .eq('tenant_id', 't1')
+        .eq('employee_id', 'emp2')
+        .select();
+      expect(deleted.data).toHaveLength(1);
+
+      const { data } = await supabase.from('employees').select('*');
+      expect(data).toEqual([{ tenant_id: 't1', employee_id: 'emp1', name: 'Alicia' }]);
+    });
+
+    test('should not let callers mutate stored rows', async () => {
+      supabase.seed('kudos', [{ tenant_id: 't1', message: 'Thanks' }]);
+
+      const { data } = await supabase.from('kudos').select('*');
+      data[0].message = 'Changed';
+
+      const { data: again } = await supabase.from('kudos').select('*');
+      expect(again[0].message).toBe('Thanks');
+    });
+  });
+
+  describe('rpc', () => {
+    test('should accept set_tenant_context', async () => {
+      const result = await supabase.rpc('set_tenant_context', { tenant_id: 't1' });
+      expect(result).toEqual({ data: null, error: null });
+    });
+
+    test('should return an error for unknown functions', async () => {
+      const { error } = await supabase.rpc('does_not_exist');
+      expect(error.code).toBe('PGRST202');
+    });
+  });
+
+  describe('auth', () => {
+    test('should sign up, sign in and resolve the user from the access token', async () => {
+      const signUp = await supabase.auth.signUp({
+        email: 'Alice@Example.com',
+        password: 'secret123',
+        options: { data: { tenant_id: 't1', employee_id: 'emp1' } }
+      });
+      expect(signUp.error).toBeNull();
+      expect(signUp.data.user.password).toBeUndefined();
+
+      const signIn = await supabase.auth.signInWithPassword({ email: 'alice@example.com', password: 'secret123' });
+      expect(signIn.error).toBeNull();
+
+      const { data, error } = await supabase.auth.getUser(signIn.data.session.access_token);
+      expect(error).toBeNull();
+      expect(data.user.user_metadata).toEqual({ tenant_id: 't1', employee_id: 'emp1' });
+    });
+
+    test('should reject duplicate sign ups, bad passwords and unknown tokens', async () => {
+      await supabase.auth.signUp({ email: 'bob@example.com', password: 'secret123' });
+
+      const duplicate = await supabase.auth.signUp({ email: 'bob@example.com', password: 'other123' });
+      expect(duplicate.error.message).toContain('already registered');
+
+      const badPassword = await supabase.auth.signInWithPassword({ email: 'bob@example.com', password: 'wrong' });
+      expect(badPassword.error.message).toBe('Invalid login credentials');
+
+      const unknownToken = await supabase.auth.getUser('not-a-token');
+      expect(unknownToken.data.user).toBeNull();
+      expect(unknownToken.error).not.toBeNull();
+    });
+  });
+
+  test('reset should clear tables and users', async () => {
+    supabase.seed('employees', [{ tenant_id: 't1' }]);
+    await supabase.auth.signUp({ email: 'carol@example.com', password: 'secret123' });
+
+    supabase.reset();
+
+    const { data } = await supabase.from('employees').select('*');
+    expect(data).toEqual([]);
+    const signIn = await supabase.auth.signInWithPassword({ email: 'carol@example.com', password: 'secret123' });
+    expect(signIn.error).not.toBeNull();
+  });
+});
\ No newline at end of file
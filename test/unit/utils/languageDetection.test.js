@@ -0,0 +1,26 @@
+const { tokenize, detectLanguage, isSupportedLanguage } = require('../../../src/utils/languageDetection');
+
+describe('Language Detection', () => {
+  test('should keep accented and non-Latin words whole', () => {
+    expect(tokenize('¿Cómo está la solución?')).toEqual(['cómo', 'está', 'la', 'solución']);
+    expect(tokenize('Überprüfung für Straße')).toEqual(['überprüfung', 'für', 'straße']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  test('should detect the language of short messages from their stopwords', () => {
+    expect(detectLanguage('Can you help me with the deploy?')).toBe('en');
+    expect(detectLanguage('Gracias por la ayuda con el despliegue')).toBe('es');
+    expect(detectLanguage('Danke, ich habe das Problem mit dem Build gelöst')).toBe('de');
+    expect(detectLanguage('Terima kasih sudah membantu saya dengan server ini')).toBe('id');
+  });
+
+  test('should fall back to the default language without a clear signal', () => {
+    expect(detectLanguage('LGTM 👍', 'id')).toBe('id');
+    expect(detectLanguage(null, 'de')).toBe('de');
+  });
+
+  test('should only support languages with scoring dictionaries', () => {
+    expect(isSupportedLanguage('es')).toBe(true);
+    expect(isSupportedLanguage('fr')).toBe(false);
+  });
+});
\ No newline at end of file
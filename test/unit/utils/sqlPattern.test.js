@@ -0,0 +1,21 @@
+const { escapeLikePattern, containsPattern, likeToRegExp } = require('../../../src/utils/sqlPattern');
+
+describe('SQL Pattern Utilities', () => {
+  test('should escape LIKE wildcards in user input', () => {
+    expect(escapeLikePattern('100%_done\\')).toBe('100\\%\\_done\\\\');
+    expect(containsPattern('a_b')).toBe('%a\\_b%');
+  });
+
+  test('should convert LIKE patterns into case-insensitive regular expressions', () => {
+    expect(likeToRegExp('%back%').test('Backend')).toBe(true);
+    expect(likeToRegExp('b_d').test('BAD')).toBe(true);
+    expect(likeToRegExp('b_d').test('bread')).toBe(false);
+    expect(likeToRegExp('%back%', false).test('Backend')).toBe(false);
+  });
+
+  test('should match escaped wildcards literally', () => {
+    const regex = likeToRegExp(containsPattern('a_b'));
+    expect(regex.test('xa_by')).toBe(true);
+    expect(regex.test('xacby')).toBe(false);
+  });
+});
\ No newline at end of file
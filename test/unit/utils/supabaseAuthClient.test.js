@@ -0,0 +1,39 @@
+describe('Supabase request auth client', () => {
+  const environment = { ...process.env };
+  
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+  
+  const load = () => {
+    let modules;
+    jest.isolateModules(() => {
+      modules = {
+        supabase: require('../../../src/utils/supabaseClient'),
+        ...require('../../../src/utils/supabaseAuthClient')
+      };
+    });
+    return modules;
+  };
+  
+  test('should give every request a client that keeps no session', () => {
+    process.env.SUPABASE_CLIENT = 'remote';
+    process.env.SUPABASE_URL = 'https://test.supabase.co';
+    process.env.SUPABASE_KEY = 'test-key';
+    const { supabase, createRequestAuthClient } = load();
+    
+    const client = createRequestAuthClient();
+    
+    expect(client).not.toBe(supabase);
+    expect(createRequestAuthClient()).not.toBe(client);
+    expect(client.auth.persistSession).toBe(false);
+    expect(client.auth.autoRefreshToken).toBe(false);
+  });
+  
+  test('should use the shared client when running in memory', () => {
+    process.env.SUPABASE_CLIENT = 'memory';
+    const { supabase, createRequestAuthClient } = load();
+    
+    expect(createRequestAuthClient()).toBe(supabase);
+  });
+});
\ No newline at end of file
@@ -54,6 +54,40 @@ describe('Validation Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({ error: 'Employee ID is required' });
     });
+
+    test('should call next for an interaction with a sender and recipients', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        to_employee_ids: ['emp456', 'emp789'],
+        type: 'code_review',
+        content: 'Reviewed the release branch'
+      };
+      validateInteraction(req, res, next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 400 for a sender without recipients', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        type: 'code_review',
+        content: 'Reviewed the release branch'
+      };
+      validateInteraction(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'To employee ID is required' });
+    });
+
+    test('should return 400 for an empty recipient list', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        to_employee_ids: [],
+        type: 'code_review',
+        content: 'Reviewed the release branch'
+      };
+      validateInteraction(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'To employee IDs must be a non-empty list of employee IDs' });
+    });
   });
 
   describe('validateKudos', () => {
@@ -87,6 +121,47 @@ describe('Validation Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({ error: 'Cannot give kudos to yourself' });
     });
+
+    test('should call next for kudos to a list of employees or a team', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        to_employee_ids: ['emp456', 'emp789'],
+        message: 'Great launch!'
+      };
+      validateKudos(req, res, next);
+      req.body = {
+        from_employee_id: 'emp123',
+        to_team_id: 'team-1',
+        message: 'Great launch!'
+      };
+      validateKudos(req, res, next);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should return 400 for more than one kind of recipient', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        to_employee_id: 'emp456',
+        to_team_id: 'team-1',
+        message: 'Great launch!'
+      };
+      validateKudos(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Give kudos to only one of to_employee_id, to_employee_ids or to_team_id'
+      });
+    });
+
+    test('should return 400 for a recipient list including the sender', () => {
+      req.body = {
+        from_employee_id: 'emp123',
+        to_employee_ids: ['emp456', 'emp123'],
+        message: 'Great launch!'
+      };
+      validateKudos(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Cannot give kudos to yourself' });
+    });
   });
 
   describe('validateContributionScores', () => {